@@ -0,0 +1,53 @@
+// ================= ALERT RULES =================
+// Default alert rules per stablecoin symbol, evaluated after every scheduled refresh.
+// Operators can replace a coin's rules through PUT /api/alerts/rules/:symbol; deleting
+// the override (DELETE /api/alerts/rules/:symbol) falls back to the rules below.
+//
+// Rule types:
+//   threshold - metric compared against a fixed value:           { metric, operator, value }
+//   ratio     - metric / relativeTo compared against a value:    { metric, relativeTo, operator, value }
+//   change    - fractional change of a metric over a window:     { metric, window, operator, value }
+//               e.g. value -0.2 with operator '<' fires on a drop of more than 20%
+// Metrics are keys of the server-side metric set (see services/stablecoin-metrics.js).
+
+import { stablecoins } from './stablecoins.js';
+
+export const standardAlertRules = [
+  {
+    id: 'tsl-drop-24h',
+    description: 'Theoretical Supply Limit dropped more than 20% in 24h',
+    type: 'change',
+    metric: 'theoreticalSupplyLimit',
+    window: '24h',
+    operator: '<',
+    value: -0.2,
+    severity: 'critical',
+    enabled: true
+  },
+  {
+    id: 'cr-below-1',
+    description: 'Collateralization ratio below 1.0',
+    type: 'threshold',
+    metric: 'collateralizationRatio',
+    operator: '<',
+    value: 1.0,
+    severity: 'critical',
+    enabled: true
+  },
+  {
+    id: 'insurance-below-10pct',
+    description: 'Insurance fund below 10% of total supply',
+    type: 'ratio',
+    metric: 'insuranceFund',
+    relativeTo: 'totalSupply',
+    operator: '<',
+    value: 0.1,
+    severity: 'warning',
+    enabled: true
+  }
+];
+
+// Symbol -> rules. Add per-coin entries here to diverge from the standard set.
+export const alertRules = Object.fromEntries(
+  stablecoins.map(stablecoin => [stablecoin.symbol, standardAlertRules])
+);
@@ -0,0 +1,78 @@
+// ================= CHAIN REGISTRY =================
+// EVM chains the cache service can query. Fetchers take a chain key (default 'ethereum') and
+// resolve the chain id, Curve API network name, RPC endpoints and subgraph IDs from here.
+// Stablecoins list their per-chain token addresses under chainDeployments (config/stablecoins.js).
+//
+// RPC endpoints: <rpcEnv> / <fallbackRpcEnv> when set, otherwise the public defaultRpcUrls.
+// Subgraphs: subgraphEnv maps a protocol to the env var holding its subgraph ID on that chain;
+// a protocol without an ID is skipped on that chain. Mainnet IDs are read by TheGraphFetcher.
+// morpho / fluid: whether the Morpho API and Fluid vaults API cover the chain.
+
+export const DEFAULT_CHAIN = 'ethereum';
+
+export const chains = {
+  ethereum: {
+    name: 'Ethereum',
+    chainId: 1,
+    curveNetwork: 'ethereum',
+    rpcEnv: 'ETH_RPC_URL',
+    fallbackRpcEnv: 'ETH_RPC_URL_FALLBACK',
+    defaultRpcUrls: ['https://eth.llamarpc.com', 'https://rpc.ankr.com/eth'],
+    subgraphEnv: {},
+    morpho: true,
+    fluid: true
+  },
+  arbitrum: {
+    name: 'Arbitrum',
+    chainId: 42161,
+    curveNetwork: 'arbitrum',
+    rpcEnv: 'ARBITRUM_RPC_URL',
+    fallbackRpcEnv: 'ARBITRUM_RPC_URL_FALLBACK',
+    defaultRpcUrls: ['https://arb1.arbitrum.io/rpc', 'https://rpc.ankr.com/arbitrum'],
+    subgraphEnv: {
+      uniswap_v3: 'UNISWAP_V3_ARBITRUM_SUBGRAPH_ID',
+      aave_v3: 'AAVE_V3_ARBITRUM'
+    },
+    morpho: true,
+    fluid: true
+  },
+  base: {
+    name: 'Base',
+    chainId: 8453,
+    curveNetwork: 'base',
+    rpcEnv: 'BASE_RPC_URL',
+    fallbackRpcEnv: 'BASE_RPC_URL_FALLBACK',
+    defaultRpcUrls: ['https://mainnet.base.org', 'https://rpc.ankr.com/base'],
+    subgraphEnv: {
+      uniswap_v3: 'UNISWAP_V3_BASE_SUBGRAPH_ID',
+      aave_v3: 'AAVE_V3_BASE'
+    },
+    morpho: true,
+    fluid: true
+  }
+};
+
+/**
+ * Look up a chain by key (case-insensitive)
+ * @param {string} key - Chain key, e.g. "arbitrum"
+ * @returns {object|undefined} - Chain config with its key
+ */
+export function getChain(key = DEFAULT_CHAIN) {
+  const normalized = String(key).toLowerCase();
+  return chains[normalized] ? { key: normalized, ...chains[normalized] } : undefined;
+}
+
+/**
+ * RPC endpoints for a chain, primary first
+ * @param {string} key - Chain key
+ * @returns {string[]}
+ */
+export function getRpcUrls(key = DEFAULT_CHAIN) {
+  const chain = getChain(key);
+  if (!chain) throw new Error(`Unknown chain: ${key}`);
+
+  return [
+    process.env[chain.rpcEnv] || chain.defaultRpcUrls[0],
+    process.env[chain.fallbackRpcEnv] || chain.defaultRpcUrls[1]
+  ].filter(Boolean);
+}
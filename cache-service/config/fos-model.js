@@ -0,0 +1,111 @@
+// ================= FACTOR OF SAFETY MODEL =================
+// Evaluates the versioned scoring model defined in fos-model.json.
+// Shared by the cache service (services/stablecoin-metrics.js) and the dashboard
+// (src/utils/stablecoinMetricHelpers.js), which receives the live model from GET /api/fos-model.
+//
+// Each component is a list of tiers checked in order; the first tier whose "above" threshold
+// the input exceeds gives the score, otherwise "otherwise". Ratio components use "whenNoSupply"
+// when total supply is zero. categoryOverrides[category] may replace baseScore and/or whole components.
+
+export const FOS_COMPONENTS = ['insuranceComponent', 'crComponent', 'stakedComponent', 'mainnetComponent'];
+
+function isNumber(value) {
+  return typeof value === 'number' && isFinite(value);
+}
+
+function validateComponent(name, component) {
+  if (!component || !Array.isArray(component.tiers)) return `${name}: tiers must be an array`;
+  if (!isNumber(component.otherwise)) return `${name}: otherwise must be a number`;
+  if (component.whenNoSupply !== undefined && !isNumber(component.whenNoSupply)) {
+    return `${name}: whenNoSupply must be a number`;
+  }
+  for (const [index, tier] of component.tiers.entries()) {
+    if (!isNumber(tier?.above) || !isNumber(tier?.score)) {
+      return `${name}: every tier needs numeric "above" and "score"`;
+    }
+    // The first matching tier wins, so a lower threshold before a higher one would shadow it
+    if (index > 0 && tier.above >= component.tiers[index - 1].above) {
+      return `${name}: tiers must be in descending "above" order`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Validate a model config (the contents of fos-model.json)
+ * @param {object} config - Model config
+ * @returns {string|null} - Error message, or null if valid
+ */
+export function validateFosModel(config) {
+  if (!config || typeof config !== 'object') return 'Model must be an object';
+  if (!config.version) return 'version is required';
+  if (!isNumber(config.default?.baseScore)) return 'default.baseScore must be a number';
+
+  for (const name of FOS_COMPONENTS) {
+    const error = validateComponent(name, config.default.components?.[name]);
+    if (error) return `default.${error}`;
+  }
+
+  for (const [category, override] of Object.entries(config.categoryOverrides || {})) {
+    if (override.baseScore !== undefined && !isNumber(override.baseScore)) {
+      return `categoryOverrides.${category}.baseScore must be a number`;
+    }
+    for (const [name, component] of Object.entries(override.components || {})) {
+      if (!FOS_COMPONENTS.includes(name)) return `categoryOverrides.${category}: unknown component ${name}`;
+      const error = validateComponent(name, component);
+      if (error) return `categoryOverrides.${category}.${error}`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Resolve the model that applies to a stablecoin category
+ * @param {object} config - Model config
+ * @param {string} category - Stablecoin category from config/stablecoins.js
+ * @returns {object} - { version, variant, baseScore, components }
+ */
+export function resolveFosModel(config, category) {
+  const override = config.categoryOverrides?.[category];
+
+  return {
+    version: config.version,
+    variant: override ? category : 'default',
+    baseScore: override?.baseScore ?? config.default.baseScore,
+    components: { ...config.default.components, ...(override?.components || {}) }
+  };
+}
+
+function scoreComponent(component, input) {
+  const tier = component.tiers.find(tier => input > tier.above);
+  return tier ? tier.score : component.otherwise;
+}
+
+function scoreRatioComponent(component, numerator, totalSupply) {
+  if (totalSupply === 0) return component.whenNoSupply ?? component.otherwise;
+  return scoreComponent(component, numerator / totalSupply);
+}
+
+/**
+ * Score a stablecoin with a resolved model
+ * @param {object} model - Result of resolveFosModel
+ * @param {object} inputs - { totalSupply, insuranceFund, collateralizationRatio, stakedSupply, supplyOnMainnetPercent }
+ * @returns {object} - { value, components, modelVersion, modelVariant }
+ */
+export function scoreFactorOfSafety(model, inputs) {
+  const components = {
+    baseScore: model.baseScore,
+    insuranceComponent: scoreRatioComponent(model.components.insuranceComponent, inputs.insuranceFund, inputs.totalSupply),
+    crComponent: scoreComponent(model.components.crComponent, inputs.collateralizationRatio),
+    stakedComponent: scoreRatioComponent(model.components.stakedComponent, inputs.stakedSupply, inputs.totalSupply),
+    mainnetComponent: scoreComponent(model.components.mainnetComponent, inputs.supplyOnMainnetPercent)
+  };
+
+  return {
+    value: Object.values(components).reduce((sum, score) => sum + score, 0),
+    components,
+    modelVersion: model.version,
+    modelVariant: model.variant
+  };
+}
@@ -0,0 +1,528 @@
+// ================= STABLECOIN REGISTRY =================
+// Single source of truth for the tracked stablecoins.
+// Loaded by the cache service directly and by the Vite app through src/config/stablecoins.js,
+// so adding a coin here updates the dashboard, the scheduled refresh and same-protocol filtering.
+
+export const stablecoins = [
+  {
+    name: "USDS + DAI",
+    symbol: "USDS_DAI",
+    coingeckoIds: ["usds"], // Multiple tokens - will sum their values
+    contractAddresses: {
+      dai: "0x6b175474e89094c44da98b954eedeac495271d0f",
+      usds: "0xdc035d45d973e3ec169d2276ddab16f1e407384f",
+      susds: "0xa3931d71877c0e7a3148cb7eb4463524fec27fbd"
+    },
+    stakedCoingeckoIds: ["susds"], // sUSDS for staked supply
+    stakedContractAddresses: {
+      susds: "0xa3931d71877c0e7a3148cb7eb4463524fec27fbd", // sUSDS contract
+      sdai: "0x83f20f44975d03b1b09e64809b757c47f942beea" // sDAI contract
+    },
+    insuranceFund: {
+      monitoredAddresses: [
+      ],
+      tokensToMonitor: [
+      ],
+      lpTokensToMonitor: [
+        {
+          lpTokenAddress: "", // sDAI/USDS Curve LP
+          poolAddress: "",
+          underlyingTokens: [
+            "",
+            "" 
+          ],
+          protocol: "curve"
+        }
+      ]
+    },
+    manualDataSources: {
+      bridgeSupply: [
+        {
+          url: "https://info.sky.money/multichain",
+          description: "Sky Money app for cross-chain supply"
+        }
+      ],
+      collateralizationRatio: [
+        {
+          url: "https://info.sky.money/collateral",
+          description: "DAI Stats dashboard for collateralization ratio"
+        }
+      ]
+    },
+    // On-chain bridge supply (services/bridge-adapters.js); a manual bridgeSupply entry overrides it
+    bridgeAdapters: [
+      {
+        name: "Arbitrum DAI escrow",
+        type: "canonical-bridge",
+        remoteChain: "arbitrum",
+        token: "0x6b175474e89094c44da98b954eedeac495271d0f",
+        escrow: "0xa10c7ce4b876998858b1a9e12b10092229539400"
+      },
+      {
+        name: "Optimism DAI escrow",
+        type: "canonical-bridge",
+        remoteChain: "optimism",
+        token: "0x6b175474e89094c44da98b954eedeac495271d0f",
+        escrow: "0x467194771dae2967aef3ecbedd3bf9a310c76c65"
+      }
+    ],
+    chainDeployments: {
+      arbitrum: {
+        contractAddresses: {
+          dai: "0xda10009cbd5d07dd0cecc66161fc93d7c9000da1",
+          usds: "0x6491c05a82219b8d1479057361ff1654749b876b"
+        },
+        stakedContractAddresses: {
+          susds: "0xddb46999f8891663a8f2828d25298f70416d7610"
+        }
+      },
+      base: {
+        contractAddresses: {
+          dai: "0x50c5725949a6f0c72e6c4a641f24049a917db0cb",
+          usds: "0x820c137fa70c8691f0e44dc420a5e53c168921dc"
+        },
+        stakedContractAddresses: {
+          susds: "0x5875eee11cf8398102fdad704c9e96607675467a"
+        }
+      }
+    },
+    category: "sky"
+  },
+  {
+    name: "USDe",
+    symbol: "USDe",
+    coingeckoIds: ["ethena-usde"],
+    contractAddresses: {
+      usde: "0x4c9edd5852cd905f086c759e8383e09bff1e68b3",
+      susde: "0x9d39a5de30e57443bff2a8307a4256c8797a3497"
+    },
+    stakedCoingeckoIds: ["ethena-staked-usde"], // sUSDe for staked supply
+    stakedContractAddresses: {
+      susde: "0x9d39a5de30e57443bff2a8307a4256c8797a3497" // sUSDe contract
+    },
+    insuranceFund: {
+      monitoredAddresses: [
+        "0x2b5ab59163a6e93b4486f6055d33ca4a115dd4d5" 
+      ],
+      tokensToMonitor: [
+        "0xc139190f447e929f090edeb554d95abb8b18ac1c", // USDtb
+      ],
+      lpTokensToMonitor: [
+        {
+          lpTokenAddress: "0xC2921134073151490193AC7369313c8e0b08e1E7", // USDtb/USDC
+          poolAddress: "0xC2921134073151490193AC7369313c8e0b08e1E7",
+          underlyingTokens: [
+            "0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48", // USDe
+            "0xC139190F447e929f090Edeb554D95AbB8b18aC1C"  // FRAX
+          ],
+          protocol: "curve"
+        }
+      ]
+    },
+    manualDataSources: {
+      bridgeSupply: [
+        {
+          url: "https://layerzeroscan.com/oft/USDe/Ethena",
+          description: "LayerZero scan for USDe cross-chain supply"
+        },
+        {
+          url: "https://app.ethena.fi/",
+          description: "Ethena app"
+        }
+      ],
+      collateralizationRatio: [
+        {
+          url: "https://app.ethena.fi/dashboards/transparency",
+          description: "Ethena transparency dashboard"
+        }
+      ]
+    },
+    // USDe is bridged through LayerZero: USDe locked on mainnet backs the OFT supply on each chain
+    bridgeAdapters: [
+      {
+        name: "Arbitrum USDe OFT",
+        type: "layerzero-oft-adapter",
+        remoteChain: "arbitrum",
+        remoteToken: "0x5d3a1ff2b6bab83b63cd9ad0787074081a52ef34"
+      },
+      {
+        name: "Base USDe OFT",
+        type: "layerzero-oft-adapter",
+        remoteChain: "base",
+        remoteToken: "0x5d3a1ff2b6bab83b63cd9ad0787074081a52ef34"
+      }
+    ],
+    chainDeployments: {
+      arbitrum: {
+        contractAddresses: {
+          usde: "0x5d3a1ff2b6bab83b63cd9ad0787074081a52ef34" // USDe OFT
+        },
+        stakedContractAddresses: {
+          susde: "0x211cc4dd073734da055fbf44a2b4667d5e5fe5d2" // sUSDe OFT
+        }
+      },
+      base: {
+        contractAddresses: {
+          usde: "0x5d3a1ff2b6bab83b63cd9ad0787074081a52ef34"
+        },
+        stakedContractAddresses: {
+          susde: "0x211cc4dd073734da055fbf44a2b4667d5e5fe5d2"
+        }
+      }
+    },
+    category: "ethena"
+  },
+  {
+    name: "USR",
+    symbol: "USR",
+    coingeckoIds: ["resolv-usr"], // May need to verify
+    contractAddresses: {
+      usr: "0x66a1e37c9b0eaddca17d3662d6c05f4decf3e110" // Placeholder - need actual address
+    },
+    stakedCoingeckoIds: ["resolv-wstusr"], // No staked version available
+    stakedContractAddress: "0x1202f5c7b4b9e47a1a484e8b270be34dbbc75055",
+    insuranceFund: {
+      type: "fdv",
+      rlpTokenAddress: "0x4956b52ae2ff65d74ca2d61207523288e4528f96", // Resolv RLP token contract
+      rlpCoingeckoId: "resolv-rlp", // CoinGecko ID for RLP token (needs verification)
+      monitoredAddresses: [],
+      tokensToMonitor: [],
+      lpTokensToMonitor: []
+    },
+    manualDataSources: {
+      bridgeSupply: [
+        {
+          url: "https://layerzeroscan.com/oft/USR/Resolv%20Labs",
+          description: "LayerZero scan for USR cross-chain supply"
+        }
+      ],
+      collateralizationRatio: [
+        {
+          url: "https://app.resolv.xyz/collateral-pool",
+          description: "Resolv app collateral pool dashboard"
+        }
+      ]
+    },
+    category: "resolv"
+  },
+  {
+    name: "deUSD",
+    symbol: "deUSD",
+    coingeckoIds: ["elixir-deusd"], // May need to verify
+    contractAddresses: {
+      deusd: "0x15700b564ca08d9439c58ca5053166e8317aa138",
+      sdeusd: "0x5c5b196abe0d54485975d1ec29617d42d9198326"
+    },
+    stakedCoingeckoIds: ["elixir-staked-deusd"], // sdeUSD for staked supply
+    stakedContractAddresses: {
+      sdeusd: "0x5c5b196abe0d54485975d1ec29617d42d9198326" // sdeUSD contract
+    },
+    insuranceFund: {
+      monitoredAddresses: [
+      ],
+      tokensToMonitor: [
+      ],
+      lpTokensToMonitor: [
+        {
+          lpTokenAddress: "", // sDAI/USDS Curve LP
+          poolAddress: "",
+          underlyingTokens: [
+            "",
+            "" 
+          ],
+          protocol: "curve"
+        }
+      ]
+    },
+    manualDataSources: {
+      bridgeSupply: [
+        {
+          url: "https://snowtrace.io/token/0xB57B25851fE2311CC3fE511c8F10E868932e0680?type=erc20&chainid=43114",
+          description: "Avalanche Snowtrace for deUSD supply"
+        }
+      ],
+      collateralizationRatio: [
+        {
+          url: "https://www.elixir.xyz/deusd/dashboard",
+          description: "Elixir dashboard for collateralization data"
+        }
+      ]
+    },
+    category: "elixir"
+  },
+  {
+    name: "crvUSD",
+    symbol: "crvUSD",
+    coingeckoIds: ["crvusd"],
+    contractAddresses: {
+      crvusd: "0xf939e0a03fb07f59a73314e73794be0e57ac1b4e",
+      scrvusd: "0x0655977feb2f289a4ab78af67bab0d17aab84367"
+    },
+    stakedCoingeckoIds: ["savings-crvusd"], // scrvUSD for staked supply
+    stakedContractAddresses: {
+      scrvusd: "0x0655977feb2f289a4ab78af67bab0d17aab84367" // scrvUSD contract
+    },
+    insuranceFund: {
+      monitoredAddresses: [
+      ],
+      tokensToMonitor: [
+      ],
+      lpTokensToMonitor: [
+        {
+          lpTokenAddress: "",
+          poolAddress: "",
+          underlyingTokens: [
+            "",
+            "" 
+          ],
+          protocol: "curve"
+        }
+      ]
+    },
+    manualDataSources: {
+      bridgeSupply: [
+        {
+          url: "https://layerzeroscan.com/oft/crvUSD/Curve%20Finance",
+          description: "LayerZero scan for crvUSD cross-chain supply"
+        }
+      ],
+      collateralizationRatio: [
+        {
+          url: "https://curvemonitor.com/platform/crvusd",
+          description: "Curve Monitor - crvUSD markets dashboard"
+        }
+      ]
+    },
+    bridgeAdapters: [
+      {
+        name: "Arbitrum ERC20 gateway",
+        type: "canonical-bridge",
+        remoteChain: "arbitrum",
+        token: "0xf939e0a03fb07f59a73314e73794be0e57ac1b4e",
+        escrow: "0xa3a7b6f88361f48403514059f1f16c8e78d60eec"
+      }
+    ],
+    // On-chain collateralization ratio (services/collateral-adapters.js); the manual
+    // collateralizationRatio entry is the fallback
+    collateralAdapters: [
+      {
+        name: "crvUSD mint markets",
+        type: "curve-controllers",
+        factory: "0xc9332fdcb1c491dcc683bae86fe3cb70360738bc",
+        stablecoin: "0xf939e0a03fb07f59a73314e73794be0e57ac1b4e"
+      }
+    ],
+    chainDeployments: {
+      arbitrum: {
+        contractAddresses: {
+          crvusd: "0x498bf2b1e120fed3ad3d42ea2165e9b73f99c1e5"
+        }
+      }
+    },
+    category: "curve"
+  },
+  {
+    name: "USDO",
+    symbol: "USDO",
+    coingeckoIds: ["openeden-open-dollar"], 
+    contractAddresses: {
+      usdo: "0x8238884ec9668ef77b90c6dff4d1a9f4f4823bfe", // USDO token
+      cusdo: "0xad55aebc9b8c03fc43cd9f62260391c13c23e7c0" // cUSDO token (from Curve pool)
+    },
+    stakedCoingeckoIds: ["compounding-open-dollar"], // cUSDO for staked supply
+    stakedContractAddresses: {
+      cusdo: "0xad55aebc9b8c03fc43cd9f62260391c13c23e7c0" // cUSDO contract
+    },
+    insuranceFund: {
+      monitoredAddresses: [
+      ],
+      tokensToMonitor: [
+      ],
+      lpTokensToMonitor: [
+        {
+          lpTokenAddress: "", // sDAI/USDS Curve LP
+          poolAddress: "",
+          underlyingTokens: [
+            "",
+            "" 
+          ],
+          protocol: "curve"
+        }
+      ]
+    },
+    manualDataSources: {
+      bridgeSupply: [
+        {
+          url: "https://docs.chain.link/ccip/directory/mainnet/token/USDO",
+          description: "Chainlink CCIP directory for USDO"
+        }
+      ],
+      collateralizationRatio: [
+        {
+          url: "https://openeden.com/usdo/transparency",
+          description: "OpenEden transparency page"
+        }
+      ]
+    },
+    category: "openeden"
+  },
+  {
+    name: "fxUSD",
+    symbol: "fxUSD",
+    coingeckoIds: ["f-x-protocol-fxusd"], 
+    contractAddresses: {
+      fxusd: "0x085780639cc2cacd35e474e71f4d000e2405d8f6"
+    },
+    stakedCoingeckoIds: ["fx-usd-saving"], // xfxUSD for staked supply
+    stakedContractAddresses: {
+      xfxusd: "0x7743e50f534a7f9f1791dde7dcd89f7783eefc39", // xfxUSD contract
+      fxsave: "0x7743e50f534a7f9f1791dde7dcd89f7783eefc39"
+    },
+    insuranceFund: {
+      monitoredAddresses: [
+        "0x65c9a641afceb9c0e6034e558a319488fa0fa3be"
+      ],
+      tokensToMonitor: [
+        "0x085780639cc2cacd35e474e71f4d000e2405d8f6", // fxUSD
+        "0xa0b86991c6218b36c1d19d4a2e9eb0ce3606eb48"  // USDC
+      ],
+      lpTokensToMonitor: []
+    },
+    // On-chain collateralization ratio (services/collateral-adapters.js); the manual
+    // collateralizationRatio entry is the fallback
+    collateralAdapters: [
+      {
+        name: "f(x) pools",
+        type: "reserve-balances",
+        collateral: [
+          {
+            token: "0x7f39c581f595b53c5cb19bd0b3f8da6c935e2ca0", // wstETH
+            holder: "0x250893ca4ba5d05626c785e8da758026928fcd24", // f(x) PoolManager
+            priceFeed: "0xcfe54b5cd566ab89272946f602d76ea879cab4a8", // Chainlink stETH/USD
+            rate: "stEthPerToken()"
+          },
+          {
+            token: "0x2260fac5e5542a773aa44fbcfedf7c193bc2c599", // WBTC
+            holder: "0x250893ca4ba5d05626c785e8da758026928fcd24", // f(x) PoolManager
+            priceFeed: "0xf4030086522a5beea4988f8ca5b36dbc97bee88c" // Chainlink BTC/USD
+          },
+          {
+            token: "0xa0b86991c6218b36c1d19d4a2e9eb0ce3606eb48", // USDC
+            holder: "0x65c9a641afceb9c0e6034e558a319488fa0fa3be", // fxUSD stability pool
+            priceUsd: 1
+          }
+        ],
+        debtToken: "0x085780639cc2cacd35e474e71f4d000e2405d8f6"
+      }
+    ],
+    manualDataSources: {
+      bridgeSupply: [],
+      collateralizationRatio: [
+        {
+          url: "https://fx.aladdin.club/v2/statistics/",
+          description: "f(x) Protocol statistics dashboard"
+        }
+      ]
+    },
+    category: "fx"
+  },
+  {
+    name: "reUSD",
+    symbol: "reUSD",
+    coingeckoIds: ["resupply-usd"], 
+    contractAddresses: {
+      reusd: "0x57ab1e0003f623289cd798b1824be09a793e4bec"
+    },
+    stakedCoingeckoIds: [], // No CoinGecko ID for staked version
+    stakedContractAddresses: {
+      rsr: "0x557AB1e003951A73c12D16F0fEA8490E39C33C35" // RSR staking contract
+    },
+    stakedSupplySource: "blockchain", // Staked supply read from the staked contract's on-chain total supply
+    insuranceFund: {
+      monitoredAddresses: [
+        "0x00000000efe883b3304aFf71eaCf72Dbc3e1b577"
+      ],
+      tokensToMonitor: [
+        "0x57ab1e0003f623289cd798b1824be09a793e4bec",
+        "0x419905009e4656fdc02418c7df35b1e61ed5f726"
+      ],
+      lpTokensToMonitor: [
+        {
+          lpTokenAddress: "", 
+          poolAddress: "",
+          underlyingTokens: [
+            "",
+            "" 
+          ],
+          protocol: "curve"
+        }
+      ]
+    },
+    // On-chain collateralization ratio (services/collateral-adapters.js); the manual
+    // collateralizationRatio entry is the fallback
+    collateralAdapters: [
+      {
+        name: "Resupply pairs",
+        type: "resupply-pairs",
+        registry: "0x10101010e0c3171d894b71b3400668af311e7d94" // Resupply Registry (all lending pairs)
+      }
+    ],
+    manualDataSources: {
+      bridgeSupply: [],
+      collateralizationRatio: [
+        {
+          url: "https://hippo.army/",
+          description: "Hippo Army - Reserve Protocol dashboard"
+        }
+      ]
+    },
+    category: "reserve"
+  }
+];
+
+// Stablecoin relationship mapping for filtering same-protocol pairs, grouped by category.
+// Built from each stablecoin's base and staked contract addresses on every chain.
+export const stablecoinRelationships = stablecoins.reduce((groups, stablecoin) => {
+  const group = groups[stablecoin.category] || (groups[stablecoin.category] = { tokens: [], symbols: [] });
+  const addresses = [
+    ...Object.values(stablecoin.contractAddresses || {}),
+    ...Object.values(stablecoin.stakedContractAddresses || {}),
+    ...(stablecoin.stakedContractAddress ? [stablecoin.stakedContractAddress] : []),
+    ...Object.values(stablecoin.chainDeployments || {}).flatMap(deployment => [
+      ...Object.values(deployment.contractAddresses || {}),
+      ...Object.values(deployment.stakedContractAddresses || {})
+    ])
+  ];
+
+  for (const address of addresses) {
+    const lower = address?.toLowerCase();
+    if (lower && !group.tokens.includes(lower)) {
+      group.tokens.push(lower);
+    }
+  }
+  group.symbols.push(stablecoin.symbol);
+
+  return groups;
+}, {});
+
+// Helper function to check if two tokens are from the same stablecoin protocol
+export function areTokensFromSameProtocol(token1Address, token2Address) {
+  if (!token1Address || !token2Address) return false;
+  
+  const addr1 = token1Address.toLowerCase();
+  const addr2 = token2Address.toLowerCase();
+  
+  return Object.values(stablecoinRelationships).some(protocol => 
+    protocol.tokens.includes(addr1) && protocol.tokens.includes(addr2)
+  );
+}
+
+/**
+ * Look up a tracked stablecoin by symbol (case-insensitive)
+ * @param {string} symbol - Stablecoin symbol, e.g. "USDe"
+ * @returns {object|undefined} - Stablecoin config
+ */
+export function getStablecoinBySymbol(symbol) {
+  if (!symbol) return undefined;
+  return stablecoins.find(s => s.symbol.toLowerCase() === symbol.toLowerCase());
+}
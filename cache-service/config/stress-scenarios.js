@@ -0,0 +1,52 @@
+// ================= STRESS TEST SCENARIOS =================
+// Built-in "what if" presets for POST /api/stress-test/run. Operators can save their own
+// presets through PUT /api/stress-test/scenarios/:id; built-in ids cannot be overwritten.
+//
+// A shock changes one raw input before Factor of Safety and Theoretical Supply Limit are recomputed:
+//   { target, operation: 'scale', value }  - multiply the current value (0.5 = -50%, 2 = doubled)
+//   { target, operation: 'set', value }    - replace the current value
+// Targets are listed in SHOCK_TARGETS (services/stress-simulator.js); 'dexLiquidity' shocks
+// every DEX TVL at once.
+
+export const defaultStressScenarios = [
+  {
+    id: 'dex-liquidity-halved',
+    name: 'DEX liquidity -50%',
+    description: 'Liquidity on every tracked DEX halves',
+    shocks: [{ target: 'dexLiquidity', operation: 'scale', value: 0.5 }]
+  },
+  {
+    id: 'curve-drained',
+    name: 'Curve pools drained',
+    description: 'All Curve liquidity is withdrawn',
+    shocks: [{ target: 'curveTVL', operation: 'set', value: 0 }]
+  },
+  {
+    id: 'cr-0-98',
+    name: 'CR falls to 0.98',
+    description: 'Collateral backing drops below par',
+    shocks: [{ target: 'collateralizationRatio', operation: 'set', value: 0.98 }]
+  },
+  {
+    id: 'insurance-halved',
+    name: 'Insurance fund halved',
+    description: 'Half of the insurance fund is used to cover losses',
+    shocks: [{ target: 'insuranceFund', operation: 'scale', value: 0.5 }]
+  },
+  {
+    id: 'bridge-supply-doubled',
+    name: 'Bridge supply doubles',
+    description: 'Twice as much supply is locked in bridges to other networks',
+    shocks: [{ target: 'bridgeSupply', operation: 'scale', value: 2 }]
+  },
+  {
+    id: 'depeg-combined',
+    name: 'Combined depeg',
+    description: 'CR at 0.98, insurance fund halved and DEX liquidity -50% together',
+    shocks: [
+      { target: 'collateralizationRatio', operation: 'set', value: 0.98 },
+      { target: 'insuranceFund', operation: 'scale', value: 0.5 },
+      { target: 'dexLiquidity', operation: 'scale', value: 0.5 }
+    ]
+  }
+];
@@ -7,6 +7,9 @@ import { createClient } from 'redis';
 import dotenv from 'dotenv';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
+import { readFileSync } from 'fs';
+import { AsyncLocalStorage } from 'async_hooks';
+import crypto from 'crypto';
 
 // Load environment variables from the parent directory
 const __filename = fileURLToPath(import.meta.url);
@@ -26,6 +29,24 @@ import { StablecoinFetcher } from './services/stablecoin-fetcher.js';
 import { MorphoFetcher } from './services/morpho-fetcher.js';
 import { PendleFetcher } from './services/pendle-fetcher.js';
 import { DataValidator } from './services/data-validator.js';
+import { MemoryCache } from './services/memory-cache.js';
+import { MetricsCollector } from './services/metrics-collector.js';
+import { HistoryStore } from './services/history-store.js';
+import { AlertEngine } from './services/alert-engine.js';
+import { ManualDataHistory } from './services/manual-data-history.js';
+import { OperatorAuth, OPERATOR_ROLES } from './services/operator-auth.js';
+import { StressScenarioStore, runStressTest, validateShocks } from './services/stress-simulator.js';
+import { migrateDurableKeys, flushCacheData, isDurableKey } from './services/durable-store.js';
+import { buildMetricSet, getMetricValues } from './services/stablecoin-metrics.js';
+import { metricsRegistry } from './services/prometheus-metrics.js';
+import { compareWithManual } from './services/collateral-adapters.js';
+import { RefreshRunner, buildRefreshJobs, REFRESH_HEADER, REFRESH_SOURCES } from './services/refresh-runner.js';
+import { RefreshRunHistory } from './services/refresh-run-history.js';
+import { stablecoins as trackedStablecoins, getStablecoinBySymbol } from './config/stablecoins.js';
+import { chains, getChain, DEFAULT_CHAIN } from './config/chains.js';
+import { alertRules } from './config/alert-rules.js';
+import { defaultStressScenarios } from './config/stress-scenarios.js';
+import { validateFosModel, resolveFosModel } from './config/fos-model.js';
 // Using unified MorphoFetcher for all Morpho markets
 
 // Initialize logger
@@ -112,19 +133,64 @@ app.use((req, res, next) => {
   next();
 });
 
+// Manual data imports can carry the full change history, so allow larger bodies there
+app.use('/api/manual-data/import', express.json({ limit: '10mb' }));
 app.use(express.json());
 
+// Requests made by an active refresh run refetch cached entries (see services/refresh-runner.js)
+const cacheRefreshContext = new AsyncLocalStorage();
+app.use((req, res, next) => {
+  const runContext = refreshRunner.getRunContext(req.get(REFRESH_HEADER));
+  if (!runContext) return next();
+  cacheRefreshContext.run(runContext, next);
+});
+
 // Initialize Redis connection
 const redisUrl = process.env.REDIS_URL || 'redis://localhost:6379';
 logger.info(`Attempting to connect to Redis at: ${redisUrl.replace(/\/\/[^:]+:[^@]+@/, '//***:***@')}`);
 
+// Both clients keep retrying in the background (backing off to 30s) while Redis is unreachable.
+// Commands fail fast instead of queueing so callers can fall back; the cache uses memoryCache.
+const redisClientOptions = {
+  disableOfflineQueue: true,
+  socket: { reconnectStrategy: (retries) => Math.min((retries + 1) * 1000, 30000) }
+};
+const memoryCache = new MemoryCache(parseInt(process.env.MEMORY_CACHE_MAX_ENTRIES || '5000', 10));
+
 const redis = createClient({
+  ...redisClientOptions,
   url: redisUrl
 });
 
 redis.on('error', (err) => logger.error('Redis Client Error', err));
 redis.on('connect', () => logger.info('Connected to Redis'));
-redis.on('ready', () => logger.info('Redis client ready'));
+redis.on('ready', () => {
+  logger.info('Redis client ready');
+  if (memoryCache.size > 0) {
+    logger.info(`Leaving in-memory cache mode - dropping ${memoryCache.size} in-memory entries`);
+    memoryCache.clear();
+  }
+  migrateDurableKeysOnce();
+});
+
+// Durable operator data (manual entries, history, alert rules, operator accounts) is kept in its
+// own database - DURABLE_REDIS_URL if set, otherwise database DURABLE_REDIS_DB (default 1) on REDIS_URL
+const durableRedisUrl = process.env.DURABLE_REDIS_URL || redisUrl;
+const durableRedisDb = parseInt(process.env.DURABLE_REDIS_DB || '1', 10);
+const durableRedis = createClient(process.env.DURABLE_REDIS_URL
+  ? { ...redisClientOptions, url: durableRedisUrl }
+  : { ...redisClientOptions, url: durableRedisUrl, database: durableRedisDb });
+
+durableRedis.on('error', (err) => logger.error('Durable Redis Client Error', err));
+durableRedis.on('ready', () => {
+  logger.info('Durable Redis client ready');
+  migrateDurableKeysOnce();
+});
+
+// True when cache and durable data would share one database (flushes then skip durable keys)
+const getDatabaseFromUrl = (url) => parseInt(new URL(url).pathname.slice(1), 10) || 0;
+const sharedDatabase = new URL(durableRedisUrl).host === new URL(redisUrl).host &&
+  (process.env.DURABLE_REDIS_URL ? getDatabaseFromUrl(durableRedisUrl) : durableRedisDb) === getDatabaseFromUrl(redisUrl);
 
 // Using Redis as the primary cache - no SQLite needed for this demo
 
@@ -132,24 +198,163 @@ redis.on('ready', () => logger.info('Redis client ready'));
 const coinGeckoFetcher = new CoinGeckoFetcher();
 const defiLlamaFetcher = new DefiLlamaFetcher();
 const theGraphFetcher = new TheGraphFetcher();
-const ethereumFetcher = new EthereumFetcher();
+const ethereumFetcher = new EthereumFetcher(defiLlamaFetcher);
 const curveFetcher = new CurveFetcher();
 const fluidFetcher = new FluidFetcher();
 const morphoFetcher = new MorphoFetcher();
 const pendleFetcher = new PendleFetcher();
+
+// Collects dashboard metrics by calling the functions behind the dashboard's endpoints in-process
+// (same cache keys as the frontend); the functions are declared with their routes below
+const metricsCollector = new MetricsCollector({
+  getCoinGeckoMarketData,
+  getCoinGeckoFDV,
+  getManualEntry,
+  getBridgeSupplyData,
+  getCollateralizationRatioData,
+  getCurveFilteredTVL,
+  getBalancerFilteredTVL,
+  getSubgraphFilteredTVL,
+  getPendleLiquidity,
+  getLendingTotalTVL,
+  getTokenBalancesData,
+  getTokenBalanceData,
+  getTokenPriceData,
+  getTokenDecimalsData,
+  getTotalSupplyData,
+  getCurvePoolTVL
+}, logger);
+// Warms every dashboard endpoint on each scheduled refresh through this service's own API
+const refreshRunner = new RefreshRunner(`http://127.0.0.1:${PORT}/api`, {
+  concurrency: parseInt(process.env.REFRESH_CONCURRENCY || '3', 10),
+  logger
+});
+const refreshRunHistory = new RefreshRunHistory(durableRedis);
+const manualDataHistory = new ManualDataHistory(durableRedis);
+const operatorAuth = new OperatorAuth(durableRedis, process.env.OPERATOR_API_KEY);
+const stressScenarios = new StressScenarioStore(durableRedis, defaultStressScenarios);
 // Will use theGraphFetcher for lending protocols
 let stablecoinFetcher; // Will be initialized after Redis connection
+let historyStore; // Will be initialized after Redis connection
+let alertEngine; // Will be initialized after Redis connection
+
+// ================= PROMETHEUS METRICS =================
+// Exposed on GET /metrics. Queue and circuit breaker series are read from the live objects at
+// scrape time; upstream latency is recorded by RequestQueue (services/prometheus-metrics.js).
+
+const CIRCUIT_STATE_VALUES = { CLOSED: 0, HALF_OPEN: 1, OPEN: 2 };
+
+// Every fetcher with its own RequestQueue, keyed by the queue label used in /metrics
+function getFetcherQueues() {
+  return {
+    coingecko: coinGeckoFetcher,
+    defillama: defiLlamaFetcher,
+    thegraph: theGraphFetcher,
+    curve: curveFetcher,
+    ethereum: ethereumFetcher,
+    fluid: fluidFetcher,
+    morpho: morphoFetcher,
+    pendle: pendleFetcher,
+    ...(stablecoinFetcher ? { stablecoin: stablecoinFetcher } : {})
+  };
+}
+
+function collectQueueStatus(field) {
+  return (metric) => {
+    for (const [queue, fetcher] of Object.entries(getFetcherQueues())) {
+      metric.set({ queue }, fetcher.getQueueStatus()[field]);
+    }
+  };
+}
+
+metricsRegistry.gauge('cache_service_queue_pending_requests',
+  'Distinct requests waiting or running in a fetcher queue', collectQueueStatus('pendingRequests'));
+metricsRegistry.gauge('cache_service_queue_waiting_requests',
+  'Requests waiting for a concurrency slot in a fetcher queue', collectQueueStatus('queuedRequests'));
+metricsRegistry.counter('cache_service_queue_retries_total',
+  'Upstream request retries made by a fetcher queue', collectQueueStatus('totalRetries'));
+metricsRegistry.counter('cache_service_queue_failed_requests_total',
+  'Requests that failed after all retries in a fetcher queue', collectQueueStatus('totalFailed'));
+metricsRegistry.gauge('cache_service_circuit_breaker_state',
+  'Circuit breaker state (0 = closed, 1 = half open, 2 = open)', (metric) => {
+    for (const [queue, fetcher] of Object.entries(getFetcherQueues())) {
+      metric.set({ breaker: queue, kind: 'queue' }, CIRCUIT_STATE_VALUES[fetcher.getQueueStatus().circuitState]);
+    }
+    const serviceBreakers = {
+      coingecko: coinGeckoCircuitBreaker,
+      defillama: defiLlamaCircuitBreaker,
+      thegraph: theGraphCircuitBreaker,
+      ethereum: ethereumCircuitBreaker
+    };
+    for (const [breaker, circuitBreaker] of Object.entries(serviceBreakers)) {
+      metric.set({ breaker, kind: 'service' }, CIRCUIT_STATE_VALUES[circuitBreaker.state]);
+    }
+  });
+
+const cacheRequestsTotal = metricsRegistry.counter('cache_service_cache_requests_total',
+  'Cache lookups by key prefix and result (stale="true" for stale fallback copies)');
+
+const refreshDuration = metricsRegistry.histogram('cache_service_refresh_duration_seconds',
+  'Duration of scheduled data refresh runs', [5, 15, 30, 60, 120, 300, 600, 1200]);
+const refreshRunsTotal = metricsRegistry.counter('cache_service_refresh_runs_total',
+  'Scheduled data refresh runs by status');
+const refreshJobsTotal = metricsRegistry.counter('cache_service_refresh_jobs_total',
+  'Cache warmup jobs by data source and status');
+metricsRegistry.gauge('cache_service_last_refresh_timestamp_seconds',
+  'Unix time the last data refresh completed', (metric) => {
+    if (lastRefreshTimestamp) {
+      metric.set({}, Date.parse(lastRefreshTimestamp) / 1000);
+    }
+  });
+
+// Set from each history snapshot so every server-side metric (FoS, TSL, CR, ...) can be graphed
+const stablecoinRiskValue = metricsRegistry.gauge('stablecoin_risk_value',
+  'Latest server-side metric value per stablecoin (same keys as /api/stablecoin/:symbol/metrics)');
+const stablecoinRiskUpdated = metricsRegistry.gauge('stablecoin_risk_updated_timestamp_seconds',
+  'Unix time the stablecoin_risk_value series of a stablecoin were last updated');
+
+function recordCacheLookup(key, result) {
+  cacheRequestsTotal.inc({
+    prefix: key.split(':')[0],
+    stale: String(key.endsWith(':stale')),
+    result
+  });
+}
 
 // Cache utilities - Redis only for simplicity
 class CacheManager {
-  constructor(redisClient) {
+  constructor(redisClient, fallbackStore) {
     this.redis = redisClient;
+    this.fallbackStore = fallbackStore;
     this.validator = new DataValidator();
   }
 
+  // Redis while it is connected, otherwise the in-process LRU (degraded mode)
+  get store() {
+    return this.redis.isReady ? this.redis : this.fallbackStore;
+  }
+
+  get mode() {
+    return this.redis.isReady ? 'redis' : 'memory';
+  }
+
   async get(key) {
+    // During a refresh run each key is refetched once; stale copies stay readable as fallbacks
+    const refreshRun = cacheRefreshContext.getStore();
+    if (refreshRun && !key.endsWith(':stale') && !refreshRun.refreshedKeys.has(key)) {
+      recordCacheLookup(key, 'refresh');
+      logger.info(`Cache refresh: ${key}`);
+      return null;
+    }
+    
+    return this.read(key);
+  }
+
+  // Plain read without refresh handling
+  async read(key) {
     try {
-      const redisData = await this.redis.get(key);
+      const redisData = await this.store.get(key);
+      recordCacheLookup(key, redisData ? 'hit' : 'miss');
       if (redisData) {
         logger.info(`Cache hit: ${key}`);
         return JSON.parse(redisData);
@@ -165,14 +370,16 @@ class CacheManager {
 
   async set(key, data, ttlSeconds = 3600) {
     const serialized = JSON.stringify(data);
+    cacheRefreshContext.getStore()?.refreshedKeys.add(key);
 
     try {
-      await this.redis.setEx(key, ttlSeconds, serialized);
+      const store = this.store;
+      await store.setEx(key, ttlSeconds, serialized);
       
       // Also store as stale data with longer TTL for fallback
       const staleKey = `${key}:stale`;
       const staleData = { ...data, _cached_at: new Date().toISOString() };
-      await this.redis.setEx(staleKey, ttlSeconds * 4, JSON.stringify(staleData)); // 4x longer TTL
+      await store.setEx(staleKey, ttlSeconds * 4, JSON.stringify(staleData)); // 4x longer TTL
       
       logger.info(`Cache set: ${key} (TTL: ${ttlSeconds}s)`);
     } catch (error) {
@@ -197,7 +404,7 @@ class CacheManager {
     const ttl = ttlConfig[dataType] || ttlConfig.default;
     
     // ENHANCED: Validate data before caching
-    const previousData = await this.get(key);
+    const previousData = await this.read(key);
     const validation = this.validator.validate(data, previousData, dataType);
     
     if (!validation.isValid) {
@@ -211,7 +418,7 @@ class CacheManager {
         if (staleData) {
           logger.info(`Using stale data for ${key} due to validation failure`);
           // Extend the TTL on the stale data since we're relying on it
-          await this.redis.expire(staleKey, ttl * 2);
+          await this.store.expire(staleKey, ttl * 2);
           
           // Try to merge good stale values with new data
           const mergedData = this.validator.mergeWithStaleData(data, staleData);
@@ -235,7 +442,7 @@ class CacheManager {
   }
 }
 
-let cacheManager;
+const cacheManager = new CacheManager(redis, memoryCache);
 let lastRefreshTimestamp = null;
 
 // Simple Circuit Breaker to prevent cascade failures
@@ -289,28 +496,56 @@ const defiLlamaCircuitBreaker = new CircuitBreaker(3, 15000); // Reduced timeout
 const theGraphCircuitBreaker = new CircuitBreaker(3, 15000); // Reduced timeout for GraphQL queries
 const ethereumCircuitBreaker = new CircuitBreaker(3, 15000); // Reduced timeout for RPC calls
 
+// Upstream fetches in flight, by cache key; concurrent callers and revalidations share one request
+const pendingFetches = new Map();
+
+function fetchAndCache(cacheKey, fetchFunction, circuitBreaker, timeoutMs, dataType) {
+  if (pendingFetches.has(cacheKey)) return pendingFetches.get(cacheKey);
+
+  const pending = circuitBreaker.call(async () => {
+    const fetchPromise = fetchFunction();
+    const timeoutPromise = new Promise((_, reject) => 
+      setTimeout(() => reject(new Error('External API timeout')), timeoutMs)
+    );
+    return Promise.race([fetchPromise, timeoutPromise]);
+  })
+    .then(async (data) => {
+      await cacheManager.setWithSmartTTL(cacheKey, data, dataType);
+      return data;
+    })
+    .finally(() => pendingFetches.delete(cacheKey));
+
+  pendingFetches.set(cacheKey, pending);
+  return pending;
+}
+
 // Universal helper to safely fetch data with circuit breaker and stale fallback
+// Stale-while-revalidate: once the primary entry has expired, the :stale copy (4x TTL) is served
+// immediately with _stale and the upstream is refetched in the background. Refresh runs still
+// wait for the upstream so the warmup actually replaces expired data.
 async function safeExternalFetch(cacheKey, fetchFunction, circuitBreaker = theGraphCircuitBreaker, timeoutMs = 8000, dataType = 'default') {
   let data = await cacheManager.get(cacheKey);
   if (data) return data;
 
+  const staleKey = `${cacheKey}:stale`;
+  if (!cacheRefreshContext.getStore()) {
+    const staleData = await cacheManager.get(staleKey);
+    if (staleData) {
+      logger.info(`Returning stale data for ${cacheKey} while revalidating`);
+      fetchAndCache(cacheKey, fetchFunction, circuitBreaker, timeoutMs, dataType)
+        .catch(error => logger.warn(`Background revalidation failed for ${cacheKey}: ${error.message}`));
+      return { ...staleData, _stale: true };
+    }
+  }
+
   try {
-    data = await circuitBreaker.call(async () => {
-      const fetchPromise = fetchFunction();
-      const timeoutPromise = new Promise((_, reject) => 
-        setTimeout(() => reject(new Error('External API timeout')), timeoutMs)
-      );
-      return Promise.race([fetchPromise, timeoutPromise]);
-    });
-    await cacheManager.setWithSmartTTL(cacheKey, data, dataType);
-    return data;
+    return await fetchAndCache(cacheKey, fetchFunction, circuitBreaker, timeoutMs, dataType);
   } catch (fetchError) {
     // Log timeout-related errors for monitoring
     if (fetchError.message.includes('timeout') || fetchError.code === 'ECONNABORTED') {
       logger.warn(`Timeout detected for ${cacheKey}: ${fetchError.message}`);
     }
     // Return stale data or default
-    const staleKey = `${cacheKey}:stale`;
     const staleData = await cacheManager.get(staleKey);
     if (staleData) {
       logger.info(`Returning stale data for ${cacheKey}`);
@@ -322,6 +557,18 @@ async function safeExternalFetch(cacheKey, fetchFunction, circuitBreaker = theGr
 }
 
 // API Routes
+
+// GET /metrics - Prometheus scrape endpoint (served on the service port only; nginx does not proxy it)
+app.get('/metrics', async (req, res) => {
+  try {
+    res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+    res.send(await metricsRegistry.render());
+  } catch (error) {
+    logger.error('Metrics render error:', error);
+    res.status(500).send('# Failed to render metrics\n');
+  }
+});
+
 app.get('/api/health', async (req, res) => {
   const health = {
     status: 'healthy',
@@ -343,7 +590,13 @@ app.get('/api/health', async (req, res) => {
     fluidQueue: fluidFetcher.getQueueStatus(),
     morphoQueue: morphoFetcher.getQueueStatus(),
     pendleQueue: pendleFetcher.getQueueStatus(),
-    stablecoinQueue: stablecoinFetcher ? stablecoinFetcher.getQueueStatus() : null
+    stablecoinQueue: stablecoinFetcher ? stablecoinFetcher.getQueueStatus() : null,
+    // 'memory' while Redis is unreachable: responses are cached in-process until it reconnects
+    cache: {
+      mode: cacheManager.mode,
+      memoryEntries: memoryCache.size,
+      memoryMaxEntries: memoryCache.maxEntries
+    }
   };
 
   try {
@@ -356,6 +609,15 @@ app.get('/api/health', async (req, res) => {
     logger.error('Redis health check failed:', error);
   }
 
+  try {
+    await durableRedis.ping();
+    health.services.durableRedis = 'healthy';
+  } catch (error) {
+    health.services.durableRedis = 'unhealthy';
+    health.status = 'degraded';
+    logger.error('Durable Redis health check failed:', error);
+  }
+
   // Check if any circuit breakers are open
   const openCircuits = Object.values(health.services).filter(status => status === 'OPEN').length;
   if (openCircuits > 0) {
@@ -367,7 +629,7 @@ app.get('/api/health', async (req, res) => {
 });
 
 // Admin endpoint to get Redis info
-app.get('/api/admin/redis-info', async (req, res) => {
+app.get('/api/admin/redis-info', requireRole('viewer'), async (req, res) => {
   try {
     const info = await redis.info();
     const dbSize = await redis.dbSize();
@@ -388,14 +650,15 @@ app.get('/api/admin/redis-info', async (req, res) => {
   }
 });
 
-// Admin endpoint to flush Redis cache
-app.post('/api/admin/flush-cache', requireOperator, async (req, res) => {
+// Admin endpoint to flush Redis cache (cache database only - manual data and other durable data are kept)
+app.post('/api/admin/flush-cache', requireRole('admin'), async (req, res) => {
   try {
-    await redis.flushAll();
-    logger.info('Redis cache flushed successfully');
+    const result = await flushCacheData(redis, sharedDatabase);
+    logger.info(`Redis cache flushed successfully by ${req.operator.name} (${result.keysDeleted} keys)`);
     res.json({ 
       success: true, 
       message: 'Redis cache flushed successfully',
+      ...result,
       timestamp: new Date().toISOString()
     });
   } catch (error) {
@@ -409,13 +672,14 @@ app.post('/api/admin/flush-cache', requireOperator, async (req, res) => {
 });
 
 // Admin endpoint to flush cache via GET (easier to use in browser)
-app.get('/api/admin/flush-cache', requireOperator, async (req, res) => {
+app.get('/api/admin/flush-cache', requireRole('admin'), async (req, res) => {
   try {
-    await redis.flushAll();
-    logger.info('Redis cache flushed successfully via GET');
+    const result = await flushCacheData(redis, sharedDatabase);
+    logger.info(`Redis cache flushed successfully via GET by ${req.operator.name} (${result.keysDeleted} keys)`);
     res.json({ 
       success: true, 
       message: 'Redis cache flushed successfully',
+      ...result,
       timestamp: new Date().toISOString()
     });
   } catch (error) {
@@ -429,7 +693,7 @@ app.get('/api/admin/flush-cache', requireOperator, async (req, res) => {
 });
 
 // Enhanced cache cleaning endpoint with granular control
-app.post('/api/admin/clean-cache', async (req, res) => {
+app.post('/api/admin/clean-cache', requireRole('admin'), async (req, res) => {
   try {
     const { pattern, type, confirm } = req.body;
     
@@ -446,22 +710,22 @@ app.post('/api/admin/clean-cache', async (req, res) => {
     let keysToDelete = [];
     
     if (type === 'all') {
-      // Flush all cache
-      await redis.flushAll();
-      logger.info('All Redis cache flushed via clean-cache endpoint');
+      // Flush all cache (durable data lives in its own database and is not affected)
+      const result = await flushCacheData(redis, sharedDatabase);
+      logger.info(`All Redis cache flushed via clean-cache endpoint (${result.keysDeleted} keys)`);
       
       res.json({
         success: true,
         message: 'All cache cleared successfully',
-        action: 'flush_all',
+        ...result,
         timestamp: new Date().toISOString()
       });
       return;
     }
     
     if (pattern) {
-      // Delete keys matching pattern
-      keysToDelete = await redis.keys(pattern);
+      // Delete keys matching pattern (never durable keys, even if they share the database)
+      keysToDelete = (await redis.keys(pattern)).filter(key => !isDurableKey(key));
       
       if (keysToDelete.length > 0) {
         deletedCount = await redis.del(...keysToDelete);
@@ -499,7 +763,6 @@ app.post('/api/admin/clean-cache', async (req, res) => {
         'pendle': 'pendle:*',
         'lending': '*lending*',
         'stale': '*:stale',
-        'manual': 'manual:*',
         'graph': 'graph:*'
       };
       
@@ -513,7 +776,7 @@ app.post('/api/admin/clean-cache', async (req, res) => {
         });
       }
       
-      keysToDelete = await redis.keys(cleanPattern);
+      keysToDelete = (await redis.keys(cleanPattern)).filter(key => !isDurableKey(key));
       
       if (keysToDelete.length > 0) {
         deletedCount = await redis.del(...keysToDelete);
@@ -557,7 +820,7 @@ app.post('/api/admin/clean-cache', async (req, res) => {
 });
 
 // Cache statistics endpoint
-app.get('/api/admin/cache-stats', async (req, res) => {
+app.get('/api/admin/cache-stats', requireRole('viewer'), async (req, res) => {
   try {
     const info = await redis.info('memory');
     const dbSize = await redis.dbSize();
@@ -615,61 +878,174 @@ app.get('/api/cache/last-refresh', async (req, res) => {
   }
 });
 
+// GET /api/cache/refresh-status - Last warmup run and the latest outcome of every refresh job
+app.get('/api/cache/refresh-status', (req, res) => {
+  const status = refreshRunner.getStatus();
+  
+  res.json({
+    success: true,
+    ...status,
+    failingJobs: status.jobs.filter(job => job.status === 'failed').map(job => job.id),
+    timestamp: new Date().toISOString()
+  });
+});
+
+// GET /api/admin/refresh-runs - Recorded refresh runs with per-job outcomes, newest first
+// Query: limit (default 20, max 200), symbol, source, failed=true (only failed jobs)
+app.get('/api/admin/refresh-runs', requireRole('viewer'), async (req, res) => {
+  try {
+    if (!durableRedis.isReady) {
+      return res.status(503).json({ error: 'Refresh run history unavailable - Redis not connected' });
+    }
+    
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 200);
+    const runs = await refreshRunHistory.getRuns({
+      limit,
+      symbol: req.query.symbol || null,
+      source: req.query.source || null,
+      failedOnly: req.query.failed === 'true'
+    });
+    
+    res.json({
+      success: true,
+      running: refreshRunner.isRunning(),
+      count: runs.length,
+      data: runs
+    });
+  } catch (error) {
+    logger.error('Error retrieving refresh runs:', error);
+    res.status(500).json({ error: 'Failed to retrieve refresh runs' });
+  }
+});
+
+// GET /api/admin/refresh-runs/:id - A single recorded refresh run
+app.get('/api/admin/refresh-runs/:id', requireRole('viewer'), async (req, res) => {
+  try {
+    if (!durableRedis.isReady) {
+      return res.status(503).json({ error: 'Refresh run history unavailable - Redis not connected' });
+    }
+    
+    const run = await refreshRunHistory.getRun(req.params.id);
+    if (!run) {
+      return res.status(404).json({ error: `Refresh run ${req.params.id} not found` });
+    }
+    
+    res.json({ success: true, data: run });
+  } catch (error) {
+    logger.error('Error retrieving refresh run:', error);
+    res.status(500).json({ error: 'Failed to retrieve refresh run' });
+  }
+});
+
+// POST /api/admin/refresh-runs - Operator endpoint to refresh a single stablecoin and/or source
+// Body: { symbol?, source? } (at least one). Responds 202 with the run id; poll GET /api/admin/refresh-runs/:id
+app.post('/api/admin/refresh-runs', requireRole('data-entry'), async (req, res) => {
+  try {
+    const { symbol, source } = req.body || {};
+    if (!symbol && !source) {
+      return res.status(400).json({ error: 'Provide a symbol, a source, or both' });
+    }
+    
+    const stablecoin = symbol ? getStablecoinBySymbol(symbol) : null;
+    if (symbol && !stablecoin) {
+      return res.status(404).json({ error: `Stablecoin ${symbol} not found` });
+    }
+    if (source && !REFRESH_SOURCES.includes(source)) {
+      return res.status(400).json({ error: `Source must be one of: ${REFRESH_SOURCES.join(', ')}` });
+    }
+    
+    // Shared jobs (pendle, fluid) are only refreshed when requested by source
+    const jobs = buildRefreshJobs(stablecoin ? [stablecoin] : trackedStablecoins)
+      .filter(job => (!source || job.source === source) && (!stablecoin || job.symbol));
+    if (jobs.length === 0) {
+      return res.status(404).json({ error: `No refresh jobs for ${[symbol, source].filter(Boolean).join(' / ')}` });
+    }
+    if (refreshRunner.isRunning()) {
+      return res.status(409).json({ error: 'A refresh run is already in progress - try again when it finishes' });
+    }
+    
+    const runId = crypto.randomUUID();
+    const scope = { symbol: stablecoin?.symbol || null, source: source || null };
+    logger.info(`Manual refresh ${runId} (${jobs.length} jobs) requested by ${req.operator.name}`);
+    
+    refreshRunner.run(jobs, { id: runId, trigger: 'manual', requestedBy: req.operator.name, scope })
+      .then(run => run && recordRefreshRun(run))
+      .catch(error => logger.error(`Manual refresh ${runId} failed:`, error));
+    
+    res.status(202).json({
+      success: true,
+      id: runId,
+      scope,
+      jobs: jobs.map(job => job.id)
+    });
+  } catch (error) {
+    logger.error('Error starting manual refresh:', error);
+    res.status(500).json({ error: 'Failed to start refresh' });
+  }
+});
+
 // ================= COINGECKO ENDPOINTS =================
 // Mirror src/services/coingecko.js functions
 
+// Market data for a coin, cached or fetched through the circuit breaker. When the fetch fails the
+// stale copy is returned with _stale; null when there is none.
+async function getCoinGeckoMarketData(coinId) {
+  const cacheKey = `coingecko:market-data:${coinId}`;
+
+  let data = await cacheManager.get(cacheKey);
+  if (data) {
+    logger.info(`Cache hit for ${coinId}:`, { price: data?.current_price, market_cap: data?.market_cap });
+    return data;
+  }
+
+  logger.info(`Cache miss for ${coinId}, fetching fresh data...`);
+
+  // Use circuit breaker pattern for external API calls
+  try {
+    data = await coinGeckoCircuitBreaker.call(async () => {
+      const fetchPromise = coinGeckoFetcher.fetchCoinData(coinId);
+      const timeoutPromise = new Promise((_, reject) => 
+        setTimeout(() => reject(new Error('External API timeout')), 8000)
+      );
+      return Promise.race([fetchPromise, timeoutPromise]);
+    });
+    
+    // Use shorter TTL for OPEN Index to ensure frequent updates
+    const dataType = coinId === 'open-stablecoin-index' ? 'market-data' : 'default';
+    await cacheManager.setWithSmartTTL(cacheKey, data, dataType);
+    
+    logger.info(`Fresh data fetched for ${coinId}:`, { price: data?.current_price, market_cap: data?.market_cap });
+    return data;
+  } catch (fetchError) {
+    logger.error(`Failed to fetch fresh data for ${coinId}:`, fetchError.message);
+
+    // Try to return stale cache data if available
+    const staleData = await cacheManager.get(`${cacheKey}:stale`);
+    if (staleData) {
+      logger.info(`Returning stale data for ${coinId} due to fetch failure`);
+      return { ...staleData, _stale: true, _cached_at: staleData._cached_at };
+    }
+    return null;
+  }
+}
+
 // fetchCoinGeckoMarketData -> /api/coingecko/market-data/:coinId
 app.get('/api/coingecko/market-data/:coinId', async (req, res) => {
   try {
     const { coinId } = req.params;
-    const cacheKey = `coingecko:market-data:${coinId}`;
-    
+
     logger.info(`API Request: GET /api/coingecko/market-data/${coinId}`);
-    
-    let data = await cacheManager.get(cacheKey);
+
+    const data = await getCoinGeckoMarketData(coinId);
     if (!data) {
-      logger.info(`Cache miss for ${coinId}, fetching fresh data...`);
-      
-      // Use circuit breaker pattern for external API calls
-      try {
-        data = await coinGeckoCircuitBreaker.call(async () => {
-          const fetchPromise = coinGeckoFetcher.fetchCoinData(coinId);
-          const timeoutPromise = new Promise((_, reject) => 
-            setTimeout(() => reject(new Error('External API timeout')), 8000)
-          );
-          return Promise.race([fetchPromise, timeoutPromise]);
-        });
-        
-        // Use shorter TTL for OPEN Index to ensure frequent updates
-        const dataType = coinId === 'open-stablecoin-index' ? 'market-data' : 'default';
-        await cacheManager.setWithSmartTTL(cacheKey, data, dataType);
-        
-        logger.info(`Fresh data fetched for ${coinId}:`, { price: data?.current_price, market_cap: data?.market_cap });
-      } catch (fetchError) {
-        logger.error(`Failed to fetch fresh data for ${coinId}:`, fetchError.message);
-        
-        // Try to return stale cache data if available
-        const staleKey = `${cacheKey}:stale`;
-        const staleData = await cacheManager.get(staleKey);
-        
-        if (staleData) {
-          logger.info(`Returning stale data for ${coinId} due to fetch failure`);
-          res.json({ ...staleData, _stale: true, _cached_at: staleData._cached_at });
-          return;
-        }
-        
-        // No stale data available, return error
-        res.status(503).json({ 
-          error: 'Service temporarily unavailable',
-          message: 'Unable to fetch fresh data and no cached data available. Please try again in a few moments.',
-          retry_after: coinGeckoCircuitBreaker.state === 'OPEN' ? 30 : 10
-        });
-        return;
-      }
-    } else {
-      logger.info(`Cache hit for ${coinId}:`, { price: data?.current_price, market_cap: data?.market_cap });
+      // No stale data available, return error
+      return res.status(503).json({
+        error: 'Service temporarily unavailable',
+        message: 'Unable to fetch fresh data and no cached data available. Please try again in a few moments.',
+        retry_after: coinGeckoCircuitBreaker.state === 'OPEN' ? 30 : 10
+      });
     }
-    
+
     res.json(data);
   } catch (error) {
     logger.error('CoinGecko market data error:', error);
@@ -754,19 +1130,25 @@ app.get('/api/coingecko/market-cap/:coinId', async (req, res) => {
   }
 });
 
+// Fully diluted valuation of a coin, cached for an hour
+async function getCoinGeckoFDV(coinId) {
+  const cacheKey = `coingecko:fdv:${coinId}`;
+
+  let data = await cacheManager.get(cacheKey);
+  if (!data) {
+    data = await coinGeckoFetcher.fetchFDV(coinId);
+    await cacheManager.set(cacheKey, data, 3600); // 1 hour
+  }
+  
+  return data;
+}
+
 // Add separate FDV endpoint -> /api/coingecko/fdv/:coinId
 app.get('/api/coingecko/fdv/:coinId', async (req, res) => {
   try {
     const { coinId } = req.params;
-    const cacheKey = `coingecko:fdv:${coinId}`;
-    
-    let data = await cacheManager.get(cacheKey);
-    if (!data) {
-      data = await coinGeckoFetcher.fetchFDV(coinId);
-      await cacheManager.set(cacheKey, data, 3600); // 1 hour
-    }
-    
-    res.json(data);
+
+    res.json(await getCoinGeckoFDV(coinId));
   } catch (error) {
     logger.error('CoinGecko FDV error:', error);
     res.status(500).json({ error: 'Failed to fetch FDV data' });
@@ -893,22 +1275,23 @@ app.get('/api/defillama/protocol/:slug', async (req, res) => {
   }
 });
 
+// DefiLlama USD price of a token, served stale while DefiLlama is unavailable
+function getTokenPriceData(tokenAddress, chain = 'ethereum') {
+  return safeExternalFetch(
+    `defillama:token-price:${chain}:${tokenAddress}`,
+    () => defiLlamaFetcher.fetchTokenPrice(tokenAddress, chain),
+    defiLlamaCircuitBreaker,
+    10000,
+    'token-price'
+  );
+}
+
 // getTokenPrice -> /api/defillama/token-price/:tokenAddress
 app.get('/api/defillama/token-price/:tokenAddress', async (req, res) => {
   try {
     const { tokenAddress } = req.params;
-    const chain = req.query.chain || 'ethereum';
-    const cacheKey = `defillama:token-price:${chain}:${tokenAddress}`;
-    
-    const data = await safeExternalFetch(
-      cacheKey,
-      () => defiLlamaFetcher.fetchTokenPrice(tokenAddress, chain),
-      defiLlamaCircuitBreaker,
-      10000,
-      'token-price'
-    );
-    
-    res.json(data);
+
+    res.json(await getTokenPriceData(tokenAddress, req.query.chain || 'ethereum'));
   } catch (error) {
     logger.error('DeFiLlama token price error:', error);
     res.status(500).json({ error: 'Failed to fetch token price' });
@@ -1386,19 +1769,25 @@ app.get('/api/curve/token-volume/:tokenAddress', async (req, res) => {
   }
 });
 
+// TVL and coin breakdown of one Curve pool
+async function getCurvePoolTVL(poolAddress) {
+  const cacheKey = `curve:pool-tvl:${poolAddress}`;
+
+  let data = await cacheManager.get(cacheKey);
+  if (!data) {
+    data = await curveFetcher.fetchPoolTVL(poolAddress);
+    await cacheManager.set(cacheKey, data, 600); // 10 minutes cache for pool TVL
+  }
+  
+  return data;
+}
+
 // fetchCurvePoolTVL -> /api/curve/pool-tvl/:poolAddress
 app.get('/api/curve/pool-tvl/:poolAddress', async (req, res) => {
   try {
     const { poolAddress } = req.params;
-    const cacheKey = `curve:pool-tvl:${poolAddress}`;
-    
-    let data = await cacheManager.get(cacheKey);
-    if (!data) {
-      data = await curveFetcher.fetchPoolTVL(poolAddress);
-      await cacheManager.set(cacheKey, data, 600); // 10 minutes cache for pool TVL
-    }
-    
-    res.json({ data });
+
+    res.json({ data: await getCurvePoolTVL(poolAddress) });
   } catch (error) {
     logger.error('Curve pool TVL error:', error);
     res.status(500).json({ error: 'Failed to fetch Curve pool TVL' });
@@ -1426,90 +1815,109 @@ app.get('/api/curve/all-pools', async (req, res) => {
 // ================= FILTERED TVL ENDPOINTS =================
 // These endpoints exclude same-protocol stablecoin pairs
 
+// Curve TVL of a stablecoin excluding same-protocol pairs, with its Pendle PT pools
+async function getCurveFilteredTVL(tokenAddress, additionalAddresses = []) {
+  const allTokenAddresses = [tokenAddress, ...additionalAddresses];
+  const cacheKey = `curve:filtered-tvl-pt:${allTokenAddresses.sort().join('-')}`;
+
+  let data = await cacheManager.get(cacheKey);
+  if (!data) {
+    logger.info(`[Curve Filtered] Fetching for ${allTokenAddresses.length} addresses with Pendle PT support`);
+    
+    // Step 1: Get Pendle PT tokens for all stablecoin addresses
+    const allMarkets = await cacheManager.get('pendle:all-markets') || await pendleFetcher.fetchAllMarkets();
+    const pendlePTData = pendleFetcher.getPTTokensForStablecoin(allTokenAddresses, allMarkets);
+    const ptAddresses = pendlePTData.ptAddresses || [];
+    
+    logger.info(`[Curve Filtered] Found ${ptAddresses.length} PT tokens`);
+    
+    // Step 2: Fetch Curve TVL for base tokens
+    const baseTokensTVL = await Promise.all(
+      allTokenAddresses.map(addr => curveFetcher.fetchFilteredTokenTVL(addr))
+    );
+    const directTVL = baseTokensTVL.reduce((sum, tvl) => sum + tvl, 0);
+    
+    // Step 3: Fetch Curve TVL for PT tokens (Curve prices each coin at its market price; face value is derived)
+    const ptTokensTVL = await Promise.all(
+      ptAddresses.map(addr => curveFetcher.fetchFilteredTokenTVL(addr))
+    );
+    const pt = pendleFetcher.valuePTExposure(
+      ptTokensTVL.map((value, i) => ({ ptAddress: ptAddresses[i], value, basis: 'market' })),
+      pendlePTData.ptDetails
+    );
+    
+    data = { data: directTVL + pt.marketValue, directTVL, pt };
+    
+    logger.info(`[Curve Filtered] ${tokenAddress}: Direct=$${directTVL.toFixed(2)}, PT=$${pt.marketValue.toFixed(2)} (face $${pt.faceValue.toFixed(2)}), Total=$${data.data.toFixed(2)}`);
+    
+    await cacheManager.set(cacheKey, data, 600);
+  }
+  
+  return data;
+}
+
 // fetchCurveFilteredTVL -> /api/curve/filtered-tvl/:tokenAddress (with Pendle PT support)
 app.get('/api/curve/filtered-tvl/:tokenAddress', async (req, res) => {
   try {
     const { tokenAddress } = req.params;
-    const additionalAddresses = req.query.additionalAddresses 
+    const additionalAddresses = req.query.additionalAddresses
       ? req.query.additionalAddresses.split(',').map(addr => addr.trim())
       : [];
-    
-    const allTokenAddresses = [tokenAddress, ...additionalAddresses];
-    const cacheKey = `curve:filtered-tvl:${allTokenAddresses.sort().join('-')}`;
-    
-    let totalTVL = await cacheManager.get(cacheKey);
-    if (totalTVL === null || totalTVL === undefined) {
-      logger.info(`[Curve Filtered] Fetching for ${allTokenAddresses.length} addresses with Pendle PT support`);
-      
-      // Step 1: Get Pendle PT tokens for all stablecoin addresses
-      const allMarkets = await cacheManager.get('pendle:all-markets') || await pendleFetcher.fetchAllMarkets();
-      const pendlePTData = pendleFetcher.getPTTokensForStablecoin(allTokenAddresses, allMarkets);
-      const ptAddresses = pendlePTData.ptAddresses || [];
-      
-      logger.info(`[Curve Filtered] Found ${ptAddresses.length} PT tokens`);
-      
-      // Step 2: Fetch Curve TVL for base tokens
-      const baseTokensTVL = await Promise.all(
-        allTokenAddresses.map(addr => curveFetcher.fetchFilteredTokenTVL(addr))
-      );
-      const directTVL = baseTokensTVL.reduce((sum, tvl) => sum + tvl, 0);
-      
-      // Step 3: Fetch Curve TVL for PT tokens
-      let ptTVL = 0;
-      if (ptAddresses.length > 0) {
-        const ptTokensTVL = await Promise.all(
-          ptAddresses.map(addr => curveFetcher.fetchFilteredTokenTVL(addr))
-        );
-        ptTVL = ptTokensTVL.reduce((sum, tvl) => sum + tvl, 0);
-      }
-      
-      totalTVL = directTVL + ptTVL;
-      
-      logger.info(`[Curve Filtered] ${tokenAddress}: Direct=$${directTVL.toFixed(2)}, PT=$${ptTVL.toFixed(2)}, Total=$${totalTVL.toFixed(2)}`);
-      
-      await cacheManager.set(cacheKey, totalTVL, 600);
-    }
-    
-    res.json({ data: totalTVL });
+
+    res.json(await getCurveFilteredTVL(tokenAddress, additionalAddresses));
   } catch (error) {
     logger.error('Curve filtered TVL error:', error);
     res.status(500).json({ error: 'Failed to fetch Curve filtered TVL', data: 0 });
   }
 });
 
+// Subgraph DEXes whose filtered TVL adds the Pendle PT pools to the base token pools
+const SUBGRAPH_FILTERED_TVL = {
+  uniswap_v2: { cachePrefix: 'uniswap:v2', label: 'Uniswap V2' },
+  uniswap_v3: { cachePrefix: 'uniswap:v3', label: 'Uniswap V3' },
+  sushi_v2: { cachePrefix: 'sushiswap:v2', label: 'Sushi V2' },
+  sushi_v3: { cachePrefix: 'sushiswap:v3', label: 'Sushi V3' }
+};
+
+// Filtered TVL (base + PT tokens) of a stablecoin on one subgraph DEX
+async function getSubgraphFilteredTVL(dex, tokenAddress, additionalAddresses = []) {
+  const { cachePrefix, label } = SUBGRAPH_FILTERED_TVL[dex];
+  const allTokenAddresses = [tokenAddress, ...additionalAddresses];
+  const cacheKey = `${cachePrefix}:filtered-tvl-pt:${allTokenAddresses.sort().join('-')}`;
+
+  let totalTVL = await cacheManager.get(cacheKey);
+  if (totalTVL === null || totalTVL === undefined) {
+    // Get Pendle PT tokens
+    const allMarkets = await cacheManager.get('pendle:all-markets') || await pendleFetcher.fetchAllMarkets();
+    const pendlePTData = pendleFetcher.getPTTokensForStablecoin(allTokenAddresses, allMarkets);
+    const ptAddresses = pendlePTData.ptAddresses || [];
+
+    // Fetch TVL for base + PT tokens
+    const [baseTokensTVL, ptTokensTVL] = await Promise.all([
+      Promise.all(allTokenAddresses.map(addr => theGraphFetcher.fetchFilteredTokenTVL(dex, addr))),
+      Promise.all(ptAddresses.map(addr => theGraphFetcher.fetchFilteredTokenTVL(dex, addr)))
+    ]);
+
+    const directTVL = baseTokensTVL.reduce((sum, tvl) => sum + tvl, 0);
+    const ptTVL = ptTokensTVL.reduce((sum, tvl) => sum + tvl, 0);
+    totalTVL = directTVL + ptTVL;
+
+    logger.info(`[${label} Filtered] Direct=$${directTVL.toFixed(2)}, PT=$${ptTVL.toFixed(2)}, Total=$${totalTVL.toFixed(2)}`);
+    await cacheManager.set(cacheKey, totalTVL, 600);
+  }
+
+  return totalTVL;
+}
+
 // fetchUniswapV2FilteredTVL -> /api/uniswap/v2/filtered-tvl/:tokenAddress (with Pendle PT)
 app.get('/api/uniswap/v2/filtered-tvl/:tokenAddress', async (req, res) => {
   try {
     const { tokenAddress } = req.params;
-    const additionalAddresses = req.query.additionalAddresses 
+    const additionalAddresses = req.query.additionalAddresses
       ? req.query.additionalAddresses.split(',').map(addr => addr.trim())
       : [];
-    
-    const allTokenAddresses = [tokenAddress, ...additionalAddresses];
-    const cacheKey = `uniswap:v2:filtered-tvl-pt:${allTokenAddresses.sort().join('-')}`;
-    
-    let totalTVL = await cacheManager.get(cacheKey);
-    if (totalTVL === null || totalTVL === undefined) {
-      // Get Pendle PT tokens
-      const allMarkets = await cacheManager.get('pendle:all-markets') || await pendleFetcher.fetchAllMarkets();
-      const pendlePTData = pendleFetcher.getPTTokensForStablecoin(allTokenAddresses, allMarkets);
-      const ptAddresses = pendlePTData.ptAddresses || [];
-      
-      // Fetch TVL for base + PT tokens
-      const [baseTokensTVL, ptTokensTVL] = await Promise.all([
-        Promise.all(allTokenAddresses.map(addr => theGraphFetcher.fetchFilteredTokenTVL('uniswap_v2', addr))),
-        Promise.all(ptAddresses.map(addr => theGraphFetcher.fetchFilteredTokenTVL('uniswap_v2', addr)))
-      ]);
-      
-      const directTVL = baseTokensTVL.reduce((sum, tvl) => sum + tvl, 0);
-      const ptTVL = ptTokensTVL.reduce((sum, tvl) => sum + tvl, 0);
-      totalTVL = directTVL + ptTVL;
-      
-      logger.info(`[Uniswap V2 Filtered] Direct=$${directTVL.toFixed(2)}, PT=$${ptTVL.toFixed(2)}, Total=$${totalTVL.toFixed(2)}`);
-      await cacheManager.set(cacheKey, totalTVL, 600);
-    }
-    
-    res.json({ data: totalTVL });
+
+    res.json({ data: await getSubgraphFilteredTVL('uniswap_v2', tokenAddress, additionalAddresses) });
   } catch (error) {
     logger.error('Uniswap V2 filtered TVL error:', error);
     res.status(500).json({ error: 'Failed to fetch Uniswap V2 filtered TVL', data: 0 });
@@ -1520,35 +1928,11 @@ app.get('/api/uniswap/v2/filtered-tvl/:tokenAddress', async (req, res) => {
 app.get('/api/uniswap/v3/filtered-tvl/:tokenAddress', async (req, res) => {
   try {
     const { tokenAddress } = req.params;
-    const additionalAddresses = req.query.additionalAddresses 
+    const additionalAddresses = req.query.additionalAddresses
       ? req.query.additionalAddresses.split(',').map(addr => addr.trim())
       : [];
-    
-    const allTokenAddresses = [tokenAddress, ...additionalAddresses];
-    const cacheKey = `uniswap:v3:filtered-tvl-pt:${allTokenAddresses.sort().join('-')}`;
-    
-    let totalTVL = await cacheManager.get(cacheKey);
-    if (totalTVL === null || totalTVL === undefined) {
-      // Get Pendle PT tokens
-      const allMarkets = await cacheManager.get('pendle:all-markets') || await pendleFetcher.fetchAllMarkets();
-      const pendlePTData = pendleFetcher.getPTTokensForStablecoin(allTokenAddresses, allMarkets);
-      const ptAddresses = pendlePTData.ptAddresses || [];
-      
-      // Fetch TVL for base + PT tokens
-      const [baseTokensTVL, ptTokensTVL] = await Promise.all([
-        Promise.all(allTokenAddresses.map(addr => theGraphFetcher.fetchFilteredTokenTVL('uniswap_v3', addr))),
-        Promise.all(ptAddresses.map(addr => theGraphFetcher.fetchFilteredTokenTVL('uniswap_v3', addr)))
-      ]);
-      
-      const directTVL = baseTokensTVL.reduce((sum, tvl) => sum + tvl, 0);
-      const ptTVL = ptTokensTVL.reduce((sum, tvl) => sum + tvl, 0);
-      totalTVL = directTVL + ptTVL;
-      
-      logger.info(`[Uniswap V3 Filtered] Direct=$${directTVL.toFixed(2)}, PT=$${ptTVL.toFixed(2)}, Total=$${totalTVL.toFixed(2)}`);
-      await cacheManager.set(cacheKey, totalTVL, 600);
-    }
-    
-    res.json({ data: totalTVL });
+
+    res.json({ data: await getSubgraphFilteredTVL('uniswap_v3', tokenAddress, additionalAddresses) });
   } catch (error) {
     logger.error('Uniswap V3 filtered TVL error:', error);
     res.status(500).json({ error: 'Failed to fetch Uniswap V3 filtered TVL', data: 0 });
@@ -1559,35 +1943,11 @@ app.get('/api/uniswap/v3/filtered-tvl/:tokenAddress', async (req, res) => {
 app.get('/api/sushiswap/v2/filtered-tvl/:tokenAddress', async (req, res) => {
   try {
     const { tokenAddress } = req.params;
-    const additionalAddresses = req.query.additionalAddresses 
+    const additionalAddresses = req.query.additionalAddresses
       ? req.query.additionalAddresses.split(',').map(addr => addr.trim())
       : [];
-    
-    const allTokenAddresses = [tokenAddress, ...additionalAddresses];
-    const cacheKey = `sushiswap:v2:filtered-tvl-pt:${allTokenAddresses.sort().join('-')}`;
-    
-    let totalTVL = await cacheManager.get(cacheKey);
-    if (totalTVL === null || totalTVL === undefined) {
-      // Get Pendle PT tokens
-      const allMarkets = await cacheManager.get('pendle:all-markets') || await pendleFetcher.fetchAllMarkets();
-      const pendlePTData = pendleFetcher.getPTTokensForStablecoin(allTokenAddresses, allMarkets);
-      const ptAddresses = pendlePTData.ptAddresses || [];
-      
-      // Fetch TVL for base + PT tokens
-      const [baseTokensTVL, ptTokensTVL] = await Promise.all([
-        Promise.all(allTokenAddresses.map(addr => theGraphFetcher.fetchFilteredTokenTVL('sushi_v2', addr))),
-        Promise.all(ptAddresses.map(addr => theGraphFetcher.fetchFilteredTokenTVL('sushi_v2', addr)))
-      ]);
-      
-      const directTVL = baseTokensTVL.reduce((sum, tvl) => sum + tvl, 0);
-      const ptTVL = ptTokensTVL.reduce((sum, tvl) => sum + tvl, 0);
-      totalTVL = directTVL + ptTVL;
-      
-      logger.info(`[Sushi V2 Filtered] Direct=$${directTVL.toFixed(2)}, PT=$${ptTVL.toFixed(2)}, Total=$${totalTVL.toFixed(2)}`);
-      await cacheManager.set(cacheKey, totalTVL, 600);
-    }
-    
-    res.json({ data: totalTVL });
+
+    res.json({ data: await getSubgraphFilteredTVL('sushi_v2', tokenAddress, additionalAddresses) });
   } catch (error) {
     logger.error('SushiSwap V2 filtered TVL error:', error);
     res.status(500).json({ error: 'Failed to fetch SushiSwap V2 filtered TVL', data: 0 });
@@ -1598,35 +1958,11 @@ app.get('/api/sushiswap/v2/filtered-tvl/:tokenAddress', async (req, res) => {
 app.get('/api/sushiswap/v3/filtered-tvl/:tokenAddress', async (req, res) => {
   try {
     const { tokenAddress } = req.params;
-    const additionalAddresses = req.query.additionalAddresses 
+    const additionalAddresses = req.query.additionalAddresses
       ? req.query.additionalAddresses.split(',').map(addr => addr.trim())
       : [];
-    
-    const allTokenAddresses = [tokenAddress, ...additionalAddresses];
-    const cacheKey = `sushiswap:v3:filtered-tvl-pt:${allTokenAddresses.sort().join('-')}`;
-    
-    let totalTVL = await cacheManager.get(cacheKey);
-    if (totalTVL === null || totalTVL === undefined) {
-      // Get Pendle PT tokens
-      const allMarkets = await cacheManager.get('pendle:all-markets') || await pendleFetcher.fetchAllMarkets();
-      const pendlePTData = pendleFetcher.getPTTokensForStablecoin(allTokenAddresses, allMarkets);
-      const ptAddresses = pendlePTData.ptAddresses || [];
-      
-      // Fetch TVL for base + PT tokens
-      const [baseTokensTVL, ptTokensTVL] = await Promise.all([
-        Promise.all(allTokenAddresses.map(addr => theGraphFetcher.fetchFilteredTokenTVL('sushi_v3', addr))),
-        Promise.all(ptAddresses.map(addr => theGraphFetcher.fetchFilteredTokenTVL('sushi_v3', addr)))
-      ]);
-      
-      const directTVL = baseTokensTVL.reduce((sum, tvl) => sum + tvl, 0);
-      const ptTVL = ptTokensTVL.reduce((sum, tvl) => sum + tvl, 0);
-      totalTVL = directTVL + ptTVL;
-      
-      logger.info(`[Sushi V3 Filtered] Direct=$${directTVL.toFixed(2)}, PT=$${ptTVL.toFixed(2)}, Total=$${totalTVL.toFixed(2)}`);
-      await cacheManager.set(cacheKey, totalTVL, 600);
-    }
-    
-    res.json({ data: totalTVL });
+
+    res.json({ data: await getSubgraphFilteredTVL('sushi_v3', tokenAddress, additionalAddresses) });
   } catch (error) {
     logger.error('SushiSwap V3 filtered TVL error:', error);
     res.status(500).json({ error: 'Failed to fetch SushiSwap V3 filtered TVL', data: 0 });
@@ -1760,65 +2096,83 @@ app.get('/api/F/:tokenAddress', async (req, res) => {
 });
 
 // Combined filtered TVL (V2 + V3) with Pendle PT support
+async function getBalancerFilteredTVL(tokenAddress, additionalAddresses = []) {
+  const allTokenAddresses = [tokenAddress, ...additionalAddresses];
+  const cacheKey = `balancer:total-filtered-tvl-pt-valued:${allTokenAddresses.sort().join('-')}`;
+
+  let data = await cacheManager.get(cacheKey);
+  if (!data) {
+    logger.info(`[Balancer Total Filtered] Fetching for ${allTokenAddresses.length} addresses with Pendle PT`);
+    
+    // Get Pendle PT tokens
+    const allMarkets = await cacheManager.get('pendle:all-markets') || await pendleFetcher.fetchAllMarkets();
+    const pendlePTData = pendleFetcher.getPTTokensForStablecoin(allTokenAddresses, allMarkets);
+    const ptAddresses = pendlePTData.ptAddresses || [];
+    
+    logger.info(`[Balancer Total Filtered] Found ${ptAddresses.length} PT tokens`);
+    
+    // Fetch V2 TVL for base + PT tokens
+    const [v2BaseTokensTVL, v2PTTokensTVL] = await Promise.all([
+      Promise.all(allTokenAddresses.map(addr => theGraphFetcher.fetchFilteredTokenTVL('balancer', addr))),
+      Promise.all(ptAddresses.map(addr => theGraphFetcher.fetchFilteredTokenTVL('balancer', addr)))
+    ]);
+    
+    const v2DirectTVL = v2BaseTokensTVL.reduce((sum, tvl) => sum + tvl, 0);
+    
+    // Fetch V3 filtered poolTokens for base tokens
+    const v3FilteredPoolTokensBase = await Promise.all(
+      allTokenAddresses.map(addr => theGraphFetcher.fetchFilteredTokenTVL('balancer_v3', addr))
+    );
+    
+    // Fetch V3 filtered poolTokens for PT tokens
+    const v3FilteredPoolTokensPT = await Promise.all(
+      ptAddresses.map(addr => theGraphFetcher.fetchFilteredTokenTVL('balancer_v3', addr))
+    );
+    
+    // Calculate V3 TVL from poolTokens: base pools first, then each PT's pools not counted yet
+    // (a pool holding the stablecoin and its PT is counted once, as before)
+    const getV3TVL = (poolTokens) => poolTokens.length > 0
+      ? theGraphFetcher.calculateBalancerV3TVL(poolTokens, async (tokenAddr) => {
+        const priceData = await defiLlamaFetcher.fetchTokenPrice(tokenAddr, 'ethereum');
+        return priceData?.price || 0;
+      })
+      : 0;
+    const countedPools = new Set(v3FilteredPoolTokensBase.flat().map(poolToken => poolToken.pool?.id));
+    const v3DirectTVL = await getV3TVL(v3FilteredPoolTokensBase.flat());
+    const v3PTTokensTVL = [];
+    for (const poolTokens of v3FilteredPoolTokensPT) {
+      // fetchFilteredTokenTVL answers 0 instead of poolTokens when the subgraph query fails
+      const uncounted = (Array.isArray(poolTokens) ? poolTokens : [])
+        .filter(poolToken => poolToken.pool && !countedPools.has(poolToken.pool.id));
+      uncounted.forEach(poolToken => countedPools.add(poolToken.pool.id));
+      v3PTTokensTVL.push(await getV3TVL(uncounted));
+    }
+    
+    // PT is already at market value: V2 subgraph liquidity uses the swap-derived token price, V3 pools
+    // are priced through DefiLlama; face value is derived from the Pendle price
+    const pt = pendleFetcher.valuePTExposure([
+      ...v2PTTokensTVL.map((value, i) => ({ ptAddress: ptAddresses[i], value, basis: 'market' })),
+      ...v3PTTokensTVL.map((value, i) => ({ ptAddress: ptAddresses[i], value, basis: 'market' }))
+    ], pendlePTData.ptDetails);
+    
+    const directTVL = v2DirectTVL + v3DirectTVL;
+    data = { data: directTVL + pt.marketValue, directTVL, pt };
+    await cacheManager.set(cacheKey, data, 600); // 10 minutes cache
+    
+    logger.info(`[Balancer Total Filtered] Direct=$${directTVL.toFixed(2)} (V2:$${v2DirectTVL.toFixed(2)}, V3:$${v3DirectTVL.toFixed(2)}), PT=$${pt.marketValue.toFixed(2)} (face $${pt.faceValue.toFixed(2)}), Total=$${data.data.toFixed(2)}`);
+  }
+  
+  return data;
+}
+
 app.get('/api/balancer/total-filtered-tvl/:tokenAddress', async (req, res) => {
   try {
     const { tokenAddress } = req.params;
-    const additionalAddresses = req.query.additionalAddresses 
+    const additionalAddresses = req.query.additionalAddresses
       ? req.query.additionalAddresses.split(',').map(addr => addr.trim())
       : [];
-    
-    const allTokenAddresses = [tokenAddress, ...additionalAddresses];
-    const cacheKey = `balancer:total-filtered-tvl-pt:${allTokenAddresses.sort().join('-')}`;
-    
-    let totalTVL = await cacheManager.get(cacheKey);
-    if (totalTVL === null || totalTVL === undefined) {
-      logger.info(`[Balancer Total Filtered] Fetching for ${allTokenAddresses.length} addresses with Pendle PT`);
-      
-      // Get Pendle PT tokens
-      const allMarkets = await cacheManager.get('pendle:all-markets') || await pendleFetcher.fetchAllMarkets();
-      const pendlePTData = pendleFetcher.getPTTokensForStablecoin(allTokenAddresses, allMarkets);
-      const ptAddresses = pendlePTData.ptAddresses || [];
-      
-      logger.info(`[Balancer Total Filtered] Found ${ptAddresses.length} PT tokens`);
-      
-      // Fetch V2 TVL for base + PT tokens
-      const [v2BaseTokensTVL, v2PTTokensTVL] = await Promise.all([
-        Promise.all(allTokenAddresses.map(addr => theGraphFetcher.fetchFilteredTokenTVL('balancer', addr))),
-        Promise.all(ptAddresses.map(addr => theGraphFetcher.fetchFilteredTokenTVL('balancer', addr)))
-      ]);
-      
-      const v2DirectTVL = v2BaseTokensTVL.reduce((sum, tvl) => sum + tvl, 0);
-      const v2PTTVL = v2PTTokensTVL.reduce((sum, tvl) => sum + tvl, 0);
-      const v2TVL = v2DirectTVL + v2PTTVL;
-      
-      // Fetch V3 filtered poolTokens for base tokens
-      const v3FilteredPoolTokensBase = await Promise.all(
-        allTokenAddresses.map(addr => theGraphFetcher.fetchFilteredTokenTVL('balancer_v3', addr))
-      );
-      
-      // Fetch V3 filtered poolTokens for PT tokens
-      const v3FilteredPoolTokensPT = await Promise.all(
-        ptAddresses.map(addr => theGraphFetcher.fetchFilteredTokenTVL('balancer_v3', addr))
-      );
-      
-      // Calculate V3 TVL from poolTokens (both base and PT)
-      const allV3PoolTokens = [...v3FilteredPoolTokensBase.flat(), ...v3FilteredPoolTokensPT.flat()];
-      
-      let v3TVL = 0;
-      if (allV3PoolTokens.length > 0) {
-        v3TVL = await theGraphFetcher.calculateBalancerV3TVL(allV3PoolTokens, async (tokenAddr) => {
-          const priceData = await defiLlamaFetcher.fetchTokenPrice(tokenAddr, 'ethereum');
-          return priceData?.price || 0;
-        });
-      }
-      
-      totalTVL = v2TVL + v3TVL;
-      await cacheManager.set(cacheKey, totalTVL, 600); // 10 minutes cache
-      
-      logger.info(`[Balancer Total Filtered] V2=$${v2TVL.toFixed(2)} (Direct:$${v2DirectTVL.toFixed(2)}, PT:$${v2PTTVL.toFixed(2)}), V3=$${v3TVL.toFixed(2)}, Total=$${totalTVL.toFixed(2)}`);
-    }
-    
-    res.json({ data: totalTVL });
+
+    res.json(await getBalancerFilteredTVL(tokenAddress, additionalAddresses));
   } catch (error) {
     logger.error('Balancer total filtered TVL error:', error);
     res.status(500).json({ error: 'Failed to fetch Balancer total filtered TVL', data: 0 });
@@ -2296,39 +2650,102 @@ app.get('/api/graph/:protocol/:query', async (req, res) => {
 
 // ================= ETHEREUM ENDPOINTS =================
 // Mirror src/services/ethereum.js functions
+// On-chain reads accept ?block=<number> to read state at that block (older blocks need an archive RPC)
+
+// Block number from ?block=; null when absent, undefined when invalid
+function parseBlockParam(value) {
+  if (value === undefined || value === '') return null;
+  const block = Number(value);
+  return Number.isInteger(block) && block >= 0 ? block : undefined;
+}
+
+function blockCacheSuffix(block) {
+  return block !== null ? `:block:${block}` : '';
+}
+
+// ERC-20 balance of one holder, optionally at a block
+async function getTokenBalanceData(tokenAddress, holderAddress, block = null) {
+  const cacheKey = `ethereum:token-balance:${tokenAddress}:${holderAddress}${blockCacheSuffix(block)}`;
+  
+  let data = await cacheManager.get(cacheKey);
+  if (!data) {
+    data = await ethereumFetcher.getTokenBalanceFormatted(tokenAddress, holderAddress, DEFAULT_CHAIN, block);
+    await cacheManager.set(cacheKey, data, 60); // 1 minute for balances
+  }
+  
+  return data;
+}
 
 // getTokenBalance -> /api/ethereum/token-balance/:tokenAddress/:holderAddress
 app.get('/api/ethereum/token-balance/:tokenAddress/:holderAddress', async (req, res) => {
   try {
     const { tokenAddress, holderAddress } = req.params;
-    const cacheKey = `ethereum:token-balance:${tokenAddress}:${holderAddress}`;
-    
-    let data = await cacheManager.get(cacheKey);
-    if (!data) {
-      data = await ethereumFetcher.getTokenBalanceFormatted(tokenAddress, holderAddress);
-      await cacheManager.set(cacheKey, data, 60); // 1 minute for balances
+    const block = parseBlockParam(req.query.block);
+    if (block === undefined) {
+      return res.status(400).json({ error: 'block must be a block number' });
     }
     
-    res.json(data);
+    res.json(await getTokenBalanceData(tokenAddress, holderAddress, block));
   } catch (error) {
     logger.error('Ethereum token balance error:', error);
     res.status(500).json({ error: 'Failed to fetch token balance' });
   }
 });
 
+// Batched token balances (one Multicall3 request) of one holder
+async function getTokenBalancesData(holderAddress, tokenAddresses, block = null) {
+  // Normalized so the same set of tokens shares one cache entry whatever the order
+  const tokens = [...new Set(tokenAddresses.map(token => token.toLowerCase()).filter(Boolean))].sort();
+  const cacheKey = `ethereum:token-balances:${holderAddress}:${tokens.join(',')}${blockCacheSuffix(block)}`;
+
+  let data = await cacheManager.get(cacheKey);
+  if (!data) {
+    data = await ethereumFetcher.getTokenBalancesFormatted(tokens, holderAddress, DEFAULT_CHAIN, block);
+    await cacheManager.set(cacheKey, data, 60); // 1 minute for balances
+  }
+  
+  return data;
+}
+
+// Batched token balances -> /api/ethereum/token-balances/:holderAddress?tokens=a,b
+app.get('/api/ethereum/token-balances/:holderAddress', async (req, res) => {
+  try {
+    const { holderAddress } = req.params;
+    const tokens = (req.query.tokens || '').split(',').filter(Boolean);
+    if (tokens.length === 0) {
+      return res.status(400).json({ error: 'tokens query parameter is required' });
+    }
+    const block = parseBlockParam(req.query.block);
+    if (block === undefined) {
+      return res.status(400).json({ error: 'block must be a block number' });
+    }
+
+    res.json(await getTokenBalancesData(holderAddress, tokens, block));
+  } catch (error) {
+    logger.error('Ethereum token balances error:', error);
+    res.status(500).json({ error: 'Failed to fetch token balances' });
+  }
+});
+
+// ERC-20 decimals, cached for a day
+async function getTokenDecimalsData(tokenAddress) {
+  const cacheKey = `ethereum:token-decimals:${tokenAddress}`;
+  
+  let data = await cacheManager.get(cacheKey);
+  if (!data) {
+    data = await ethereumFetcher.getTokenDecimalsFormatted(tokenAddress);
+    await cacheManager.set(cacheKey, data, 86400); // 24 hours for decimals
+  }
+  
+  return data;
+}
+
 // getTokenDecimals -> /api/ethereum/token-decimals/:tokenAddress
 app.get('/api/ethereum/token-decimals/:tokenAddress', async (req, res) => {
   try {
     const { tokenAddress } = req.params;
-    const cacheKey = `ethereum:token-decimals:${tokenAddress}`;
-    
-    let data = await cacheManager.get(cacheKey);
-    if (!data) {
-      data = await ethereumFetcher.getTokenDecimalsFormatted(tokenAddress);
-      await cacheManager.set(cacheKey, data, 86400); // 24 hours for decimals
-    }
     
-    res.json(data);
+    res.json(await getTokenDecimalsData(tokenAddress));
   } catch (error) {
     logger.error('Ethereum token decimals error:', error);
     res.status(500).json({ error: 'Failed to fetch token decimals' });
@@ -2373,19 +2790,29 @@ app.get('/api/ethereum/token-symbol/:tokenAddress', async (req, res) => {
   }
 });
 
+// ERC-20 total supply, optionally at a block
+async function getTotalSupplyData(tokenAddress, block = null) {
+  const cacheKey = `ethereum:total-supply:${tokenAddress}${blockCacheSuffix(block)}`;
+  
+  let data = await cacheManager.get(cacheKey);
+  if (!data) {
+    data = await ethereumFetcher.getTotalSupplyFormatted(tokenAddress, DEFAULT_CHAIN, block);
+    await cacheManager.set(cacheKey, data, 600); // 10 minutes for total supply
+  }
+  
+  return data;
+}
+
 // getTotalSupply -> /api/ethereum/total-supply/:tokenAddress
 app.get('/api/ethereum/total-supply/:tokenAddress', async (req, res) => {
   try {
     const { tokenAddress } = req.params;
-    const cacheKey = `ethereum:total-supply:${tokenAddress}`;
-    
-    let data = await cacheManager.get(cacheKey);
-    if (!data) {
-      data = await ethereumFetcher.getTotalSupplyFormatted(tokenAddress);
-      await cacheManager.set(cacheKey, data, 600); // 10 minutes for total supply
+    const block = parseBlockParam(req.query.block);
+    if (block === undefined) {
+      return res.status(400).json({ error: 'block must be a block number' });
     }
     
-    res.json(data);
+    res.json(await getTotalSupplyData(tokenAddress, block));
   } catch (error) {
     logger.error('Ethereum total supply error:', error);
     res.status(500).json({ error: 'Failed to fetch total supply' });
@@ -2565,19 +2992,32 @@ app.get('/api/fluid/collateral/:tokenAddress', async (req, res) => {
   }
 });
 
-// Bridge secured supply
+// Bridge secured supply from the stablecoin's bridge adapters (manual entries override it on the dashboard)
+async function getBridgeSupplyData(stablecoinSymbol, block = null) {
+  const cacheKey = `bridge-supply-${stablecoinSymbol}${blockCacheSuffix(block)}`;
+
+  let data = await cacheManager.get(cacheKey);
+  if (!data) {
+    data = await stablecoinFetcher.getBridgeSecuredSupply(stablecoinSymbol, block);
+    // Failed reads are retried on the next request instead of pinning N/A for 30 minutes
+    if (!data._unavailable) {
+      await cacheManager.set(cacheKey, data, 1800); // 30 minutes
+    }
+  }
+  
+  return data;
+}
+
+// Bridge secured supply -> /api/stablecoin/bridge-supply/:stablecoinSymbol
 app.get('/api/stablecoin/bridge-supply/:stablecoinSymbol', async (req, res) => {
   try {
     const { stablecoinSymbol } = req.params;
-    const cacheKey = `bridge-supply-${stablecoinSymbol}`;
-    
-    let data = await cacheManager.get(cacheKey);
-    if (!data) {
-      data = await stablecoinFetcher.getBridgeSecuredSupply(stablecoinSymbol);
-      await cacheManager.set(cacheKey, data, 1800); // 30 minutes
+    const block = parseBlockParam(req.query.block);
+    if (block === undefined) {
+      return res.status(400).json({ error: 'block must be a block number' });
     }
-    
-    res.json(data);
+
+    res.json(await getBridgeSupplyData(stablecoinSymbol, block));
   } catch (error) {
     logger.error('Bridge supply error:', error);
     res.status(500).json({ error: 'Failed to fetch bridge supply data' });
@@ -2603,19 +3043,47 @@ app.get('/api/stablecoin/insurance-fund/:stablecoinSymbol', async (req, res) =>
   }
 });
 
+// On-chain collateralization ratio from the stablecoin's collateral adapters, with its divergence
+// from the manual entry
+async function getCollateralizationRatioData(stablecoinSymbol, block = null) {
+  const cacheKey = `collateralization-ratio-${stablecoinSymbol}${blockCacheSuffix(block)}`;
+  
+  let data = await cacheManager.get(cacheKey);
+  const fetched = !data;
+  if (!data) {
+    data = await stablecoinFetcher.getCollateralizationRatio(stablecoinSymbol, block);
+    // Failed adapter reads are retried on the next request; clients fall back to the manual entry
+    if (!data._unavailable) {
+      await cacheManager.set(cacheKey, data, 900); // 15 minutes
+    }
+  }
+  
+  // Compared on every request so a new manual entry is checked against the cached on-chain ratio;
+  // skipped while the durable store is down, since the on-chain ratio is still good to serve
+  if (!data._unavailable) {
+    const manual = durableRedis.isReady
+      ? await getManualEntry(stablecoinSymbol, 'collateralizationRatio')
+      : null;
+    const divergence = manual ? compareWithManual(data.data, manual.value) : null;
+    if (divergence?.warning && fetched) {
+      logger.warn(`Collateralization ratio for ${stablecoinSymbol} diverges from the manual entry: on-chain ${divergence.onchain.toFixed(4)}, manual ${divergence.manual}`);
+    }
+    data = { ...data, divergence };
+  }
+  
+  return data;
+}
+
 // Collateralization ratio
 app.get('/api/stablecoin/collateralization-ratio/:stablecoinSymbol', async (req, res) => {
   try {
     const { stablecoinSymbol } = req.params;
-    const cacheKey = `collateralization-ratio-${stablecoinSymbol}`;
-    
-    let data = await cacheManager.get(cacheKey);
-    if (!data) {
-      data = await stablecoinFetcher.getCollateralizationRatio(stablecoinSymbol);
-      await cacheManager.set(cacheKey, data, 900); // 15 minutes
+    const block = parseBlockParam(req.query.block);
+    if (block === undefined) {
+      return res.status(400).json({ error: 'block must be a block number' });
     }
-    
-    res.json(data);
+
+    res.json(await getCollateralizationRatioData(stablecoinSymbol, block));
   } catch (error) {
     logger.error('Collateralization ratio error:', error);
     res.status(500).json({ error: 'Failed to fetch collateralization ratio data' });
@@ -2643,32 +3111,304 @@ app.get('/api/stablecoin/staking/:tokenAddress', async (req, res) => {
   }
 });
 
-// ================= PENDLE ENDPOINTS =================
+// Assemble the full dashboard metric set (values, breakdowns, FoS and limit components) for one stablecoin.
+// With a block ({ number, timestamp } from resolveSnapshotBlock) the on-chain inputs are read at that block.
+async function computeStablecoinMetrics(stablecoin, { block = null } = {}) {
+  const { values, details } = await metricsCollector.collectWithDetails(stablecoin, { block: block?.number ?? null });
+  return {
+    symbol: stablecoin.symbol,
+    metrics: buildMetricSet(values, details, resolveFosModel(fosModelConfig, stablecoin.category)),
+    block,
+    lastUpdated: new Date().toISOString()
+  };
+}
 
-// Get all Pendle markets
-app.get('/api/pendle/all-markets', async (req, res) => {
-  try {
-    const cacheKey = 'pendle:all-markets';
-    
-    let data = await cacheManager.get(cacheKey);
-    if (!data) {
-      data = await pendleFetcher.fetchAllMarkets();
-      await cacheManager.set(cacheKey, data, 3600); // 1 hour cache
-    }
-    
-    res.json(data);
-  } catch (error) {
-    logger.error('Pendle all markets error:', error);
-    res.status(500).json({ error: 'Failed to fetch Pendle markets' });
+// Confirmations kept behind the chain head for pinned snapshots, so reorgs and subgraph indexing lag
+// do not leave the block unreadable
+const snapshotBlockConfirmations = parseInt(process.env.SNAPSHOT_BLOCK_CONFIRMATIONS || '12', 10);
+
+/**
+ * Block to pin a snapshot to
+ * @param {number|string} blockTag - Block number, or 'latest' for the head minus SNAPSHOT_BLOCK_CONFIRMATIONS
+ * @returns {Promise<object>} - { number, hash, timestamp }
+ */
+async function resolveSnapshotBlock(blockTag = 'latest') {
+  if (blockTag !== 'latest') return ethereumFetcher.getBlock(blockTag);
+  
+  const head = await ethereumFetcher.getCurrentBlock();
+  return ethereumFetcher.getBlock(Math.max(head.blockNumber - snapshotBlockConfirmations, 0));
+}
+
+// Cached metric set for a stablecoin, keyed by model version so a model reload never serves
+// scores from the previous model
+async function getStablecoinMetrics(stablecoin) {
+  const cacheKey = `stablecoin:metrics:${stablecoin.symbol.toLowerCase()}:fos-v${fosModelConfig.version}`;
+  
+  let data = await cacheManager.get(cacheKey);
+  if (!data) {
+    data = await computeStablecoinMetrics(stablecoin);
+    await cacheManager.set(cacheKey, data, 300); // 5 minutes - inputs are cached individually
   }
-});
+  return data;
+}
 
-// Get PT token addresses for a stablecoin
-app.get('/api/pendle/pt-tokens/:tokenAddress', async (req, res) => {
-  try {
-    const { tokenAddress } = req.params;
-    const cacheKey = `pendle:pt-tokens:${tokenAddress}`;
-    
+// Metric set pinned to one block, cached per block
+async function getPinnedStablecoinMetrics(stablecoin, block) {
+  const cacheKey = `stablecoin:metrics:${stablecoin.symbol.toLowerCase()}:fos-v${fosModelConfig.version}:block:${block.number}`;
+  
+  let data = await cacheManager.get(cacheKey);
+  if (!data) {
+    data = await computeStablecoinMetrics(stablecoin, { block });
+    await cacheManager.set(cacheKey, data, 300); // 5 minutes - market data in the set is not pinned
+  }
+  return data;
+}
+
+// ================= MULTI-CHAIN ENDPOINTS =================
+// Supply, DEX liquidity and lending for a stablecoin's deployments outside mainnet
+// (chainDeployments in config/stablecoins.js). Mainnet figures stay on the existing endpoints.
+
+const sumValues = values => values.reduce((sum, value) => sum + (Number(value) || 0), 0);
+
+// Circulating tokens across a deployment's contracts, in whole tokens
+async function fetchChainSupply(addresses, chain) {
+  const supplies = await Promise.all(addresses.map(async addr => {
+    const [supply, decimals] = await Promise.all([
+      ethereumFetcher.getTotalSupplyFormatted(addr, chain),
+      ethereumFetcher.getTokenDecimalsFormatted(addr, chain)
+    ]);
+    if (supply.totalSupply === null) throw new Error(supply.error);
+    return supply.totalSupply / Math.pow(10, decimals.decimals);
+  }));
+  return sumValues(supplies);
+}
+
+async function fetchChainAaveTVL(addresses, chain) {
+  const results = await Promise.all(addresses.map(addr =>
+    theGraphFetcher.fetchData('aave_v3', 'lending_reserves', { tokenAddress: addr, chain })
+  ));
+  return sumValues(results.flatMap(result => result?.data?.markets || []).map(market => market.totalValueLockedUSD));
+}
+
+async function computeChainBreakdown(chainKey, deployment) {
+  const chain = getChain(chainKey);
+  const addresses = Object.values(deployment.contractAddresses || {});
+  const lendingAddresses = [...addresses, ...Object.values(deployment.stakedContractAddresses || {})];
+  const unavailable = [];
+
+  // Sources without a subgraph ID or API coverage on this chain are reported, not counted as zero
+  const optional = async (name, enabled, fetch) => {
+    if (!enabled) {
+      unavailable.push(`${name}: not configured on ${chain.name}`);
+      return null;
+    }
+    try {
+      return await fetch();
+    } catch (error) {
+      logger.warn(`[Chains] ${name} on ${chain.name} failed:`, error.message);
+      unavailable.push(`${name}: ${error.message}`);
+      return null;
+    }
+  };
+
+  const [supply, curve, uniswapV3, aaveV3, morpho, fluid] = await Promise.all([
+    optional('supply', true, () => fetchChainSupply(addresses, chainKey)),
+    optional('curve', true, async () =>
+      sumValues(await Promise.all(addresses.map(addr => curveFetcher.fetchFilteredTokenTVL(addr, chainKey))))),
+    optional('uniswap_v3', Boolean(theGraphFetcher.getSubgraphId('uniswap_v3', chainKey)), async () =>
+      sumValues(await Promise.all(addresses.map(addr => theGraphFetcher.fetchFilteredTokenTVL('uniswap_v3', addr, chainKey))))),
+    optional('aave_v3', Boolean(theGraphFetcher.getSubgraphId('aave_v3', chainKey)), () =>
+      fetchChainAaveTVL(lendingAddresses, chainKey)),
+    optional('morpho', chain.morpho, async () => {
+      const results = await Promise.all(lendingAddresses.map(addr => morphoFetcher.getTokenMarkets(addr, chainKey)));
+      const failed = results.find(result => result.error);
+      if (failed) throw new Error(failed.error);
+      return sumValues(results.map(result => result.totalCollateralTVL));
+    }),
+    optional('fluid', chain.fluid, async () => {
+      const results = await Promise.all(lendingAddresses.map(addr =>
+        fluidFetcher.fetchData('token_borrow', { tokenAddress: addr, chain: chainKey })
+      ));
+      const failed = results.find(result => result._unavailable);
+      if (failed) throw new Error(failed.error);
+      return sumValues(results.map(result => result.data));
+    })
+  ]);
+
+  return {
+    chain: chainKey,
+    name: chain.name,
+    chainId: chain.chainId,
+    addresses: lendingAddresses,
+    supply,
+    dexLiquidity: { curve, uniswapV3, total: sumValues([curve, uniswapV3]) },
+    lending: { aave_v3: aaveV3, morpho, fluid, total: sumValues([aaveV3, morpho, fluid]) },
+    unavailable
+  };
+}
+
+// GET /api/chains - Chains the service can query, with the subgraphs configured on each
+app.get('/api/chains', (req, res) => {
+  res.json({
+    chains: Object.keys(chains).map(key => {
+      const chain = getChain(key);
+      return {
+        key,
+        name: chain.name,
+        chainId: chain.chainId,
+        subgraphs: ['uniswap_v3', 'aave_v3'].filter(protocol => theGraphFetcher.getSubgraphId(protocol, key)),
+        morpho: chain.morpho,
+        fluid: chain.fluid
+      };
+    })
+  });
+});
+
+// GET /api/stablecoin/:symbol/chains - Per-chain supply, DEX liquidity and lending outside mainnet
+app.get('/api/stablecoin/:symbol/chains', async (req, res) => {
+  try {
+    const stablecoin = getStablecoinBySymbol(req.params.symbol);
+    if (!stablecoin) {
+      return res.status(404).json({ error: `Unknown stablecoin: ${req.params.symbol}` });
+    }
+
+    const cacheKey = `stablecoin:chain-breakdown:${stablecoin.symbol.toLowerCase()}`;
+    let data = await cacheManager.get(cacheKey);
+    if (!data) {
+      const breakdown = await Promise.all(
+        Object.entries(stablecoin.chainDeployments || {})
+          .map(([chainKey, deployment]) => computeChainBreakdown(chainKey, deployment))
+      );
+
+      data = {
+        symbol: stablecoin.symbol,
+        chains: breakdown,
+        totals: {
+          supply: sumValues(breakdown.map(chain => chain.supply)),
+          dexLiquidity: sumValues(breakdown.map(chain => chain.dexLiquidity.total)),
+          lending: sumValues(breakdown.map(chain => chain.lending.total))
+        },
+        lastUpdated: new Date().toISOString()
+      };
+      await cacheManager.set(cacheKey, data, 900); // 15 minutes
+    }
+
+    res.json(data);
+  } catch (error) {
+    logger.error('Chain breakdown error:', error);
+    res.status(500).json({ error: 'Failed to fetch chain breakdown' });
+  }
+});
+
+// ================= FACTOR OF SAFETY MODEL ENDPOINTS =================
+// The scoring model is read from config/fos-model.json (or FOS_MODEL_PATH) at startup
+// and can be re-read without a deploy through POST /api/fos-model/reload
+
+const fosModelPath = process.env.FOS_MODEL_PATH || join(__dirname, 'config', 'fos-model.json');
+let fosModelConfig = loadFosModel();
+let fosModelLoadedAt = new Date().toISOString();
+
+function loadFosModel() {
+  const config = JSON.parse(readFileSync(fosModelPath, 'utf8'));
+  const validationError = validateFosModel(config);
+  if (validationError) {
+    throw new Error(`Invalid Factor of Safety model in ${fosModelPath}: ${validationError}`);
+  }
+  return config;
+}
+
+// GET /api/fos-model - Active scoring model (?category=ethena adds the model resolved for that category)
+app.get('/api/fos-model', (req, res) => {
+  const { category } = req.query;
+  
+  res.json({
+    success: true,
+    version: fosModelConfig.version,
+    loadedAt: fosModelLoadedAt,
+    model: fosModelConfig,
+    ...(category ? { resolved: resolveFosModel(fosModelConfig, category) } : {})
+  });
+});
+
+// POST /api/fos-model/reload - Admin endpoint to re-read the model file; the previous model stays active on errors
+app.post('/api/fos-model/reload', requireRole('admin'), (req, res) => {
+  try {
+    const previousVersion = fosModelConfig.version;
+    const config = loadFosModel();
+    
+    if (config.version === previousVersion && JSON.stringify(config) !== JSON.stringify(fosModelConfig)) {
+      logger.warn(`Factor of Safety model changed without a version bump (still ${config.version})`);
+    }
+    
+    fosModelConfig = config;
+    fosModelLoadedAt = new Date().toISOString();
+    logger.info(`Factor of Safety model reloaded by ${req.operator.name}: version ${previousVersion} -> ${config.version}`);
+    
+    res.json({
+      success: true,
+      previousVersion,
+      version: config.version,
+      loadedAt: fosModelLoadedAt
+    });
+  } catch (error) {
+    logger.error('Error reloading Factor of Safety model:', error);
+    res.status(400).json({ 
+      error: 'Failed to reload Factor of Safety model',
+      message: error.message
+    });
+  }
+});
+
+// GET /api/stablecoin/:symbol/metrics - Full metric set computed server-side
+// ?block=<number|latest> reads the on-chain inputs at one block; the response records it in block
+app.get('/api/stablecoin/:symbol/metrics', async (req, res) => {
+  try {
+    const stablecoin = getStablecoinBySymbol(req.params.symbol);
+    if (!stablecoin) {
+      return res.status(404).json({ error: `Unknown stablecoin: ${req.params.symbol}` });
+    }
+
+    if (req.query.block !== undefined) {
+      const blockTag = req.query.block === 'latest' ? 'latest' : parseBlockParam(req.query.block);
+      if (blockTag === undefined || blockTag === null) {
+        return res.status(400).json({ error: 'block must be a block number or latest' });
+      }
+      return res.json(await getPinnedStablecoinMetrics(stablecoin, await resolveSnapshotBlock(blockTag)));
+    }
+
+    res.json(await getStablecoinMetrics(stablecoin));
+  } catch (error) {
+    logger.error('Stablecoin metrics error:', error);
+    res.status(500).json({ error: 'Failed to compute stablecoin metrics' });
+  }
+});
+
+// ================= PENDLE ENDPOINTS =================
+
+// Get all Pendle markets
+app.get('/api/pendle/all-markets', async (req, res) => {
+  try {
+    const cacheKey = 'pendle:all-markets';
+    
+    let data = await cacheManager.get(cacheKey);
+    if (!data) {
+      data = await pendleFetcher.fetchAllMarkets();
+      await cacheManager.set(cacheKey, data, 3600); // 1 hour cache
+    }
+    
+    res.json(data);
+  } catch (error) {
+    logger.error('Pendle all markets error:', error);
+    res.status(500).json({ error: 'Failed to fetch Pendle markets' });
+  }
+});
+
+// Get PT token addresses for a stablecoin
+app.get('/api/pendle/pt-tokens/:tokenAddress', async (req, res) => {
+  try {
+    const { tokenAddress } = req.params;
+    const cacheKey = `pendle:pt-tokens:${tokenAddress}`;
+    
     let data = await cacheManager.get(cacheKey);
     if (!data) {
       // Get all markets from cache
@@ -2690,6 +3430,51 @@ app.get('/api/pendle/pt-tokens/:tokenAddress', async (req, res) => {
   }
 });
 
+// Pendle AMM liquidity for a stablecoin (counted in Total Mainnet Liquidity)
+// ?minDaysToExpiry=N leaves out markets expiring within N days (default PENDLE_MIN_DAYS_TO_EXPIRY, 0)
+const pendleMinDaysToExpiry = parseInt(process.env.PENDLE_MIN_DAYS_TO_EXPIRY || '0', 10);
+
+// Pendle AMM liquidity of a stablecoin's markets; not cached while the Pendle market list is unavailable
+async function getPendleLiquidity(tokenAddress, additionalAddresses = [], minDaysToExpiry = pendleMinDaysToExpiry) {
+  const allTokenAddresses = [tokenAddress, ...additionalAddresses];
+  const cacheKey = `pendle:liquidity:${allTokenAddresses.sort().join('-')}:${minDaysToExpiry}`;
+
+  let data = await cacheManager.get(cacheKey);
+  if (!data) {
+    const allMarkets = await cacheManager.get('pendle:all-markets') || await pendleFetcher.fetchAllMarkets();
+    data = pendleFetcher.getMarketLiquidity(allTokenAddresses, allMarkets, { minDaysToExpiry });
+    logger.info(`[Pendle Liquidity] ${tokenAddress}: $${data.data.toFixed(2)} in ${data.markets.length} markets (excluded near expiry: $${data.excludedLiquidity.toFixed(2)})`);
+    
+    if (allMarkets._unavailable) {
+      data._unavailable = true;
+    } else {
+      await cacheManager.set(cacheKey, data, 600);
+    }
+  }
+  
+  return data;
+}
+
+app.get('/api/pendle/liquidity/:tokenAddress', async (req, res) => {
+  try {
+    const { tokenAddress } = req.params;
+    const additionalAddresses = req.query.additionalAddresses
+      ? req.query.additionalAddresses.split(',').map(addr => addr.trim())
+      : [];
+    const minDaysToExpiry = req.query.minDaysToExpiry !== undefined
+      ? Number(req.query.minDaysToExpiry)
+      : pendleMinDaysToExpiry;
+    if (!Number.isInteger(minDaysToExpiry) || minDaysToExpiry < 0) {
+      return res.status(400).json({ error: 'minDaysToExpiry must be a non-negative integer' });
+    }
+
+    res.json(await getPendleLiquidity(tokenAddress, additionalAddresses, minDaysToExpiry));
+  } catch (error) {
+    logger.error('Pendle liquidity error:', error);
+    res.status(500).json({ error: 'Failed to fetch Pendle liquidity', data: 0 });
+  }
+});
+
 // Pendle queue status monitoring endpoint
 app.get('/api/pendle/queue-status', async (req, res) => {
   try {
@@ -2759,6 +3544,32 @@ app.get('/api/lending/morpho/:tokenAddress', async (req, res) => {
   }
 });
 
+// MetaMorpho vaults lending against a stablecoin, per Morpho Blue collateral market
+app.get('/api/lending/morpho-vaults/:tokenAddress', async (req, res) => {
+  try {
+    const { tokenAddress } = req.params;
+    const additionalAddresses = req.query.additionalAddresses 
+      ? req.query.additionalAddresses.split(',').map(addr => addr.trim())
+      : [];
+    
+    const allTokenAddresses = [tokenAddress, ...additionalAddresses].map(addr => addr.toLowerCase());
+    const cacheKey = `morpho-vaults:${[...new Set(allTokenAddresses)].sort().join('-')}`;
+    
+    let data = await cacheManager.get(cacheKey);
+    if (!data) {
+      data = await morphoFetcher.getVaultAllocations(allTokenAddresses);
+      if (!data.error) {
+        await cacheManager.set(cacheKey, data, 900); // 15 minutes
+      }
+    }
+    
+    res.json(data);
+  } catch (error) {
+    logger.error('Morpho vault allocations error:', error);
+    res.status(500).json({ error: 'Failed to fetch Morpho vault allocations' });
+  }
+});
+
 // Euler market data - Updated for Euler V2 subgraph
 app.get('/api/lending/euler/:tokenAddress', async (req, res) => {
   try {
@@ -2777,31 +3588,19 @@ app.get('/api/lending/euler/:tokenAddress', async (req, res) => {
       const markets = [];
       
       if (vaultCreations.length > 0) {
-        logger.info(`Found ${vaultCreations.length} USR vaults, fetching cash balances directly from contracts`);
+        logger.info(`Found ${vaultCreations.length} Euler vaults, fetching balances directly from contracts`);
+        
+        // Step 2: Get balances directly from the vault contracts on-chain (more reliable than subgraph matching),
+        // valued at each asset's DefiLlama price
+        const vaultsData = await ethereumFetcher.getEulerVaultsData(vaultCreations.map(vault => vault.dToken));
         
-        // Step 2: Get cash balances directly from dToken contracts on-chain (more reliable than subgraph matching)
-        for (const vault of vaultCreations) {
-          let vaultTVL = 0;
-          let vaultSupply = 0;
-          let vaultBorrows = 0;
-          let hasActivity = false;
+        for (const [index, vault] of vaultCreations.entries()) {
+          const vaultData = vaultsData[index];
           
-          try {
-            // Get vault data directly from blockchain using our new on-chain method
-            const vaultData = await ethereumFetcher.getEulerVaultData(vault.dToken);
-            
-            if (vaultData && !vaultData.error) {
-              vaultSupply = vaultData.totalAssetsUSD;  // Total assets (deposits)
-              vaultBorrows = vaultData.borrowsUSD;     // Total borrows
-              vaultTVL = vaultData.tvlUSD;             // TVL = total assets for lending
-              hasActivity = vaultData.hasActivity;
-              
-              logger.info(`Euler vault ${vault.dToken.slice(0, 8)}: eVault=${vaultData.eVaultAddress}, TotalAssets=${vaultSupply.toFixed(6)}, Borrows=${vaultBorrows.toFixed(6)}, TVL=${vaultTVL.toFixed(6)} USD`);
-            } else {
-              logger.warn(`Could not fetch on-chain data for vault ${vault.dToken.slice(0, 8)}: ${vaultData?.error || 'Unknown error'}`);
-            }
-          } catch (vaultError) {
-            logger.warn(`Error fetching on-chain data for vault ${vault.dToken}:`, vaultError.message);
+          if (!vaultData.error) {
+            logger.info(`Euler vault ${vault.dToken.slice(0, 8)}: eVault=${vaultData.eVaultAddress}, TotalAssets=${vaultData.totalAssetsUnits.toFixed(6)}, Borrows=${vaultData.totalBorrowsUnits.toFixed(6)}, Price=${vaultData.price ?? 'N/A'}, TVL=${vaultData.tvlUSD.toFixed(6)} USD`);
+          } else {
+            logger.warn(`Could not fetch on-chain data for vault ${vault.dToken.slice(0, 8)}: ${vaultData.error}`);
           }
           
           const market = {
@@ -2811,13 +3610,19 @@ app.get('/api/lending/euler/:tokenAddress', async (req, res) => {
             dToken: vault.dToken,
             creator: vault.creator,
             createdAt: vault.blockTimestamp,
-            totalValueLockedUSD: vaultTVL,
-            totalDepositBalanceUSD: vaultSupply,
-            totalBorrowBalanceUSD: vaultBorrows,
+            totalValueLockedUSD: vaultData.tvlUSD,
+            totalDepositBalanceUSD: vaultData.totalAssetsUSD,
+            totalBorrowBalanceUSD: vaultData.borrowsUSD,
+            totalAssets: vaultData.totalAssets,
+            totalBorrows: vaultData.totalBorrows,
+            totalAssetsUnits: vaultData.totalAssetsUnits,
+            totalBorrowsUnits: vaultData.totalBorrowsUnits,
+            price: vaultData.price,
+            priceSource: vaultData.priceSource,
             isActive: true,
-            decimals: 18,
-            hasActivity,
-            statusFound: hasActivity
+            decimals: vaultData.decimals,
+            hasActivity: vaultData.hasActivity,
+            statusFound: vaultData.hasActivity
           };
           
           markets.push(market);
@@ -2837,6 +3642,8 @@ app.get('/api/lending/euler/:tokenAddress', async (req, res) => {
         vaultCount: vaultCreations.length,
         activeVaults: markets.filter(m => m.hasActivity).length,
         inactiveVaults: markets.filter(m => !m.hasActivity).length,
+        // Vaults with deposits whose asset has no DefiLlama price are left out of the USD totals
+        unpricedVaults: markets.filter(m => m.hasActivity && m.price === null).length,
         note: vaultCreations.length > 0 && totalTVL === 0 ? 'Vaults exist but have no deposits yet' : null,
         fetched_at: new Date().toISOString()
       };
@@ -2851,178 +3658,336 @@ app.get('/api/lending/euler/:tokenAddress', async (req, res) => {
   }
 });
 
-// Combined lending TVL for a token with Pendle PT support
+// Combined lending TVL for a token with Pendle PT support. block pins the Aave and Euler subgraph
+// queries and the Euler vault reads; Morpho, Fluid and Pendle APIs stay current.
+async function getLendingTotalTVL(tokenAddress, additionalAddresses = [], block = null) {
+  const allTokenAddresses = [tokenAddress, ...additionalAddresses];
+  const cacheKey = `total-lending-tvl-${allTokenAddresses.sort().join('-')}${block !== null ? `-block-${block}` : ''}`;
+  
+  let data = await cacheManager.get(cacheKey);
+  if (!data) {
+    logger.info(`Fetching enhanced lending TVL for ${allTokenAddresses.length} addresses: ${allTokenAddresses.join(', ')}${block !== null ? ` at block ${block}` : ''}`);
+    
+    // Step 1: Get Pendle markets and extract PT tokens for ALL stablecoin addresses
+    const allMarkets = await cacheManager.get('pendle:all-markets') || await pendleFetcher.fetchAllMarkets();
+    const pendlePTData = pendleFetcher.getPTTokensForStablecoin(allTokenAddresses, allMarkets);
+    const ptAddresses = pendlePTData.ptAddresses || [];
+    
+    logger.info(`Found ${ptAddresses.length} PT tokens for ${allTokenAddresses.join(', ')}`);
+    
+    // Step 2: Fetch direct lending data for base tokens
+    const [aaveData, morphoData, eulerData, fluidData] = await Promise.all([
+      Promise.all(allTokenAddresses.map(addr => 
+        theGraphFetcher.fetchData('aave_v3', 'lending_reserves', { tokenAddress: addr, block })
+      )),
+      Promise.all(allTokenAddresses.map(addr => 
+        morphoFetcher.getTokenMarkets(addr)
+      )),
+      Promise.all(allTokenAddresses.map(addr => 
+        theGraphFetcher.fetchData('euler', 'lending_markets', { tokenAddress: addr, block })
+      )),
+      Promise.all(allTokenAddresses.map(addr => 
+        fluidFetcher.fetchData('token_borrow', { tokenAddress: addr })
+      ))
+    ]);
+    
+    // Step 3: Fetch lending data for PT tokens (if any found)
+    let aavePTData = [];
+    let morphoPTData = [];
+    let eulerPTData = [];
+    let fluidPTData = [];
+    
+    if (ptAddresses.length > 0) {
+      logger.info(`Querying lending protocols for ${ptAddresses.length} PT tokens...`);
+      [aavePTData, morphoPTData, eulerPTData, fluidPTData] = await Promise.all([
+        Promise.all(ptAddresses.map(addr => 
+          theGraphFetcher.fetchData('aave_v3', 'lending_reserves', { tokenAddress: addr, block })
+        )),
+        Promise.all(ptAddresses.map(addr => 
+          morphoFetcher.getTokenMarkets(addr)
+        )),
+        Promise.all(ptAddresses.map(addr => 
+          theGraphFetcher.fetchData('euler', 'lending_markets', { tokenAddress: addr, block })
+        )),
+        Promise.all(ptAddresses.map(addr => 
+          fluidFetcher.fetchData('token_borrow', { tokenAddress: addr })
+        ))
+      ]);
+    }
+    
+    // Step 4: Aggregate Aave TVL (direct; PT is valued in step 8)
+    const aaveDirectMarkets = aaveData.flatMap(d => d?.data?.markets || []);
+    const aavePTMarkets = aavePTData.flatMap(d => d?.data?.markets || []);
+    const aaveDirectTVL = aaveDirectMarkets.reduce((sum, m) => sum + (Number(m.totalValueLockedUSD) || 0), 0);
+    
+    // Risk parameters and cap headroom per reserve, read on-chain at the same block as the subgraph
+    const aaveReserveMarkets = [
+      ...aaveDirectMarkets.map(market => ({ market, isPT: false })),
+      ...aavePTMarkets.map(market => ({ market, isPT: true }))
+    ]
+      .filter(({ market }) => market.inputToken?.id)
+      .filter(({ market }, i, list) => list.findIndex(entry => entry.market.inputToken.id === market.inputToken.id) === i);
+    const aaveRiskParams = await ethereumFetcher.getAaveReserveRiskParams(
+      aaveReserveMarkets.map(({ market }) => market.inputToken.id.toLowerCase()),
+      block
+    );
+    const toUSD = (amount, price) => (amount !== null && price !== null ? amount * price : null);
+    const aaveReserves = aaveRiskParams.map((params, i) => {
+      const { market, isPT } = aaveReserveMarkets[i];
+      const price = Number(market.inputTokenPriceUSD) || null;
+      return {
+        ...params,
+        symbol: market.inputToken.symbol,
+        isPT,
+        priceUSD: price,
+        totalValueLockedUSD: Number(market.totalValueLockedUSD) || 0,
+        supplyCapHeadroomUSD: params.error ? null : toUSD(params.supplyCapHeadroom, price),
+        borrowCapHeadroomUSD: params.error ? null : toUSD(params.borrowCapHeadroom, price)
+      };
+    });
+    
+    // Step 5: Aggregate Morpho TVL (direct)
+    const morphoDirectTVL = morphoData.reduce((sum, d) => sum + (d?.totalCollateralTVL || 0), 0);
+    
+    // Step 6: Aggregate Euler TVL (direct)
+    const eulerDirectMarkets = eulerData.flatMap(d => d?.data?.evaultCreateds || []);
+    const eulerPTMarkets = eulerPTData.flatMap(d => d?.data?.evaultCreateds || []);
+    
+    // For Euler, we need to get on-chain data, priced per vault asset (PT vaults trade at a discount)
+    const [eulerDirectVaults, eulerPTVaults] = await Promise.all([
+      ethereumFetcher.getEulerVaultsData(eulerDirectMarkets.map(vault => vault.dToken), block),
+      ethereumFetcher.getEulerVaultsData(eulerPTMarkets.map(vault => vault.dToken), block)
+    ]);
+    const eulerDirectTVL = eulerDirectVaults.reduce((sum, vault) => sum + vault.tvlUSD, 0);
+    
+    // Step 7: Aggregate Fluid TVL (direct)
+    const fluidDirectTVL = fluidData.reduce((sum, d) => sum + (Number(d?.data) || 0), 0);
+    
+    // Step 8: Split PT collateral into market and face value. Every protocol already prices PT at
+    // market: Aave through its discounted PT oracle, Morpho and Fluid through their API prices and
+    // Euler vaults through DefiLlama. Face value is derived from the Pendle market price.
+    const ptDetails = pendlePTData.ptDetails || [];
+    const ptEntries = {
+      aave_v3: aavePTData.map((d, i) => ({
+        ptAddress: ptAddresses[i],
+        value: (d?.data?.markets || []).reduce((sum, m) => sum + (Number(m.totalValueLockedUSD) || 0), 0),
+        basis: 'market'
+      })),
+      morpho_combined: morphoPTData.map((d, i) => ({ ptAddress: ptAddresses[i], value: d?.totalCollateralTVL || 0, basis: 'market' })),
+      euler: eulerPTVaults.map(vault => ({ ptAddress: vault.asset, value: vault.tvlUSD, basis: 'market' })),
+      fluid: fluidPTData.map((d, i) => ({ ptAddress: ptAddresses[i], value: Number(d?.data) || 0, basis: 'market' }))
+    };
+    const ptValuation = Object.fromEntries(Object.entries(ptEntries)
+      .map(([protocol, entries]) => [protocol, pendleFetcher.valuePTExposure(entries, ptDetails)]));
+    const ptExposure = pendleFetcher.valuePTExposure(Object.values(ptEntries).flat(), ptDetails);
+    
+    const aavePTTVL = ptValuation.aave_v3.marketValue;
+    const morphoPTTVL = ptValuation.morpho_combined.marketValue;
+    const eulerPTTVL = ptValuation.euler.marketValue;
+    const fluidPTTVL = ptValuation.fluid.marketValue;
+    
+    // Step 9: Build response with PT breakdown
+    data = {
+      tokenAddress,
+      allTokenAddresses,
+      protocols: {
+        aave_v3: {
+          totalTVL: aaveDirectTVL + aavePTTVL,
+          directTVL: aaveDirectTVL,
+          ptTVL: aavePTTVL,
+          ptFaceValue: ptValuation.aave_v3.faceValue,
+          directMarkets: aaveDirectMarkets.length,
+          ptMarkets: aavePTMarkets.length,
+          totalDeposits: aaveDirectMarkets.reduce((sum, m) => sum + (Number(m.totalDepositBalanceUSD) || 0), 0),
+          totalBorrows: aaveDirectMarkets.reduce((sum, m) => sum + (Number(m.totalBorrowBalanceUSD) || 0), 0),
+          // Headroom before the supply caps; uncapped reserves can grow without limit and are counted separately
+          supplyCapHeadroomUSD: aaveReserves.reduce((sum, reserve) => sum + (reserve.supplyCapHeadroomUSD || 0), 0),
+          uncappedReserves: aaveReserves.filter(reserve => !reserve.error && reserve.supplyCap === null).length,
+          reserves: aaveReserves
+        },
+        morpho_combined: {
+          totalTVL: morphoDirectTVL + morphoPTTVL,
+          directTVL: morphoDirectTVL,
+          ptTVL: morphoPTTVL,
+          ptFaceValue: ptValuation.morpho_combined.faceValue,
+          directMarkets: morphoData.reduce((sum, d) => sum + (d?.marketCount || 0), 0),
+          ptMarkets: morphoPTData.reduce((sum, d) => sum + (d?.marketCount || 0), 0),
+          totalSupplyTVL: morphoData.reduce((sum, d) => sum + (d?.totalSupplyTVL || 0), 0)
+        },
+        euler: {
+          totalTVL: eulerDirectTVL + eulerPTTVL,
+          directTVL: eulerDirectTVL,
+          ptTVL: eulerPTTVL,
+          ptFaceValue: ptValuation.euler.faceValue,
+          directMarkets: eulerDirectMarkets.length,
+          ptMarkets: eulerPTMarkets.length,
+          unpricedVaults: [...eulerDirectVaults, ...eulerPTVaults].filter(vault => vault.hasActivity && vault.price === null).length
+        },
+        fluid: {
+          totalTVL: fluidDirectTVL + fluidPTTVL,
+          directTVL: fluidDirectTVL,
+          ptTVL: fluidPTTVL,
+          ptFaceValue: ptValuation.fluid.faceValue,
+          directMarkets: allTokenAddresses.length,
+          ptMarkets: ptAddresses.length
+        }
+      },
+      pendle: {
+        ptTokensFound: ptAddresses.length,
+        ptDetails,
+        marketsMatched: pendlePTData.marketCount || 0,
+        ptFaceValue: ptExposure.faceValue,
+        ptMarketValue: ptExposure.marketValue,
+        positions: ptExposure.positions,
+        maturityLadder: pendleFetcher.buildMaturityLadder(ptExposure.positions)
+      },
+      totalLendingTVL: 0,
+      block: block !== null
+        ? { number: block, pinned: ['aave_v3', 'euler'], unpinned: ['morpho_combined', 'fluid', 'pendle'] }
+        : null,
+      lastUpdated: new Date().toISOString()
+    };
+    
+    // Calculate total TVL (direct + PT at market value for all protocols)
+    data.totalLendingTVL = 
+      (data.protocols.aave_v3.totalTVL || 0) +
+      (data.protocols.morpho_combined.totalTVL || 0) +
+      (data.protocols.euler.totalTVL || 0) +
+      (data.protocols.fluid.totalTVL || 0);
+    
+    logger.info(`Total lending TVL for ${tokenAddress}:`, {
+      total: data.totalLendingTVL,
+      aave: data.protocols.aave_v3.totalTVL,
+      morpho: data.protocols.morpho_combined.totalTVL,
+      euler: data.protocols.euler.totalTVL,
+      fluid: data.protocols.fluid.totalTVL,
+      ptTokensFound: ptAddresses.length
+    });
+    
+    await cacheManager.set(cacheKey, data, 900); // 15 minutes
+  }
+  
+  return data;
+}
+
 app.get('/api/lending/total-tvl/:tokenAddress', async (req, res) => {
   try {
     const { tokenAddress } = req.params;
     // Support multiple token addresses via query param (for staked versions)
-    const additionalAddresses = req.query.additionalAddresses 
+    const additionalAddresses = req.query.additionalAddresses
       ? req.query.additionalAddresses.split(',').map(addr => addr.trim())
       : [];
-    
-    const allTokenAddresses = [tokenAddress, ...additionalAddresses];
-    const cacheKey = `total-lending-tvl-${allTokenAddresses.sort().join('-')}`;
-    
+    const block = parseBlockParam(req.query.block);
+    if (block === undefined) {
+      return res.status(400).json({ error: 'block must be a block number' });
+    }
+
+    res.json(await getLendingTotalTVL(tokenAddress, additionalAddresses, block));
+  } catch (error) {
+    logger.error('Total lending TVL error:', error);
+    res.status(500).json({ error: 'Failed to fetch total lending TVL' });
+  }
+});
+
+// Borrow-side exposure: where the stablecoin is lent out, utilization per market and the collateral behind the loans
+app.get('/api/lending/borrow-exposure/:tokenAddress', async (req, res) => {
+  try {
+    const { tokenAddress } = req.params;
+    const additionalAddresses = req.query.additionalAddresses
+      ? req.query.additionalAddresses.split(',').map(addr => addr.trim())
+      : [];
+
+    const allTokenAddresses = [...new Set([tokenAddress, ...additionalAddresses].map(addr => addr.toLowerCase()))].sort();
+    const cacheKey = `borrow-exposure:${allTokenAddresses.join('-')}`;
+
     let data = await cacheManager.get(cacheKey);
     if (!data) {
-      logger.info(`Fetching enhanced lending TVL for ${allTokenAddresses.length} addresses: ${allTokenAddresses.join(', ')}`);
-      
-      // Step 1: Get Pendle markets and extract PT tokens for ALL stablecoin addresses
-      const allMarkets = await cacheManager.get('pendle:all-markets') || await pendleFetcher.fetchAllMarkets();
-      const pendlePTData = pendleFetcher.getPTTokensForStablecoin(allTokenAddresses, allMarkets);
-      const ptAddresses = pendlePTData.ptAddresses || [];
-      
-      logger.info(`Found ${ptAddresses.length} PT tokens for ${allTokenAddresses.join(', ')}`);
-      
-      // Step 2: Fetch direct lending data for base tokens
-      const [aaveData, morphoData, eulerData, fluidData] = await Promise.all([
-        Promise.all(allTokenAddresses.map(addr => 
+      // A failed Aave subgraph read leaves the Morpho side intact
+      const [aaveResults, morphoData] = await Promise.all([
+        Promise.allSettled(allTokenAddresses.map(addr =>
           theGraphFetcher.fetchData('aave_v3', 'lending_reserves', { tokenAddress: addr })
         )),
-        Promise.all(allTokenAddresses.map(addr => 
-          morphoFetcher.getTokenMarkets(addr)
-        )),
-        Promise.all(allTokenAddresses.map(addr => 
-          theGraphFetcher.fetchData('euler', 'lending_markets', { tokenAddress: addr })
-        )),
-        Promise.all(allTokenAddresses.map(addr => 
-          fluidFetcher.fetchData('token_borrow', { tokenAddress: addr })
-        ))
+        morphoFetcher.getBorrowMarkets(allTokenAddresses)
       ]);
-      
-      // Step 3: Fetch lending data for PT tokens (if any found)
-      let aavePTData = [];
-      let morphoPTData = [];
-      let eulerPTData = [];
-      let fluidPTData = [];
-      
-      if (ptAddresses.length > 0) {
-        logger.info(`Querying lending protocols for ${ptAddresses.length} PT tokens...`);
-        [aavePTData, morphoPTData, eulerPTData, fluidPTData] = await Promise.all([
-          Promise.all(ptAddresses.map(addr => 
-            theGraphFetcher.fetchData('aave_v3', 'lending_reserves', { tokenAddress: addr })
-          )),
-          Promise.all(ptAddresses.map(addr => 
-            morphoFetcher.getTokenMarkets(addr)
-          )),
-          Promise.all(ptAddresses.map(addr => 
-            theGraphFetcher.fetchData('euler', 'lending_markets', { tokenAddress: addr })
-          )),
-          Promise.all(ptAddresses.map(addr => 
-            fluidFetcher.fetchData('token_borrow', { tokenAddress: addr })
-          ))
-        ]);
-      }
-      
-      // Step 4: Aggregate Aave TVL (direct + PT)
-      const aaveDirectMarkets = aaveData.flatMap(d => d?.data?.markets || []);
-      const aavePTMarkets = aavePTData.flatMap(d => d?.data?.markets || []);
-      const aaveDirectTVL = aaveDirectMarkets.reduce((sum, m) => sum + (Number(m.totalValueLockedUSD) || 0), 0);
-      const aavePTTVL = aavePTMarkets.reduce((sum, m) => sum + (Number(m.totalValueLockedUSD) || 0), 0);
-      
-      // Step 5: Aggregate Morpho TVL (direct + PT)
-      const morphoDirectTVL = morphoData.reduce((sum, d) => sum + (d?.totalCollateralTVL || 0), 0);
-      const morphoPTTVL = morphoPTData.reduce((sum, d) => sum + (d?.totalCollateralTVL || 0), 0);
-      
-      // Step 6: Aggregate Euler TVL (direct + PT)
-      const eulerDirectMarkets = eulerData.flatMap(d => d?.data?.evaultCreateds || []);
-      const eulerPTMarkets = eulerPTData.flatMap(d => d?.data?.evaultCreateds || []);
-      
-      // For Euler, we need to get on-chain data
-      let eulerDirectTVL = 0;
-      let eulerPTTVL = 0;
-      
-      for (const vault of eulerDirectMarkets) {
-        try {
-          const vaultData = await ethereumFetcher.getEulerVaultData(vault.dToken);
-          eulerDirectTVL += vaultData?.tvlUSD || 0;
-        } catch (error) {
-          logger.warn(`Error fetching Euler vault data:`, error.message);
-        }
-      }
-      
-      for (const vault of eulerPTMarkets) {
-        try {
-          const vaultData = await ethereumFetcher.getEulerVaultData(vault.dToken);
-          eulerPTTVL += vaultData?.tvlUSD || 0;
-        } catch (error) {
-          logger.warn(`Error fetching Euler PT vault data:`, error.message);
-        }
+      const aaveFailure = aaveResults.find(result => result.status === 'rejected');
+      if (aaveFailure) {
+        logger.warn(`Aave borrow exposure unavailable for ${allTokenAddresses.join(', ')}: ${aaveFailure.reason?.message}`);
       }
-      
-      // Step 7: Aggregate Fluid TVL (direct + PT)
-      const fluidDirectTVL = fluidData.reduce((sum, d) => sum + (Number(d?.data) || 0), 0);
-      const fluidPTTVL = fluidPTData.reduce((sum, d) => sum + (Number(d?.data) || 0), 0);
-      
-      // Step 8: Build response with PT breakdown
+
+      // Aave lends from a shared pool, so any enabled collateral backs the loans; the e-mode categories
+      // the reserve is borrowable in show which collateral gets boosted terms against it
+      const aaveMarkets = (aaveFailure ? [] : aaveResults.flatMap(result => result.value?.data?.markets || []))
+        .filter(market => market.inputToken?.id)
+        .filter((market, i, list) => list.findIndex(m => m.inputToken.id === market.inputToken.id) === i);
+      const aaveRiskParams = await ethereumFetcher.getAaveReserveRiskParams(
+        aaveMarkets.map(market => market.inputToken.id.toLowerCase())
+      );
+      const aaveReserves = aaveMarkets.map((market, i) => {
+        const params = aaveRiskParams[i];
+        const price = Number(market.inputTokenPriceUSD) || null;
+        const totalSupplyUSD = Number(market.totalDepositBalanceUSD) || 0;
+        const totalBorrowUSD = Number(market.totalBorrowBalanceUSD) || 0;
+        return {
+          asset: market.inputToken.id.toLowerCase(),
+          symbol: market.inputToken.symbol,
+          totalSupplyUSD,
+          totalBorrowUSD,
+          utilization: totalSupplyUSD > 0 ? totalBorrowUSD / totalSupplyUSD : 0,
+          borrowingEnabled: params.error ? market.canBorrowFrom : params.borrowingEnabled,
+          borrowCap: params.error ? null : params.borrowCap,
+          borrowCapHeadroomUSD: params.error || params.borrowCapHeadroom === null || price === null
+            ? null
+            : params.borrowCapHeadroom * price,
+          eModeCategories: params.error ? [] : params.eModeCategories
+            .filter(category => category.borrowable)
+            .map(({ id, label, ltv, liquidationThreshold }) => ({ id, label, ltv, liquidationThreshold }))
+        };
+      }).sort((a, b) => b.totalBorrowUSD - a.totalBorrowUSD);
+
+      const aaveSupplyUSD = aaveReserves.reduce((sum, reserve) => sum + reserve.totalSupplyUSD, 0);
+      const aaveBorrowUSD = aaveReserves.reduce((sum, reserve) => sum + reserve.totalBorrowUSD, 0);
+
       data = {
         tokenAddress,
         allTokenAddresses,
         protocols: {
           aave_v3: {
-            totalTVL: aaveDirectTVL + aavePTTVL,
-            directTVL: aaveDirectTVL,
-            ptTVL: aavePTTVL,
-            directMarkets: aaveDirectMarkets.length,
-            ptMarkets: aavePTMarkets.length,
-            totalDeposits: aaveDirectMarkets.reduce((sum, m) => sum + (Number(m.totalDepositBalanceUSD) || 0), 0),
-            totalBorrows: aaveDirectMarkets.reduce((sum, m) => sum + (Number(m.totalBorrowBalanceUSD) || 0), 0)
-          },
-          morpho_combined: {
-            totalTVL: morphoDirectTVL + morphoPTTVL,
-            directTVL: morphoDirectTVL,
-            ptTVL: morphoPTTVL,
-            directMarkets: morphoData.reduce((sum, d) => sum + (d?.marketCount || 0), 0),
-            ptMarkets: morphoPTData.reduce((sum, d) => sum + (d?.marketCount || 0), 0),
-            totalSupplyTVL: morphoData.reduce((sum, d) => sum + (d?.totalSupplyTVL || 0), 0)
-          },
-          euler: {
-            totalTVL: eulerDirectTVL + eulerPTTVL,
-            directTVL: eulerDirectTVL,
-            ptTVL: eulerPTTVL,
-            directMarkets: eulerDirectMarkets.length,
-            ptMarkets: eulerPTMarkets.length
+            totalSupplyUSD: aaveSupplyUSD,
+            totalBorrowUSD: aaveBorrowUSD,
+            utilization: aaveSupplyUSD > 0 ? aaveBorrowUSD / aaveSupplyUSD : 0,
+            collateral: 'pooled',
+            reserves: aaveReserves,
+            ...(aaveFailure ? { _unavailable: true, error: aaveFailure.reason?.message || 'Aave subgraph request failed' } : {})
           },
-          fluid: {
-            totalTVL: fluidDirectTVL + fluidPTTVL,
-            directTVL: fluidDirectTVL,
-            ptTVL: fluidPTTVL,
-            directMarkets: allTokenAddresses.length,
-            ptMarkets: ptAddresses.length
+          morpho_blue: {
+            totalSupplyUSD: morphoData.totalSupplyUSD,
+            totalBorrowUSD: morphoData.totalBorrowUSD,
+            utilization: morphoData.utilization,
+            collateral: morphoData.collateral,
+            markets: morphoData.markets,
+            ...(morphoData.error ? { _unavailable: true, error: morphoData.error } : {})
           }
         },
-        pendle: {
-          ptTokensFound: ptAddresses.length,
-          ptDetails: pendlePTData.ptDetails || [],
-          marketsMatched: pendlePTData.marketCount || 0
-        },
-        totalLendingTVL: 0,
+        totalBorrowUSD: aaveBorrowUSD + morphoData.totalBorrowUSD,
         lastUpdated: new Date().toISOString()
       };
-      
-      // Calculate total TVL (direct + PT for all protocols)
-      data.totalLendingTVL = 
-        (data.protocols.aave_v3.totalTVL || 0) +
-        (data.protocols.morpho_combined.totalTVL || 0) +
-        (data.protocols.euler.totalTVL || 0) +
-        (data.protocols.fluid.totalTVL || 0);
-      
-      logger.info(`Total lending TVL for ${tokenAddress}:`, {
-        total: data.totalLendingTVL,
-        aave: data.protocols.aave_v3.totalTVL,
-        morpho: data.protocols.morpho_combined.totalTVL,
-        euler: data.protocols.euler.totalTVL,
-        fluid: data.protocols.fluid.totalTVL,
-        ptTokensFound: ptAddresses.length
+
+      logger.info(`Borrow exposure for ${allTokenAddresses.join(', ')}:`, {
+        total: data.totalBorrowUSD,
+        aave: aaveBorrowUSD,
+        morpho: morphoData.totalBorrowUSD
       });
-      
-      await cacheManager.set(cacheKey, data, 900); // 15 minutes
+
+      // A failed Aave or Morpho read would cache a zero borrow total
+      if (!aaveFailure && !morphoData.error) {
+        await cacheManager.set(cacheKey, data, 900); // 15 minutes
+      }
     }
-    
+
     res.json(data);
   } catch (error) {
-    logger.error('Total lending TVL error:', error);
-    res.status(500).json({ error: 'Failed to fetch total lending TVL' });
+    logger.error('Borrow exposure error:', error);
+    res.status(500).json({ error: 'Failed to fetch borrow exposure' });
   }
 });
 
@@ -3040,47 +4005,308 @@ app.get('/api/ethereum/token-total-supply/:tokenAddress', async (req, res) => {
     
     res.json(data);
   } catch (error) {
-    logger.error('Token total supply error:', error);
-    res.status(500).json({ error: 'Failed to fetch token total supply' });
+    logger.error('Token total supply error:', error);
+    res.status(500).json({ error: 'Failed to fetch token total supply' });
+  }
+});
+
+// ================= OPERATOR ENDPOINTS =================
+// Named operator accounts with roles: viewer < data-entry < admin.
+// Keys are only accepted in the x-operator-key header.
+
+// Middleware factory: authenticate the x-operator-key header and require at least `role`.
+// Sets req.operator = { name, role } for attribution.
+function requireRole(role) {
+  return async (req, res, next) => {
+    try {
+      const operator = await operatorAuth.authenticate(req.headers['x-operator-key']);
+      
+      if (!operator) {
+        return res.status(401).json({ error: 'Unauthorized - Invalid operator key' });
+      }
+      if (!OperatorAuth.hasRole(operator.role, role)) {
+        return res.status(403).json({ error: `Forbidden - requires ${role} role` });
+      }
+      
+      req.operator = operator;
+      next();
+    } catch (error) {
+      logger.error('Error authenticating operator:', error);
+      res.status(500).json({ error: 'Failed to authenticate operator' });
+    }
+  };
+}
+
+// Middleware for operator data entry (manual data, defaults)
+const requireOperator = requireRole('data-entry');
+
+// GET /api/operators/me - Identity behind the supplied key
+app.get('/api/operators/me', requireRole('viewer'), (req, res) => {
+  res.json({
+    success: true,
+    operator: req.operator
+  });
+});
+
+// GET /api/operators - Admin endpoint to list accounts
+app.get('/api/operators', requireRole('admin'), async (req, res) => {
+  try {
+    const accounts = await operatorAuth.listAccounts();
+    res.json({
+      success: true,
+      roles: OPERATOR_ROLES,
+      count: accounts.length,
+      data: accounts
+    });
+  } catch (error) {
+    logger.error('Error listing operators:', error);
+    res.status(500).json({ error: 'Failed to list operators' });
+  }
+});
+
+// POST /api/operators - Admin endpoint to create an account; the API key is only returned here
+app.post('/api/operators', requireRole('admin'), async (req, res) => {
+  try {
+    const { name, role } = req.body;
+    
+    if (!OperatorAuth.validateName(name)) {
+      return res.status(400).json({ 
+        error: 'Invalid name - use 2-32 lowercase letters, digits, ".", "_" or "-"' 
+      });
+    }
+    if (!OPERATOR_ROLES.includes(role)) {
+      return res.status(400).json({ error: 'Invalid role', allowedRoles: OPERATOR_ROLES });
+    }
+    
+    const created = await operatorAuth.createAccount(name, role, req.operator.name);
+    if (!created) {
+      return res.status(409).json({ error: `Operator ${name} already exists` });
+    }
+    
+    logger.info(`Operator account created: ${name} (${role}) by ${req.operator.name}`);
+    
+    res.status(201).json({
+      success: true,
+      message: 'Operator created - store the API key now, it cannot be retrieved later',
+      operator: created.account,
+      apiKey: created.apiKey
+    });
+  } catch (error) {
+    logger.error('Error creating operator:', error);
+    res.status(500).json({ error: 'Failed to create operator' });
+  }
+});
+
+// PATCH /api/operators/:name - Admin endpoint to change role or disable an account
+app.patch('/api/operators/:name', requireRole('admin'), async (req, res) => {
+  try {
+    const { role, disabled } = req.body;
+    
+    if (role !== undefined && !OPERATOR_ROLES.includes(role)) {
+      return res.status(400).json({ error: 'Invalid role', allowedRoles: OPERATOR_ROLES });
+    }
+    
+    const account = await operatorAuth.updateAccount(req.params.name, { role, disabled }, req.operator.name);
+    if (!account) {
+      return res.status(404).json({ error: 'Operator not found' });
+    }
+    
+    logger.info(`Operator account updated: ${account.name} (${account.role}${account.disabled ? ', disabled' : ''}) by ${req.operator.name}`);
+    
+    res.json({
+      success: true,
+      operator: account
+    });
+  } catch (error) {
+    logger.error('Error updating operator:', error);
+    res.status(500).json({ error: 'Failed to update operator' });
+  }
+});
+
+// POST /api/operators/:name/rotate-key - Admin endpoint to issue a new key (the old one stops working)
+app.post('/api/operators/:name/rotate-key', requireRole('admin'), async (req, res) => {
+  try {
+    const rotated = await operatorAuth.rotateKey(req.params.name, req.operator.name);
+    if (!rotated) {
+      return res.status(404).json({ error: 'Operator not found' });
+    }
+    
+    logger.info(`Operator key rotated: ${rotated.account.name} by ${req.operator.name}`);
+    
+    res.json({
+      success: true,
+      message: 'Key rotated - store the new API key now, it cannot be retrieved later',
+      operator: rotated.account,
+      apiKey: rotated.apiKey
+    });
+  } catch (error) {
+    logger.error('Error rotating operator key:', error);
+    res.status(500).json({ error: 'Failed to rotate operator key' });
+  }
+});
+
+// DELETE /api/operators/:name - Admin endpoint to remove an account
+app.delete('/api/operators/:name', requireRole('admin'), async (req, res) => {
+  try {
+    const deleted = await operatorAuth.deleteAccount(req.params.name);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Operator not found' });
+    }
+    
+    logger.info(`Operator account deleted: ${req.params.name} by ${req.operator.name}`);
+    
+    res.json({
+      success: true,
+      message: 'Operator deleted successfully'
+    });
+  } catch (error) {
+    logger.error('Error deleting operator:', error);
+    res.status(500).json({ error: 'Failed to delete operator' });
+  }
+});
+
+// ================= MANUAL DATA ENDPOINTS =================
+// For operator-entered data like Bridge Supply and CR
+
+// Manual data only lives in the durable database, so there is no in-memory fallback
+app.use('/api/manual-data', (req, res, next) => {
+  if (durableRedis.isReady) return next();
+  res.status(503).json({ error: 'Manual data unavailable - Redis not connected' });
+});
+
+// Export/import are registered before /api/manual-data/:symbol so "export" is not taken as a symbol
+
+// GET /api/manual-data/export - Backup of all manual data (and its change history unless ?includeHistory=false)
+app.get('/api/manual-data/export', requireRole('viewer'), async (req, res) => {
+  try {
+    const includeHistory = req.query.includeHistory !== 'false';
+    const entries = [];
+    const history = {};
+    
+    for await (const key of durableRedis.scanIterator({ MATCH: 'manual:*', COUNT: 500 })) {
+      const [, symbol, metric] = key.split(':');
+      const data = await durableRedis.get(key);
+      if (!data) continue;
+      
+      entries.push({ symbol, metric, ...JSON.parse(data) });
+      if (includeHistory) {
+        history[`${symbol}:${metric}`] = await manualDataHistory.exportEntries(symbol, metric);
+      }
+    }
+    
+    entries.sort((a, b) => `${a.symbol}:${a.metric}`.localeCompare(`${b.symbol}:${b.metric}`));
+    logger.info(`Manual data exported by ${req.operator.name} (${entries.length} entries)`);
+    
+    res.json({
+      format: 'manual-data-export',
+      version: 1,
+      exportedAt: new Date().toISOString(),
+      exportedBy: req.operator.name,
+      entries,
+      ...(includeHistory ? { history } : {})
+    });
+  } catch (error) {
+    logger.error('Error exporting manual data:', error);
+    res.status(500).json({ error: 'Failed to export manual data' });
+  }
+});
+
+// POST /api/manual-data/import - Admin endpoint to restore an export
+// Existing values are kept unless "overwrite": true; history is only restored for keys without history
+app.post('/api/manual-data/import', requireRole('admin'), async (req, res) => {
+  try {
+    const { entries, history = {}, overwrite = false } = req.body;
+    
+    if (!Array.isArray(entries)) {
+      return res.status(400).json({ error: 'entries must be an array (use the output of /api/manual-data/export)' });
+    }
+    
+    const allowedMetrics = ['bridgeSupply', 'collateralizationRatio'];
+    const results = {
+      imported: [],
+      skipped: [],
+      errors: [],
+      historyRestored: []
+    };
+    
+    for (const [historyKey, historyEntries] of Object.entries(history)) {
+      const [symbol, metric] = historyKey.split(':');
+      if (allowedMetrics.includes(metric) && Array.isArray(historyEntries) &&
+          await manualDataHistory.restoreEntries(symbol, metric, historyEntries)) {
+        results.historyRestored.push({ symbol, metric, entries: historyEntries.length });
+      }
+    }
+    
+    for (const entry of entries) {
+      const { symbol, metric } = entry || {};
+      const numValue = parseFloat(entry?.value);
+      
+      if (!symbol || !allowedMetrics.includes(metric) || isNaN(numValue)) {
+        results.errors.push({ symbol, metric, error: 'Invalid entry' });
+        continue;
+      }
+      
+      const key = `manual:${symbol.toLowerCase()}:${metric}`;
+      const previous = await durableRedis.get(key);
+      if (previous && !overwrite) {
+        results.skipped.push({ symbol, metric, reason: 'Manual entry already exists' });
+        continue;
+      }
+      
+      const data = {
+        value: numValue,
+        lastUpdated: entry.lastUpdated || new Date().toISOString(),
+        updatedBy: entry.updatedBy || req.operator.name,
+        notes: entry.notes || '',
+        sourceUrl: entry.sourceUrl || null,
+        ...(entry.isDefault ? { isDefault: true } : {})
+      };
+      
+      await durableRedis.set(key, JSON.stringify(data));
+      await manualDataHistory.append(symbol, metric, {
+        action: 'import',
+        value: numValue,
+        updatedBy: req.operator.name,
+        notes: `Imported (originally set by ${data.updatedBy} at ${data.lastUpdated})`,
+        sourceUrl: data.sourceUrl
+      }, previous ? JSON.parse(previous) : null);
+      
+      results.imported.push({ symbol, metric, value: numValue });
+    }
+    
+    logger.info(`Manual data imported by ${req.operator.name}: ${results.imported.length} imported, ${results.skipped.length} skipped, ${results.errors.length} errors`);
+    
+    res.json({
+      success: true,
+      message: 'Import completed',
+      results: {
+        imported: results.imported.length,
+        skipped: results.skipped.length,
+        errors: results.errors.length,
+        historyRestored: results.historyRestored.length,
+        details: results
+      }
+    });
+  } catch (error) {
+    logger.error('Error importing manual data:', error);
+    res.status(500).json({ error: 'Failed to import manual data' });
   }
 });
 
-// ================= MANUAL DATA ENDPOINTS =================
-// For operator-entered data like Bridge Supply and CR
-
-// Simple API key for operator access
-const OPERATOR_API_KEY = process.env.OPERATOR_API_KEY || 'operator-key-change-in-production';
-
-// Debug endpoint to check what API key is loaded (remove in production!)
-app.get('/api/debug/operator-key-check', (req, res) => {
-  res.json({
-    keyIsSet: !!process.env.OPERATOR_API_KEY,
-    keyPrefix: OPERATOR_API_KEY ? OPERATOR_API_KEY.substring(0, 3) + '***' : 'not set',
-    usingDefault: OPERATOR_API_KEY === 'operator-key-change-in-production'
-  });
-});
-
-// Middleware to check operator authentication
-function requireOperator(req, res, next) {
-  const apiKey = req.headers['x-operator-key'] || req.query.apiKey;
-  
-  if (apiKey === OPERATOR_API_KEY) {
-    next();
-  } else {
-    res.status(401).json({ error: 'Unauthorized - Invalid operator key' });
-  }
+// Stored manual entry for a stablecoin metric ({ value, lastUpdated, updatedBy, notes, sourceUrl }), or null
+async function getManualEntry(symbol, metric) {
+  const data = await durableRedis.get(`manual:${symbol.toLowerCase()}:${metric}`);
+  return data ? JSON.parse(data) : null;
 }
 
 // GET /api/manual-data/:symbol/:metric - Public endpoint to retrieve manual data
 app.get('/api/manual-data/:symbol/:metric', async (req, res) => {
   try {
     const { symbol, metric } = req.params;
-    const key = `manual:${symbol.toLowerCase()}:${metric}`;
-    
-    const data = await redis.get(key);
-    
-    if (data) {
-      const parsed = JSON.parse(data);
+
+    const parsed = await getManualEntry(symbol, metric);
+
+    if (parsed) {
       res.json({
         success: true,
         data: parsed.value,
@@ -3089,6 +4315,8 @@ app.get('/api/manual-data/:symbol/:metric', async (req, res) => {
           metric,
           lastUpdated: parsed.lastUpdated,
           updatedBy: parsed.updatedBy || 'operator',
+          notes: parsed.notes || '',
+          sourceUrl: parsed.sourceUrl || null,
           source: 'manual_entry'
         }
       });
@@ -3115,18 +4343,20 @@ app.get('/api/manual-data/:symbol', async (req, res) => {
     const { symbol } = req.params;
     const pattern = `manual:${symbol.toLowerCase()}:*`;
     
-    const keys = await redis.keys(pattern);
+    const keys = await durableRedis.keys(pattern);
     const allData = {};
     
     for (const key of keys) {
-      const data = await redis.get(key);
+      const data = await durableRedis.get(key);
       if (data) {
         const parsed = JSON.parse(data);
         const metric = key.split(':')[2]; // Extract metric from key
         allData[metric] = {
           value: parsed.value,
           lastUpdated: parsed.lastUpdated,
-          updatedBy: parsed.updatedBy || 'operator'
+          updatedBy: parsed.updatedBy || 'operator',
+          notes: parsed.notes || '',
+          sourceUrl: parsed.sourceUrl || null
         };
       }
     }
@@ -3147,7 +4377,7 @@ app.get('/api/manual-data/:symbol', async (req, res) => {
 app.post('/api/manual-data/:symbol/:metric', requireOperator, async (req, res) => {
   try {
     const { symbol, metric } = req.params;
-    const { value, notes } = req.body;
+    const { value, notes, sourceUrl } = req.body;
     
     if (value === undefined || value === null) {
       return res.status(400).json({ error: 'Value is required' });
@@ -3168,18 +4398,32 @@ app.post('/api/manual-data/:symbol/:metric', requireOperator, async (req, res) =
       return res.status(400).json({ error: 'Value must be a number' });
     }
     
+    if (sourceUrl !== undefined && sourceUrl !== null && typeof sourceUrl !== 'string') {
+      return res.status(400).json({ error: 'sourceUrl must be a string' });
+    }
+    
     const key = `manual:${symbol.toLowerCase()}:${metric}`;
+    const previous = await durableRedis.get(key);
     const data = {
       value: numValue,
       lastUpdated: new Date().toISOString(),
-      updatedBy: req.headers['x-operator-name'] || 'operator',
-      notes: notes || ''
+      updatedBy: req.operator.name,
+      notes: notes || '',
+      sourceUrl: sourceUrl || null
     };
     
     // Store in Redis with no expiration (manual data persists)
-    await redis.set(key, JSON.stringify(data));
+    await durableRedis.set(key, JSON.stringify(data));
+    const entry = await manualDataHistory.append(symbol, metric, {
+      action: 'set',
+      value: numValue,
+      updatedBy: data.updatedBy,
+      timestamp: data.lastUpdated,
+      notes: data.notes,
+      sourceUrl: data.sourceUrl
+    }, previous ? JSON.parse(previous) : null);
     
-    logger.info(`Manual data updated: ${key} = ${numValue}`);
+    logger.info(`Manual data updated: ${key} = ${numValue} (version ${entry.version})`);
     
     res.json({
       success: true,
@@ -3188,7 +4432,8 @@ app.post('/api/manual-data/:symbol/:metric', requireOperator, async (req, res) =
         symbol,
         metric,
         value: numValue,
-        lastUpdated: data.lastUpdated
+        lastUpdated: data.lastUpdated,
+        version: entry.version
       }
     });
   } catch (error) {
@@ -3203,9 +4448,16 @@ app.delete('/api/manual-data/:symbol/:metric', requireOperator, async (req, res)
     const { symbol, metric } = req.params;
     const key = `manual:${symbol.toLowerCase()}:${metric}`;
     
-    const deleted = await redis.del(key);
+    const previous = await durableRedis.get(key);
+    const deleted = await durableRedis.del(key);
     
     if (deleted > 0) {
+      await manualDataHistory.append(symbol, metric, {
+        action: 'delete',
+        value: null,
+        updatedBy: req.operator.name
+      }, previous ? JSON.parse(previous) : null);
+      
       res.json({
         success: true,
         message: 'Data deleted successfully'
@@ -3219,6 +4471,81 @@ app.delete('/api/manual-data/:symbol/:metric', requireOperator, async (req, res)
   }
 });
 
+// GET /api/manual-data/:symbol/:metric/history - Public endpoint to retrieve the change history, newest first
+app.get('/api/manual-data/:symbol/:metric/history', async (req, res) => {
+  try {
+    const { symbol, metric } = req.params;
+    const limit = Math.min(parseInt(req.query.limit || '100', 10) || 100, 1000);
+    
+    const history = await manualDataHistory.getHistory(symbol, metric, limit);
+    
+    res.json({
+      success: true,
+      symbol,
+      metric,
+      total: await manualDataHistory.count(symbol, metric),
+      data: history
+    });
+  } catch (error) {
+    logger.error('Error retrieving manual data history:', error);
+    res.status(500).json({ error: 'Failed to retrieve manual data history' });
+  }
+});
+
+// POST /api/manual-data/:symbol/:metric/revert - Operator endpoint to restore the value of an earlier version
+app.post('/api/manual-data/:symbol/:metric/revert', requireOperator, async (req, res) => {
+  try {
+    const { symbol, metric } = req.params;
+    const version = parseInt(req.body.version, 10);
+    
+    const target = await manualDataHistory.getVersion(symbol, metric, version);
+    if (!target) {
+      return res.status(404).json({ error: `Version ${req.body.version} not found` });
+    }
+    if (target.value === null || target.value === undefined) {
+      return res.status(400).json({ error: `Version ${version} has no value to revert to` });
+    }
+    
+    const key = `manual:${symbol.toLowerCase()}:${metric}`;
+    const previous = await durableRedis.get(key);
+    const data = {
+      value: target.value,
+      lastUpdated: new Date().toISOString(),
+      updatedBy: req.operator.name,
+      notes: req.body.notes || `Reverted to version ${version}`,
+      sourceUrl: target.sourceUrl || null
+    };
+    
+    await durableRedis.set(key, JSON.stringify(data));
+    const entry = await manualDataHistory.append(symbol, metric, {
+      action: 'revert',
+      value: data.value,
+      updatedBy: data.updatedBy,
+      timestamp: data.lastUpdated,
+      notes: data.notes,
+      sourceUrl: data.sourceUrl,
+      revertedTo: version
+    }, previous ? JSON.parse(previous) : null);
+    
+    logger.info(`Manual data reverted: ${key} = ${data.value} (version ${version} -> ${entry.version})`);
+    
+    res.json({
+      success: true,
+      message: `Reverted to version ${version}`,
+      data: {
+        symbol,
+        metric,
+        value: data.value,
+        lastUpdated: data.lastUpdated,
+        version: entry.version
+      }
+    });
+  } catch (error) {
+    logger.error('Error reverting manual data:', error);
+    res.status(500).json({ error: 'Failed to revert manual data' });
+  }
+});
+
 // POST /api/manual-data/load-defaults - Operator endpoint to load defaults from config file
 // This will load default values from manualDefaults.js for any stablecoin/metric that doesn't already have manual data
 app.post('/api/manual-data/load-defaults', requireOperator, async (req, res) => {
@@ -3261,7 +4588,7 @@ app.post('/api/manual-data/load-defaults', requireOperator, async (req, res) =>
           const key = `manual:${symbol.toLowerCase()}:${metric}`;
           
           // Check if manual data already exists
-          const existing = await redis.get(key);
+          const existing = await durableRedis.get(key);
           
           if (existing) {
             // Skip if manual entry already exists
@@ -3281,7 +4608,14 @@ app.post('/api/manual-data/load-defaults', requireOperator, async (req, res) =>
                 isDefault: true
               };
               
-              await redis.set(key, JSON.stringify(data));
+              await durableRedis.set(key, JSON.stringify(data));
+              await manualDataHistory.append(symbol, metric, {
+                action: 'default',
+                value: data.value,
+                updatedBy: data.updatedBy,
+                timestamp: data.lastUpdated,
+                notes: data.notes
+              });
               
               results.loaded.push({
                 symbol,
@@ -3344,7 +4678,7 @@ app.get('/api/manual-data/defaults-status', async (req, res) => {
       for (const metric of ['bridgeSupply', 'collateralizationRatio']) {
         if (metrics[metric] !== undefined) {
           const key = `manual:${symbol.toLowerCase()}:${metric}`;
-          const existing = await redis.get(key);
+          const existing = await durableRedis.get(key);
           
           if (existing) {
             const parsed = JSON.parse(existing);
@@ -3380,41 +4714,394 @@ app.get('/api/manual-data/defaults-status', async (req, res) => {
   }
 });
 
+// ================= HISTORY ENDPOINTS =================
+// Time series of the per-stablecoin snapshots recorded on each scheduled refresh
+
+// GET /api/history/:symbol?metric=&from=&to=&interval= - Historical metric snapshots
+app.get('/api/history/:symbol', async (req, res) => {
+  try {
+    const { symbol } = req.params;
+    const { metric, from, to, interval } = req.query;
+
+    const stablecoin = getStablecoinBySymbol(symbol);
+    if (!stablecoin) {
+      return res.status(404).json({ error: `Unknown stablecoin: ${symbol}` });
+    }
+
+    if (!durableRedis.isReady) {
+      return res.status(503).json({ error: 'History storage unavailable - Redis not connected' });
+    }
+
+    if (interval && !HistoryStore.supportedIntervals.includes(interval)) {
+      return res.status(400).json({
+        error: 'Invalid interval',
+        supportedIntervals: HistoryStore.supportedIntervals
+      });
+    }
+
+    const fromDate = from ? new Date(from) : null;
+    const toDate = to ? new Date(to) : null;
+    if ((fromDate && isNaN(fromDate.getTime())) || (toDate && isNaN(toDate.getTime()))) {
+      return res.status(400).json({ error: 'from and to must be ISO dates or timestamps' });
+    }
+
+    const metrics = metric ? metric.split(',').map(m => m.trim()).filter(Boolean) : [];
+    const points = await historyStore.getHistory(stablecoin.symbol, {
+      metrics,
+      from: fromDate,
+      to: toDate,
+      interval
+    });
+
+    res.json({
+      success: true,
+      symbol: stablecoin.symbol,
+      metrics: metrics.length > 0 ? metrics : null,
+      from: fromDate ? fromDate.toISOString() : null,
+      to: toDate ? toDate.toISOString() : null,
+      interval: interval || null,
+      count: points.length,
+      data: points
+    });
+  } catch (error) {
+    logger.error('Error retrieving metric history:', error);
+    res.status(500).json({ error: 'Failed to retrieve metric history' });
+  }
+});
+
+// ================= ALERT ENDPOINTS =================
+// Rules are defined per symbol in config/alert-rules.js; operators can override them here
+
+// GET /api/alerts - Recent alerts, newest first (?symbol=USDe&limit=50)
+app.get('/api/alerts', async (req, res) => {
+  try {
+    if (!durableRedis.isReady) {
+      return res.status(503).json({ error: 'Alerting unavailable - Redis not connected' });
+    }
+
+    const { symbol } = req.query;
+    const limit = Math.min(parseInt(req.query.limit || '100', 10) || 100, 1000);
+    const alerts = await alertEngine.getAlerts({ symbol, limit });
+
+    res.json({
+      success: true,
+      count: alerts.length,
+      data: alerts
+    });
+  } catch (error) {
+    logger.error('Error retrieving alerts:', error);
+    res.status(500).json({ error: 'Failed to retrieve alerts' });
+  }
+});
+
+// GET /api/alerts/rules/:symbol - Active rules and currently firing rule ids for a stablecoin
+app.get('/api/alerts/rules/:symbol', async (req, res) => {
+  try {
+    const stablecoin = getStablecoinBySymbol(req.params.symbol);
+    if (!stablecoin) {
+      return res.status(404).json({ error: `Unknown stablecoin: ${req.params.symbol}` });
+    }
+    if (!durableRedis.isReady) {
+      return res.status(503).json({ error: 'Alerting unavailable - Redis not connected' });
+    }
+
+    const { rules, source } = await alertEngine.getRules(stablecoin.symbol);
+    const firing = await alertEngine.getFiring(stablecoin.symbol);
+
+    res.json({
+      success: true,
+      symbol: stablecoin.symbol,
+      source,
+      rules,
+      firing
+    });
+  } catch (error) {
+    logger.error('Error retrieving alert rules:', error);
+    res.status(500).json({ error: 'Failed to retrieve alert rules' });
+  }
+});
+
+// PUT /api/alerts/rules/:symbol - Operator endpoint to replace the rules for a stablecoin
+app.put('/api/alerts/rules/:symbol', requireRole('admin'), async (req, res) => {
+  try {
+    const stablecoin = getStablecoinBySymbol(req.params.symbol);
+    if (!stablecoin) {
+      return res.status(404).json({ error: `Unknown stablecoin: ${req.params.symbol}` });
+    }
+    if (!durableRedis.isReady) {
+      return res.status(503).json({ error: 'Alerting unavailable - Redis not connected' });
+    }
+
+    const { rules } = req.body;
+    if (!Array.isArray(rules)) {
+      return res.status(400).json({ error: 'rules must be an array' });
+    }
+
+    for (const rule of rules) {
+      const validationError = AlertEngine.validateRule(rule);
+      if (validationError) {
+        return res.status(400).json({ error: validationError, rule });
+      }
+    }
+    const ids = rules.map(rule => rule.id);
+    if (new Set(ids).size !== ids.length) {
+      return res.status(400).json({ error: 'Rule ids must be unique' });
+    }
+
+    const data = await alertEngine.setRules(stablecoin.symbol, rules, req.operator.name);
+    logger.info(`Alert rules updated for ${stablecoin.symbol} (${rules.length} rules)`);
+
+    res.json({
+      success: true,
+      message: 'Alert rules saved successfully',
+      symbol: stablecoin.symbol,
+      ...data
+    });
+  } catch (error) {
+    logger.error('Error saving alert rules:', error);
+    res.status(500).json({ error: 'Failed to save alert rules' });
+  }
+});
+
+// DELETE /api/alerts/rules/:symbol - Operator endpoint to drop the override and use config defaults
+app.delete('/api/alerts/rules/:symbol', requireRole('admin'), async (req, res) => {
+  try {
+    const stablecoin = getStablecoinBySymbol(req.params.symbol);
+    if (!stablecoin) {
+      return res.status(404).json({ error: `Unknown stablecoin: ${req.params.symbol}` });
+    }
+    if (!durableRedis.isReady) {
+      return res.status(503).json({ error: 'Alerting unavailable - Redis not connected' });
+    }
+
+    const deleted = await alertEngine.resetRules(stablecoin.symbol);
+    if (deleted > 0) {
+      logger.info(`Alert rules reset to defaults for ${stablecoin.symbol}`);
+      res.json({
+        success: true,
+        message: 'Alert rules reset to config defaults'
+      });
+    } else {
+      res.status(404).json({ error: 'No rule override found' });
+    }
+  } catch (error) {
+    logger.error('Error resetting alert rules:', error);
+    res.status(500).json({ error: 'Failed to reset alert rules' });
+  }
+});
+
+// ================= STRESS TEST ENDPOINTS =================
+
+// GET /api/stress-test/scenarios - Built-in and saved scenario presets
+app.get('/api/stress-test/scenarios', async (req, res) => {
+  try {
+    const scenarios = await stressScenarios.listScenarios();
+    
+    res.json({
+      success: true,
+      count: scenarios.length,
+      data: scenarios
+    });
+  } catch (error) {
+    logger.error('Error retrieving stress test scenarios:', error);
+    res.status(500).json({ error: 'Failed to retrieve stress test scenarios' });
+  }
+});
+
+// PUT /api/stress-test/scenarios/:id - Operator endpoint to save a named preset
+app.put('/api/stress-test/scenarios/:id', requireOperator, async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!StressScenarioStore.validateId(id)) {
+      return res.status(400).json({ error: 'Scenario id must be 2-48 lowercase letters, digits or dashes' });
+    }
+    if (stressScenarios.isBuiltIn(id)) {
+      return res.status(409).json({ error: `${id} is a built-in scenario - save it under a new id` });
+    }
+    
+    const validationError = StressScenarioStore.validateScenario(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+    if (!durableRedis.isReady) {
+      return res.status(503).json({ error: 'Saving scenarios unavailable - Redis not connected' });
+    }
+    
+    const scenario = await stressScenarios.saveScenario(id, req.body, req.operator.name);
+    logger.info(`Stress test scenario ${id} saved by ${req.operator.name}`);
+    
+    res.json({
+      success: true,
+      data: scenario
+    });
+  } catch (error) {
+    logger.error('Error saving stress test scenario:', error);
+    res.status(500).json({ error: 'Failed to save stress test scenario' });
+  }
+});
+
+// DELETE /api/stress-test/scenarios/:id - Operator endpoint to delete a saved preset
+app.delete('/api/stress-test/scenarios/:id', requireOperator, async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (stressScenarios.isBuiltIn(id)) {
+      return res.status(409).json({ error: 'Built-in scenarios cannot be deleted' });
+    }
+    
+    const deleted = await stressScenarios.deleteScenario(id);
+    if (deleted > 0) {
+      logger.info(`Stress test scenario ${id} deleted by ${req.operator.name}`);
+      res.json({
+        success: true,
+        message: `Scenario ${id} deleted`
+      });
+    } else {
+      res.status(404).json({ error: 'Scenario not found' });
+    }
+  } catch (error) {
+    logger.error('Error deleting stress test scenario:', error);
+    res.status(500).json({ error: 'Failed to delete stress test scenario' });
+  }
+});
+
+// POST /api/stress-test/run - Apply a preset ({ scenarioId }) or ad-hoc shocks ({ shocks }) to
+// the current metrics of every tracked stablecoin, or only those listed in { symbols }.
+// Viewer role required: an uncached run fans out to every upstream for each stablecoin.
+app.post('/api/stress-test/run', requireRole('viewer'), async (req, res) => {
+  try {
+    const { scenarioId, symbols } = req.body;
+    
+    let scenario = null;
+    let shocks = req.body.shocks;
+    if (scenarioId) {
+      scenario = await stressScenarios.getScenario(scenarioId);
+      if (!scenario) {
+        return res.status(404).json({ error: `Unknown scenario: ${scenarioId}` });
+      }
+      shocks = scenario.shocks;
+    }
+    
+    const validationError = validateShocks(shocks);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+    
+    let targets = trackedStablecoins;
+    if (Array.isArray(symbols) && symbols.length > 0) {
+      targets = symbols.map(symbol => getStablecoinBySymbol(symbol));
+      const unknown = symbols.filter((symbol, index) => !targets[index]);
+      if (unknown.length > 0) {
+        return res.status(404).json({ error: `Unknown stablecoin: ${unknown.join(', ')}` });
+      }
+    }
+    
+    // Sequential - uncached metric sets fan out into many upstream requests
+    const results = [];
+    for (const stablecoin of targets) {
+      try {
+        const { metrics } = await getStablecoinMetrics(stablecoin);
+        results.push({
+          symbol: stablecoin.symbol,
+          ...runStressTest(metrics, shocks, resolveFosModel(fosModelConfig, stablecoin.category))
+        });
+      } catch (error) {
+        logger.error(`Stress test failed for ${stablecoin.symbol}:`, error);
+        results.push({ symbol: stablecoin.symbol, error: error.message });
+      }
+    }
+    
+    res.json({
+      success: true,
+      scenario: scenario ? { id: scenario.id, name: scenario.name } : null,
+      shocks,
+      fosModelVersion: fosModelConfig.version,
+      ranAt: new Date().toISOString(),
+      data: results
+    });
+  } catch (error) {
+    logger.error('Error running stress test:', error);
+    res.status(500).json({ error: 'Failed to run stress test' });
+  }
+});
+
+// Record one snapshot per tracked stablecoin and evaluate its alert rules (called at the end of each refresh).
+// With SNAPSHOT_PIN_BLOCK=true every stablecoin's on-chain inputs are read at one shared block.
+async function recordHistorySnapshots() {
+  if (!durableRedis.isReady) return;
+
+  const takenAt = new Date();
+  let block = null;
+  if (process.env.SNAPSHOT_PIN_BLOCK === 'true') {
+    try {
+      block = await resolveSnapshotBlock();
+      logger.info(`History snapshots pinned to block ${block.number} (${block.timestamp})`);
+    } catch (error) {
+      logger.warn(`Could not resolve snapshot block, recording unpinned snapshots: ${error.message}`);
+    }
+  }
+
+  for (const stablecoin of trackedStablecoins) {
+    try {
+      const { metrics } = await computeStablecoinMetrics(stablecoin, { block });
+      const values = getMetricValues(metrics);
+      await historyStore.recordSnapshot(stablecoin.symbol, values, takenAt, {
+        fosModelVersion: metrics.factorOfSafety.modelVersion,
+        fosModelVariant: metrics.factorOfSafety.modelVariant,
+        block: block ? { number: block.number, timestamp: block.timestamp } : null,
+        // Metrics whose value leaves out inputs the service cannot read (e.g. non-Curve LP positions)
+        partialMetrics: metrics.insuranceFund.isPartial ? ['insuranceFund'] : []
+      });
+      for (const [metric, value] of Object.entries(values)) {
+        if (typeof value === 'number' && isFinite(value)) {
+          stablecoinRiskValue.set({ symbol: stablecoin.symbol, metric }, value);
+        }
+      }
+      stablecoinRiskUpdated.set({ symbol: stablecoin.symbol }, takenAt.getTime() / 1000);
+      logger.info(`History snapshot recorded for ${stablecoin.symbol}`);
+
+      const alerts = await alertEngine.evaluate(stablecoin.symbol, metrics, takenAt);
+      alerts.forEach(alert => logger.warn(`Alert ${alert.status}: ${alert.symbol} - ${alert.description}`));
+    } catch (error) {
+      logger.error(`History snapshot failed for ${stablecoin.symbol}:`, error);
+    }
+  }
+}
+
+// Log and count a finished refresh run's jobs and store it for /api/admin/refresh-runs
+async function recordRefreshRun(run) {
+  for (const job of run.jobs) {
+    refreshJobsTotal.inc({ source: job.source, status: job.status });
+    if (job.status === 'failed') {
+      logger.warn(`Refresh job ${job.id} failed (${job.consecutiveFailures} in a row): ${job.errors.join('; ')}`);
+    }
+  }
+  logger.info(`Refresh run ${run.id} (${run.trigger}): ${run.succeeded}/${run.total} jobs succeeded in ${run.durationMs}ms`);
+  
+  if (!durableRedis.isReady) return;
+  try {
+    await refreshRunHistory.record(run);
+  } catch (error) {
+    logger.error(`Failed to record refresh run ${run.id}:`, error);
+  }
+}
+
 // Simplified data refresh function aligned with dashboard protocols
 async function refreshAllData() {
+  if (refreshRunner.isRunning()) {
+    logger.warn('Skipping scheduled data refresh - previous run still in progress');
+    return;
+  }
+  
   logger.info('Starting scheduled data refresh...');
+  const startedAt = Date.now();
   
   try {
-    // Stablecoins for refresh - matching the StablecoinDashboard configuration
-    const coreStablecoins = [
-      { coingeckoIds: ['dai', 'usds'], symbol: 'USDS_DAI' }, // Include both DAI and USDS
-      { coingeckoIds: ['ethena-usde'], symbol: 'USDe' },
-      { coingeckoIds: ['resolv-usr'], symbol: 'USR' },
-      { coingeckoIds: ['elixir-deusd'], symbol: 'deUSD' },
-      { coingeckoIds: ['crvusd'], symbol: 'crvUSD' },
-      { coingeckoIds: ['openeden-open-dollar'], symbol: 'USDO' },
-      { coingeckoIds: ['f-x-protocol-fxusd'], symbol: 'fxUSD' },
-      { coingeckoIds: ['resupply-usd'], symbol: 'reUSD' }
-    ];
-
-
-    // Stablecoin refresh - market data for each CoinGecko ID
-    const stablecoinRefreshPromises = coreStablecoins.flatMap(stablecoin => 
-      stablecoin.coingeckoIds.map(coingeckoId => 
-        (async () => {
-          try {
-            const marketData = await coinGeckoFetcher.fetchCoinData(coingeckoId);
-            await cacheManager.setWithSmartTTL(`coingecko:market-data:${coingeckoId}`, marketData, 'market-data');
-            logger.info(`Light refresh stablecoin: ${coingeckoId} (${stablecoin.symbol})`);
-          } catch (error) {
-            logger.error(`Light refresh failed for stablecoin ${coingeckoId}:`, error);
-          }
-        })()
-      )
-    );
-
-    // Execute all refresh operations in parallel
-    await Promise.allSettled([...stablecoinRefreshPromises]);
+    // Warm every endpoint the dashboard reads for every configured stablecoin
+    const run = await refreshRunner.run(buildRefreshJobs(trackedStablecoins), { trigger: 'scheduled' });
+    await recordRefreshRun(run);
+    
+    // Persist a metric snapshot per stablecoin for the history API
+    await recordHistorySnapshots();
     
     // Clean up expired cache entries
     await cacheManager.cleanup();
@@ -3423,50 +5110,92 @@ async function refreshAllData() {
     lastRefreshTimestamp = new Date().toISOString();
     
     logger.info(`Scheduled data refresh completed at ${lastRefreshTimestamp}`);
+    refreshRunsTotal.inc({ status: 'success' });
   } catch (error) {
     logger.error('Error during data refresh:', error);
+    refreshRunsTotal.inc({ status: 'error' });
+  } finally {
+    refreshDuration.observe({}, (Date.now() - startedAt) / 1000);
   }
 }
 
+// Resolves true once both Redis clients are ready, or false after timeoutMs
+function waitForRedis(timeoutMs) {
+  const whenReady = (client) => client.isReady
+    ? Promise.resolve()
+    : new Promise(resolve => client.once('ready', resolve));
+  
+  return Promise.race([
+    Promise.all([whenReady(redis), whenReady(durableRedis)]).then(() => true),
+    new Promise(resolve => setTimeout(() => resolve(false), timeoutMs))
+  ]);
+}
+
+// Move durable keys written to the cache database before the split, the first time both
+// databases are reachable (at startup or after Redis comes back)
+let durableKeyMigration = null;
+function migrateDurableKeysOnce() {
+  if (durableKeyMigration || !redis.isReady || !durableRedis.isReady) return durableKeyMigration;
+  
+  durableKeyMigration = (async () => {
+    if (sharedDatabase) {
+      logger.warn('Cache and durable data share one Redis database - set DURABLE_REDIS_DB or DURABLE_REDIS_URL to separate them');
+      return;
+    }
+    const moved = await migrateDurableKeys(redis, durableRedis, logger);
+    if (moved > 0) {
+      logger.info(`Moved ${moved} durable keys from the cache database`);
+    }
+  })().catch(error => {
+    logger.error('Durable key migration failed:', error);
+    durableKeyMigration = null;
+  });
+  return durableKeyMigration;
+}
+
 // Initialize server
 async function startServer() {
   try {
     logger.info('Starting cache service...');
     logger.info(`Environment: NODE_ENV=${process.env.NODE_ENV}`);
     logger.info(`Port: ${PORT}`);
+    if (!process.env.OPERATOR_API_KEY) {
+      logger.warn('OPERATOR_API_KEY not set - no bootstrap admin; only existing operator accounts can sign in');
+    }
     
-    // Try to connect to Redis (but don't fail if it's not available)
-    try {
-      logger.info('Connecting to Redis...');
-      await redis.connect();
+    // Connect in the background; until Redis is reachable the cache runs in memory
+    logger.info('Connecting to Redis...');
+    redis.connect().catch(error => logger.error('Redis connect error:', error));
+    durableRedis.connect().catch(error => logger.error('Durable Redis connect error:', error));
+    
+    if (await waitForRedis(parseInt(process.env.REDIS_CONNECT_TIMEOUT_MS || '5000', 10))) {
       logger.info('Redis connection successful');
-      cacheManager = new CacheManager(redis);
-      
-      // Initialize stablecoin fetcher with Redis connection
-      stablecoinFetcher = new StablecoinFetcher(logger, redis);
-    } catch (redisError) {
-      logger.warn('Redis connection failed - service will run without caching:', redisError.message);
+      await migrateDurableKeysOnce();
+    } else {
+      logger.warn('Redis not reachable - serving from the in-memory cache and retrying in the background');
       logger.warn('This may result in slower response times and higher API usage');
-      // Set cacheManager to null - endpoints will handle this gracefully
-      cacheManager = null;
-      stablecoinFetcher = null;
     }
     
-    // Schedule data refresh every hour as requested (only if Redis is available)
-    if (cacheManager) {
-      cron.schedule('0 * * * *', refreshAllData);
-      
-      // Initial data refresh
-      setTimeout(async () => {
-        logger.info('Starting initial data refresh...');
-        await refreshAllData();
-      }, 5000); // 5 seconds after startup
-    }
+    stablecoinFetcher = new StablecoinFetcher(logger, redis, ethereumFetcher);
+    historyStore = new HistoryStore(durableRedis, parseInt(process.env.HISTORY_RETENTION_DAYS || '365', 10));
+    alertEngine = new AlertEngine(durableRedis, historyStore, alertRules, {
+      webhookUrls: (process.env.ALERT_WEBHOOK_URLS || '').split(',').map(url => url.trim()).filter(Boolean),
+      logger
+    });
+    
+    // Schedule data refresh every hour as requested
+    cron.schedule('0 * * * *', refreshAllData);
+    
+    // Initial data refresh
+    setTimeout(async () => {
+      logger.info('Starting initial data refresh...');
+      await refreshAllData();
+    }, 5000); // 5 seconds after startup
     
     app.listen(PORT, '0.0.0.0', () => {
       logger.info(`Cache service running on port ${PORT} (all interfaces)`);
       logger.info('Service fully initialized and ready to accept requests');
-      logger.info(`Redis caching: ${cacheManager ? 'ENABLED' : 'DISABLED'}`);
+      logger.info(`Redis caching: ${cacheManager.mode === 'redis' ? 'ENABLED' : 'DEGRADED (in-memory)'}`);
     });
   } catch (error) {
     logger.error('Failed to start server:', error);
@@ -3482,8 +5211,11 @@ async function startServer() {
 // Graceful shutdown
 process.on('SIGTERM', async () => {
   logger.info('SIGTERM received, shutting down gracefully');
-  if (redis.isOpen) {
-    await redis.quit();
+  // Clients still retrying the connection can only be disconnected
+  for (const client of [redis, durableRedis]) {
+    if (client.isOpen) {
+      await (client.isReady ? client.quit() : client.disconnect());
+    }
   }
   process.exit(0);
 });
@@ -0,0 +1,215 @@
+// ================= ALERT ENGINE =================
+// Evaluates per-stablecoin alert rules against freshly computed metric sets, records
+// alerts in Redis and POSTs them to the configured webhooks.
+// An alert is emitted when a rule starts firing and again (status 'resolved') when it clears,
+// so a breach that persists across refreshes is only reported once.
+
+import axios from 'axios';
+
+const RULE_TYPES = ['threshold', 'ratio', 'change'];
+const OPERATORS = {
+  '<': (a, b) => a < b,
+  '<=': (a, b) => a <= b,
+  '>': (a, b) => a > b,
+  '>=': (a, b) => a >= b
+};
+const WINDOW_UNITS = { h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+function parseWindow(window) {
+  const match = /^(\d+)([hd])$/.exec(window || '');
+  return match ? parseInt(match[1], 10) * WINDOW_UNITS[match[2]] : null;
+}
+
+// Metric values that are placeholders or unavailable should not trigger alerts
+function getUsableValue(metricSet, metric) {
+  const entry = metricSet[metric];
+  if (!entry || entry.isUnavailable || entry.isPlaceholder) return null;
+  return typeof entry.value === 'number' && isFinite(entry.value) ? entry.value : null;
+}
+
+export class AlertEngine {
+  constructor(redisClient, historyStore, defaultRules = {}, options = {}) {
+    this.redis = redisClient;
+    this.historyStore = historyStore;
+    this.defaultRules = defaultRules;
+    this.webhookUrls = options.webhookUrls || [];
+    this.maxAlerts = options.maxAlerts || 1000;
+    this.logger = options.logger || console;
+  }
+
+  getRulesKey(symbol) {
+    return `alerts:rules:${symbol.toLowerCase()}`;
+  }
+
+  getStateKey(symbol) {
+    return `alerts:state:${symbol.toLowerCase()}`;
+  }
+
+  /**
+   * Validate a rule definition
+   * @param {object} rule - Rule as described in config/alert-rules.js
+   * @returns {string|null} - Error message, or null if the rule is valid
+   */
+  static validateRule(rule) {
+    if (!rule || typeof rule !== 'object') return 'Rule must be an object';
+    if (!rule.id || typeof rule.id !== 'string') return 'Rule id is required';
+    if (!RULE_TYPES.includes(rule.type)) return `Rule type must be one of: ${RULE_TYPES.join(', ')}`;
+    if (!rule.metric || typeof rule.metric !== 'string') return 'Rule metric is required';
+    if (!OPERATORS[rule.operator]) return `Rule operator must be one of: ${Object.keys(OPERATORS).join(', ')}`;
+    if (typeof rule.value !== 'number' || !isFinite(rule.value)) return 'Rule value must be a number';
+    if (rule.type === 'ratio' && !rule.relativeTo) return 'Ratio rules require relativeTo';
+    if (rule.type === 'change' && !parseWindow(rule.window)) return 'Change rules require a window such as "24h" or "7d"';
+    return null;
+  }
+
+  /**
+   * Get the active rules for a stablecoin (operator override, else config defaults)
+   * @param {string} symbol - Stablecoin symbol
+   * @returns {Promise<object>} - { rules, source: 'override'|'config' }
+   */
+  async getRules(symbol) {
+    const stored = await this.redis.get(this.getRulesKey(symbol));
+    if (stored) {
+      return { rules: JSON.parse(stored).rules, source: 'override' };
+    }
+    return { rules: this.defaultRules[symbol] || [], source: 'config' };
+  }
+
+  async setRules(symbol, rules, updatedBy = 'operator') {
+    const data = { rules, lastUpdated: new Date().toISOString(), updatedBy };
+    // No expiration - rule overrides persist like manual data
+    await this.redis.set(this.getRulesKey(symbol), JSON.stringify(data));
+    return data;
+  }
+
+  async resetRules(symbol) {
+    return await this.redis.del(this.getRulesKey(symbol));
+  }
+
+  /**
+   * Recent alerts, newest first
+   * @param {object} options - { symbol, limit }
+   */
+  async getAlerts({ symbol = null, limit = 100 } = {}) {
+    const entries = await this.redis.lRange('alerts:log', 0, this.maxAlerts - 1);
+    const alerts = entries
+      .map(entry => JSON.parse(entry))
+      .filter(alert => !symbol || alert.symbol.toLowerCase() === symbol.toLowerCase());
+    return alerts.slice(0, limit);
+  }
+
+  // Rule ids currently in the firing state for a stablecoin
+  async getFiring(symbol) {
+    return await this.redis.sMembers(this.getStateKey(symbol));
+  }
+
+  getCurrentValue(rule, metricSet) {
+    const value = getUsableValue(metricSet, rule.metric);
+    if (value === null) return null;
+
+    if (rule.type === 'ratio') {
+      const base = getUsableValue(metricSet, rule.relativeTo);
+      return base ? value / base : null;
+    }
+    return value;
+  }
+
+  // Fractional change against the oldest snapshot inside the rule's window
+  async getChange(symbol, rule, value, evaluatedAt) {
+    if (!this.historyStore) return null;
+
+    const windowMs = parseWindow(rule.window);
+    const points = await this.historyStore.getHistory(symbol, {
+      metrics: [rule.metric],
+      from: new Date(evaluatedAt.getTime() - windowMs),
+      to: new Date(evaluatedAt.getTime() - 1)
+    });
+    const baseline = points.find(point => point.metrics[rule.metric])?.metrics[rule.metric];
+
+    return baseline ? { change: (value - baseline) / baseline, baseline } : null;
+  }
+
+  async evaluateRule(symbol, rule, metricSet, evaluatedAt) {
+    const value = this.getCurrentValue(rule, metricSet);
+    if (value === null) return null;
+
+    if (rule.type === 'change') {
+      const result = await this.getChange(symbol, rule, value, evaluatedAt);
+      if (!result) return null;
+      return {
+        firing: OPERATORS[rule.operator](result.change, rule.value),
+        observed: result.change,
+        current: value,
+        baseline: result.baseline
+      };
+    }
+
+    return { firing: OPERATORS[rule.operator](value, rule.value), observed: value };
+  }
+
+  /**
+   * Evaluate all enabled rules for a stablecoin and emit alerts for state changes
+   * @param {string} symbol - Stablecoin symbol
+   * @param {object} metricSet - Result of buildMetricSet
+   * @param {Date} evaluatedAt - Refresh time
+   * @returns {Promise<Array>} - Alerts emitted by this evaluation
+   */
+  async evaluate(symbol, metricSet, evaluatedAt = new Date()) {
+    const { rules } = await this.getRules(symbol);
+    const firing = new Set(await this.getFiring(symbol));
+    const emitted = [];
+
+    for (const rule of rules.filter(rule => rule.enabled !== false)) {
+      try {
+        const result = await this.evaluateRule(symbol, rule, metricSet, evaluatedAt);
+        // Not enough data to decide - keep the previous state
+        if (!result) continue;
+
+        const { firing: isFiring, ...observation } = result;
+        if (isFiring === firing.has(rule.id)) continue;
+
+        const alert = {
+          id: `${symbol.toLowerCase()}:${rule.id}:${evaluatedAt.getTime()}`,
+          symbol,
+          ruleId: rule.id,
+          description: rule.description || rule.id,
+          severity: rule.severity || 'warning',
+          status: isFiring ? 'firing' : 'resolved',
+          metric: rule.metric,
+          ...observation,
+          threshold: rule.value,
+          timestamp: evaluatedAt.toISOString()
+        };
+
+        if (isFiring) {
+          await this.redis.sAdd(this.getStateKey(symbol), rule.id);
+        } else {
+          await this.redis.sRem(this.getStateKey(symbol), rule.id);
+        }
+        await this.recordAlert(alert);
+        emitted.push(alert);
+      } catch (error) {
+        this.logger.error(`Alert rule ${rule.id} failed for ${symbol}: ${error.message}`);
+      }
+    }
+
+    return emitted;
+  }
+
+  async recordAlert(alert) {
+    await this.redis.lPush('alerts:log', JSON.stringify(alert));
+    await this.redis.lTrim('alerts:log', 0, this.maxAlerts - 1);
+    await this.notify(alert);
+  }
+
+  // Webhook failures are logged but never block evaluation
+  async notify(alert) {
+    await Promise.allSettled(this.webhookUrls.map(async url => {
+      try {
+        await axios.post(url, alert, { timeout: 10000 });
+      } catch (error) {
+        this.logger.warn(`Alert webhook ${url} failed: ${error.message}`);
+      }
+    }));
+  }
+}
@@ -0,0 +1,93 @@
+// ================= BRIDGE ADAPTERS =================
+// On-chain "Supply secured by bridge". Each stablecoin lists its bridges under bridgeAdapters in
+// config/stablecoins.js; the adapter for an entry's type turns it into an amount of tokens that
+// back supply on other chains. Amounts are whole tokens, like the other supply metrics.
+// Operators can still override the total through the bridgeSupply manual entry.
+// A block number pins the mainnet reads; remote-chain supplies read their latest block.
+
+import { DEFAULT_CHAIN } from '../config/chains.js';
+
+async function readTokenBalance(ethereumFetcher, tokenAddress, holderAddress, blockTag = null) {
+  const [balance, decimals] = await Promise.all([
+    ethereumFetcher.getTokenBalanceFormatted(tokenAddress, holderAddress, DEFAULT_CHAIN, blockTag),
+    ethereumFetcher.getTokenDecimalsFormatted(tokenAddress)
+  ]);
+  if (balance.balance === null) throw new Error(balance.error);
+  return balance.balance / Math.pow(10, decimals.decimals);
+}
+
+async function readTokenSupply(ethereumFetcher, tokenAddress, chain) {
+  const [supply, decimals] = await Promise.all([
+    ethereumFetcher.getTotalSupplyFormatted(tokenAddress, chain),
+    ethereumFetcher.getTokenDecimalsFormatted(tokenAddress, chain)
+  ]);
+  if (supply.totalSupply === null) throw new Error(supply.error);
+  return supply.totalSupply / Math.pow(10, decimals.decimals);
+}
+
+// Adapter per bridge type: required config fields and how the secured amount is read
+export const BRIDGE_ADAPTERS = {
+  // LayerZero OFT adapter: mainnet tokens are locked in the adapter while OFTs are minted elsewhere,
+  // so the secured amount is the adapter's balance or, per remote chain, the OFT supply minted there
+  'layerzero-oft-adapter': {
+    required: config => config.adapter ? ['token', 'adapter'] : ['remoteChain', 'remoteToken'],
+    fetch: (config, ethereumFetcher, blockTag) => config.adapter
+      ? readTokenBalance(ethereumFetcher, config.token, config.adapter, blockTag)
+      : readTokenSupply(ethereumFetcher, config.remoteToken, config.remoteChain)
+  },
+  // Canonical rollup bridge: deposits are escrowed in the L1 gateway or escrow contract
+  'canonical-bridge': {
+    required: ['token', 'escrow'],
+    fetch: (config, ethereumFetcher, blockTag) => readTokenBalance(ethereumFetcher, config.token, config.escrow, blockTag)
+  },
+  // Chainlink CCIP token pool: lock-release pools hold the tokens; burn-mint pools burn them on
+  // mainnet, so the secured amount is the token supply minted on the remote chain
+  'ccip-pool': {
+    required: config => config.mode === 'burn-mint' ? ['remoteChain', 'remoteToken'] : ['token', 'pool'],
+    fetch: (config, ethereumFetcher, blockTag) => config.mode === 'burn-mint'
+      ? readTokenSupply(ethereumFetcher, config.remoteToken, config.remoteChain)
+      : readTokenBalance(ethereumFetcher, config.token, config.pool, blockTag)
+  }
+};
+
+/**
+ * Check a bridgeAdapters entry against its adapter
+ * @param {object} config - Entry from a stablecoin's bridgeAdapters
+ * @returns {string|null} - Error message, or null if the entry is valid
+ */
+export function validateBridgeAdapter(config) {
+  const adapter = BRIDGE_ADAPTERS[config?.type];
+  if (!adapter) return `Unknown bridge type: ${config?.type}`;
+
+  const required = typeof adapter.required === 'function' ? adapter.required(config) : adapter.required;
+  const missing = required.filter(field => !config[field]);
+  return missing.length > 0 ? `${config.type} requires ${missing.join(', ')}` : null;
+}
+
+/**
+ * Read every configured bridge of a stablecoin
+ * @param {object} stablecoin - Stablecoin config with bridgeAdapters
+ * @param {EthereumFetcher} ethereumFetcher - RPC access (chain-aware)
+ * @param {number|null} blockTag - Mainnet block to read at (null for latest)
+ * @returns {Promise<object>} - { total, breakdown: [{ name, type, amount, error }], failed }
+ */
+export async function computeBridgeSupply(stablecoin, ethereumFetcher, blockTag = null) {
+  const breakdown = await Promise.all((stablecoin.bridgeAdapters || []).map(async config => {
+    const entry = { name: config.name || config.type, type: config.type, remoteChain: config.remoteChain || null };
+
+    const validationError = validateBridgeAdapter(config);
+    if (validationError) return { ...entry, amount: null, error: validationError };
+
+    try {
+      return { ...entry, amount: await BRIDGE_ADAPTERS[config.type].fetch(config, ethereumFetcher, blockTag), error: null };
+    } catch (error) {
+      return { ...entry, amount: null, error: error.message };
+    }
+  }));
+
+  return {
+    total: breakdown.reduce((sum, entry) => sum + (entry.amount || 0), 0),
+    breakdown,
+    failed: breakdown.filter(entry => entry.amount === null).length
+  };
+}
@@ -12,6 +12,7 @@ export class CoinGeckoFetcher {
 
     // Initialize request queue with optimized rate limits for CoinGecko Pro
     this.requestQueue = new RequestQueue({
+      name: 'coingecko',
       concurrency: 4, // CoinGecko Pro allows moderate concurrency
       requestsPerSecond: 6, // Conservative rate limiting for Pro API
       retryAttempts: 2, // Reduced from 3 - fail faster
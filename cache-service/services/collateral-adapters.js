@@ -0,0 +1,269 @@
+// ================= COLLATERALIZATION RATIO ADAPTERS =================
+// On-chain collateralization ratio for stablecoins whose backing is readable from contract state.
+// Each stablecoin lists its adapters under collateralAdapters in config/stablecoins.js; the adapter
+// for an entry's type returns the USD value of the collateral and the stablecoin debt it backs.
+// The ratio is collateral / debt summed over all entries (1.5 = 150%), like the manual entries.
+// Every eth_call made is recorded so the dashboard can show which addresses and calls were used.
+// The collateralizationRatio manual entry stays as the fallback when no adapter result exists.
+// A block number pins the mainnet reads; adapters on other chains read their latest block.
+
+import { DEFAULT_CHAIN } from '../config/chains.js';
+
+// Relative difference between the on-chain and the manual ratio that raises a divergence warning
+export const CR_DIVERGENCE_THRESHOLD = 0.05;
+
+const SELECTORS = {
+  'balanceOf(address)': '0x70a08231',
+  'decimals()': '0x313ce567',
+  'totalSupply()': '0x18160ddd',
+  'latestAnswer()': '0x50d25bcd',
+  // Wrapped LST exchange rate (wstETH), for reserve positions priced through the unwrapped feed
+  'stEthPerToken()': '0x035faf82',
+  // Curve crvUSD ControllerFactory / Controller / LLAMMA
+  'n_collaterals()': '0x12397fa1',
+  'controllers(uint256)': '0xe94b0dd2',
+  'amms(uint256)': '0x86a8cdbc',
+  'collaterals(uint256)': '0x24c1173b',
+  'total_debt()': '0x31dc3ca8',
+  'price_oracle()': '0x86fc88d3',
+  // Resupply registry, pairs (Fraxlend-style) and their ERC-4626 collateral
+  'registeredPairsLength()': '0x23103b7d',
+  'registeredPairs(uint256)': '0xb1fc7008',
+  'totalBorrow()': '0x8285ef40',
+  'totalCollateral()': '0x4ac8eb5f',
+  'collateral()': '0xd8dfeb45',
+  'asset()': '0x38d52e0f',
+  'convertToAssets(uint256)': '0x07a2d13a'
+};
+
+function encodeArg(arg) {
+  const hex = typeof arg === 'string' && arg.startsWith('0x') ? arg.slice(2) : BigInt(arg).toString(16);
+  return hex.toLowerCase().padStart(64, '0');
+}
+
+// Word of an eth_call result as BigInt (tuples: index selects the word)
+function decodeWord(result, index = 0) {
+  const word = result?.slice(2 + index * 64, 2 + (index + 1) * 64);
+  if (!word) throw new Error('Empty eth_call result');
+  return BigInt(`0x${word}`);
+}
+
+function toUnits(value, decimals) {
+  return Number(value) / Math.pow(10, Number(decimals));
+}
+
+// eth_call helper that records every call with its decoded result
+function createReader(ethereumFetcher, chain = DEFAULT_CHAIN, blockTag = null) {
+  const calls = [];
+  // Block numbers are per chain, so only mainnet reads are pinned
+  const block = chain === DEFAULT_CHAIN ? blockTag : null;
+
+  // Decoded value is formatted by the caller; entry.result keeps the formatted value
+  const call = async (address, signature, args, index, format) => {
+    const selector = SELECTORS[signature];
+    if (!selector) throw new Error(`No selector for ${signature}`);
+
+    const entry = { chain, address, call: signature.replace(/\(.*\)/, `(${args.join(', ')})`), result: null };
+    calls.push(entry);
+
+    const result = await ethereumFetcher.makeRpcCall('eth_call', [
+      { to: address, data: selector + args.map(encodeArg).join('') },
+      'latest'
+    ], chain, block);
+    const value = format(decodeWord(result, index));
+    entry.result = value.toString();
+    return value;
+  };
+
+  return {
+    calls,
+    uint: (address, signature, args = [], index = 0) => call(address, signature, args, index, value => value),
+    address: (address, signature, args = []) =>
+      call(address, signature, args, 0, value => `0x${value.toString(16).padStart(40, '0')}`)
+  };
+}
+
+async function readPriceUsd(reader, config) {
+  // Wrapped tokens are priced as the unwrapped asset times the token's own exchange rate (18 decimals)
+  const rate = config.rate ? toUnits(await reader.uint(config.token, config.rate), 18) : 1;
+  if (!config.priceFeed) return config.priceUsd * rate;
+
+  // Chainlink aggregator answer in feed decimals
+  const [answer, decimals] = await Promise.all([
+    reader.uint(config.priceFeed, 'latestAnswer()'),
+    reader.uint(config.priceFeed, 'decimals()')
+  ]);
+  return toUnits(answer, decimals) * rate;
+}
+
+// Pair addresses of a Resupply registry, or the configured list
+async function readResupplyPairs(config, reader) {
+  if (!config.registry) return config.pairs;
+
+  const count = Number(await reader.uint(config.registry, 'registeredPairsLength()'));
+  return Promise.all(Array.from({ length: count }, (_, i) =>
+    reader.address(config.registry, 'registeredPairs(uint256)', [i])));
+}
+
+// Adapter per protocol type: required config fields and how collateral and debt are read
+export const CR_ADAPTERS = {
+  // Curve crvUSD mint markets: every Controller registered in the ControllerFactory; collateral is
+  // what its LLAMMA holds (collateral token at the AMM oracle price, plus crvUSD from soft
+  // liquidation), debt is the Controller's total_debt
+  'curve-controllers': {
+    required: ['factory'],
+    fetch: async (config, reader) => {
+      const count = Number(await reader.uint(config.factory, 'n_collaterals()'));
+      const markets = await Promise.all(Array.from({ length: count }, async (_, i) => {
+        const [controller, amm, collateral] = await Promise.all([
+          reader.address(config.factory, 'controllers(uint256)', [i]),
+          reader.address(config.factory, 'amms(uint256)', [i]),
+          reader.address(config.factory, 'collaterals(uint256)', [i])
+        ]);
+        const [debt, price, collateralBalance, collateralDecimals, stablecoinBalance] = await Promise.all([
+          reader.uint(controller, 'total_debt()'),
+          reader.uint(amm, 'price_oracle()'),
+          reader.uint(collateral, 'balanceOf(address)', [amm]),
+          reader.uint(collateral, 'decimals()'),
+          config.stablecoin ? reader.uint(config.stablecoin, 'balanceOf(address)', [amm]) : 0n
+        ]);
+
+        return {
+          collateralUsd: toUnits(collateralBalance, collateralDecimals) * toUnits(price, 18) + toUnits(stablecoinBalance, 18),
+          debt: toUnits(debt, 18)
+        };
+      }));
+
+      return {
+        collateralUsd: markets.reduce((sum, market) => sum + market.collateralUsd, 0),
+        debt: markets.reduce((sum, market) => sum + market.debt, 0)
+      };
+    }
+  },
+  // Resupply pairs (every pair of the registry, or an explicit pairs list): each pair's collateral is
+  // an ERC-4626 vault share (totalCollateral shares, valued through convertToAssets at
+  // underlyingPriceUsd, default 1 for stablecoin vaults) and its debt is totalBorrow().amount
+  'resupply-pairs': {
+    required: config => config.registry ? ['registry'] : ['pairs'],
+    fetch: async (config, reader) => {
+      const underlyingPriceUsd = config.underlyingPriceUsd ?? 1;
+      const pairAddresses = await readResupplyPairs(config, reader);
+      const pairs = await Promise.all(pairAddresses.map(async pair => {
+        const [debt, shares, vault] = await Promise.all([
+          reader.uint(pair, 'totalBorrow()', [], 0),
+          reader.uint(pair, 'totalCollateral()'),
+          reader.address(pair, 'collateral()')
+        ]);
+        const underlying = await reader.address(vault, 'asset()');
+        const [assets, decimals] = await Promise.all([
+          reader.uint(vault, 'convertToAssets(uint256)', [shares]),
+          reader.uint(underlying, 'decimals()')
+        ]);
+
+        return { collateralUsd: toUnits(assets, decimals) * underlyingPriceUsd, debt: toUnits(debt, 18) };
+      }));
+
+      return {
+        collateralUsd: pairs.reduce((sum, pair) => sum + pair.collateralUsd, 0),
+        debt: pairs.reduce((sum, pair) => sum + pair.debt, 0)
+      };
+    }
+  },
+  // Reserve balances: collateral tokens held by protocol contracts (e.g. f(x) pools), each priced
+  // by a Chainlink feed (priceFeed) or a fixed priceUsd, optionally times the token's exchange
+  // rate (rate, e.g. stEthPerToken() for wstETH), against the supply of debtToken
+  'reserve-balances': {
+    required: ['collateral', 'debtToken'],
+    fetch: async (config, reader) => {
+      const holdings = await Promise.all(config.collateral.map(async position => {
+        if (!position.token || !position.holder || (position.priceFeed === undefined && position.priceUsd === undefined)) {
+          throw new Error('collateral entries require token, holder and priceFeed or priceUsd');
+        }
+        const [balance, decimals, priceUsd] = await Promise.all([
+          reader.uint(position.token, 'balanceOf(address)', [position.holder]),
+          reader.uint(position.token, 'decimals()'),
+          readPriceUsd(reader, position)
+        ]);
+        return toUnits(balance, decimals) * priceUsd;
+      }));
+      const [supply, decimals] = await Promise.all([
+        reader.uint(config.debtToken, 'totalSupply()'),
+        reader.uint(config.debtToken, 'decimals()')
+      ]);
+
+      return { collateralUsd: holdings.reduce((sum, value) => sum + value, 0), debt: toUnits(supply, decimals) };
+    }
+  }
+};
+
+/**
+ * Check a collateralAdapters entry against its adapter
+ * @param {object} config - Entry from a stablecoin's collateralAdapters
+ * @returns {string|null} - Error message, or null if the entry is valid
+ */
+export function validateCollateralAdapter(config) {
+  const adapter = CR_ADAPTERS[config?.type];
+  if (!adapter) return `Unknown collateral adapter type: ${config?.type}`;
+
+  const required = typeof adapter.required === 'function' ? adapter.required(config) : adapter.required;
+  const missing = required.filter(field =>
+    Array.isArray(config[field]) ? config[field].length === 0 : !config[field]);
+  return missing.length > 0 ? `${config.type} requires ${missing.join(', ')}` : null;
+}
+
+/**
+ * Read every configured collateral adapter of a stablecoin
+ * @param {object} stablecoin - Stablecoin config with collateralAdapters
+ * @param {EthereumFetcher} ethereumFetcher - RPC access (chain-aware)
+ * @param {number|null} blockTag - Mainnet block to read at (null for latest)
+ * @returns {Promise<object>} - { ratio, collateralUsd, debt, breakdown: [{ name, type, chain,
+ *   collateralUsd, debt, ratio, calls, error }], failed }; ratio is null without debt
+ */
+export async function computeCollateralizationRatio(stablecoin, ethereumFetcher, blockTag = null) {
+  const breakdown = await Promise.all((stablecoin.collateralAdapters || []).map(async config => {
+    const chain = config.chain || DEFAULT_CHAIN;
+    const entry = { name: config.name || config.type, type: config.type, chain };
+    const empty = { collateralUsd: null, debt: null, ratio: null, calls: [] };
+
+    const validationError = validateCollateralAdapter(config);
+    if (validationError) return { ...entry, ...empty, error: validationError };
+
+    const reader = createReader(ethereumFetcher, chain, blockTag);
+    try {
+      const { collateralUsd, debt } = await CR_ADAPTERS[config.type].fetch(config, reader);
+      return { ...entry, collateralUsd, debt, ratio: debt > 0 ? collateralUsd / debt : null, calls: reader.calls, error: null };
+    } catch (error) {
+      return { ...entry, ...empty, calls: reader.calls, error: error.message };
+    }
+  }));
+
+  const collateralUsd = breakdown.reduce((sum, entry) => sum + (entry.collateralUsd || 0), 0);
+  const debt = breakdown.reduce((sum, entry) => sum + (entry.debt || 0), 0);
+
+  return {
+    ratio: debt > 0 ? collateralUsd / debt : null,
+    collateralUsd,
+    debt,
+    breakdown,
+    failed: breakdown.filter(entry => entry.error).length
+  };
+}
+
+/**
+ * Compare an on-chain ratio with the operator-entered one
+ * @param {number} onchainRatio - Ratio from computeCollateralizationRatio
+ * @param {number|null} manualRatio - collateralizationRatio manual entry, if any
+ * @returns {object|null} - { manual, onchain, difference, warning }; difference is relative to the
+ *   manual value, warning is set above CR_DIVERGENCE_THRESHOLD. Null without a manual value.
+ */
+export function compareWithManual(onchainRatio, manualRatio) {
+  if (!manualRatio || onchainRatio === null || onchainRatio === undefined) return null;
+
+  const difference = (onchainRatio - manualRatio) / manualRatio;
+  return {
+    manual: manualRatio,
+    onchain: onchainRatio,
+    difference,
+    warning: Math.abs(difference) > CR_DIVERGENCE_THRESHOLD
+  };
+}
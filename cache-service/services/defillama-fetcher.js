@@ -21,6 +21,7 @@ export class DefiLlamaFetcher {
     
     // Initialize request queue with conservative rate limits for DefiLlama
     this.requestQueue = new RequestQueue({
+      name: 'defillama',
       concurrency: 2, // Max 2 concurrent requests
       requestsPerSecond: 3, // Conservative rate limit (3 requests per second)
       retryAttempts: 3,
@@ -0,0 +1,61 @@
+// ================= DURABLE STORE =================
+// Operator-owned data (manual entries and their history, metric history, alert rules/state,
+// operator accounts, stress test presets, refresh run history) lives in a separate Redis
+// database from disposable cache entries, so cache flushes can only ever clear cached upstream responses.
+
+import { commandOptions } from 'redis';
+
+export const DURABLE_KEY_PREFIXES = ['manual:', 'manual-history:', 'history:', 'alerts:', 'operators:', 'stress:', 'refresh:'];
+
+export function isDurableKey(key) {
+  return DURABLE_KEY_PREFIXES.some(prefix => key.startsWith(prefix));
+}
+
+/**
+ * Move durable keys written to the cache database (before the split) into the durable database.
+ * Keys that already exist in the durable database are left alone in both places.
+ * @returns {Promise<number>} - Number of keys moved
+ */
+export async function migrateDurableKeys(cacheClient, durableClient, logger = console) {
+  let moved = 0;
+
+  for (const prefix of DURABLE_KEY_PREFIXES) {
+    for await (const key of cacheClient.scanIterator({ MATCH: `${prefix}*`, COUNT: 500 })) {
+      if (await durableClient.exists(key)) {
+        logger.warn(`Durable key ${key} exists in both databases - keeping the durable copy`);
+        continue;
+      }
+
+      const dump = await cacheClient.dump(commandOptions({ returnBuffers: true }), key);
+      if (!dump) continue;
+
+      await durableClient.restore(key, 0, dump);
+      await cacheClient.del(key);
+      moved++;
+    }
+  }
+
+  return moved;
+}
+
+/**
+ * Clear cached upstream data only.
+ * With a dedicated cache database this is FLUSHDB; when cache and durable data share a
+ * database (misconfiguration), cache keys are deleted one by one and durable keys are kept.
+ * @returns {Promise<object>} - { action, keysDeleted }
+ */
+export async function flushCacheData(cacheClient, sharedDatabase) {
+  if (!sharedDatabase) {
+    const keysDeleted = await cacheClient.dbSize();
+    await cacheClient.flushDb();
+    return { action: 'flush_db', keysDeleted };
+  }
+
+  let keysDeleted = 0;
+  for await (const key of cacheClient.scanIterator({ COUNT: 500 })) {
+    if (!isDurableKey(key)) {
+      keysDeleted += await cacheClient.del(key);
+    }
+  }
+  return { action: 'delete_cache_keys', keysDeleted };
+}
@@ -1,13 +1,59 @@
 import axios from 'axios';
 import { RequestQueue, generateCacheKey } from './request-queue.js';
+import { DEFAULT_CHAIN, getRpcUrls } from '../config/chains.js';
+import { MULTICALL3_ADDRESS, MULTICALL_CHUNK_SIZE, encodeAggregate3, decodeAggregate3 } from './multicall.js';
+
+// Multicall results: null when the call reverted or the target returned nothing (not a contract)
+function decodeUint(result) {
+  return result?.success && result.returnData.length > 2 ? BigInt(result.returnData.slice(0, 66)) : null;
+}
+
+function decodeAddress(result) {
+  return result?.success && result.returnData.length >= 66 ? '0x' + result.returnData.slice(26, 66) : null;
+}
+
+function decodeWords(result) {
+  if (!result?.success || result.returnData.length < 66) return null;
+  const hex = result.returnData.slice(2);
+  return Array.from({ length: Math.floor(hex.length / 64) }, (_, i) => BigInt(`0x${hex.slice(i * 64, i * 64 + 64)}`));
+}
+
+function encodeArgument(value) {
+  return (typeof value === 'string' ? value.slice(2) : value.toString(16)).toLowerCase().padStart(64, '0');
+}
+
+// Aave V3 core market Pool on Ethereum mainnet
+const AAVE_V3_POOL = '0x87870bca3f3fd6335c3f4ce8392d69350b4fa4e2';
+// E-mode category ids are assigned from 1 upwards; ids up to this are scanned for reserve membership
+const AAVE_EMODE_CATEGORY_SCAN = 64;
+// The e-mode category table is pool-wide and changes only through governance, so one scan is reused
+const AAVE_EMODE_CATEGORIES_TTL_MS = 6 * 60 * 60 * 1000;
+const RAY = 10n ** 27n;
+
+// Bits [offset, offset + size) of an Aave ReserveConfigurationMap
+function configBits(configuration, offset, size) {
+  return (configuration >> BigInt(offset)) & ((1n << BigInt(size)) - 1n);
+}
+
+// Position of the block parameter for methods that read state at a block
+const BLOCK_PARAM_INDEX = {
+  eth_call: 1,
+  eth_getBalance: 1
+};
+
+// Block number (or hex quantity / named tag) as a JSON-RPC block parameter
+function toBlockParam(blockTag) {
+  return typeof blockTag === 'number' ? '0x' + blockTag.toString(16) : blockTag;
+}
 
 export class EthereumFetcher {
-  constructor() {
-    this.primaryRpcUrl = process.env.ETH_RPC_URL || 'https://eth.llamarpc.com';
-    this.fallbackRpcUrl = process.env.ETH_RPC_URL_FALLBACK || 'https://rpc.ankr.com/eth';
+  constructor(priceFetcher = null) {
+    [this.primaryRpcUrl, this.fallbackRpcUrl] = getRpcUrls(DEFAULT_CHAIN);
+    this.priceFetcher = priceFetcher; // DefiLlamaFetcher, prices Euler vault assets
     
     // Initialize request queue with optimized settings for Ethereum RPC
     this.requestQueue = new RequestQueue({
+      name: 'ethereum',
       concurrency: 6, // Ethereum RPC can handle more concurrent requests
       requestsPerSecond: 10, // Higher rate limit for RPC calls
       retryAttempts: 2, // Fail faster for RPC calls
@@ -17,15 +63,30 @@ export class EthereumFetcher {
       circuitTimeout: 30000 // Shorter timeout for RPC recovery
     });
     
+    // Aave e-mode category scan: { promise, fetchedAt }, shared by concurrent and later reads
+    this.aaveEModeCategories = null;
+    
     console.log('EthereumFetcher initialized with request queue');
   }
 
-  async makeRpcCall(method, params = []) {
+  /**
+   * JSON-RPC call against a chain's primary endpoint, retried once on its fallback
+   * @param {string} chain - Chain key from config/chains.js (default mainnet)
+   * @param {number|string|null} blockTag - Block to read state at (eth_call, eth_getBalance);
+   *   replaces the block parameter given in params. Older blocks need an archive node.
+   */
+  async makeRpcCall(method, params = [], chain = DEFAULT_CHAIN, blockTag = null) {
+    const [primaryRpcUrl, fallbackRpcUrl] = chain === DEFAULT_CHAIN
+      ? [this.primaryRpcUrl, this.fallbackRpcUrl]
+      : getRpcUrls(chain);
+    const blockIndex = BLOCK_PARAM_INDEX[method];
     const payload = {
       jsonrpc: '2.0',
       id: Date.now(),
       method: method,
-      params: params
+      params: blockTag !== null && blockIndex !== undefined
+        ? Object.assign([...params], { [blockIndex]: toBlockParam(blockTag) })
+        : params
     };
 
     const options = {
@@ -40,7 +101,7 @@ export class EthereumFetcher {
     try {
       const response = await axios.request({
         ...options,
-        url: this.primaryRpcUrl,
+        url: primaryRpcUrl,
         timeout: 8000
       });
       
@@ -50,13 +111,13 @@ export class EthereumFetcher {
       
       return response.data.result;
     } catch (error) {
-      console.warn('Primary RPC failed, trying fallback:', error.message);
+      console.warn(`Primary RPC failed (${chain}), trying fallback:`, error.message);
       
       // Try fallback RPC
       try {
         const response = await axios.request({
           ...options,
-          url: this.fallbackRpcUrl,
+          url: fallbackRpcUrl,
           timeout: 8000
         });
         
@@ -66,18 +127,18 @@ export class EthereumFetcher {
         
         return response.data.result;
       } catch (fallbackError) {
-        console.error('Both RPC endpoints failed:', fallbackError.message);
+        console.error(`Both RPC endpoints failed (${chain}):`, fallbackError.message);
         throw fallbackError;
       }
     }
   }
 
   // Public API methods (used by endpoints)
-  async getTokenBalanceFormatted(tokenAddress, holderAddress) {
-    const requestKey = generateCacheKey('ethereum', 'token-balance', { tokenAddress, holderAddress });
+  async getTokenBalanceFormatted(tokenAddress, holderAddress, chain = DEFAULT_CHAIN, blockTag = null) {
+    const requestKey = generateCacheKey('ethereum', 'token-balance', { tokenAddress, holderAddress, chain, blockTag });
     
     return this.requestQueue.enqueue(requestKey, async () => {
-      const balance = await this.getTokenBalance(tokenAddress, holderAddress);
+      const balance = await this.getTokenBalance(tokenAddress, holderAddress, chain, blockTag);
       return {
         tokenAddress,
         holderAddress,
@@ -98,11 +159,54 @@ export class EthereumFetcher {
     });
   }
 
-  async getTokenDecimalsFormatted(tokenAddress) {
-    const requestKey = generateCacheKey('ethereum', 'token-decimals', { tokenAddress });
+  /**
+   * Balances of several tokens held by one address, with each token's decimals, in one multicall
+   * @param {string[]} tokenAddresses - Token contract addresses
+   * @param {string} holderAddress - Holder address
+   * @returns {Promise<object>} - { holderAddress, balances: { [tokenAddress]: { balance, decimals, formatted, error } } };
+   *   balance is in raw units and null for tokens whose calls failed
+   */
+  async getTokenBalancesFormatted(tokenAddresses, holderAddress, chain = DEFAULT_CHAIN, blockTag = null) {
+    const requestKey = generateCacheKey('ethereum', 'token-balances', { tokenAddresses, holderAddress, chain, blockTag });
+    
+    return this.requestQueue.enqueue(requestKey, async () => {
+      const paddedAddress = holderAddress.slice(2).toLowerCase().padStart(64, '0');
+      const results = await this.multicall(tokenAddresses.flatMap(tokenAddress => [
+        { target: tokenAddress, callData: '0x70a08231' + paddedAddress },
+        { target: tokenAddress, callData: '0x313ce567' }
+      ]), chain, blockTag);
+      
+      const balances = {};
+      tokenAddresses.forEach((tokenAddress, index) => {
+        const balance = decodeUint(results[index * 2]);
+        const decimals = decodeUint(results[index * 2 + 1]);
+        balances[tokenAddress.toLowerCase()] = balance === null || decimals === null
+          ? { balance: null, decimals: null, formatted: null, error: 'balanceOf or decimals call failed' }
+          : { balance: Number(balance), decimals: Number(decimals), formatted: Number(balance) / Math.pow(10, Number(decimals)), error: null };
+      });
+      
+      return {
+        holderAddress,
+        balances,
+        fetched_at: new Date().toISOString()
+      };
+    }).catch(error => {
+      console.error(`Error fetching token balances:`, error.message);
+      return {
+        holderAddress,
+        balances: {},
+        error: error.message,
+        _unavailable: true,
+        fetched_at: new Date().toISOString()
+      };
+    });
+  }
+
+  async getTokenDecimalsFormatted(tokenAddress, chain = DEFAULT_CHAIN) {
+    const requestKey = generateCacheKey('ethereum', 'token-decimals', { tokenAddress, chain });
     
     return this.requestQueue.enqueue(requestKey, async () => {
-      const decimals = await this.getTokenDecimals(tokenAddress);
+      const decimals = await this.getTokenDecimals(tokenAddress, chain);
       return {
         tokenAddress,
         decimals,
@@ -158,11 +262,11 @@ export class EthereumFetcher {
     });
   }
 
-  async getTotalSupplyFormatted(tokenAddress) {
-    const requestKey = generateCacheKey('ethereum', 'total-supply', { tokenAddress });
+  async getTotalSupplyFormatted(tokenAddress, chain = DEFAULT_CHAIN, blockTag = null) {
+    const requestKey = generateCacheKey('ethereum', 'total-supply', { tokenAddress, chain, blockTag });
     
     return this.requestQueue.enqueue(requestKey, async () => {
-      const totalSupply = await this.getTokenTotalSupply(tokenAddress);
+      const totalSupply = await this.getTokenTotalSupply(tokenAddress, chain, blockTag);
       return {
         tokenAddress,
         totalSupply,
@@ -228,6 +332,22 @@ export class EthereumFetcher {
     };
   }
 
+  /**
+   * Block header fields needed to label a pinned snapshot
+   * @param {number|string} blockTag - Block number or 'latest'
+   * @returns {Promise<object>} - { number, hash, timestamp (ISO) }
+   */
+  async getBlock(blockTag = 'latest') {
+    const block = await this.makeRpcCall('eth_getBlockByNumber', [toBlockParam(blockTag), false]);
+    if (!block) throw new Error(`Block ${blockTag} not found`);
+    
+    return {
+      number: parseInt(block.number, 16),
+      hash: block.hash,
+      timestamp: new Date(parseInt(block.timestamp, 16) * 1000).toISOString()
+    };
+  }
+
   async getGasPrice() {
     const gasPrice = await this.makeRpcCall('eth_gasPrice');
     const gasPriceDecimal = parseInt(gasPrice, 16);
@@ -257,7 +377,7 @@ export class EthereumFetcher {
     };
   }
 
-  async getTokenBalance(tokenAddress, walletAddress) {
+  async getTokenBalance(tokenAddress, walletAddress, chain = DEFAULT_CHAIN, blockTag = null) {
     // ERC-20 balanceOf function signature: 0x70a08231
     const methodId = '0x70a08231';
     const paddedAddress = walletAddress.slice(2).padStart(64, '0');
@@ -269,7 +389,7 @@ export class EthereumFetcher {
         data: data
       },
       'latest'
-    ]);
+    ], chain, blockTag);
     
     const balance = parseInt(result, 16);
     
@@ -285,21 +405,21 @@ export class EthereumFetcher {
 
   async getTokenInfo(tokenAddress) {
     try {
-      // Get token name, symbol, decimals, and total supply
-      const [name, symbol, decimals, totalSupply] = await Promise.all([
-        this.getTokenName(tokenAddress),
-        this.getTokenSymbol(tokenAddress),
-        this.getTokenDecimals(tokenAddress),
-        this.getTokenTotalSupply(tokenAddress)
-      ]);
+      // Get token name, symbol, decimals, and total supply in one multicall
+      const [name, symbol, decimals, totalSupply] = await this.multicall(
+        ['0x06fdde03', '0x95d89b41', '0x313ce567', '0x18160ddd'].map(callData => ({ target: tokenAddress, callData }))
+      );
+      if (decodeUint(totalSupply) === null) {
+        throw new Error('totalSupply call failed');
+      }
 
       return {
         method: 'tokenInfo',
         tokenAddress: tokenAddress,
-        name: name,
-        symbol: symbol,
-        decimals: decimals,
-        totalSupply: totalSupply,
+        name: name.success ? this.decodeString(name.returnData) : 'Unknown',
+        symbol: symbol.success ? this.decodeString(symbol.returnData) : 'UNKNOWN',
+        decimals: decodeUint(decimals) === null ? 18 : Number(decodeUint(decimals)),
+        totalSupply: Number(decodeUint(totalSupply)),
         fetched_at: new Date().toISOString()
       };
     } catch (error) {
@@ -351,7 +471,7 @@ export class EthereumFetcher {
     }
   }
 
-  async getTokenDecimals(tokenAddress) {
+  async getTokenDecimals(tokenAddress, chain = DEFAULT_CHAIN) {
     // ERC-20 decimals() function signature: 0x313ce567
     const data = '0x313ce567';
     
@@ -362,7 +482,7 @@ export class EthereumFetcher {
           data: data
         },
         'latest'
-      ]);
+      ], chain);
       
       return parseInt(result, 16);
     } catch (error) {
@@ -370,7 +490,7 @@ export class EthereumFetcher {
     }
   }
 
-  async getTokenTotalSupply(tokenAddress) {
+  async getTokenTotalSupply(tokenAddress, chain = DEFAULT_CHAIN, blockTag = null) {
     // ERC-20 totalSupply() function signature: 0x18160ddd
     const data = '0x18160ddd';
     
@@ -381,7 +501,7 @@ export class EthereumFetcher {
           data: data
         },
         'latest'
-      ]);
+      ], chain, blockTag);
       
       return parseInt(result, 16);
     } catch (error) {
@@ -552,59 +672,367 @@ export class EthereumFetcher {
     }
   }
 
+  /**
+   * Get underlying asset from eVault contract (Euler V2, ERC-4626)
+   * @param {string} eVaultAddress - eVault contract address
+   * @returns {Promise<string>} - Asset token address
+   */
+  async getAssetFromEVault(eVaultAddress) {
+    // Function signature for asset(): 0x38d52e0f
+    const data = '0x38d52e0f';
+    
+    try {
+      const result = await this.makeRpcCall('eth_call', [
+        {
+          to: eVaultAddress,
+          data: data
+        },
+        'latest'
+      ]);
+      
+      return '0x' + result.slice(-40);
+    } catch (error) {
+      console.error(`Error getting asset from eVault ${eVaultAddress}:`, error.message);
+      throw error;
+    }
+  }
+
   /**
    * Get complete Euler vault data using on-chain calls
    * @param {string} dTokenAddress - dToken contract address
-   * @returns {Promise<object>} - Vault data with cash and borrows
+   * @returns {Promise<object>} - Vault data with raw units, asset price and USD values
    */
   async getEulerVaultData(dTokenAddress) {
-    try {
-      // Step 1: Get eVault address from dToken
-      const eVaultAddress = await this.getEVaultFromDToken(dTokenAddress);
+    const [vaultData] = await this.getEulerVaultsData([dTokenAddress]);
+    return vaultData;
+  }
+
+  /**
+   * Get Euler vault data for several vaults, pricing all their assets in one DefiLlama batch
+   * @param {string[]} dTokenAddresses - dToken contract addresses
+   * @param {number|null} blockTag - Block to read vault state at (prices are current)
+   * @returns {Promise<object[]>} - Vault data in input order; USD values are 0 when the asset has no price
+   */
+  async getEulerVaultsData(dTokenAddresses, blockTag = null) {
+    // Step 1: Read every vault's state on-chain (batched through Multicall3)
+    const vaults = await this.getEulerVaultStates(dTokenAddresses, blockTag);
+    
+    // Step 2: Price every distinct asset in one batch request
+    const assets = [...new Set(vaults.filter(vault => !vault.error).map(vault => vault.asset))];
+    const prices = assets.length > 0 && this.priceFetcher
+      ? await this.priceFetcher.fetchMultipleTokenPrices(assets.map(tokenAddress => ({ tokenAddress, chain: 'ethereum' })))
+      : {};
+    
+    // Step 3: Convert raw units to USD at the asset price
+    return vaults.map(vault => {
+      if (vault.error) return vault;
       
-      // Step 2: Get total assets and borrows from eVault
-      const [totalAssetsHex, borrowsHex] = await Promise.all([
-        this.getTotalAssetsFromEVault(eVaultAddress),
-        this.getTotalBorrowsFromEVault(eVaultAddress)
-      ]);
+      const priceData = prices[`ethereum:${vault.asset}`];
+      const price = priceData && !priceData._unavailable ? priceData.price : null;
+      const totalAssetsUnits = Number(vault.totalAssets) / Math.pow(10, vault.decimals);
+      const totalBorrowsUnits = Number(vault.totalBorrows) / Math.pow(10, vault.decimals);
       
-      // Step 3: Convert to decimal values
-      const totalAssets = parseInt(totalAssetsHex, 16);
-      const totalBorrows = parseInt(borrowsHex, 16);
+      if (price === null) {
+        console.warn(`Euler vault ${vault.eVaultAddress}: no price for asset ${vault.asset}, excluded from USD totals`);
+      }
       
-      // Step 4: Convert to USD (assuming 18 decimals for stablecoins)
-      const decimals = 18;
-      const totalAssetsUSD = totalAssets / Math.pow(10, decimals);
-      const borrowsUSD = totalBorrows / Math.pow(10, decimals);
-      // For lending protocols, TVL is typically the total assets (deposits)
-      const tvlUSD = totalAssetsUSD;
+      const totalAssetsUSD = price !== null ? totalAssetsUnits * price : 0;
+      const borrowsUSD = price !== null ? totalBorrowsUnits * price : 0;
       
       return {
-        dTokenAddress,
-        eVaultAddress,
-        totalAssets: totalAssets.toString(),
-        totalBorrows: totalBorrows.toString(),
+        ...vault,
+        totalAssetsUnits,
+        totalBorrowsUnits,
+        price,
+        priceSource: price !== null ? 'defillama' : null,
+        ...(price === null ? { priceError: priceData?.error || 'No price fetcher configured' } : {}),
         totalAssetsUSD,
         borrowsUSD,
-        tvlUSD,
-        hasActivity: tvlUSD > 0,
+        // For lending protocols, TVL is typically the total assets (deposits)
+        tvlUSD: totalAssetsUSD,
+        hasActivity: totalAssetsUnits > 0,
         fetched_at: new Date().toISOString()
       };
+    });
+  }
+
+  /**
+   * Raw on-chain state of Euler vaults, read in three multicall rounds: eVault per dToken, then
+   * totalAssets / totalBorrows / asset per eVault, then decimals per asset
+   * @param {string[]} dTokenAddresses - dToken contract addresses
+   * @param {number|null} blockTag - Block to read at (null for latest)
+   * @returns {Promise<object[]>} - eVault, asset, decimals and raw totals, or the USD-zeroed error shape
+   */
+  async getEulerVaultStates(dTokenAddresses, blockTag = null) {
+    const failed = (dTokenAddress, message) => ({
+      dTokenAddress,
+      eVaultAddress: null,
+      asset: null,
+      decimals: null,
+      totalAssets: '0',
+      totalBorrows: '0',
+      totalAssetsUnits: 0,
+      totalBorrowsUnits: 0,
+      price: null,
+      priceSource: null,
+      totalAssetsUSD: 0,
+      borrowsUSD: 0,
+      tvlUSD: 0,
+      hasActivity: false,
+      error: message,
+      fetched_at: new Date().toISOString()
+    });
+    if (dTokenAddresses.length === 0) return [];
+    
+    try {
+      // Get eVault address from each dToken: eVault() 0x985426ec
+      const eVaults = (await this.multicall(dTokenAddresses.map(target => ({ target, callData: '0x985426ec' })), DEFAULT_CHAIN, blockTag))
+        .map(decodeAddress);
+      
+      // Get total assets, borrows and the underlying asset from each eVault:
+      // totalAssets() 0x01e1d114, totalBorrows() 0x47bd3718, asset() 0x38d52e0f
+      const vaultResults = await this.multicall(eVaults.flatMap(eVault => eVault
+        ? ['0x01e1d114', '0x47bd3718', '0x38d52e0f'].map(callData => ({ target: eVault, callData }))
+        : []), DEFAULT_CHAIN, blockTag);
+      
+      const states = [];
+      let cursor = 0;
+      for (const [index, eVaultAddress] of eVaults.entries()) {
+        if (!eVaultAddress) {
+          states.push({ dTokenAddress: dTokenAddresses[index], eVaultAddress });
+          continue;
+        }
+        const [totalAssets, totalBorrows, asset] = vaultResults.slice(cursor, cursor + 3);
+        cursor += 3;
+        states.push({
+          dTokenAddress: dTokenAddresses[index],
+          eVaultAddress,
+          asset: decodeAddress(asset),
+          totalAssets: decodeUint(totalAssets),
+          totalBorrows: decodeUint(totalBorrows)
+        });
+      }
+      
+      // Get decimals once per distinct asset
+      const assets = [...new Set(states.map(state => state.asset).filter(Boolean))];
+      const decimalsResults = await this.multicall(assets.map(target => ({ target, callData: '0x313ce567' })), DEFAULT_CHAIN, blockTag);
+      const assetDecimals = new Map(assets.map((asset, index) => [asset, decodeUint(decimalsResults[index])]));
+      
+      return states.map(state => {
+        const decimals = state.asset ? assetDecimals.get(state.asset) : null;
+        if (!state.eVaultAddress || state.totalAssets === null || state.totalBorrows === null || decimals === null || decimals === undefined) {
+          const message = state.eVaultAddress ? `Vault calls failed for eVault ${state.eVaultAddress}` : 'eVault() call failed';
+          console.error(`Error getting Euler vault data for dToken ${state.dTokenAddress}:`, message);
+          return failed(state.dTokenAddress, message);
+        }
+        return {
+          dTokenAddress: state.dTokenAddress,
+          eVaultAddress: state.eVaultAddress,
+          asset: state.asset,
+          decimals: Number(decimals),
+          totalAssets: state.totalAssets.toString(),
+          totalBorrows: state.totalBorrows.toString()
+        };
+      });
     } catch (error) {
-      console.error(`Error getting Euler vault data for dToken ${dTokenAddress}:`, error.message);
+      console.error(`Error getting Euler vault data for ${dTokenAddresses.length} dTokens:`, error.message);
+      return dTokenAddresses.map(dTokenAddress => failed(dTokenAddress, error.message));
+    }
+  }
+
+  // ================= AAVE V3 =================
+
+  /**
+   * E-mode categories of the Aave V3 core market (ids 1..AAVE_EMODE_CATEGORY_SCAN), scanned once per
+   * AAVE_EMODE_CATEGORIES_TTL_MS. The scan reads the block of the first call in that window; a failed
+   * scan is not kept.
+   * @param {number|null} blockTag - Block to read at when a new scan is needed (null for latest)
+   * @returns {Promise<object[]>} - Per id: label, collateral / borrowable reserve bitmaps (null before
+   *   Aave v3.2) and the category LTV, liquidation threshold and bonus
+   */
+  async getAaveEModeCategories(blockTag = null) {
+    const cached = this.aaveEModeCategories;
+    if (cached && Date.now() - cached.fetchedAt < AAVE_EMODE_CATEGORIES_TTL_MS) return cached.promise;
+    
+    // getEModeCategoryLabel(uint8) 0x2083e183, getEModeCategoryCollateralBitmap(uint8) 0xb0771dba,
+    // getEModeCategoryBorrowableBitmap(uint8) 0x903a2c71, getEModeCategoryCollateralConfig(uint8) 0xb286f467
+    // (Aave v3.2+; older pools keep the id in the reserve configuration)
+    const categoryIds = Array.from({ length: AAVE_EMODE_CATEGORY_SCAN }, (_, i) => i + 1);
+    const promise = this.multicall(
+      categoryIds.flatMap(id => ['0x2083e183', '0xb0771dba', '0x903a2c71', '0xb286f467']
+        .map(selector => ({ target: AAVE_V3_POOL, callData: selector + encodeArgument(id) }))),
+      DEFAULT_CHAIN,
+      blockTag
+    ).then(results => categoryIds.map((id, i) => {
+      const [label, collateralBitmap, borrowableBitmap, collateralConfig] = results.slice(i * 4, i * 4 + 4);
+      const config = decodeWords(collateralConfig);
       return {
-        dTokenAddress,
-        eVaultAddress: null,
-        totalAssets: '0',
-        totalBorrows: '0',
-        totalAssetsUSD: 0,
-        borrowsUSD: 0,
-        tvlUSD: 0,
-        hasActivity: false,
-        error: error.message,
-        fetched_at: new Date().toISOString()
+        id,
+        label: label?.success ? this.decodeString(label.returnData) : '',
+        collateralBitmap: decodeUint(collateralBitmap),
+        borrowableBitmap: decodeUint(borrowableBitmap),
+        ltv: config ? Number(config[0]) / 1e4 : null,
+        liquidationThreshold: config ? Number(config[1]) / 1e4 : null,
+        liquidationBonus: config && config[2] > 0n ? Number(config[2] - 10000n) / 1e4 : null
       };
+    }));
+    
+    const entry = { promise, fetchedAt: Date.now() };
+    this.aaveEModeCategories = entry;
+    promise.catch(() => {
+      if (this.aaveEModeCategories === entry) this.aaveEModeCategories = null;
+    });
+    return promise;
+  }
+
+  /**
+   * Risk parameters and cap headroom of Aave V3 core market reserves, read in two multicall rounds:
+   * Pool.getReserveData per asset (configuration bitmap, indexes, token addresses) alongside the
+   * cached e-mode categories (getAaveEModeCategories), then the aToken and debt token supplies
+   * @param {string[]} assets - Reserve underlying asset addresses
+   * @param {number|null} blockTag - Block to read at (null for latest)
+   * @returns {Promise<object[]>} - Per asset: LTV, liquidation threshold and bonus (fractions), caps and
+   *   supplied / borrowed amounts in token units, cap headroom and utilization (null when uncapped),
+   *   isolation mode debt ceiling in USD, and eModeCategories; unlisted assets carry an error
+   */
+  async getAaveReserveRiskParams(assets, blockTag = null) {
+    if (assets.length === 0) return [];
+    
+    try {
+      // getReserveData(address) 0x35ea6a75
+      const [results, categories] = await Promise.all([
+        this.multicall(
+          assets.map(asset => ({ target: AAVE_V3_POOL, callData: '0x35ea6a75' + encodeArgument(asset) })),
+          DEFAULT_CHAIN,
+          blockTag
+        ),
+        this.getAaveEModeCategories(blockTag)
+      ]);
+      const hasCategoryBitmaps = categories.some(category => category.collateralBitmap !== null);
+      
+      const reserves = assets.map((asset, i) => {
+        const words = decodeWords(results[i]);
+        const toAddress = index => '0x' + words[index].toString(16).padStart(40, '0');
+        if (!words || words.length < 15 || words[8] === 0n) {
+          return { asset, error: 'Reserve not listed on the Aave V3 core market' };
+        }
+        return {
+          asset,
+          configuration: words[0],
+          liquidityIndex: words[1],
+          id: words[7],
+          aTokenAddress: toAddress(8),
+          stableDebtTokenAddress: words[9] !== 0n ? toAddress(9) : null,
+          variableDebtTokenAddress: toAddress(10),
+          accruedToTreasury: words[12],
+          isolationModeTotalDebt: words[14]
+        };
+      });
+      
+      // Current supply and debt: totalSupply() 0x18160ddd on the aToken and debt tokens
+      const supplyCalls = reserves.filter(reserve => !reserve.error).flatMap(reserve => [
+        reserve.aTokenAddress,
+        reserve.variableDebtTokenAddress,
+        reserve.stableDebtTokenAddress
+      ].filter(Boolean).map(target => ({ target, callData: '0x18160ddd' })));
+      const supplies = await this.multicall(supplyCalls, DEFAULT_CHAIN, blockTag);
+      
+      let cursor = 0;
+      return reserves.map(reserve => {
+        if (reserve.error) return reserve;
+        
+        const tokenCount = reserve.stableDebtTokenAddress ? 3 : 2;
+        const [aTokenSupply, variableDebt, stableDebt] = supplies.slice(cursor, cursor + tokenCount).map(decodeUint);
+        cursor += tokenCount;
+        
+        const { configuration } = reserve;
+        const decimals = Number(configBits(configuration, 48, 8));
+        const units = value => Number(value) / Math.pow(10, decimals);
+        // Caps are whole tokens (0 = uncapped); the debt ceiling is USD with 2 decimals (0 = not isolated)
+        const supplyCap = Number(configBits(configuration, 116, 36));
+        const borrowCap = Number(configBits(configuration, 80, 36));
+        const debtCeiling = Number(configBits(configuration, 212, 40)) / 100;
+        const liquidationBonus = Number(configBits(configuration, 32, 16));
+        
+        // Supply caps count treasury accruals not yet minted as aTokens
+        const totalSupplied = units((aTokenSupply ?? 0n) + reserve.accruedToTreasury * reserve.liquidityIndex / RAY);
+        const totalBorrowed = units((variableDebt ?? 0n) + (stableDebt ?? 0n));
+        const isolationModeTotalDebt = Number(reserve.isolationModeTotalDebt) / 100;
+        
+        const reserveBit = 1n << reserve.id;
+        const eModeCategories = hasCategoryBitmaps
+          ? categories
+            .filter(category => category.label && ((category.collateralBitmap ?? 0n) & reserveBit || (category.borrowableBitmap ?? 0n) & reserveBit))
+            .map(category => ({
+              id: category.id,
+              label: category.label,
+              collateral: ((category.collateralBitmap ?? 0n) & reserveBit) !== 0n,
+              borrowable: ((category.borrowableBitmap ?? 0n) & reserveBit) !== 0n,
+              ltv: category.ltv,
+              liquidationThreshold: category.liquidationThreshold,
+              liquidationBonus: category.liquidationBonus
+            }))
+          : configBits(configuration, 168, 8) > 0n
+            ? [{ id: Number(configBits(configuration, 168, 8)), label: null, collateral: true, borrowable: null, ltv: null, liquidationThreshold: null, liquidationBonus: null }]
+            : [];
+        
+        return {
+          asset: reserve.asset,
+          aTokenAddress: reserve.aTokenAddress,
+          decimals,
+          ltv: Number(configBits(configuration, 0, 16)) / 1e4,
+          liquidationThreshold: Number(configBits(configuration, 16, 16)) / 1e4,
+          liquidationBonus: liquidationBonus > 0 ? (liquidationBonus - 10000) / 1e4 : 0,
+          reserveFactor: Number(configBits(configuration, 64, 16)) / 1e4,
+          isActive: configBits(configuration, 56, 1) === 1n,
+          isFrozen: configBits(configuration, 57, 1) === 1n,
+          isPaused: configBits(configuration, 60, 1) === 1n,
+          borrowingEnabled: configBits(configuration, 58, 1) === 1n,
+          usageAsCollateralEnabled: configBits(configuration, 16, 16) > 0n,
+          supplyCap: supplyCap > 0 ? supplyCap : null,
+          borrowCap: borrowCap > 0 ? borrowCap : null,
+          totalSupplied,
+          totalBorrowed,
+          supplyCapHeadroom: supplyCap > 0 ? Math.max(supplyCap - totalSupplied, 0) : null,
+          supplyCapUtilization: supplyCap > 0 ? totalSupplied / supplyCap : null,
+          borrowCapHeadroom: borrowCap > 0 ? Math.max(borrowCap - totalBorrowed, 0) : null,
+          borrowCapUtilization: borrowCap > 0 ? totalBorrowed / borrowCap : null,
+          isolated: debtCeiling > 0,
+          debtCeiling: debtCeiling > 0 ? debtCeiling : null,
+          isolationModeTotalDebt,
+          debtCeilingHeadroom: debtCeiling > 0 ? Math.max(debtCeiling - isolationModeTotalDebt, 0) : null,
+          eModeCategories
+        };
+      });
+    } catch (error) {
+      console.error(`Error reading Aave V3 reserve risk parameters for ${assets.length} assets:`, error.message);
+      return assets.map(asset => ({ asset, error: error.message }));
+    }
+  }
+
+  // ================= MULTICALL =================
+
+  /**
+   * Run many eth_calls as Multicall3 aggregate3 requests of up to chunkSize calls each
+   * @param {Array} calls - [{ target, callData }]
+   * @param {string} chain - Chain key from config/chains.js (default mainnet)
+   * @param {number|null} blockTag - Block to read at (null for latest)
+   * @param {number} chunkSize - Calls per aggregate3 request
+   * @returns {Promise<Array>} - [{ success, returnData }] in call order; reverted calls have success false
+   */
+  async multicall(calls, chain = DEFAULT_CHAIN, blockTag = null, chunkSize = MULTICALL_CHUNK_SIZE) {
+    const results = [];
+    for (let start = 0; start < calls.length; start += chunkSize) {
+      const result = await this.makeRpcCall('eth_call', [
+        {
+          to: MULTICALL3_ADDRESS,
+          data: encodeAggregate3(calls.slice(start, start + chunkSize))
+        },
+        'latest'
+      ], chain, blockTag);
+      results.push(...decodeAggregate3(result));
     }
+    return results;
   }
 
   /**
@@ -1,5 +1,6 @@
 import axios from 'axios';
 import { RequestQueue, generateCacheKey } from './request-queue.js';
+import { DEFAULT_CHAIN, getChain } from '../config/chains.js';
 
 export class FluidFetcher {
   constructor() {
@@ -7,6 +8,7 @@ export class FluidFetcher {
     
     // Initialize request queue with optimized settings for Fluid API
     this.requestQueue = new RequestQueue({
+      name: 'fluid',
       concurrency: 3, // Conservative for Fluid API
       requestsPerSecond: 5, // Moderate rate limiting
       retryAttempts: 2, // Fail faster
@@ -19,10 +21,18 @@ export class FluidFetcher {
     console.log('FluidFetcher initialized with request queue');
   }
 
+  /**
+   * Vaults endpoint for a chain
+   * @param {string} chain - Chain key from config/chains.js
+   */
+  getVaultsUrl(chain = DEFAULT_CHAIN) {
+    return `${this.baseUrl}/borrowing/${getChain(chain).chainId}/vaults`;
+  }
+
   /**
    * Fetch data based on queryType and params
    * @param {string} queryType - Type of query (token_borrow, all_vaults)
-   * @param {object} params - Parameters including tokenAddress
+   * @param {object} params - Parameters including tokenAddress and optional chain
    * @returns {Promise<object>} - Formatted response data
    */
   async fetchData(queryType, params = {}) {
@@ -34,10 +44,10 @@ export class FluidFetcher {
       let result;
       switch (queryType) {
         case 'token_borrow':
-          result = await this.fetchTokenBorrowLiquidity(params.tokenAddress);
+          result = await this.fetchTokenBorrowLiquidity(params.tokenAddress, params.chain);
           break;
         case 'all_vaults':
-          result = await this.fetchAllVaults();
+          result = await this.fetchAllVaults(params.chain);
           break;
         default:
           throw new Error(`Unknown query type: ${queryType}`);
@@ -69,11 +79,12 @@ export class FluidFetcher {
    * Get Fluid collateral value for a specific stablecoin token
    * Returns the USD value of the stablecoin when used as collateral (supplyToken) in vaults
    * @param {string} tokenAddress - The stablecoin token contract address  
+   * @param {string} chain - Chain key (default mainnet)
    * @returns {Promise<number>} - Total USD value of this stablecoin used as collateral
    */
-  async fetchTokenBorrowLiquidity(tokenAddress) {
+  async fetchTokenBorrowLiquidity(tokenAddress, chain = DEFAULT_CHAIN) {
     try {
-      const url = `${this.baseUrl}/borrowing/1/vaults`;
+      const url = this.getVaultsUrl(chain);
       const response = await axios.get(url, { timeout: 8000 });
       
       let totalCollateralUSD = 0;
@@ -110,11 +121,12 @@ export class FluidFetcher {
 
   /**
    * Fetch all Fluid vaults data (useful for caching and efficiency)
+   * @param {string} chain - Chain key (default mainnet)
    * @returns {Promise<object>} - All vaults data from Fluid API
    */
-  async fetchAllVaults() {
+  async fetchAllVaults(chain = DEFAULT_CHAIN) {
     try {
-      const url = `${this.baseUrl}/borrowing/1/vaults`;
+      const url = this.getVaultsUrl(chain);
       const response = await axios.get(url, { timeout: 8000 });
       
       if (response.data && Array.isArray(response.data)) {
@@ -152,11 +164,12 @@ export class FluidFetcher {
   /**
    * Get total supply liquidity for a specific token (when used as supply token)
    * @param {string} tokenAddress - The token contract address
+   * @param {string} chain - Chain key (default mainnet)
    * @returns {Promise<number>} - Total supply liquidity in USD
    */
-  async fetchTokenSupplyLiquidity(tokenAddress) {
+  async fetchTokenSupplyLiquidity(tokenAddress, chain = DEFAULT_CHAIN) {
     try {
-      const url = `${this.baseUrl}/borrowing/1/vaults`;
+      const url = this.getVaultsUrl(chain);
       const response = await axios.get(url, { timeout: 8000 });
       
       let totalSupplyUSD = 0;
@@ -0,0 +1,78 @@
+// ================= HISTORY STORE =================
+// Durable per-stablecoin metric snapshots, stored in Redis sorted sets scored by timestamp.
+// Keys have no TTL (Redis runs with appendonly persistence); old entries are trimmed by retention.
+
+const INTERVALS = {
+  '1h': 60 * 60 * 1000,
+  '4h': 4 * 60 * 60 * 1000,
+  '1d': 24 * 60 * 60 * 1000,
+  '1w': 7 * 24 * 60 * 60 * 1000
+};
+
+export class HistoryStore {
+  constructor(redisClient, retentionDays = 365) {
+    this.redis = redisClient;
+    this.retentionMs = retentionDays * 24 * 60 * 60 * 1000;
+  }
+
+  static get supportedIntervals() {
+    return Object.keys(INTERVALS);
+  }
+
+  getKey(symbol) {
+    return `history:${symbol.toLowerCase()}`;
+  }
+
+  /**
+   * Append a snapshot for a stablecoin
+   * @param {string} symbol - Stablecoin symbol
+   * @param {object} metrics - Metric values keyed by metric name
+   * @param {Date} takenAt - Snapshot time
+   * @param {object} meta - Extra fields stored alongside the metrics (e.g. fosModelVersion)
+   */
+  async recordSnapshot(symbol, metrics, takenAt = new Date(), meta = {}) {
+    const key = this.getKey(symbol);
+    const score = takenAt.getTime();
+
+    await this.redis.zAdd(key, {
+      score,
+      value: JSON.stringify({ timestamp: takenAt.toISOString(), ...meta, metrics })
+    });
+    await this.redis.zRemRangeByScore(key, '-inf', score - this.retentionMs);
+  }
+
+  /**
+   * Read snapshots for a stablecoin
+   * @param {string} symbol - Stablecoin symbol
+   * @param {object} options - { metrics: string[], from: Date, to: Date, interval: '1h'|'4h'|'1d'|'1w' }
+   * @returns {Promise<Array>} - [{ timestamp, ...meta, metrics }] in ascending time order
+   */
+  async getHistory(symbol, { metrics = [], from = null, to = null, interval = null } = {}) {
+    const entries = await this.redis.zRangeByScore(
+      this.getKey(symbol),
+      from ? from.getTime() : '-inf',
+      to ? to.getTime() : '+inf'
+    );
+
+    let points = entries.map(entry => JSON.parse(entry));
+
+    // Downsample: keep the latest snapshot within each interval bucket
+    if (interval && INTERVALS[interval]) {
+      const bucketSize = INTERVALS[interval];
+      const buckets = new Map();
+      for (const point of points) {
+        buckets.set(Math.floor(new Date(point.timestamp).getTime() / bucketSize), point);
+      }
+      points = [...buckets.values()];
+    }
+
+    if (metrics.length > 0) {
+      points = points.map(point => ({
+        ...point,
+        metrics: Object.fromEntries(metrics.map(metric => [metric, point.metrics[metric] ?? null]))
+      }));
+    }
+
+    return points;
+  }
+}
@@ -0,0 +1,96 @@
+// ================= MANUAL DATA HISTORY =================
+// Append-only audit trail for operator-entered data (manual:<symbol>:<metric>).
+// Each change is pushed to a Redis list with no TTL; an entry's 1-based list position is its version.
+// Lists live outside the manual:* namespace so per-symbol key scans only see current values.
+
+export class ManualDataHistory {
+  constructor(redisClient) {
+    this.redis = redisClient;
+  }
+
+  getKey(symbol, metric) {
+    return `manual-history:${symbol.toLowerCase()}:${metric}`;
+  }
+
+  /**
+   * Append a change to the history of a manual data key
+   * @param {string} symbol - Stablecoin symbol
+   * @param {string} metric - Manual metric name
+   * @param {object} entry - { action, value, updatedBy, notes, sourceUrl, ... }
+   * @param {object|null} previous - Current stored data before this change; seeds the
+   *   history for keys written before history was kept
+   * @returns {Promise<object>} - Entry as stored, including its version
+   */
+  async append(symbol, metric, entry, previous = null) {
+    const key = this.getKey(symbol, metric);
+
+    if (previous && await this.redis.lLen(key) === 0) {
+      await this.redis.rPush(key, JSON.stringify({
+        action: 'initial',
+        value: previous.value,
+        updatedBy: previous.updatedBy || 'operator',
+        timestamp: previous.lastUpdated || null,
+        notes: previous.notes || '',
+        sourceUrl: previous.sourceUrl || null
+      }));
+    }
+
+    const stored = {
+      timestamp: new Date().toISOString(),
+      notes: '',
+      sourceUrl: null,
+      ...entry
+    };
+    // RPUSH returns the new length, which is this entry's version
+    const version = await this.redis.rPush(key, JSON.stringify(stored));
+    return { version, ...stored };
+  }
+
+  /**
+   * Read the history of a manual data key, newest first
+   * @param {string} symbol - Stablecoin symbol
+   * @param {string} metric - Manual metric name
+   * @param {number} limit - Maximum number of entries
+   */
+  async getHistory(symbol, metric, limit = 100) {
+    const key = this.getKey(symbol, metric);
+    const start = Math.max(0, await this.redis.lLen(key) - limit);
+    const entries = await this.redis.lRange(key, start, -1);
+    return entries
+      .map((entry, index) => ({ version: start + index + 1, ...JSON.parse(entry) }))
+      .reverse();
+  }
+
+  async getVersion(symbol, metric, version) {
+    if (!Number.isInteger(version) || version < 1) return null;
+    const entry = await this.redis.lIndex(this.getKey(symbol, metric), version - 1);
+    return entry ? { version, ...JSON.parse(entry) } : null;
+  }
+
+  // Full history, oldest first, without derived versions (for backups)
+  async exportEntries(symbol, metric) {
+    const entries = await this.redis.lRange(this.getKey(symbol, metric), 0, -1);
+    return entries.map(entry => JSON.parse(entry));
+  }
+
+  /**
+   * Restore a backed-up history; only applies when the key has no history yet
+   * @returns {Promise<boolean>} - True if the entries were written
+   */
+  async restoreEntries(symbol, metric, entries) {
+    const key = this.getKey(symbol, metric);
+    if (entries.length === 0 || await this.redis.lLen(key) > 0) return false;
+
+    // Versions are derived from list position, so drop any exported version numbers
+    await this.redis.rPush(key, entries.map(entry => {
+      const stored = { ...entry };
+      delete stored.version;
+      return JSON.stringify(stored);
+    }));
+    return true;
+  }
+
+  async count(symbol, metric) {
+    return await this.redis.lLen(this.getKey(symbol, metric));
+  }
+}
@@ -0,0 +1,53 @@
+// ================= MEMORY CACHE =================
+// In-process LRU store used by CacheManager while Redis is unreachable (degraded mode).
+// Implements the subset of the Redis client API CacheManager uses (get, setEx, expire) with
+// the same TTL semantics. Entries live only in this process and are dropped when Redis is back.
+
+export class MemoryCache {
+  constructor(maxEntries = 5000) {
+    this.maxEntries = maxEntries;
+    this.entries = new Map(); // key -> { value, expiresAt }; iteration order = least recently used first
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+
+  // Live entry for key, marked as most recently used; expired entries are removed
+  getEntry(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+
+    this.entries.delete(key);
+    if (entry.expiresAt <= Date.now()) return null;
+
+    this.entries.set(key, entry);
+    return entry;
+  }
+
+  async get(key) {
+    return this.getEntry(key)?.value ?? null;
+  }
+
+  async setEx(key, ttlSeconds, value) {
+    this.entries.delete(key);
+    this.entries.set(key, { value, expiresAt: Date.now() + ttlSeconds * 1000 });
+
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+    return 'OK';
+  }
+
+  async expire(key, ttlSeconds) {
+    const entry = this.getEntry(key);
+    if (!entry) return false;
+
+    entry.expiresAt = Date.now() + ttlSeconds * 1000;
+    return true;
+  }
+
+  clear() {
+    this.entries.clear();
+  }
+}
@@ -0,0 +1,315 @@
+// ================= METRICS COLLECTOR =================
+// Collects the raw metric values for a stablecoin by calling the cache service's data functions
+// in-process: the same functions (and therefore the same cache keys) behind the dashboard's endpoints.
+// With a block number the on-chain reads (balances, supplies, adapters, Euler vaults, lending
+// subgraphs) are pinned to that block; market data and protocol APIs stay current.
+
+const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000';
+
+export class MetricsCollector {
+  /**
+   * @param {object} sources - Data functions from server.js, named like the endpoints they back:
+   *   getCoinGeckoMarketData, getCoinGeckoFDV, getManualEntry, getBridgeSupplyData,
+   *   getCollateralizationRatioData, getCurveFilteredTVL, getBalancerFilteredTVL,
+   *   getSubgraphFilteredTVL, getPendleLiquidity, getLendingTotalTVL, getTokenBalancesData,
+   *   getTokenBalanceData, getTokenPriceData, getTokenDecimalsData, getTotalSupplyData, getCurvePoolTVL
+   * @param {object} logger
+   */
+  constructor(sources, logger = console) {
+    this.sources = sources;
+    this.logger = logger;
+  }
+
+  // Returns the loader's result, or null if it failed
+  async load(description, loader) {
+    try {
+      return await loader();
+    } catch (error) {
+      this.logger.warn(`Metrics collector failed to load ${description}: ${error.message}`);
+      return null;
+    }
+  }
+
+  async sumCoinGeckoField(coingeckoIds = [], field) {
+    let total = 0;
+    const breakdown = {};
+    for (const coingeckoId of coingeckoIds) {
+      const data = await this.load(`market data for ${coingeckoId}`, () => this.sources.getCoinGeckoMarketData(coingeckoId));
+      breakdown[coingeckoId] = data?.[field] || 0;
+      total += breakdown[coingeckoId];
+    }
+    return { total, breakdown };
+  }
+
+  // Returns null when no manual entry exists
+  async getManualValue(symbol, metric) {
+    const entry = await this.load(`manual ${metric} for ${symbol}`, () => this.sources.getManualEntry(symbol, metric));
+    return entry && entry.value !== null && entry.value !== undefined ? entry.value : null;
+  }
+
+  // Manual entries override the on-chain bridge adapters; value is null when neither is available
+  async getBridgeSupply(stablecoin, block = null) {
+    const manual = await this.getManualValue(stablecoin.symbol, 'bridgeSupply');
+    if (manual !== null) return { value: manual, source: 'manual_entry', breakdown: null };
+
+    const symbol = stablecoin.symbol.toLowerCase();
+    const response = await this.load(`bridge supply for ${symbol}`, () => this.sources.getBridgeSupplyData(symbol, block));
+    if (!response || response._unavailable) return { value: null, source: null, breakdown: null };
+    return { value: Number(response.data) || 0, source: response.source, breakdown: response.breakdown || null };
+  }
+
+  // On-chain collateral adapters first, the manual entry as fallback; value is null when neither is available
+  async getCollateralizationRatio(stablecoin, block = null) {
+    const symbol = stablecoin.symbol.toLowerCase();
+    const response = await this.load(`collateralization ratio for ${symbol}`, () => this.sources.getCollateralizationRatioData(symbol, block));
+    if (response && !response._unavailable) {
+      return { value: Number(response.data) || 0, source: response.source, divergence: response.divergence || null };
+    }
+
+    const manual = await this.getManualValue(stablecoin.symbol, 'collateralizationRatio');
+    return { value: manual, source: manual !== null ? 'manual_entry' : null, divergence: null };
+  }
+
+  // fetchTVL(primary, additional) resolves to the filtered TVL in USD
+  async getFilteredTVL(label, addresses, fetchTVL) {
+    const [primary, ...additional] = addresses;
+    if (!primary) return 0;
+    const tvl = await this.load(`${label} filtered TVL for ${primary}`, () => fetchTVL(primary, additional));
+    return Number(tvl || 0);
+  }
+
+  async getDexLiquidity(stablecoin) {
+    const addresses = Object.values(stablecoin.contractAddresses || {})
+      .filter(addr => addr && addr !== ZERO_ADDRESS);
+
+    const [primary, ...additional] = addresses;
+    const [curveTVL, balancerTVL, uniswapV2TVL, uniswapV3TVL, sushiV2TVL, sushiV3TVL, pendle] = await Promise.all([
+      this.getFilteredTVL('Curve', addresses,
+        async (token, additionalAddresses) => (await this.sources.getCurveFilteredTVL(token, additionalAddresses)).data),
+      this.getFilteredTVL('Balancer', addresses,
+        async (token, additionalAddresses) => (await this.sources.getBalancerFilteredTVL(token, additionalAddresses)).data),
+      ...['uniswap_v2', 'uniswap_v3', 'sushi_v2', 'sushi_v3'].map(dex =>
+        this.getFilteredTVL(dex, addresses,
+          (token, additionalAddresses) => this.sources.getSubgraphFilteredTVL(dex, token, additionalAddresses))),
+      primary
+        ? this.load(`Pendle liquidity for ${primary}`, () => this.sources.getPendleLiquidity(primary, additional))
+        : null
+    ]);
+
+    const uniswapTVL = uniswapV2TVL + uniswapV3TVL;
+    const sushiTVL = sushiV2TVL + sushiV3TVL;
+    const pendleTVL = Number(pendle?.data || 0);
+
+    return {
+      curveTVL,
+      balancerTVL,
+      uniswapTVL,
+      sushiTVL,
+      pendleTVL,
+      totalMainnetLiquidity: curveTVL + balancerTVL + uniswapTVL + sushiTVL + pendleTVL,
+      pendle: {
+        markets: pendle?.markets || [],
+        excludedLiquidity: pendle?.excludedLiquidity || 0
+      }
+    };
+  }
+
+  async getLendingUsage(stablecoin, block = null) {
+    const addresses = Object.values({
+      ...stablecoin.contractAddresses,
+      ...(stablecoin.stakedContractAddresses || {})
+    }).filter(addr => addr && typeof addr === 'string').sort();
+
+    const [primary, ...additional] = addresses;
+    const response = primary
+      ? await this.load(`lending TVL for ${primary}`, () => this.sources.getLendingTotalTVL(primary, additional, block))
+      : null;
+    const protocols = response?.protocols || {};
+
+    return {
+      aaveCollateral: protocols.aave_v3?.totalTVL || 0,
+      morphoCollateral: protocols.morpho_combined?.totalTVL || 0,
+      eulerCollateral: protocols.euler?.totalTVL || 0,
+      fluidCollateral: protocols.fluid?.totalTVL || 0,
+      totalLendingMarkets: response?.totalLendingTVL || 0,
+      protocols,
+      pendle: response?.pendle || {}
+    };
+  }
+
+  // One batched balance read per holder (Multicall3 server-side), priced per token
+  async getTokenBalancesUSD(tokenAddresses, holderAddress, block = null) {
+    const [balances, prices] = await Promise.all([
+      this.load(`token balances of ${holderAddress}`,
+        () => this.sources.getTokenBalancesData(holderAddress, tokenAddresses, block)),
+      Promise.all(tokenAddresses.map(tokenAddress =>
+        this.load(`price of ${tokenAddress}`, () => this.sources.getTokenPriceData(tokenAddress, 'ethereum'))))
+    ]);
+
+    return tokenAddresses.reduce((total, tokenAddress, index) => {
+      const formatted = balances?.balances?.[tokenAddress.toLowerCase()]?.formatted || 0;
+      const price = prices[index];
+      return total + (price?.price && !price._unavailable ? formatted * price.price : 0);
+    }, 0);
+  }
+
+  async getCurveLPValueUSD(lpConfig, holderAddress, block = null) {
+    const { lpTokenAddress, poolAddress } = lpConfig;
+    const [balance, decimals, totalSupply, poolTVL] = await Promise.all([
+      this.load(`LP balance of ${holderAddress}`, () => this.sources.getTokenBalanceData(lpTokenAddress, holderAddress, block)),
+      this.load(`decimals of ${lpTokenAddress}`, () => this.sources.getTokenDecimalsData(lpTokenAddress)),
+      this.load(`total supply of ${lpTokenAddress}`, () => this.sources.getTotalSupplyData(lpTokenAddress, block)),
+      this.load(`Curve pool TVL of ${poolAddress}`, () => this.sources.getCurvePoolTVL(poolAddress))
+    ]);
+
+    const scale = Math.pow(10, decimals?.decimals || 18);
+    const lpBalance = (balance?.balance || 0) / scale;
+    const lpTotalSupply = (totalSupply?.totalSupply || 0) / scale;
+    const shareOfPool = lpTotalSupply > 0 ? lpBalance / lpTotalSupply : 0;
+
+    return Number(poolTVL || 0) * shareOfPool;
+  }
+
+  async getInsuranceFund(stablecoin, block = null) {
+    const config = stablecoin.insuranceFund || {};
+
+    if (config.type === 'fdv' && config.rlpCoingeckoId) {
+      const response = await this.load(`FDV of ${config.rlpCoingeckoId}`, () => this.sources.getCoinGeckoFDV(config.rlpCoingeckoId));
+      return { value: response?.fdv || 0, source: 'coingecko_fdv', isUnavailable: !response };
+    }
+
+    if (!config.monitoredAddresses?.length) {
+      return { value: 0, source: 'unknown', isUnavailable: true };
+    }
+
+    // Only Curve LP positions can be valued server-side (pool TVL from the Curve API); other configured
+    // positions are left out of the total, which is then flagged as partial
+    const lpPositions = (config.lpTokensToMonitor || []).filter(lpConfig => lpConfig.lpTokenAddress && lpConfig.poolAddress);
+    const curvePositions = lpPositions.filter(lpConfig => lpConfig.protocol === 'curve');
+    const skippedPositions = lpPositions
+      .filter(lpConfig => lpConfig.protocol !== 'curve')
+      .map(({ lpTokenAddress, protocol }) => ({ lpTokenAddress, protocol: protocol || null }));
+    if (skippedPositions.length > 0) {
+      this.logger.warn(`Insurance fund for ${stablecoin.symbol} leaves out ${skippedPositions.length} non-Curve LP position(s): ${skippedPositions.map(position => `${position.lpTokenAddress} (${position.protocol || 'no protocol'})`).join(', ')}`);
+    }
+
+    let total = 0;
+    for (const holderAddress of config.monitoredAddresses || []) {
+      if (config.tokensToMonitor?.length > 0) {
+        total += await this.getTokenBalancesUSD(config.tokensToMonitor, holderAddress, block);
+      }
+      for (const lpConfig of curvePositions) {
+        total += await this.getCurveLPValueUSD(lpConfig, holderAddress, block);
+      }
+    }
+    return {
+      value: total,
+      source: 'blockchain_balances',
+      isUnavailable: false,
+      isPartial: skippedPositions.length > 0,
+      skippedPositions
+    };
+  }
+
+  async getStakedSupply(stablecoin, block = null) {
+    if (stablecoin.stakedSupplySource === 'blockchain') {
+      const stakedContract = Object.values(stablecoin.stakedContractAddresses || {})[0];
+      if (!stakedContract) return { value: 0, source: 'blockchain', breakdown: null };
+
+      const [totalSupply, decimals] = await Promise.all([
+        this.load(`total supply of ${stakedContract}`, () => this.sources.getTotalSupplyData(stakedContract, block)),
+        this.load(`decimals of ${stakedContract}`, () => this.sources.getTokenDecimalsData(stakedContract))
+      ]);
+      return {
+        value: (totalSupply?.totalSupply || 0) / Math.pow(10, decimals?.decimals || 18),
+        source: 'blockchain',
+        breakdown: null
+      };
+    }
+
+    const { total, breakdown } = await this.sumCoinGeckoField(stablecoin.stakedCoingeckoIds, 'total_supply');
+    return { value: total, source: 'coingecko', breakdown };
+  }
+
+  /**
+   * Collect all raw metric values for a stablecoin
+   * @param {object} stablecoin - Stablecoin config from config/stablecoins.js
+   * @returns {Promise<object>} - Raw metric values keyed like the dashboard's sort values
+   */
+  async collect(stablecoin) {
+    const { values } = await this.collectWithDetails(stablecoin);
+    return values;
+  }
+
+  /**
+   * Collect raw metric values plus the breakdowns and sources behind them
+   * @param {object} stablecoin - Stablecoin config from config/stablecoins.js
+   * @param {object} options - { block }: mainnet block number to pin the on-chain reads to
+   * @returns {Promise<object>} - { values, details } as consumed by buildMetricSet
+   */
+  async collectWithDetails(stablecoin, { block = null } = {}) {
+    const [
+      totalSupply,
+      mainnetSupply,
+      bridgeSupply,
+      collateralizationRatio,
+      dexLiquidity,
+      lendingUsage,
+      insuranceFund,
+      stakedSupply
+    ] = await Promise.all([
+      this.sumCoinGeckoField(stablecoin.coingeckoIds, 'total_supply'),
+      this.sumCoinGeckoField(stablecoin.coingeckoIds, 'circulating_supply'),
+      this.getBridgeSupply(stablecoin, block),
+      this.getCollateralizationRatio(stablecoin, block),
+      this.getDexLiquidity(stablecoin),
+      this.getLendingUsage(stablecoin, block),
+      this.getInsuranceFund(stablecoin, block),
+      this.getStakedSupply(stablecoin, block)
+    ]);
+
+    const { pendle: pendleLiquidity, ...dexValues } = dexLiquidity;
+    const { protocols, pendle, ...lendingValues } = lendingUsage;
+
+    return {
+      values: {
+        totalSupply: totalSupply.total,
+        mainnetSupply: mainnetSupply.total,
+        bridgeSupply: bridgeSupply.value || 0,
+        ...dexValues,
+        ...lendingValues,
+        insuranceFund: insuranceFund.value,
+        collateralizationRatio: collateralizationRatio.value || 0,
+        stakedSupply: stakedSupply.value
+      },
+      details: {
+        totalSupply: { breakdown: totalSupply.breakdown },
+        mainnetSupply: { breakdown: mainnetSupply.breakdown },
+        bridgeSupply: {
+          isPlaceholder: bridgeSupply.value === null,
+          source: bridgeSupply.source,
+          breakdown: bridgeSupply.breakdown
+        },
+        pendleTVL: pendleLiquidity,
+        totalLendingMarkets: { protocols },
+        pendlePTCollateral: {
+          marketValue: pendle.ptMarketValue || 0,
+          faceValue: pendle.ptFaceValue || 0,
+          maturityLadder: pendle.maturityLadder || []
+        },
+        insuranceFund: {
+          source: insuranceFund.source,
+          isUnavailable: insuranceFund.isUnavailable,
+          isPartial: insuranceFund.isPartial || false,
+          skippedPositions: insuranceFund.skippedPositions || []
+        },
+        collateralizationRatio: {
+          isUnavailable: collateralizationRatio.value === null,
+          source: collateralizationRatio.source,
+          divergence: collateralizationRatio.divergence
+        },
+        stakedSupply: { source: stakedSupply.source, breakdown: stakedSupply.breakdown }
+      }
+    };
+  }
+}
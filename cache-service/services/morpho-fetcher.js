@@ -1,5 +1,6 @@
 import axios from 'axios';
 import { RequestQueue, generateCacheKey } from './request-queue.js';
+import { DEFAULT_CHAIN, getChain } from '../config/chains.js';
 
 export class MorphoFetcher {
   constructor() {
@@ -7,6 +8,7 @@ export class MorphoFetcher {
     
     // Initialize request queue for Morpho API calls
     this.requestQueue = new RequestQueue({
+      name: 'morpho',
       concurrency: 4, // Morpho API can handle moderate concurrency
       requestsPerSecond: 5, // Conservative rate limiting
       retryAttempts: 3,
@@ -23,18 +25,21 @@ export class MorphoFetcher {
    * Get markets where a token is used as collateral and aggregate TVL data
    * Uses two-step approach: 1) Find markets, 2) Get aggregated TVL data
    * @param {string} tokenAddress - The token contract address
+   * @param {string} chain - Chain key from config/chains.js (default mainnet)
    * @returns {Promise<Object>} - Market data from Morpho API
    */
-  async getTokenMarkets(tokenAddress) {
+  async getTokenMarkets(tokenAddress, chain = DEFAULT_CHAIN) {
     try {
+      const { chainId } = getChain(chain);
+
       // Step 1: Find all markets where token is used as collateral
       const identifyMarketsQuery = `
-        query IdentifyCollateralMarkets($tokenAddress: String!) {
+        query IdentifyCollateralMarkets($tokenAddress: String!, $chainId: Int!) {
           collateralMarkets: markets(
             first: 1000
             where: { 
               collateralAssetAddress_in: [$tokenAddress],
-              chainId_in: [1]
+              chainId_in: [$chainId]
             }
           ) {
             pageInfo {
@@ -60,7 +65,7 @@ export class MorphoFetcher {
             first: 1000
             where: { 
               loanAssetAddress_in: [$tokenAddress],
-              chainId_in: [1]
+              chainId_in: [$chainId]
             }
           ) {
             pageInfo {
@@ -85,7 +90,7 @@ export class MorphoFetcher {
         }
       `;
 
-      const requestKey = generateCacheKey('morpho', 'token-markets-comprehensive', { tokenAddress });
+      const requestKey = generateCacheKey('morpho', 'token-markets-comprehensive', { tokenAddress, chainId });
       
       const result = await this.requestQueue.enqueue(requestKey, async () => {
         console.log(`Fetching comprehensive Morpho markets for token: ${tokenAddress}`);
@@ -93,7 +98,8 @@ export class MorphoFetcher {
         const response = await axios.post(this.apiUrl, {
           query: identifyMarketsQuery,
           variables: {
-            tokenAddress: tokenAddress.toLowerCase()
+            tokenAddress: tokenAddress.toLowerCase(),
+            chainId
           }
         }, {
           headers: {
@@ -121,6 +127,7 @@ export class MorphoFetcher {
         return {
           protocol: 'morpho_unified',
           tokenAddress,
+          chainId,
           markets: { loanMarkets: [], collateralMarkets: [] },
           totalTVL: 0,
           totalSupplyTVL: 0,
@@ -137,12 +144,12 @@ export class MorphoFetcher {
       ];
       
       const tvlDataQuery = `
-        query GetMarketsTVLData($uniqueKeys: [String!]!) {
+        query GetMarketsTVLData($uniqueKeys: [String!]!, $chainId: Int!) {
           marketsByKeys: markets(
             first: 1000
             where: { 
               uniqueKey_in: $uniqueKeys,
-              chainId_in: [1]
+              chainId_in: [$chainId]
             }
           ) {
             items {
@@ -179,7 +186,8 @@ export class MorphoFetcher {
           const response = await axios.post(this.apiUrl, {
             query: tvlDataQuery,
             variables: {
-              uniqueKeys: uniqueKeys
+              uniqueKeys: uniqueKeys,
+              chainId
             }
           }, {
             headers: {
@@ -231,6 +239,7 @@ export class MorphoFetcher {
       return {
         protocol: 'morpho_unified',
         tokenAddress,
+        chainId,
         markets: {
           loanMarkets: loanMarkets,
           collateralMarkets: collateralMarkets,
@@ -262,16 +271,296 @@ export class MorphoFetcher {
     }
   }
 
+  /**
+   * Per-market drilldown of the MetaMorpho vaults lending against a stablecoin: for each Morpho Blue
+   * market using one of the token addresses as collateral, the vaults allocating into it, their share
+   * of the market's supply, curator and the market LLTV
+   * @param {Array} tokenAddresses - Stablecoin contract addresses (collateral side)
+   * @param {string} chain - Chain key from config/chains.js (default mainnet)
+   * @returns {Promise<Object>} - { markets: [{ uniqueKey, collateralAsset, loanAsset, lltv, collateralAssetsUsd,
+   *   supplyAssetsUsd, borrowAssetsUsd, utilization, vaultSupplyUsd, vaultSupplyShare, vaults: [{ address, name,
+   *   symbol, curator, curators, supplyAssetsUsd, supplyShare }] }], curators: [{ name, vaults, supplyAssetsUsd }],
+   *   vaultCount, totalCollateralTVL }; supply not held by vaults is supplied directly to Morpho Blue
+   */
+  async getVaultAllocations(tokenAddresses, chain = DEFAULT_CHAIN) {
+    const { chainId } = getChain(chain);
+    const addresses = [...new Set(tokenAddresses.map(addr => addr.toLowerCase()))].sort();
+
+    try {
+      const tokenMarkets = await Promise.all(addresses.map(addr => this.getTokenMarkets(addr, chain)));
+      const failed = tokenMarkets.find(result => result.error);
+      if (failed) throw new Error(failed.error);
+
+      const uniqueKeys = [...new Set(tokenMarkets.flatMap(result => result.markets.collateralMarkets.map(m => m.uniqueKey)))];
+      if (uniqueKeys.length === 0) {
+        return {
+          protocol: 'morpho_vaults',
+          tokenAddresses: addresses,
+          chainId,
+          markets: [],
+          curators: [],
+          vaultCount: 0,
+          totalCollateralTVL: 0,
+          fetched_at: new Date().toISOString()
+        };
+      }
+
+      const vaultsQuery = `
+        query GetMarketVaults($uniqueKeys: [String!]!, $chainId: Int!) {
+          markets(
+            first: 1000
+            where: { 
+              uniqueKey_in: $uniqueKeys,
+              chainId_in: [$chainId]
+            }
+          ) {
+            items {
+              uniqueKey
+              lltv
+              collateralAsset {
+                address
+                symbol
+              }
+              loanAsset {
+                address
+                symbol
+              }
+              state {
+                collateralAssetsUsd
+                supplyAssetsUsd
+                borrowAssetsUsd
+                utilization
+              }
+              supplyingVaults {
+                address
+                name
+                symbol
+                metadata {
+                  curators {
+                    name
+                  }
+                }
+                state {
+                  curator
+                  allocation {
+                    market {
+                      uniqueKey
+                    }
+                    supplyAssetsUsd
+                  }
+                }
+              }
+            }
+          }
+        }
+      `;
+
+      const requestKey = generateCacheKey('morpho', 'market-vaults', { addresses: addresses.join(','), chainId });
+
+      const result = await this.requestQueue.enqueue(requestKey, async () => {
+        console.log(`Fetching MetaMorpho vault allocations for ${uniqueKeys.length} markets`);
+
+        const response = await axios.post(this.apiUrl, {
+          query: vaultsQuery,
+          variables: { uniqueKeys, chainId }
+        }, {
+          headers: {
+            'Content-Type': 'application/json'
+          },
+          timeout: 30000
+        });
+
+        if (response.data.errors) {
+          console.error('Morpho vaults GraphQL errors:', response.data.errors);
+          throw new Error(`Morpho vaults API errors: ${JSON.stringify(response.data.errors)}`);
+        }
+
+        return response.data.data;
+      });
+
+      const curators = new Map();
+      const vaultAddresses = new Set();
+
+      const markets = (result.markets?.items || []).map(market => {
+        const supplyAssetsUsd = Number(market.state?.supplyAssetsUsd) || 0;
+
+        const vaults = (market.supplyingVaults || [])
+          .map(vault => {
+            const allocation = (vault.state?.allocation || []).find(a => a.market?.uniqueKey === market.uniqueKey);
+            const vaultSupplyUsd = Number(allocation?.supplyAssetsUsd) || 0;
+            return {
+              address: vault.address?.toLowerCase(),
+              name: vault.name,
+              symbol: vault.symbol,
+              curator: vault.state?.curator?.toLowerCase() || null,
+              curators: (vault.metadata?.curators || []).map(curator => curator.name),
+              supplyAssetsUsd: vaultSupplyUsd,
+              supplyShare: supplyAssetsUsd > 0 ? vaultSupplyUsd / supplyAssetsUsd : 0
+            };
+          })
+          .filter(vault => vault.supplyAssetsUsd > 0)
+          .sort((a, b) => b.supplyAssetsUsd - a.supplyAssetsUsd);
+
+        for (const vault of vaults) {
+          vaultAddresses.add(vault.address);
+          for (const name of vault.curators.length > 0 ? vault.curators : [vault.curator || 'Unknown']) {
+            const entry = curators.get(name) || { name, vaults: new Set(), supplyAssetsUsd: 0 };
+            entry.vaults.add(vault.address);
+            entry.supplyAssetsUsd += vault.supplyAssetsUsd;
+            curators.set(name, entry);
+          }
+        }
+
+        const vaultSupplyUsd = vaults.reduce((sum, vault) => sum + vault.supplyAssetsUsd, 0);
+        return {
+          uniqueKey: market.uniqueKey,
+          collateralAsset: market.collateralAsset,
+          loanAsset: market.loanAsset,
+          lltv: Number(market.lltv) / 1e18,
+          collateralAssetsUsd: Number(market.state?.collateralAssetsUsd) || 0,
+          supplyAssetsUsd,
+          borrowAssetsUsd: Number(market.state?.borrowAssetsUsd) || 0,
+          utilization: Number(market.state?.utilization) || 0,
+          vaultSupplyUsd,
+          vaultSupplyShare: supplyAssetsUsd > 0 ? vaultSupplyUsd / supplyAssetsUsd : 0,
+          vaults
+        };
+      }).sort((a, b) => b.collateralAssetsUsd - a.collateralAssetsUsd);
+
+      return {
+        protocol: 'morpho_vaults',
+        tokenAddresses: addresses,
+        chainId,
+        markets,
+        // A vault with several curators counts toward each of them
+        curators: [...curators.values()]
+          .map(entry => ({ name: entry.name, vaults: entry.vaults.size, supplyAssetsUsd: entry.supplyAssetsUsd }))
+          .sort((a, b) => b.supplyAssetsUsd - a.supplyAssetsUsd),
+        vaultCount: vaultAddresses.size,
+        totalCollateralTVL: markets.reduce((sum, market) => sum + market.collateralAssetsUsd, 0),
+        fetched_at: new Date().toISOString()
+      };
+
+    } catch (error) {
+      console.error(`Error fetching MetaMorpho vault allocations for ${addresses.join(', ')}:`, error.message);
+      return {
+        protocol: 'morpho_vaults',
+        tokenAddresses: addresses,
+        chainId,
+        markets: [],
+        curators: [],
+        vaultCount: 0,
+        totalCollateralTVL: 0,
+        error: error.message,
+        fetched_at: new Date().toISOString()
+      };
+    }
+  }
+
+  /**
+   * Borrow-side exposure: the Morpho Blue markets lending out one of the token addresses, with their
+   * utilization and the collateral backing the loans
+   * @param {Array} tokenAddresses - Stablecoin contract addresses (loan side)
+   * @param {string} chain - Chain key from config/chains.js (default mainnet)
+   * @returns {Promise<Object>} - { markets: [{ uniqueKey, collateralAsset, loanAsset, lltv, supplyAssetsUsd,
+   *   borrowAssetsUsd, liquidityAssetsUsd, utilization }], collateral: [{ address, symbol, markets,
+   *   borrowAssetsUsd, collateralAssetsUsd }], totalSupplyUSD, totalBorrowUSD, utilization }
+   */
+  async getBorrowMarkets(tokenAddresses, chain = DEFAULT_CHAIN) {
+    const { chainId } = getChain(chain);
+    const addresses = [...new Set(tokenAddresses.map(addr => addr.toLowerCase()))].sort();
+
+    try {
+      const tokenMarkets = await Promise.all(addresses.map(addr => this.getTokenMarkets(addr, chain)));
+      const failed = tokenMarkets.find(result => result.error);
+      if (failed) throw new Error(failed.error);
+
+      // getTokenMarkets already holds the market state for its loan markets; lltv comes from the identify query
+      const loanMarkets = new Map(tokenMarkets.flatMap(result => result.markets.loanMarkets.map(m => [m.uniqueKey, m])));
+      const states = new Map(tokenMarkets.flatMap(result => (result.markets.marketsWithTVL || []).map(m => [m.uniqueKey, m.state])));
+
+      const collateral = new Map();
+      const markets = [...loanMarkets.values()].map(market => {
+        const state = states.get(market.uniqueKey) || {};
+        const entry = {
+          uniqueKey: market.uniqueKey,
+          collateralAsset: market.collateralAsset,
+          loanAsset: market.loanAsset,
+          lltv: Number(market.lltv) / 1e18,
+          supplyAssetsUsd: Number(state.supplyAssetsUsd) || 0,
+          borrowAssetsUsd: Number(state.borrowAssetsUsd) || 0,
+          liquidityAssetsUsd: Number(state.liquidityAssetsUsd) || 0,
+          collateralAssetsUsd: Number(state.collateralAssetsUsd) || 0,
+          utilization: Number(state.utilization) || 0
+        };
+
+        // Idle markets (no collateral asset) hold supply but back no loans
+        if (market.collateralAsset?.address) {
+          const key = market.collateralAsset.address.toLowerCase();
+          const total = collateral.get(key) || {
+            address: key,
+            symbol: market.collateralAsset.symbol,
+            markets: 0,
+            borrowAssetsUsd: 0,
+            collateralAssetsUsd: 0
+          };
+          total.markets += 1;
+          total.borrowAssetsUsd += entry.borrowAssetsUsd;
+          total.collateralAssetsUsd += entry.collateralAssetsUsd;
+          collateral.set(key, total);
+        }
+
+        return entry;
+      })
+        .filter(market => market.supplyAssetsUsd > 0 || market.borrowAssetsUsd > 0)
+        .sort((a, b) => b.borrowAssetsUsd - a.borrowAssetsUsd);
+
+      const totalSupplyUSD = markets.reduce((sum, market) => sum + market.supplyAssetsUsd, 0);
+      const totalBorrowUSD = markets.reduce((sum, market) => sum + market.borrowAssetsUsd, 0);
+
+      return {
+        protocol: 'morpho_borrow',
+        tokenAddresses: addresses,
+        chainId,
+        markets,
+        collateral: [...collateral.values()]
+          .filter(entry => entry.borrowAssetsUsd > 0)
+          .sort((a, b) => b.borrowAssetsUsd - a.borrowAssetsUsd),
+        totalSupplyUSD,
+        totalBorrowUSD,
+        utilization: totalSupplyUSD > 0 ? totalBorrowUSD / totalSupplyUSD : 0,
+        fetched_at: new Date().toISOString()
+      };
+
+    } catch (error) {
+      console.error(`Error fetching Morpho borrow markets for ${addresses.join(', ')}:`, error.message);
+      return {
+        protocol: 'morpho_borrow',
+        tokenAddresses: addresses,
+        chainId,
+        markets: [],
+        collateral: [],
+        totalSupplyUSD: 0,
+        totalBorrowUSD: 0,
+        utilization: 0,
+        error: error.message,
+        fetched_at: new Date().toISOString()
+      };
+    }
+  }
+
   /**
    * Get detailed market information for a specific market
    * @param {string} uniqueKey - Morpho market unique key
+   * @param {string} chain - Chain key from config/chains.js (default mainnet)
    * @returns {Promise<Object>} - Detailed market data
    */
-  async getMarketDetails(uniqueKey) {
+  async getMarketDetails(uniqueKey, chain = DEFAULT_CHAIN) {
     try {
+      const { chainId } = getChain(chain);
       const query = `
-        query GetMarketDetails($uniqueKey: String!) {
-          marketByUniqueKey(uniqueKey: $uniqueKey, chainId: 1) {
+        query GetMarketDetails($uniqueKey: String!, $chainId: Int!) {
+          marketByUniqueKey(uniqueKey: $uniqueKey, chainId: $chainId) {
             uniqueKey
             loanAsset {
               address
@@ -299,12 +588,12 @@ export class MorphoFetcher {
         }
       `;
 
-      const requestKey = generateCacheKey('morpho', 'market-details', { uniqueKey });
+      const requestKey = generateCacheKey('morpho', 'market-details', { uniqueKey, chainId });
       
       const result = await this.requestQueue.enqueue(requestKey, async () => {
         const response = await axios.post(this.apiUrl, {
           query,
-          variables: { uniqueKey }
+          variables: { uniqueKey, chainId }
         }, {
           headers: {
             'Content-Type': 'application/json'
@@ -0,0 +1,66 @@
+// ================= MULTICALL3 =================
+// ABI encoding for Multicall3 aggregate3, which runs many eth_calls as one. Multicall3 is deployed
+// at the same address on every supported chain. Each call may fail on its own (allowFailure),
+// so one reverting token does not fail the batch. EthereumFetcher.multicall sends the chunks.
+
+export const MULTICALL3_ADDRESS = '0xca11bde05977b3631167028862be2a173976ca11';
+
+// Calls per aggregate3 request; keeps each eth_call well under public RPC gas and size limits
+export const MULTICALL_CHUNK_SIZE = 100;
+
+// aggregate3((address target, bool allowFailure, bytes callData)[]): 0x82ad56cb
+const AGGREGATE3_SELECTOR = '0x82ad56cb';
+
+function word(value) {
+  return BigInt(value).toString(16).padStart(64, '0');
+}
+
+function padBytes(hex) {
+  return hex.padEnd(Math.ceil(hex.length / 64) * 64, '0');
+}
+
+/**
+ * Encode an aggregate3 call
+ * @param {Array} calls - [{ target, callData }]; callData is 0x-prefixed hex
+ * @returns {string} - eth_call data
+ */
+export function encodeAggregate3(calls) {
+  // Each Call3 tuple is dynamic (bytes), so the array holds offsets to the encoded tuples
+  const tuples = calls.map(({ target, callData }) => {
+    const data = callData.slice(2);
+    return word(target) + word(1) + word(0x60) + word(data.length / 2) + padBytes(data);
+  });
+
+  let offset = tuples.length * 32;
+  const offsets = tuples.map(tuple => {
+    const current = offset;
+    offset += tuple.length / 2;
+    return word(current);
+  });
+
+  return AGGREGATE3_SELECTOR + word(0x20) + word(calls.length) + offsets.join('') + tuples.join('');
+}
+
+/**
+ * Decode the aggregate3 return value
+ * @param {string} result - eth_call result
+ * @returns {Array} - [{ success, returnData }] in call order; returnData is 0x-prefixed hex
+ */
+export function decodeAggregate3(result) {
+  const hex = result.slice(2);
+  const readWord = position => BigInt(`0x${hex.slice(position * 2, position * 2 + 64)}`);
+
+  const arrayStart = Number(readWord(0));
+  const length = Number(readWord(arrayStart));
+  const itemsStart = arrayStart + 32;
+
+  return Array.from({ length }, (_, i) => {
+    const tupleStart = itemsStart + Number(readWord(itemsStart + i * 32));
+    const dataStart = tupleStart + Number(readWord(tupleStart + 32));
+    const dataLength = Number(readWord(dataStart));
+    return {
+      success: readWord(tupleStart) === 1n,
+      returnData: `0x${hex.slice((dataStart + 32) * 2, (dataStart + 32 + dataLength) * 2)}`
+    };
+  });
+}
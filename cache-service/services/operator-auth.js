@@ -0,0 +1,144 @@
+// ================= OPERATOR AUTH =================
+// Named operator accounts with roles. API keys are random tokens shown once on creation;
+// only their SHA-256 hash is stored (Redis hash operators:keys maps hash -> account name).
+// OPERATOR_API_KEY, when set, acts as a bootstrap admin used to create the first accounts.
+
+import crypto from 'crypto';
+import { Buffer } from 'buffer';
+
+export const OPERATOR_ROLES = ['viewer', 'data-entry', 'admin'];
+
+const ACCOUNTS_KEY = 'operators:accounts';
+const KEY_INDEX_KEY = 'operators:keys';
+const BOOTSTRAP_NAME = 'bootstrap-admin';
+const NAME_PATTERN = /^[a-z0-9][a-z0-9._-]{1,31}$/;
+
+function hashKey(apiKey) {
+  return crypto.createHash('sha256').update(apiKey).digest('hex');
+}
+
+function generateKey() {
+  return `opk_${crypto.randomBytes(32).toString('base64url')}`;
+}
+
+// Account as returned by the API (never includes the key hash)
+function toPublicAccount(account) {
+  const publicAccount = { ...account };
+  delete publicAccount.keyHash;
+  return publicAccount;
+}
+
+export class OperatorAuth {
+  constructor(redisClient, bootstrapKey = null) {
+    this.redis = redisClient;
+    this.bootstrapKeyHash = bootstrapKey ? hashKey(bootstrapKey) : null;
+  }
+
+  static hasRole(role, requiredRole) {
+    return OPERATOR_ROLES.indexOf(role) >= OPERATOR_ROLES.indexOf(requiredRole);
+  }
+
+  static validateName(name) {
+    return typeof name === 'string' && NAME_PATTERN.test(name) && name !== BOOTSTRAP_NAME;
+  }
+
+  /**
+   * Resolve an API key to an operator identity
+   * @param {string} apiKey - Key from the x-operator-key header
+   * @returns {Promise<object|null>} - { name, role } or null if the key is unknown or disabled
+   */
+  async authenticate(apiKey) {
+    if (!apiKey || typeof apiKey !== 'string') return null;
+
+    const keyHash = hashKey(apiKey);
+    if (this.bootstrapKeyHash &&
+        crypto.timingSafeEqual(Buffer.from(keyHash), Buffer.from(this.bootstrapKeyHash))) {
+      return { name: BOOTSTRAP_NAME, role: 'admin' };
+    }
+
+    if (!this.redis?.isReady) return null;
+
+    const name = await this.redis.hGet(KEY_INDEX_KEY, keyHash);
+    if (!name) return null;
+
+    const account = await this.getAccountRecord(name);
+    if (!account || account.disabled || account.keyHash !== keyHash) return null;
+
+    return { name: account.name, role: account.role };
+  }
+
+  async getAccountRecord(name) {
+    const stored = await this.redis.hGet(ACCOUNTS_KEY, name);
+    return stored ? JSON.parse(stored) : null;
+  }
+
+  async saveAccountRecord(account) {
+    await this.redis.hSet(ACCOUNTS_KEY, account.name, JSON.stringify(account));
+  }
+
+  async listAccounts() {
+    const accounts = await this.redis.hGetAll(ACCOUNTS_KEY);
+    return Object.values(accounts)
+      .map(stored => toPublicAccount(JSON.parse(stored)))
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Create an account and return its API key (the only time the key is available)
+   * @returns {Promise<object|null>} - { account, apiKey }, or null if the name is taken
+   */
+  async createAccount(name, role, createdBy) {
+    if (await this.getAccountRecord(name)) return null;
+
+    const apiKey = generateKey();
+    const account = {
+      name,
+      role,
+      keyHash: hashKey(apiKey),
+      disabled: false,
+      createdAt: new Date().toISOString(),
+      createdBy
+    };
+
+    await this.saveAccountRecord(account);
+    await this.redis.hSet(KEY_INDEX_KEY, account.keyHash, name);
+    return { account: toPublicAccount(account), apiKey };
+  }
+
+  async updateAccount(name, { role, disabled }, updatedBy) {
+    const account = await this.getAccountRecord(name);
+    if (!account) return null;
+
+    if (role !== undefined) account.role = role;
+    if (disabled !== undefined) account.disabled = Boolean(disabled);
+    account.updatedAt = new Date().toISOString();
+    account.updatedBy = updatedBy;
+
+    await this.saveAccountRecord(account);
+    return toPublicAccount(account);
+  }
+
+  async rotateKey(name, updatedBy) {
+    const account = await this.getAccountRecord(name);
+    if (!account) return null;
+
+    const apiKey = generateKey();
+    await this.redis.hDel(KEY_INDEX_KEY, account.keyHash);
+    account.keyHash = hashKey(apiKey);
+    account.updatedAt = new Date().toISOString();
+    account.updatedBy = updatedBy;
+
+    await this.saveAccountRecord(account);
+    await this.redis.hSet(KEY_INDEX_KEY, account.keyHash, name);
+    return { account: toPublicAccount(account), apiKey };
+  }
+
+  async deleteAccount(name) {
+    const account = await this.getAccountRecord(name);
+    if (!account) return false;
+
+    await this.redis.hDel(KEY_INDEX_KEY, account.keyHash);
+    await this.redis.hDel(ACCOUNTS_KEY, name);
+    return true;
+  }
+}
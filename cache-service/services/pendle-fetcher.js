@@ -1,12 +1,33 @@
 import axios from 'axios';
 import { RequestQueue, generateCacheKey } from './request-queue.js';
 
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * PT price in underlying units: PT redeems 1:1 at expiry, so before expiry it trades at the
+ * implied APY discount, compounded over the time left
+ * @param {number|null} impliedApy - Market implied APY (0.08 = 8%)
+ * @param {string} expiry - Market expiry (ISO date)
+ * @returns {number|null} - Price between 0 and 1, or null without an implied APY
+ */
+function getPTPrice(impliedApy, expiry, now = Date.now()) {
+  if (impliedApy === null || impliedApy === undefined || !expiry) return null;
+  const yearsToExpiry = Math.max(new Date(expiry).getTime() - now, 0) / (365 * MS_PER_DAY);
+  return Math.pow(1 + Number(impliedApy), -yearsToExpiry);
+}
+
+function getDaysToExpiry(expiry, now = Date.now()) {
+  if (!expiry) return null;
+  return Math.max(Math.ceil((new Date(expiry).getTime() - now) / MS_PER_DAY), 0);
+}
+
 export class PendleFetcher {
   constructor() {
     this.baseUrl = 'https://api-v2.pendle.finance/core/v1';
     
     // Initialize request queue with optimized settings for Pendle API
     this.requestQueue = new RequestQueue({
+      name: 'pendle',
       concurrency: 3, // Conservative for Pendle API
       requestsPerSecond: 5, // Moderate rate limiting
       retryAttempts: 2, // Fail faster
@@ -145,12 +166,17 @@ export class PendleFetcher {
           ? underlyingAsset.split('-')[1]
           : underlyingAsset;
         
+        const impliedApy = market.details?.impliedApy ?? null;
+        
         return {
           ptAddress: ptAddress?.toLowerCase(),
           marketAddress: market.address?.toLowerCase(),
           marketName: market.name,
           underlyingAsset: assetAddress?.toLowerCase(),
           expiry: market.expiry,
+          daysToExpiry: getDaysToExpiry(market.expiry),
+          impliedApy,
+          ptPrice: getPTPrice(impliedApy, market.expiry),
           totalTvl: market.details?.totalTvl || 0,
           totalPt: market.details?.totalPt || 0
         };
@@ -173,6 +199,124 @@ export class PendleFetcher {
     }
   }
 
+  /**
+   * Liquidity a stablecoin has in Pendle AMM pools: the SY and PT each market holds, as reported
+   * by the Pendle API (details.liquidity, falling back to details.totalTvl)
+   * @param {Array} tokenAddresses - Array of stablecoin contract addresses
+   * @param {Object} allMarkets - All Pendle markets (from cache)
+   * @param {Object} options - { minDaysToExpiry }: markets expiring sooner are listed but not counted,
+   *   since their liquidity leaves the pool at expiry
+   * @returns {Object} - { data, excludedLiquidity, minDaysToExpiry, markets: [{ marketAddress, marketName,
+   *   underlyingAsset, expiry, daysToExpiry, liquidity, totalSy, totalPt, excluded }] }
+   */
+  getMarketLiquidity(tokenAddresses, allMarkets, { minDaysToExpiry = 0 } = {}) {
+    const relevantMarkets = this.filterMarketsByUnderlyingAsset(allMarkets?.markets || [], tokenAddresses);
+    
+    const markets = relevantMarkets
+      .map(market => {
+        const underlyingAsset = market.underlyingAsset || '';
+        const daysToExpiry = getDaysToExpiry(market.expiry);
+        
+        return {
+          marketAddress: market.address?.toLowerCase(),
+          marketName: market.name,
+          underlyingAsset: (underlyingAsset.includes('-') ? underlyingAsset.split('-')[1] : underlyingAsset)?.toLowerCase(),
+          expiry: market.expiry,
+          daysToExpiry,
+          liquidity: Number(market.details?.liquidity ?? market.details?.totalTvl) || 0,
+          totalSy: market.details?.totalSy || 0,
+          totalPt: market.details?.totalPt || 0,
+          excluded: daysToExpiry !== null && daysToExpiry < minDaysToExpiry
+        };
+      })
+      .sort((a, b) => b.liquidity - a.liquidity);
+    
+    const sumLiquidity = list => list.reduce((sum, market) => sum + market.liquidity, 0);
+    return {
+      data: sumLiquidity(markets.filter(market => !market.excluded)),
+      excludedLiquidity: sumLiquidity(markets.filter(market => market.excluded)),
+      minDaysToExpiry,
+      markets
+    };
+  }
+
+  /**
+   * Split PT exposure into face value (PT counted at its underlying, redeemable at expiry) and
+   * market value (PT at its current price)
+   * @param {Array} entries - [{ ptAddress, value, basis }]; basis 'face' for USD values that count PT
+   *   at the underlying price, 'market' for values already priced at the PT market price
+   * @param {Array} ptDetails - ptDetails from getPTTokensForStablecoin
+   * @returns {Object} - { faceValue, marketValue, positions: [{ ptAddress, marketName, expiry,
+   *   daysToExpiry, impliedApy, ptPrice, faceValue, marketValue }] }; PTs without a price keep
+   *   the reported value for both
+   */
+  valuePTExposure(entries, ptDetails = []) {
+    const detailsByPT = new Map(ptDetails.map(detail => [detail.ptAddress, detail]));
+    const positions = new Map();
+    
+    for (const { ptAddress, value, basis } of entries) {
+      const address = ptAddress?.toLowerCase();
+      const reported = Number(value) || 0;
+      if (!address || reported === 0) continue;
+      
+      const detail = detailsByPT.get(address) || {};
+      const ptPrice = detail.ptPrice > 0 ? detail.ptPrice : null;
+      const position = positions.get(address) || {
+        ptAddress: address,
+        marketName: detail.marketName || null,
+        expiry: detail.expiry || null,
+        daysToExpiry: detail.daysToExpiry ?? null,
+        impliedApy: detail.impliedApy ?? null,
+        ptPrice,
+        faceValue: 0,
+        marketValue: 0
+      };
+      
+      position.faceValue += basis === 'market' && ptPrice ? reported / ptPrice : reported;
+      position.marketValue += basis === 'face' && ptPrice ? reported * ptPrice : reported;
+      positions.set(address, position);
+    }
+    
+    const list = [...positions.values()];
+    return {
+      faceValue: list.reduce((sum, position) => sum + position.faceValue, 0),
+      marketValue: list.reduce((sum, position) => sum + position.marketValue, 0),
+      positions: list
+    };
+  }
+
+  /**
+   * Group PT positions by expiry so the dashboard can show when PT exposure rolls off
+   * @param {Array} positions - positions from valuePTExposure
+   * @returns {Array} - [{ expiry, daysToExpiry, markets, faceValue, marketValue, cumulativeFaceValue }]
+   *   in expiry order; cumulativeFaceValue is what has rolled off by that date
+   */
+  buildMaturityLadder(positions) {
+    const rungs = new Map();
+    for (const position of positions) {
+      const expiry = position.expiry ? new Date(position.expiry).toISOString().slice(0, 10) : 'unknown';
+      const rung = rungs.get(expiry) || {
+        expiry,
+        daysToExpiry: position.daysToExpiry,
+        markets: [],
+        faceValue: 0,
+        marketValue: 0
+      };
+      if (position.marketName) rung.markets.push(position.marketName);
+      rung.faceValue += position.faceValue;
+      rung.marketValue += position.marketValue;
+      rungs.set(expiry, rung);
+    }
+    
+    let cumulativeFaceValue = 0;
+    return [...rungs.values()]
+      .sort((a, b) => (a.daysToExpiry ?? Infinity) - (b.daysToExpiry ?? Infinity))
+      .map(rung => {
+        cumulativeFaceValue += rung.faceValue;
+        return { ...rung, cumulativeFaceValue };
+      });
+  }
+
   /**
    * Get current request queue status for monitoring
    */
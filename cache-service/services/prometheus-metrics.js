@@ -0,0 +1,161 @@
+// ================= PROMETHEUS METRICS =================
+// Minimal in-process metrics registry rendered in the Prometheus text exposition format
+// (GET /metrics). Counters and histograms are updated where the work happens; gauges that
+// mirror existing state (queues, circuit breakers) are filled by collect callbacks at scrape time.
+
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return '';
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',')}}`;
+}
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return Number.isNaN(value) ? 'NaN' : String(value);
+}
+
+// Series are keyed by their label set so inc/set/observe with the same labels hit one series
+function seriesKey(labels) {
+  return JSON.stringify(Object.entries(labels).sort(([a], [b]) => a.localeCompare(b)));
+}
+
+class Metric {
+  /**
+   * @param {Function} collect - Optional callback run before each render to refresh the values
+   */
+  constructor(name, help, type, collect = null) {
+    this.name = name;
+    this.help = help;
+    this.type = type;
+    this.collect = collect;
+    this.series = new Map();
+  }
+
+  reset() {
+    this.series.clear();
+  }
+
+  // Used by gauges, and by collectors mirroring a total kept elsewhere
+  set(labels = {}, value) {
+    this.series.set(seriesKey(labels), { labels, value });
+  }
+
+  header() {
+    return [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+  }
+
+  render() {
+    return [...this.header(), ...[...this.series.values()].map(({ labels, value }) =>
+      `${this.name}${formatLabels(labels)} ${formatValue(value)}`)];
+  }
+}
+
+export class Counter extends Metric {
+  constructor(name, help, collect = null) {
+    super(name, help, 'counter', collect);
+  }
+
+  inc(labels = {}, value = 1) {
+    const key = seriesKey(labels);
+    const current = this.series.get(key);
+    this.series.set(key, { labels, value: (current?.value || 0) + value });
+  }
+}
+
+export class Gauge extends Metric {
+  constructor(name, help, collect = null) {
+    super(name, help, 'gauge', collect);
+  }
+}
+
+export class Histogram extends Metric {
+  constructor(name, help, buckets = DEFAULT_BUCKETS) {
+    super(name, help, 'histogram');
+    this.buckets = [...buckets].sort((a, b) => a - b);
+  }
+
+  observe(labels = {}, value) {
+    const key = seriesKey(labels);
+    let series = this.series.get(key);
+    if (!series) {
+      series = { labels, counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+      this.series.set(key, series);
+    }
+
+    this.buckets.forEach((bucket, index) => {
+      if (value <= bucket) series.counts[index]++;
+    });
+    series.sum += value;
+    series.count++;
+  }
+
+  render() {
+    const lines = this.header();
+    for (const { labels, counts, sum, count } of this.series.values()) {
+      this.buckets.forEach((bucket, index) => {
+        lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: bucket })} ${counts[index]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+      lines.push(`${this.name}_sum${formatLabels(labels)} ${formatValue(sum)}`);
+      lines.push(`${this.name}_count${formatLabels(labels)} ${count}`);
+    }
+    return lines;
+  }
+}
+
+export class MetricsRegistry {
+  constructor() {
+    this.metrics = new Map();
+  }
+
+  register(metric) {
+    if (this.metrics.has(metric.name)) {
+      throw new Error(`Metric ${metric.name} is already registered`);
+    }
+    this.metrics.set(metric.name, metric);
+    return metric;
+  }
+
+  counter(name, help, collect = null) {
+    return this.register(new Counter(name, help, collect));
+  }
+
+  gauge(name, help, collect = null) {
+    return this.register(new Gauge(name, help, collect));
+  }
+
+  histogram(name, help, buckets) {
+    return this.register(new Histogram(name, help, buckets));
+  }
+
+  /**
+   * Render every registered metric in the Prometheus text format
+   * @returns {Promise<string>}
+   */
+  async render() {
+    const lines = [];
+    for (const metric of this.metrics.values()) {
+      if (metric.collect) {
+        metric.reset();
+        await metric.collect(metric);
+      }
+      lines.push(...metric.render());
+    }
+    return `${lines.join('\n')}\n`;
+  }
+}
+
+// Shared registry; RequestQueue records upstream latency here so every fetcher is covered
+export const metricsRegistry = new MetricsRegistry();
+
+export const upstreamRequestDuration = metricsRegistry.histogram(
+  'cache_service_upstream_request_duration_seconds',
+  'Duration of upstream API request attempts by provider and outcome'
+);
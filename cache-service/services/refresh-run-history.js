@@ -0,0 +1,54 @@
+// ================= REFRESH RUN HISTORY =================
+// Record of every cache refresh run (scheduled or operator-triggered) with the outcome of each job.
+// Runs are pushed to the Redis list refresh:runs, newest first, capped at maxRuns entries.
+
+const RUNS_KEY = 'refresh:runs';
+
+export class RefreshRunHistory {
+  constructor(redisClient, maxRuns = 200) {
+    this.redis = redisClient;
+    this.maxRuns = maxRuns;
+  }
+
+  /**
+   * Store a finished run
+   * @param {object} run - Result of RefreshRunner.run, including jobs
+   */
+  async record(run) {
+    await this.redis.lPush(RUNS_KEY, JSON.stringify(run));
+    await this.redis.lTrim(RUNS_KEY, 0, this.maxRuns - 1);
+  }
+
+  /**
+   * Recent runs, newest first
+   * @param {object} filters - { limit, symbol, source, failedOnly }; symbol/source/failedOnly
+   *   reduce each run's job list and drop runs left without matching jobs
+   * @returns {Promise<Array>}
+   */
+  async getRuns({ limit = 20, symbol = null, source = null, failedOnly = false } = {}) {
+    const entries = await this.redis.lRange(RUNS_KEY, 0, this.maxRuns - 1);
+    const filtering = Boolean(symbol || source || failedOnly);
+
+    const runs = [];
+    for (const entry of entries) {
+      const run = JSON.parse(entry);
+      if (filtering) {
+        run.jobs = run.jobs.filter(job =>
+          (!symbol || job.symbol?.toLowerCase() === symbol.toLowerCase()) &&
+          (!source || job.source === source) &&
+          (!failedOnly || job.status === 'failed'));
+        if (run.jobs.length === 0) continue;
+      }
+
+      runs.push(run);
+      if (runs.length >= limit) break;
+    }
+    return runs;
+  }
+
+  async getRun(id) {
+    const entries = await this.redis.lRange(RUNS_KEY, 0, this.maxRuns - 1);
+    const entry = entries.find(stored => JSON.parse(stored).id === id);
+    return entry ? JSON.parse(entry) : null;
+  }
+}
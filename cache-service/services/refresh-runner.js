@@ -0,0 +1,253 @@
+// ================= REFRESH RUNNER =================
+// Scheduled cache warmup: requests every endpoint the dashboard reads, for every configured
+// stablecoin, through this service's own API so the same routes write the same cache keys.
+// Requests carry the run id in the x-cache-refresh header; server.js uses it to treat cached
+// entries as misses (once per key per run) so each run refetches upstream data.
+// Work is split into jobs per stablecoin and data source, and each job's outcome is tracked.
+
+import axios from 'axios';
+import crypto from 'crypto';
+import pLimit from 'p-limit';
+
+export const REFRESH_HEADER = 'x-cache-refresh';
+export const REFRESH_SOURCES = ['pendle', 'fluid', 'market-data', 'dex', 'lending', 'insurance', 'collateralization', 'staked', 'chains', 'bridge'];
+
+const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000';
+
+function withAdditionalAddresses(path, additionalAddresses) {
+  return additionalAddresses.length > 0
+    ? `${path}?additionalAddresses=${additionalAddresses.join(',')}`
+    : path;
+}
+
+// Same address selection as the dashboard hooks (and MetricsCollector) so cache keys match
+function getDexPaths(stablecoin) {
+  const [primary, ...additional] = Object.values(stablecoin.contractAddresses || {})
+    .filter(addr => addr && addr !== ZERO_ADDRESS);
+  if (!primary) return [];
+
+  return [
+    '/curve/filtered-tvl',
+    '/balancer/total-filtered-tvl',
+    '/uniswap/v2/filtered-tvl',
+    '/uniswap/v3/filtered-tvl',
+    '/sushiswap/v2/filtered-tvl',
+    '/sushiswap/v3/filtered-tvl',
+    '/pendle/liquidity'
+  ].map(path => withAdditionalAddresses(`${path}/${primary}`, additional));
+}
+
+function getLendingPaths(stablecoin) {
+  const [primary, ...additional] = Object.values({
+    ...stablecoin.contractAddresses,
+    ...(stablecoin.stakedContractAddresses || {})
+  }).filter(addr => addr && typeof addr === 'string').sort();
+
+  return primary
+    ? [
+        withAdditionalAddresses(`/lending/total-tvl/${primary}`, additional),
+        withAdditionalAddresses(`/lending/morpho-vaults/${primary}`, additional),
+        withAdditionalAddresses(`/lending/borrow-exposure/${primary}`, additional)
+      ]
+    : [];
+}
+
+function getInsurancePaths(stablecoin) {
+  const config = stablecoin.insuranceFund || {};
+  const paths = [`/stablecoin/insurance-fund/${stablecoin.symbol.toLowerCase()}`];
+
+  if (config.type === 'fdv' && config.rlpCoingeckoId) {
+    paths.push(`/coingecko/fdv/${config.rlpCoingeckoId}`);
+  }
+
+  for (const holderAddress of config.monitoredAddresses || []) {
+    if (config.tokensToMonitor?.length > 0) {
+      paths.push(`/ethereum/token-balances/${holderAddress}?tokens=${config.tokensToMonitor.join(',')}`);
+    }
+    for (const tokenAddress of config.tokensToMonitor || []) {
+      paths.push(`/defillama/token-price/${tokenAddress}?chain=ethereum`);
+    }
+    for (const lpConfig of config.lpTokensToMonitor || []) {
+      if (lpConfig.lpTokenAddress && lpConfig.poolAddress && lpConfig.protocol === 'curve') {
+        paths.push(
+          `/ethereum/token-balance/${lpConfig.lpTokenAddress}/${holderAddress}`,
+          `/ethereum/token-decimals/${lpConfig.lpTokenAddress}`,
+          `/ethereum/total-supply/${lpConfig.lpTokenAddress}`,
+          `/curve/pool-tvl/${lpConfig.poolAddress}`
+        );
+      }
+    }
+  }
+
+  return [...new Set(paths)];
+}
+
+function getStakedPaths(stablecoin) {
+  if (stablecoin.stakedSupplySource !== 'blockchain') return [];
+
+  const stakedContract = Object.values(stablecoin.stakedContractAddresses || {})[0];
+  return stakedContract
+    ? [`/ethereum/total-supply/${stakedContract}`, `/ethereum/token-decimals/${stakedContract}`]
+    : [];
+}
+
+/**
+ * Build the refresh jobs for a set of stablecoins
+ * @param {Array} stablecoins - Stablecoin configs from config/stablecoins.js
+ * @returns {Array} - [{ id, symbol, source, paths }]; shared jobs have symbol null
+ */
+export function buildRefreshJobs(stablecoins) {
+  // Shared inputs read by every coin's lending query
+  const jobs = [
+    { id: 'shared:pendle', symbol: null, source: 'pendle', paths: ['/pendle/all-markets'] },
+    { id: 'shared:fluid', symbol: null, source: 'fluid', paths: ['/fluid/all-vaults'] }
+  ];
+
+  for (const stablecoin of stablecoins) {
+    const coinJobs = {
+      'market-data': [...stablecoin.coingeckoIds, ...(stablecoin.stakedCoingeckoIds || [])]
+        .map(coingeckoId => `/coingecko/market-data/${coingeckoId}`),
+      dex: getDexPaths(stablecoin),
+      lending: getLendingPaths(stablecoin),
+      insurance: getInsurancePaths(stablecoin),
+      collateralization: stablecoin.collateralAdapters?.length > 0
+        ? [`/stablecoin/collateralization-ratio/${stablecoin.symbol.toLowerCase()}`]
+        : [],
+      staked: getStakedPaths(stablecoin),
+      chains: Object.keys(stablecoin.chainDeployments || {}).length > 0
+        ? [`/stablecoin/${stablecoin.symbol.toLowerCase()}/chains`]
+        : [],
+      bridge: stablecoin.bridgeAdapters?.length > 0
+        ? [`/stablecoin/bridge-supply/${stablecoin.symbol.toLowerCase()}`]
+        : []
+    };
+
+    for (const [source, paths] of Object.entries(coinJobs)) {
+      if (paths.length > 0) {
+        jobs.push({ id: `${stablecoin.symbol}:${source}`, symbol: stablecoin.symbol, source, paths });
+      }
+    }
+  }
+
+  return jobs;
+}
+
+// Routes answer with a flagged fallback instead of an error when the upstream call failed
+function getDegradedReason(data) {
+  if (!data || typeof data !== 'object') return null;
+  if (data._unavailable) return data._error || 'unavailable';
+  if (data._stale) return 'served stale data';
+  return null;
+}
+
+export class RefreshRunner {
+  constructor(baseUrl, options = {}) {
+    this.logger = options.logger || console;
+    this.concurrency = options.concurrency || 3;
+    this.api = axios.create({
+      baseURL: baseUrl,
+      timeout: options.timeoutMs || 60000
+    });
+    this.activeRuns = new Map(); // run id -> cache context shared by the run's requests
+    this.jobStatus = new Map(); // job id -> latest outcome
+    this.lastRun = null;
+  }
+
+  /**
+   * Cache context for a request made by an active run
+   * @param {string} runId - Value of the x-cache-refresh header
+   * @returns {object|null} - { refreshedKeys } or null for unknown or finished runs
+   */
+  getRunContext(runId) {
+    return this.activeRuns.get(runId) || null;
+  }
+
+  isRunning() {
+    return this.activeRuns.size > 0;
+  }
+
+  async runJob(job, runId) {
+    const startedAt = Date.now();
+    const errors = [];
+
+    for (const path of job.paths) {
+      try {
+        const response = await this.api.get(path, { headers: { [REFRESH_HEADER]: runId } });
+        const degraded = getDegradedReason(response.data);
+        if (degraded) errors.push(`${path}: ${degraded}`);
+      } catch (error) {
+        errors.push(`${path}: ${error.response ? `HTTP ${error.response.status}` : error.message}`);
+      }
+    }
+
+    const previous = this.jobStatus.get(job.id);
+    const finishedAt = new Date().toISOString();
+    const succeeded = errors.length === 0;
+    const result = {
+      id: job.id,
+      symbol: job.symbol,
+      source: job.source,
+      status: succeeded ? 'success' : 'failed',
+      requests: job.paths.length,
+      errors,
+      durationMs: Date.now() - startedAt,
+      finishedAt,
+      lastSuccessAt: succeeded ? finishedAt : previous?.lastSuccessAt || null,
+      consecutiveFailures: succeeded ? 0 : (previous?.consecutiveFailures || 0) + 1
+    };
+
+    this.jobStatus.set(job.id, result);
+    return result;
+  }
+
+  /**
+   * Run refresh jobs; shared jobs finish before per-coin jobs start so those reuse their results
+   * @param {Array} jobs - Result of buildRefreshJobs (possibly filtered)
+   * @param {object} meta - { id, trigger, requestedBy, scope } stored with the run; id defaults to a new UUID
+   * @returns {Promise<object|null>} - Run summary with per-job results, or null if a run is in progress
+   */
+  async run(jobs, meta = {}) {
+    if (this.isRunning()) {
+      this.logger.warn('Refresh run skipped - previous run still in progress');
+      return null;
+    }
+
+    const runId = meta.id || crypto.randomUUID();
+    const startedAt = new Date();
+    this.activeRuns.set(runId, { refreshedKeys: new Set() });
+
+    try {
+      const limit = pLimit(this.concurrency);
+      const results = [];
+      for (const phase of [jobs.filter(job => !job.symbol), jobs.filter(job => job.symbol)]) {
+        results.push(...await Promise.all(phase.map(job => limit(() => this.runJob(job, runId)))));
+      }
+
+      const failed = results.filter(result => result.status === 'failed').length;
+      this.lastRun = {
+        id: runId,
+        trigger: meta.trigger || 'scheduled',
+        requestedBy: meta.requestedBy || null,
+        scope: meta.scope || null,
+        startedAt: startedAt.toISOString(),
+        finishedAt: new Date().toISOString(),
+        durationMs: Date.now() - startedAt.getTime(),
+        total: results.length,
+        succeeded: results.length - failed,
+        failed
+      };
+
+      return { ...this.lastRun, jobs: results };
+    } finally {
+      this.activeRuns.delete(runId);
+    }
+  }
+
+  getStatus() {
+    return {
+      running: this.isRunning(),
+      lastRun: this.lastRun,
+      jobs: [...this.jobStatus.values()]
+    };
+  }
+}
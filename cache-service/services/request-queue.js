@@ -1,4 +1,5 @@
 import pLimit from 'p-limit';
+import { upstreamRequestDuration } from './prometheus-metrics.js';
 
 /**
  * Enhanced request queue with rate limiting, deduplication, and exponential backoff
@@ -6,6 +7,7 @@ import pLimit from 'p-limit';
  */
 export class RequestQueue {
   constructor(options = {}) {
+    this.name = options.name || 'unknown'; // Provider label for metrics
     this.concurrency = options.concurrency || 2; // Max concurrent requests
     this.requestsPerSecond = options.requestsPerSecond || 5; // Rate limit
     this.retryAttempts = options.retryAttempts || 3;
@@ -26,6 +28,11 @@ export class RequestQueue {
     this.circuitThreshold = options.circuitThreshold || 5;
     this.circuitTimeout = options.circuitTimeout || 60000;
     
+    // Lifetime totals for monitoring
+    this.totalRetries = 0;
+    this.totalSucceeded = 0;
+    this.totalFailed = 0;
+    
     console.log(`RequestQueue initialized: ${this.concurrency} concurrent, ${this.requestsPerSecond} req/sec`);
   }
 
@@ -53,11 +60,13 @@ export class RequestQueue {
         
         // Success - reset circuit breaker
         this.onSuccess();
+        this.totalSucceeded++;
         
         return result;
       } catch (error) {
         // Failure - update circuit breaker
         this.onFailure();
+        this.totalFailed++;
         throw error;
       } finally {
         // Remove from pending requests
@@ -108,11 +117,12 @@ export class RequestQueue {
             this.baseDelay * Math.pow(2, attempt - 1),
             this.maxDelay
           );
+          this.totalRetries++;
           console.log(`Retry attempt ${attempt}, waiting ${delay}ms`);
           await new Promise(resolve => setTimeout(resolve, delay));
         }
         
-        return await requestFn();
+        return await this.timeAttempt(requestFn);
       } catch (error) {
         lastError = error;
         
@@ -128,6 +138,21 @@ export class RequestQueue {
     throw lastError;
   }
 
+  /**
+   * Run a single attempt and record its latency for /metrics
+   */
+  async timeAttempt(requestFn) {
+    const start = performance.now();
+    let outcome = 'error';
+    try {
+      const result = await requestFn();
+      outcome = 'success';
+      return result;
+    } finally {
+      upstreamRequestDuration.observe({ provider: this.name, outcome }, (performance.now() - start) / 1000);
+    }
+  }
+
   /**
    * Check if error is worth retrying
    */
@@ -179,9 +204,14 @@ export class RequestQueue {
       concurrency: this.concurrency,
       requestsPerSecond: this.requestsPerSecond,
       pendingRequests: this.pendingRequests.size,
+      queuedRequests: this.limit.pendingCount,
+      activeRequests: this.limit.activeCount,
       recentRequests: this.requestTimes.length,
       circuitState: this.circuitState,
-      failureCount: this.failureCount
+      failureCount: this.failureCount,
+      totalRetries: this.totalRetries,
+      totalSucceeded: this.totalSucceeded,
+      totalFailed: this.totalFailed
     };
   }
 
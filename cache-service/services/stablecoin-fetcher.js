@@ -2,6 +2,9 @@
 // Service for fetching stablecoin-specific metrics
 
 import { RequestQueue, generateCacheKey } from './request-queue.js';
+import { computeBridgeSupply } from './bridge-adapters.js';
+import { computeCollateralizationRatio } from './collateral-adapters.js';
+import { getStablecoinBySymbol } from '../config/stablecoins.js';
 
 // Simple safe fetch implementation for stablecoin data
 async function safeExternalFetch(cacheKey, fetchFunction, requestQueue, timeoutMs = 30000) {
@@ -24,13 +27,15 @@ async function safeExternalFetch(cacheKey, fetchFunction, requestQueue, timeoutM
 }
 
 export class StablecoinFetcher {
-  constructor(logger, redisClient) {
+  constructor(logger, redisClient, ethereumFetcher) {
     this.logger = logger;
     this.redisClient = redisClient;
+    this.ethereumFetcher = ethereumFetcher; // On-chain reads for bridge and collateral adapters
     
     // Initialize request queue for stablecoin-specific API calls
     // Optimized for stablecoin dashboard that makes many parallel requests
     this.requestQueue = new RequestQueue({
+      name: 'stablecoin',
       concurrency: 6, // Increased from 2 - handle multiple stablecoins efficiently
       requestsPerSecond: 8, // Increased from 1 - much less restrictive
       retryAttempts: 2, // Reduced from 3 - fail faster to avoid timeouts
@@ -154,29 +159,41 @@ export class StablecoinFetcher {
 
   // ================= BRIDGE DATA =================
 
-  async getBridgeSecuredSupply(stablecoinSymbol) {
-    const cacheKey = `bridge-supply-${stablecoinSymbol}`;
+  /**
+   * Supply secured by bridges, read through the stablecoin's bridgeAdapters (see bridge-adapters.js)
+   * Coins without adapters return a placeholder; the dashboard then relies on the manual entry
+   * @param {string} stablecoinSymbol - Stablecoin symbol (case-insensitive)
+   * @param {number|null} blockTag - Mainnet block to read at (null for latest)
+   * @returns {Promise<object>} - { data: total tokens, source, breakdown, failedAdapters, block }
+   */
+  async getBridgeSecuredSupply(stablecoinSymbol, blockTag = null) {
+    const cacheKey = `bridge-supply-${stablecoinSymbol}${blockTag !== null ? `-block-${blockTag}` : ''}`;
+    const stablecoin = getStablecoinBySymbol(stablecoinSymbol);
+    
+    if (!stablecoin?.bridgeAdapters?.length) {
+      return { data: 0, _unavailable: true, _placeholder: true };
+    }
     
     return safeExternalFetch(
       cacheKey,
       async () => {
-        // Placeholder for bridge API integration
-        // This would integrate with LayerZero, Wormhole, etc.
-        this.logger.info(`Fetching bridge secured supply for ${stablecoinSymbol}`);
+        this.logger.info(`Fetching bridge secured supply for ${stablecoin.symbol} from ${stablecoin.bridgeAdapters.length} adapters`);
         
-        // Mock data - replace with actual bridge API calls
-        const mockData = {
-          totalBridgedSupply: 0,
-          bridgeBreakdown: {
-            layerzero: 0,
-            wormhole: 0,
-            multichain: 0,
-            other: 0
-          },
+        const { total, breakdown, failed } = await computeBridgeSupply(stablecoin, this.ethereumFetcher, blockTag);
+        for (const entry of breakdown.filter(entry => entry.error)) {
+          this.logger.warn(`Bridge adapter ${entry.name} (${stablecoin.symbol}) failed: ${entry.error}`);
+        }
+        
+        // A partial total would understate bridged supply, so any failed adapter marks it unavailable
+        return {
+          data: total,
+          source: 'bridge_adapters',
+          block: blockTag,
+          breakdown,
+          failedAdapters: failed,
+          ...(failed > 0 ? { _unavailable: true, _error: `${failed} of ${breakdown.length} bridge adapters failed` } : {}),
           lastUpdated: new Date().toISOString()
         };
-        
-        return { data: mockData };
       },
       this.requestQueue,
       30000
@@ -209,24 +226,40 @@ export class StablecoinFetcher {
     );
   }
 
-  async getCollateralizationRatio(stablecoinSymbol) {
-    const cacheKey = `collateralization-ratio-${stablecoinSymbol}`;
+  async getCollateralizationRatio(stablecoinSymbol, blockTag = null) {
+    const cacheKey = `collateralization-ratio-${stablecoinSymbol}${blockTag !== null ? `-block-${blockTag}` : ''}`;
+    const stablecoin = getStablecoinBySymbol(stablecoinSymbol);
+    
+    if (!stablecoin?.collateralAdapters?.length) {
+      return { data: 0, _unavailable: true, _placeholder: true };
+    }
     
     return safeExternalFetch(
       cacheKey,
       async () => {
-        // Placeholder for protocol-specific CR data
-        this.logger.info(`Fetching collateralization ratio for ${stablecoinSymbol}`);
+        this.logger.info(`Fetching collateralization ratio for ${stablecoin.symbol} from ${stablecoin.collateralAdapters.length} adapters`);
         
-        // Mock data - replace with actual protocol API calls
-        const mockData = {
-          currentRatio: 0,
-          targetRatio: 0,
-          minimumRatio: 0,
+        const { ratio, collateralUsd, debt, breakdown, failed } = await computeCollateralizationRatio(stablecoin, this.ethereumFetcher, blockTag);
+        for (const entry of breakdown.filter(entry => entry.error)) {
+          this.logger.warn(`Collateral adapter ${entry.name} (${stablecoin.symbol}) failed: ${entry.error}`);
+        }
+        
+        // Collateral and debt missing for one adapter would skew the ratio either way
+        const unavailableReason = failed > 0
+          ? `${failed} of ${breakdown.length} collateral adapters failed`
+          : ratio === null ? 'No outstanding debt reported by the collateral adapters' : null;
+        
+        return {
+          data: ratio || 0,
+          source: 'onchain_adapters',
+          block: blockTag,
+          collateralUsd,
+          debt,
+          breakdown,
+          failedAdapters: failed,
+          ...(unavailableReason ? { _unavailable: true, _error: unavailableReason } : {}),
           lastUpdated: new Date().toISOString()
         };
-        
-        return { data: mockData };
       },
       this.requestQueue,
       30000
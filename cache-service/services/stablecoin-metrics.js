@@ -0,0 +1,136 @@
+// ================= STABLECOIN METRICS =================
+// Server-side port of the Factor of Safety / Theoretical Supply Limit calculations
+// in src/utils/stablecoinMetricHelpers.js
+
+import { scoreFactorOfSafety } from '../config/fos-model.js';
+
+/**
+ * Build the full metric set for a stablecoin, matching extractStablecoinMetricValues on the frontend
+ * @param {object} values - Raw metric values keyed like the dashboard's sort values
+ * @param {object} details - Optional breakdowns/sources collected alongside the raw values
+ * @param {object} fosModel - Factor of Safety model for the coin's category (resolveFosModel)
+ * @returns {object} - { metricKey: { value, ...breakdown, isCalculated, formula, components } }
+ */
+export function buildMetricSet(values, details = {}, fosModel) {
+  const totalSupply = values.totalSupply || 0;
+  const mainnetSupply = values.mainnetSupply || 0;
+  const bridgeSupply = values.bridgeSupply || 0;
+  const totalLendingMarkets = values.totalLendingMarkets || 0;
+  const totalMainnetLiquidity = values.totalMainnetLiquidity || 0;
+  const insuranceFund = values.insuranceFund || 0;
+  const collateralizationRatio = values.collateralizationRatio || 0;
+  const stakedSupply = values.stakedSupply || 0;
+
+  const supplyOnMainnetPercent = mainnetSupply > 0 ? 1 - (bridgeSupply / mainnetSupply) : 0;
+  const exclLendingOtherNetworks = Math.max(0, totalSupply - bridgeSupply - totalLendingMarkets);
+
+  const fos = scoreFactorOfSafety(fosModel, {
+    totalSupply,
+    insuranceFund,
+    collateralizationRatio,
+    stakedSupply,
+    supplyOnMainnetPercent
+  });
+  const factorOfSafety = fos.value;
+
+  const limitingFactor = Math.min(exclLendingOtherNetworks, totalMainnetLiquidity);
+
+  return {
+    // Supply Metrics
+    totalSupply: { value: totalSupply, breakdown: details.totalSupply?.breakdown || null },
+    bridgeSupply: {
+      value: bridgeSupply,
+      isPlaceholder: details.bridgeSupply?.isPlaceholder || false,
+      source: details.bridgeSupply?.source || null,
+      breakdown: details.bridgeSupply?.breakdown || null
+    },
+    mainnetSupply: { value: mainnetSupply, breakdown: details.mainnetSupply?.breakdown || null },
+    exclLendingOtherNetworks: {
+      value: exclLendingOtherNetworks,
+      isCalculated: true,
+      formula: 'Total Supply - Bridge Supply - Total Lending Markets'
+    },
+
+    // Liquidity Metrics (DEX TVL)
+    curveTVL: { value: values.curveTVL || 0 },
+    balancerTVL: { value: values.balancerTVL || 0 },
+    uniswapTVL: { value: values.uniswapTVL || 0 },
+    sushiTVL: { value: values.sushiTVL || 0 },
+    pendleTVL: {
+      value: values.pendleTVL || 0,
+      excludedLiquidity: details.pendleTVL?.excludedLiquidity || 0,
+      markets: details.pendleTVL?.markets || []
+    },
+    totalMainnetLiquidity: { value: totalMainnetLiquidity },
+
+    // Lending Markets
+    aaveCollateral: { value: values.aaveCollateral || 0 },
+    morphoCollateral: { value: values.morphoCollateral || 0 },
+    eulerCollateral: { value: values.eulerCollateral || 0 },
+    fluidCollateral: { value: values.fluidCollateral || 0 },
+    totalLendingMarkets: { value: totalLendingMarkets, protocols: details.totalLendingMarkets?.protocols || {} },
+    pendlePTCollateral: {
+      value: details.pendlePTCollateral?.marketValue || 0,
+      faceValue: details.pendlePTCollateral?.faceValue || 0,
+      maturityLadder: details.pendlePTCollateral?.maturityLadder || []
+    },
+
+    // Safety Buffer Metrics
+    insuranceFund: {
+      value: insuranceFund,
+      isUnavailable: details.insuranceFund?.isUnavailable || false,
+      source: details.insuranceFund?.source || 'unknown',
+      isPartial: details.insuranceFund?.isPartial || false,
+      skippedPositions: details.insuranceFund?.skippedPositions || []
+    },
+    collateralizationRatio: {
+      value: collateralizationRatio,
+      isUnavailable: details.collateralizationRatio?.isUnavailable || false,
+      source: details.collateralizationRatio?.source || null,
+      divergence: details.collateralizationRatio?.divergence || null
+    },
+    stakedSupply: {
+      value: stakedSupply,
+      source: details.stakedSupply?.source || 'unknown',
+      breakdown: details.stakedSupply?.breakdown || null
+    },
+    supplyOnMainnetPercent: {
+      value: supplyOnMainnetPercent,
+      isCalculated: true,
+      formula: '1 - (Bridge Supply / Mainnet Supply)'
+    },
+
+    // Factor of Safety - Composite Risk Score
+    factorOfSafety: {
+      value: factorOfSafety,
+      isCalculated: true,
+      formula: 'Composite score based on Insurance, CR, Staked Supply, Mainnet %',
+      components: fos.components,
+      modelVersion: fos.modelVersion,
+      modelVariant: fos.modelVariant
+    },
+
+    // Theoretical Supply Limit
+    theoreticalSupplyLimit: {
+      value: factorOfSafety * limitingFactor,
+      isCalculated: true,
+      formula: 'Factor of Safety × min(Excl. Lending, Total Mainnet Liquidity)',
+      components: {
+        factorOfSafety,
+        exclLendingMarkets: exclLendingOtherNetworks,
+        totalMainnetLiquidity,
+        limitingFactor,
+        limitedBy: exclLendingOtherNetworks < totalMainnetLiquidity ? 'Excl. Lending Markets' : 'Total Mainnet Liquidity'
+      }
+    }
+  };
+}
+
+/**
+ * Reduce a metric set to plain values (used for history snapshots)
+ * @param {object} metricSet - Result of buildMetricSet
+ * @returns {object} - { metricKey: value }
+ */
+export function getMetricValues(metricSet) {
+  return Object.fromEntries(Object.entries(metricSet).map(([key, metric]) => [key, metric.value]));
+}
@@ -0,0 +1,169 @@
+// ================= STRESS SIMULATOR =================
+// "What if" runs: applies shocks to a stablecoin's current raw metric values and recomputes
+// Factor of Safety and Theoretical Supply Limit with buildMetricSet.
+// Built-in presets come from config/stress-scenarios.js; operator presets are stored in the
+// Redis hash stress:scenarios (scenario id -> JSON) with no TTL.
+
+import { buildMetricSet, getMetricValues } from './stablecoin-metrics.js';
+
+const DEX_TARGETS = ['curveTVL', 'balancerTVL', 'uniswapTVL', 'sushiTVL', 'pendleTVL'];
+export const SHOCK_TARGETS = [
+  'totalSupply',
+  'mainnetSupply',
+  'bridgeSupply',
+  'dexLiquidity',
+  ...DEX_TARGETS,
+  'totalLendingMarkets',
+  'insuranceFund',
+  'collateralizationRatio',
+  'stakedSupply'
+];
+const SHOCK_OPERATIONS = ['scale', 'set'];
+const SCENARIOS_KEY = 'stress:scenarios';
+const ID_PATTERN = /^[a-z0-9][a-z0-9-]{1,47}$/;
+
+/**
+ * Validate a list of shocks
+ * @param {Array} shocks - [{ target, operation, value }]
+ * @returns {string|null} - Error message, or null if valid
+ */
+export function validateShocks(shocks) {
+  if (!Array.isArray(shocks) || shocks.length === 0) return 'shocks must be a non-empty array';
+
+  for (const shock of shocks) {
+    if (!SHOCK_TARGETS.includes(shock?.target)) {
+      return `Shock target must be one of: ${SHOCK_TARGETS.join(', ')}`;
+    }
+    if (!SHOCK_OPERATIONS.includes(shock.operation)) {
+      return `Shock operation must be one of: ${SHOCK_OPERATIONS.join(', ')}`;
+    }
+    if (typeof shock.value !== 'number' || !isFinite(shock.value) || shock.value < 0) {
+      return 'Shock value must be a non-negative number';
+    }
+  }
+  return null;
+}
+
+/**
+ * Apply shocks to raw metric values
+ * @param {object} values - { metricKey: value } (see getMetricValues)
+ * @param {Array} shocks - Validated shocks, applied in order
+ * @returns {object} - Shocked values; total mainnet liquidity is re-summed from the DEX values
+ */
+export function applyShocks(values, shocks) {
+  const shocked = { ...values };
+
+  for (const shock of shocks) {
+    const targets = shock.target === 'dexLiquidity' ? DEX_TARGETS : [shock.target];
+    for (const target of targets) {
+      shocked[target] = shock.operation === 'scale' ? (shocked[target] || 0) * shock.value : shock.value;
+    }
+  }
+
+  shocked.totalMainnetLiquidity = DEX_TARGETS.reduce((sum, target) => sum + (shocked[target] || 0), 0);
+  return shocked;
+}
+
+function summarize(metricSet) {
+  return {
+    factorOfSafety: metricSet.factorOfSafety.value,
+    theoreticalSupplyLimit: metricSet.theoreticalSupplyLimit.value,
+    limitedBy: metricSet.theoreticalSupplyLimit.components.limitedBy,
+    fosComponents: metricSet.factorOfSafety.components
+  };
+}
+
+/**
+ * Run shocks against a stablecoin's current metric set
+ * @param {object} metricSet - Current metric set (buildMetricSet)
+ * @param {Array} shocks - Validated shocks
+ * @param {object} fosModel - Factor of Safety model for the coin's category (resolveFosModel)
+ * @returns {object} - { baseline, stressed, inputs, change }
+ */
+export function runStressTest(metricSet, shocks, fosModel) {
+  const values = getMetricValues(metricSet);
+  const shockedValues = applyShocks(values, shocks);
+  const baseline = summarize(metricSet);
+  const stressed = summarize(buildMetricSet(shockedValues, {}, fosModel));
+
+  const inputs = {};
+  for (const target of [...new Set(shocks.flatMap(shock => shock.target === 'dexLiquidity' ? DEX_TARGETS : [shock.target]))]) {
+    inputs[target] = { before: values[target] || 0, after: shockedValues[target] };
+  }
+
+  return {
+    baseline,
+    stressed,
+    inputs,
+    change: {
+      factorOfSafety: stressed.factorOfSafety - baseline.factorOfSafety,
+      theoreticalSupplyLimit: stressed.theoreticalSupplyLimit - baseline.theoreticalSupplyLimit,
+      theoreticalSupplyLimitPercent: baseline.theoreticalSupplyLimit > 0
+        ? (stressed.theoreticalSupplyLimit - baseline.theoreticalSupplyLimit) / baseline.theoreticalSupplyLimit
+        : null
+    }
+  };
+}
+
+export class StressScenarioStore {
+  constructor(redisClient, defaultScenarios = []) {
+    this.redis = redisClient;
+    this.defaultScenarios = defaultScenarios.map(scenario => ({ ...scenario, builtIn: true }));
+  }
+
+  /**
+   * Validate a scenario preset
+   * @param {object} scenario - { name, description, shocks }
+   * @returns {string|null} - Error message, or null if valid
+   */
+  static validateScenario(scenario) {
+    if (!scenario || typeof scenario !== 'object') return 'Scenario must be an object';
+    if (!scenario.name || typeof scenario.name !== 'string') return 'Scenario name is required';
+    return validateShocks(scenario.shocks);
+  }
+
+  static validateId(id) {
+    return typeof id === 'string' && ID_PATTERN.test(id);
+  }
+
+  isBuiltIn(id) {
+    return this.defaultScenarios.some(scenario => scenario.id === id);
+  }
+
+  // Built-in presets first, then saved presets by name
+  async listScenarios() {
+    if (!this.redis?.isReady) return this.defaultScenarios;
+
+    const saved = Object.values(await this.redis.hGetAll(SCENARIOS_KEY))
+      .map(stored => JSON.parse(stored))
+      .sort((a, b) => a.name.localeCompare(b.name));
+    return [...this.defaultScenarios, ...saved];
+  }
+
+  async getScenario(id) {
+    const builtIn = this.defaultScenarios.find(scenario => scenario.id === id);
+    if (builtIn) return builtIn;
+    if (!this.redis?.isReady) return null;
+
+    const stored = await this.redis.hGet(SCENARIOS_KEY, id);
+    return stored ? JSON.parse(stored) : null;
+  }
+
+  async saveScenario(id, { name, description, shocks }, updatedBy = 'operator') {
+    const scenario = {
+      id,
+      name,
+      description: description || '',
+      shocks: shocks.map(({ target, operation, value }) => ({ target, operation, value })),
+      builtIn: false,
+      lastUpdated: new Date().toISOString(),
+      updatedBy
+    };
+    await this.redis.hSet(SCENARIOS_KEY, id, JSON.stringify(scenario));
+    return scenario;
+  }
+
+  async deleteScenario(id) {
+    return this.redis.hDel(SCENARIOS_KEY, id);
+  }
+}
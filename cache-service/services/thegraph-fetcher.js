@@ -1,5 +1,7 @@
 import axios from 'axios';
 import { RequestQueue, generateCacheKey } from './request-queue.js';
+import { areTokensFromSameProtocol } from '../config/stablecoins.js';
+import { DEFAULT_CHAIN, getChain } from '../config/chains.js';
 
 export class TheGraphFetcher {
   constructor() {
@@ -9,6 +11,7 @@ export class TheGraphFetcher {
     // Initialize request queue with optimized settings for The Graph API
     // Higher limits for internal cache service usage (not direct external API calls)
     this.requestQueue = new RequestQueue({
+      name: 'thegraph',
       concurrency: 8, // Increased from 2 - cache service can handle more parallel requests
       requestsPerSecond: 10, // Increased from 2 - internal requests don't hit external rate limits directly
       retryAttempts: 3,
@@ -33,6 +36,19 @@ export class TheGraphFetcher {
     };
   }
 
+  /**
+   * Subgraph ID for a protocol on a chain; other chains read the env vars listed in config/chains.js
+   * @param {string} protocol - Protocol name (uniswap_v3, aave_v3, ...)
+   * @param {string} chain - Chain key (default mainnet)
+   * @returns {string|undefined}
+   */
+  getSubgraphId(protocol, chain = DEFAULT_CHAIN) {
+    if (chain === DEFAULT_CHAIN) return this.subgraphs[protocol];
+
+    const envName = getChain(chain)?.subgraphEnv[protocol];
+    return envName ? process.env[envName] : undefined;
+  }
+
   getSubgraphUrl(subgraphId) {
     if (!this.apiKey) {
       throw new Error('THE_GRAPH_API_KEY environment variable is required');
@@ -40,11 +56,15 @@ export class TheGraphFetcher {
     return `${this.baseUrl}/${this.apiKey}/subgraphs/id/${subgraphId}`;
   }
 
+  /**
+   * @param {object} params - Query parameters; params.chain selects a non-mainnet subgraph,
+   *   params.block pins lending queries to a block number (subgraph must have indexed it)
+   */
   async fetchData(protocol, queryType, params = {}) {
     try {
-      const subgraphId = this.subgraphs[protocol];
+      const subgraphId = this.getSubgraphId(protocol, params.chain);
       if (!subgraphId) {
-        throw new Error(`No subgraph ID found for protocol: ${protocol}`);
+        throw new Error(`No subgraph ID found for protocol: ${protocol}${params.chain ? ` on ${params.chain}` : ''}`);
       }
 
       const url = this.getSubgraphUrl(subgraphId);
@@ -257,7 +277,7 @@ export class TheGraphFetcher {
   }
 
   buildQuery(protocol, queryType, params) {
-    const { tokenAddress, poolAddress, first = 100 } = params;
+    const { tokenAddress, poolAddress, first = 100, block = null } = params;
 
     switch (queryType) {
       case 'token_tvl':
@@ -276,10 +296,10 @@ export class TheGraphFetcher {
         return this.buildAllPoolsQuery(protocol, first);
       
       case 'lending_reserves':
-        return this.buildLendingReservesQuery(protocol, tokenAddress);
+        return this.buildLendingReservesQuery(protocol, tokenAddress, block);
       
       case 'lending_markets':
-        return this.buildLendingMarketsQuery(protocol, tokenAddress);
+        return this.buildLendingMarketsQuery(protocol, tokenAddress, block);
       
       default:
         throw new Error(`Unknown query type: ${queryType}`);
@@ -634,13 +654,18 @@ export class TheGraphFetcher {
 
   // ================= LENDING PROTOCOL QUERIES =================
 
-  buildLendingReservesQuery(protocol, tokenAddress) {
+  // Time-travel argument for entity queries; empty when reading the latest indexed block
+  buildBlockArgument(block) {
+    return block !== null && block !== undefined ? `block: { number: ${Number(block)} }, ` : '';
+  }
+
+  buildLendingReservesQuery(protocol, tokenAddress, block = null) {
     const address = tokenAddress?.toLowerCase();
     
     switch (protocol) {
       case 'aave_v3':
         return `{
-          markets(where: { inputToken_: { id: "${address}" } }) {
+          markets(${this.buildBlockArgument(block)}where: { inputToken_: { id: "${address}" } }) {
             id
             name
             inputToken {
@@ -669,14 +694,14 @@ export class TheGraphFetcher {
     }
   }
 
-  buildLendingMarketsQuery(protocol, tokenAddress) {
+  buildLendingMarketsQuery(protocol, tokenAddress, block = null) {
     const address = tokenAddress?.toLowerCase();
     
     switch (protocol) {
       case 'euler':
         // New Euler V2 subgraph schema - find vaults by asset
         return `{
-          evaultCreateds(where: { asset: "${address}" }) {
+          evaultCreateds(${this.buildBlockArgument(block)}where: { asset: "${address}" }) {
             id
             asset
             dToken
@@ -761,15 +786,18 @@ export class TheGraphFetcher {
    * Fetch filtered TVL for a token excluding same-protocol stablecoin pairs
    * @param {string} protocol - Protocol name (uniswap_v2, uniswap_v3, sushi_v2, sushi_v3, balancer, balancer_v3)
    * @param {string} tokenAddress - The token contract address
+   * @param {string} chain - Chain key from config/chains.js (default mainnet)
    * @returns {Promise<number>} - Filtered TVL in USD
    */
-  async fetchFilteredTokenTVL(protocol, tokenAddress) {
+  async fetchFilteredTokenTVL(protocol, tokenAddress, chain = DEFAULT_CHAIN) {
+    // Mainnet requests keep their original params (and request keys)
+    const chainParams = chain === DEFAULT_CHAIN ? {} : { chain };
     try {
       console.log(`Fetching filtered ${protocol} TVL for ${tokenAddress}`);
       
       // Special handling for Balancer V3 (uses different data structure)
       if (protocol === 'balancer_v3') {
-        const poolsData = await this.fetchData(protocol, 'token_tvl', { tokenAddress });
+        const poolsData = await this.fetchData(protocol, 'token_tvl', { tokenAddress, ...chainParams });
         const poolTokens = poolsData?.data || [];
         
         if (poolTokens.length === 0) {
@@ -818,14 +846,14 @@ export class TheGraphFetcher {
         // Balancer V2 doesn't have pair-level filtering
         // We just return the token's total TVL since we can't exclude specific pools
         // The token.totalBalanceUSD already aggregates across all pools
-        const tokenData = await this.fetchData(protocol, 'token_tvl', { tokenAddress });
+        const tokenData = await this.fetchData(protocol, 'token_tvl', { tokenAddress, ...chainParams });
         const tvl = Number(tokenData?.data || 0);
         console.log(`Balancer V2 filtered TVL for ${tokenAddress}: $${tvl.toFixed(2)} (no pair-level filtering available)`);
         return tvl;
       }
       
       // Standard handling for V2-style protocols (pairs)
-      const pairsData = await this.fetchData(protocol, 'token_pairs', { tokenAddress, first: 100 });
+      const pairsData = await this.fetchData(protocol, 'token_pairs', { tokenAddress, first: 100, ...chainParams });
       
       if (!pairsData.data || !pairsData.data.pairs) {
         console.log(`No pairs found for ${protocol} ${tokenAddress}`);
@@ -860,64 +888,12 @@ export class TheGraphFetcher {
   }
 
   /**
-   * Check if two tokens are from the same stablecoin protocol
+   * Check if two tokens are from the same stablecoin protocol (see config/stablecoins.js)
    * @param {string} token1Address - First token address
    * @param {string} token2Address - Second token address
    * @returns {boolean} - True if tokens are from same protocol
    */
   areTokensFromSameProtocol(token1Address, token2Address) {
-    if (!token1Address || !token2Address) return false;
-    
-    const addr1 = token1Address.toLowerCase();
-    const addr2 = token2Address.toLowerCase();
-    
-    // Stablecoin relationship mapping
-    const stablecoinRelationships = {
-      sky: [
-        "0x6b175474e89094c44da98b954eedeac495271d0f", // DAI
-        "0xdc035d45d973e3ec169d2276ddab16f1e407384f", // USDS
-        "0xa3931d71877c0e7a3148cb7eb4463524fec27fbd", // sUSDS
-        "0x83f20f44975d03b1b09e64809b757c47f942beea"  // sDAI
-      ],
-      ethena: [
-        "0x4c9edd5852cd905f086c759e8383e09bff1e68b3", // USDe
-        "0x9d39a5de30e57443bff2a8307a4256c8797a3497"  // sUSDe
-      ],
-      resolv: [
-        "0x66a1e37c9b0eaddca17d3662d6c05f4decf3e110", // USR
-        "0x1202f5c7b4b9e47a1a484e8b270be34dbbc75055"  // wstUSR
-      ],
-      elixir: [
-        "0x15700b564ca08d9439c58ca5053166e8317aa138", // deUSD
-        "0x5c5b196abe0d54485975d1ec29617d42d9198326"  // sdeUSD
-      ],
-      curve: [
-        "0xf939e0a03fb07f59a73314e73794be0e57ac1b4e", // crvUSD
-        "0x0655977feb2f289a4ab78af67bab0d17aab84367"  // scrvUSD
-      ],
-      openeden: [
-        "0x8238884ec9668ef77b90c6dff4d1a9f4f4823bfe", // USDO
-        "0xad55aebc9b8c03fc43cd9f62260391c13c23e7c0"  // cUSDO
-      ],
-      fx: [
-        "0x085780639cc2cacd35e474e71f4d000e2405d8f6", // fxUSD
-        "0x7743e50f534a7f9f1791dde7dcd89f7783eefc39"  // xfxUSD/fxSave
-      ],
-      reserve: [
-        "0x57ab1e0003f623289cd798b1824be09a793e4bec", // reUSD
-        "0x557AB1e003951A73c12D16F0fEA8490E39C33C35"  // RSR staking
-      ]
-    };
-    
-    // Check each protocol's token list
-    for (const protocolTokens of Object.values(stablecoinRelationships)) {
-      const lowerTokens = protocolTokens.map(addr => addr.toLowerCase());
-      
-      if (lowerTokens.includes(addr1) && lowerTokens.includes(addr2)) {
-        return true;
-      }
-    }
-    
-    return false;
+    return areTokensFromSameProtocol(token1Address, token2Address);
   }
 } 
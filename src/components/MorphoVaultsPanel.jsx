@@ -0,0 +1,196 @@
+import {
+  Box,
+  Button,
+  Modal,
+  ModalOverlay,
+  ModalContent,
+  ModalHeader,
+  ModalFooter,
+  ModalBody,
+  ModalCloseButton,
+  VStack,
+  HStack,
+  Text,
+  Badge,
+  Skeleton,
+  Alert,
+  AlertIcon,
+  Table,
+  Thead,
+  Tbody,
+  Tr,
+  Th,
+  Td,
+  TableContainer,
+  useColorModeValue
+} from '@chakra-ui/react';
+import { useState, useEffect } from 'react';
+import axios from 'axios';
+import { formatStablecoinAmount, formatPercentage } from '../config/stablecoins.js';
+
+const API_BASE = '/api';
+
+// Same addresses as the lending total query (regular + staked contracts)
+function getLendingAddresses(stablecoin) {
+  return Object.values({
+    ...stablecoin.contractAddresses,
+    ...(stablecoin.stakedContractAddresses || {})
+  }).filter(addr => addr && typeof addr === 'string').sort();
+}
+
+export default function MorphoVaultsPanel({ isOpen, onClose, stablecoin }) {
+  const marketBg = useColorModeValue('gray.50', 'gray.700');
+  const [data, setData] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Load the drilldown when the modal opens for a stablecoin
+  useEffect(() => {
+    if (!isOpen || !stablecoin) return;
+
+    const loadVaults = async () => {
+      const [primary, ...additional] = getLendingAddresses(stablecoin);
+      if (!primary) return;
+
+      setIsLoading(true);
+      setError(null);
+      try {
+        let url = `${API_BASE}/lending/morpho-vaults/${primary}`;
+        if (additional.length > 0) {
+          url += `?additionalAddresses=${additional.join(',')}`;
+        }
+        const response = await axios.get(url);
+        setData(response.data);
+        if (response.data.error) setError(response.data.error);
+      } catch (err) {
+        console.error('Error loading Morpho vault allocations:', err);
+        setData(null);
+        setError(err.response?.data?.error || err.message);
+      } finally {
+        setIsLoading(false);
+      }
+    };
+
+    loadVaults();
+  }, [isOpen, stablecoin]);
+
+  return (
+    <Modal isOpen={isOpen} onClose={onClose} size="4xl" scrollBehavior="inside">
+      <ModalOverlay />
+      <ModalContent>
+        <ModalHeader>
+          <HStack>
+            <Text>Morpho Vault Allocations</Text>
+            {stablecoin && <Badge>{stablecoin.symbol}</Badge>}
+          </HStack>
+        </ModalHeader>
+        <ModalCloseButton />
+
+        <ModalBody>
+          {isLoading ? (
+            <VStack spacing={2} align="stretch">
+              <Skeleton height="20px" />
+              <Skeleton height="20px" />
+              <Skeleton height="20px" />
+            </VStack>
+          ) : (
+            <VStack spacing={4} align="stretch">
+              {error && (
+                <Alert status="warning" fontSize="sm">
+                  <AlertIcon />
+                  {error}
+                </Alert>
+              )}
+
+              {data && data.markets.length === 0 && !error && (
+                <Text fontSize="sm" color="gray.500">No Morpho Blue markets use {stablecoin?.symbol} as collateral.</Text>
+              )}
+
+              {data && data.markets.length > 0 && (
+                <>
+                  <Text fontSize="sm">
+                    {formatStablecoinAmount(data.totalCollateralTVL)} collateral in {data.markets.length} markets, lent against by {data.vaultCount} vaults
+                  </Text>
+
+                  {/* Risk carried per curator across all markets */}
+                  <Box>
+                    <Text fontSize="sm" fontWeight="bold" mb={2}>Curators</Text>
+                    <TableContainer>
+                      <Table size="sm">
+                        <Thead>
+                          <Tr>
+                            <Th>Curator</Th>
+                            <Th isNumeric>Vaults</Th>
+                            <Th isNumeric>Supplied</Th>
+                          </Tr>
+                        </Thead>
+                        <Tbody>
+                          {data.curators.map(curator => (
+                            <Tr key={curator.name}>
+                              <Td>{curator.name}</Td>
+                              <Td isNumeric>{curator.vaults}</Td>
+                              <Td isNumeric>{formatStablecoinAmount(curator.supplyAssetsUsd)}</Td>
+                            </Tr>
+                          ))}
+                        </Tbody>
+                      </Table>
+                    </TableContainer>
+                  </Box>
+
+                  {/* Per-market drilldown */}
+                  <Box>
+                    <Text fontSize="sm" fontWeight="bold" mb={2}>Markets</Text>
+                    <TableContainer>
+                      <Table size="sm">
+                        <Thead>
+                          <Tr>
+                            <Th>Market / Vault</Th>
+                            <Th>Curator</Th>
+                            <Th isNumeric>LLTV</Th>
+                            <Th isNumeric>Collateral</Th>
+                            <Th isNumeric>Supplied</Th>
+                            <Th isNumeric>Supply Share</Th>
+                          </Tr>
+                        </Thead>
+                        <Tbody>
+                          {data.markets.map(market => [
+                            <Tr key={market.uniqueKey} bg={marketBg}>
+                              <Td fontWeight="bold">
+                                {market.collateralAsset?.symbol} / {market.loanAsset?.symbol}
+                              </Td>
+                              <Td />
+                              <Td isNumeric>{formatPercentage(market.lltv)}</Td>
+                              <Td isNumeric>{formatStablecoinAmount(market.collateralAssetsUsd)}</Td>
+                              <Td isNumeric>{formatStablecoinAmount(market.supplyAssetsUsd)}</Td>
+                              <Td isNumeric>{formatPercentage(market.vaultSupplyShare)} in vaults</Td>
+                            </Tr>,
+                            ...market.vaults.map(vault => (
+                              <Tr key={`${market.uniqueKey}-${vault.address}`}>
+                                <Td pl={6} fontSize="xs">{vault.name || vault.address}</Td>
+                                <Td fontSize="xs">{vault.curators.length > 0 ? vault.curators.join(', ') : (vault.curator || 'Unknown')}</Td>
+                                <Td />
+                                <Td />
+                                <Td isNumeric fontSize="xs">{formatStablecoinAmount(vault.supplyAssetsUsd)}</Td>
+                                <Td isNumeric fontSize="xs">{formatPercentage(vault.supplyShare)}</Td>
+                              </Tr>
+                            ))
+                          ])}
+                        </Tbody>
+                      </Table>
+                    </TableContainer>
+                  </Box>
+                </>
+              )}
+            </VStack>
+          )}
+        </ModalBody>
+
+        <ModalFooter>
+          <Button variant="ghost" onClick={onClose}>
+            Close
+          </Button>
+        </ModalFooter>
+      </ModalContent>
+    </Modal>
+  );
+}
@@ -21,6 +21,13 @@ import {
   Icon,
   Divider,
   Select,
+  Table,
+  Thead,
+  Tbody,
+  Tr,
+  Th,
+  Td,
+  TableContainer,
   useColorModeValue
 } from '@chakra-ui/react';
 import { ExternalLinkIcon, EditIcon, CheckIcon } from '@chakra-ui/icons';
@@ -28,6 +35,7 @@ import { useState, useEffect } from 'react';
 import { useQueryClient } from '@tanstack/react-query';
 import axios from 'axios';
 import { stablecoins } from '../config/stablecoins.js';
+import { getManualDataHistory } from '../services/cache-client.js';
 
 const API_BASE = '/api';
 
@@ -38,12 +46,16 @@ export default function OperatorDataEntry({ isOpen, onClose, initialStablecoin =
   const [bridgeSupply, setBridgeSupply] = useState('');
   const [collateralizationRatio, setCollateralizationRatio] = useState('');
   const [notes, setNotes] = useState('');
+  const [sourceUrl, setSourceUrl] = useState('');
   const [apiKey, setApiKey] = useState(localStorage.getItem('operatorApiKey') || '');
+  const [operator, setOperator] = useState(null);
   const [isLoading, setIsLoading] = useState(false);
   const [existingData, setExistingData] = useState({});
   const [focusedMetric, setFocusedMetric] = useState(null);
   const [defaultsStatus, setDefaultsStatus] = useState(null);
   const [loadingDefaults, setLoadingDefaults] = useState(false);
+  const [history, setHistory] = useState({});
+  const [revertingVersion, setRevertingVersion] = useState(null);
   
   const toast = useToast();
   const queryClient = useQueryClient();
@@ -66,10 +78,20 @@ export default function OperatorDataEntry({ isOpen, onClose, initialStablecoin =
     }
   }, [isOpen]);
 
+  // Resolve the operator identity behind the API key
+  useEffect(() => {
+    if (isOpen && apiKey) {
+      loadOperator(apiKey);
+    } else {
+      setOperator(null);
+    }
+  }, [isOpen, apiKey]);
+
   // Load existing manual data when stablecoin is selected
   useEffect(() => {
     if (selectedStablecoin) {
       loadExistingData(selectedStablecoin.symbol);
+      loadHistory(selectedStablecoin.symbol);
     }
   }, [selectedStablecoin]);
 
@@ -105,6 +127,46 @@ export default function OperatorDataEntry({ isOpen, onClose, initialStablecoin =
     }
   };
 
+  const loadOperator = async (key) => {
+    try {
+      const response = await axios.get(`${API_BASE}/operators/me`, {
+        headers: { 'x-operator-key': key }
+      });
+      setOperator(response.data.success ? response.data.operator : null);
+    } catch (error) {
+      console.warn('Operator key not recognized:', error.response?.status || error.message);
+      setOperator(null);
+    }
+  };
+
+  // getManualDataHistory logs failures and answers with an empty list
+  const loadHistory = async (symbol) => {
+    const [bridgeHistory, crHistory] = await Promise.all([
+      getManualDataHistory(symbol, 'bridgeSupply', 20),
+      getManualDataHistory(symbol, 'collateralizationRatio', 20)
+    ]);
+    setHistory({
+      bridgeSupply: bridgeHistory.data || [],
+      collateralizationRatio: crHistory.data || []
+    });
+  };
+
+  const operatorHeaders = () => ({
+    'x-operator-key': apiKey,
+    'Content-Type': 'application/json'
+  });
+
+  // Refresh table values that depend on manual data
+  const invalidateManualDataQueries = () => {
+    queryClient.invalidateQueries({
+      predicate: (query) => 
+        query.queryKey[0] === 'stablecoin-bridge-supply' ||
+        query.queryKey[0] === 'stablecoin-cr' ||
+        query.queryKey[0] === 'stablecoin-mainnet-supply-cg' ||
+        query.queryKey[0] === 'stablecoin-total-supply-cg'
+    });
+  };
+
   const handleLoadDefaults = async () => {
     if (!apiKey) {
       toast({
@@ -124,10 +186,7 @@ export default function OperatorDataEntry({ isOpen, onClose, initialStablecoin =
         `${API_BASE}/manual-data/load-defaults`,
         {},
         {
-          headers: {
-            'x-operator-key': apiKey,
-            'Content-Type': 'application/json'
-          }
+          headers: operatorHeaders()
         }
       );
 
@@ -151,6 +210,7 @@ export default function OperatorDataEntry({ isOpen, onClose, initialStablecoin =
         await loadDefaultsStatus();
         if (selectedStablecoin) {
           await loadExistingData(selectedStablecoin.symbol);
+          await loadHistory(selectedStablecoin.symbol);
         }
       }
     } catch (error) {
@@ -197,13 +257,11 @@ export default function OperatorDataEntry({ isOpen, onClose, initialStablecoin =
         `${API_BASE}/manual-data/${selectedStablecoin.symbol}/${metric}`,
         {
           value: parseFloat(value),
-          notes: notes
+          notes: notes,
+          sourceUrl: sourceUrl || null
         },
         {
-          headers: {
-            'x-operator-key': apiKey,
-            'Content-Type': 'application/json'
-          }
+          headers: operatorHeaders()
         }
       );
 
@@ -226,16 +284,11 @@ export default function OperatorDataEntry({ isOpen, onClose, initialStablecoin =
         });
         
         // Also invalidate all stablecoin metrics to recalculate derived values
-        queryClient.invalidateQueries({
-          predicate: (query) => 
-            query.queryKey[0] === 'stablecoin-bridge-supply' ||
-            query.queryKey[0] === 'stablecoin-cr' ||
-            query.queryKey[0] === 'stablecoin-mainnet-supply-cg' ||
-            query.queryKey[0] === 'stablecoin-total-supply-cg'
-        });
+        invalidateManualDataQueries();
         
-        // Reload existing data in the form
+        // Reload existing data and history in the form
         await loadExistingData(selectedStablecoin.symbol);
+        await loadHistory(selectedStablecoin.symbol);
         return true;
       }
     } catch (error) {
@@ -266,9 +319,120 @@ export default function OperatorDataEntry({ isOpen, onClose, initialStablecoin =
 
     if (results.every(r => r === true)) {
       setNotes('');
+      setSourceUrl('');
     }
   };
 
+  const handleRevert = async (metric, version) => {
+    if (!apiKey) {
+      toast({
+        title: 'API Key Required',
+        description: 'Please enter your operator API key to revert',
+        status: 'error',
+        duration: 3000,
+        isClosable: true,
+      });
+      return;
+    }
+
+    try {
+      setRevertingVersion(`${metric}:${version}`);
+      
+      const response = await axios.post(
+        `${API_BASE}/manual-data/${selectedStablecoin.symbol}/${metric}/revert`,
+        { version },
+        { headers: operatorHeaders() }
+      );
+
+      if (response.data.success) {
+        toast({
+          title: 'Reverted',
+          description: `${metric} reverted to version ${version}`,
+          status: 'success',
+          duration: 3000,
+          isClosable: true,
+        });
+        
+        invalidateManualDataQueries();
+        await loadExistingData(selectedStablecoin.symbol);
+        await loadHistory(selectedStablecoin.symbol);
+      }
+    } catch (error) {
+      console.error('Error reverting data:', error);
+      toast({
+        title: 'Error',
+        description: error.response?.data?.error || 'Failed to revert data',
+        status: 'error',
+        duration: 5000,
+        isClosable: true,
+      });
+    } finally {
+      setRevertingVersion(null);
+    }
+  };
+
+  const renderHistory = (metric, label, formatValue) => {
+    const entries = history[metric] || [];
+    if (entries.length === 0) return null;
+
+    return (
+      <Box>
+        <Text fontSize="sm" fontWeight="semibold" mb={1}>{label} History</Text>
+        <TableContainer maxH="200px" overflowY="auto" borderWidth="1px" borderRadius="md">
+          <Table size="sm">
+            <Thead>
+              <Tr>
+                <Th>#</Th>
+                <Th>Value</Th>
+                <Th>By</Th>
+                <Th>When</Th>
+                <Th>Notes</Th>
+                <Th></Th>
+              </Tr>
+            </Thead>
+            <Tbody>
+              {entries.map((entry) => (
+                <Tr key={entry.version}>
+                  <Td>{entry.version}</Td>
+                  <Td>
+                    {entry.action === 'delete' ? (
+                      <Badge colorScheme="red" fontSize="xs">Deleted</Badge>
+                    ) : formatValue(entry.value)}
+                  </Td>
+                  <Td>{entry.updatedBy}</Td>
+                  <Td>{entry.timestamp ? new Date(entry.timestamp).toLocaleString() : '-'}</Td>
+                  <Td whiteSpace="normal" maxW="160px">
+                    <Text fontSize="xs" noOfLines={2}>
+                      {entry.action === 'revert' ? `Revert to #${entry.revertedTo}. ` : ''}{entry.notes}
+                    </Text>
+                    {entry.sourceUrl && (
+                      <Link href={entry.sourceUrl} isExternal color="blue.500" fontSize="xs">
+                        Source <ExternalLinkIcon mx="2px" />
+                      </Link>
+                    )}
+                  </Td>
+                  <Td>
+                    {entry.action !== 'delete' && entry.version !== entries[0].version && (
+                      <Button
+                        size="xs"
+                        variant="outline"
+                        onClick={() => handleRevert(metric, entry.version)}
+                        isLoading={revertingVersion === `${metric}:${entry.version}`}
+                        isDisabled={!apiKey}
+                      >
+                        Revert
+                      </Button>
+                    )}
+                  </Td>
+                </Tr>
+              ))}
+            </Tbody>
+          </Table>
+        </TableContainer>
+      </Box>
+    );
+  };
+
   const handleApiKeyChange = (value) => {
     setApiKey(value);
     localStorage.setItem('operatorApiKey', value);
@@ -297,9 +461,20 @@ export default function OperatorDataEntry({ isOpen, onClose, initialStablecoin =
                 value={apiKey}
                 onChange={(e) => handleApiKeyChange(e.target.value)}
               />
-              <Text fontSize="xs" color="gray.500" mt={1}>
-                Stored locally in browser
-              </Text>
+              <HStack mt={1} spacing={2}>
+                <Text fontSize="xs" color="gray.500">
+                  Stored locally in browser
+                </Text>
+                {apiKey && (
+                  operator ? (
+                    <Badge colorScheme="green" fontSize="xs">
+                      {operator.name} ({operator.role})
+                    </Badge>
+                  ) : (
+                    <Badge colorScheme="red" fontSize="xs">Invalid key</Badge>
+                  )
+                )}
+              </HStack>
             </FormControl>
 
             {/* Load Defaults Button */}
@@ -467,6 +642,9 @@ export default function OperatorDataEntry({ isOpen, onClose, initialStablecoin =
                       Last updated: {new Date(existingData.bridgeSupply.lastUpdated).toLocaleString()}
                     </Text>
                   )}
+                  <Text fontSize="xs" color="gray.500" mt={1}>
+                    Overrides the on-chain bridge adapter total for coins that have adapters configured
+                  </Text>
                 </FormControl>
 
                 {/* Collateralization Ratio */}
@@ -506,6 +684,9 @@ export default function OperatorDataEntry({ isOpen, onClose, initialStablecoin =
                       Last updated: {new Date(existingData.collateralizationRatio.lastUpdated).toLocaleString()}
                     </Text>
                   )}
+                  <Text fontSize="xs" color="gray.500" mt={1}>
+                    Fallback for coins without on-chain collateral adapters; flagged on the dashboard when it differs from the on-chain ratio by more than 5%
+                  </Text>
                 </FormControl>
 
                 {/* Notes */}
@@ -518,6 +699,26 @@ export default function OperatorDataEntry({ isOpen, onClose, initialStablecoin =
                     rows={2}
                   />
                 </FormControl>
+
+                {/* Source URL */}
+                <FormControl>
+                  <FormLabel>Source URL (Optional)</FormLabel>
+                  <Input
+                    type="url"
+                    placeholder="Link to the data source used for this entry"
+                    value={sourceUrl}
+                    onChange={(e) => setSourceUrl(e.target.value)}
+                  />
+                </FormControl>
+
+                {/* Change History */}
+                {(history.bridgeSupply?.length > 0 || history.collateralizationRatio?.length > 0) && (
+                  <>
+                    <Divider />
+                    {renderHistory('bridgeSupply', 'Bridge Supply', (value) => `$${Number(value).toLocaleString()}`)}
+                    {renderHistory('collateralizationRatio', 'Collateralization Ratio', (value) => value)}
+                  </>
+                )}
               </>
             )}
           </VStack>
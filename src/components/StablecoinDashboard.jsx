@@ -33,7 +33,7 @@ import {
   IconButton
 } from '@chakra-ui/react';
 
-import { AlertIcon, TriangleUpIcon, TriangleDownIcon, ExternalLinkIcon, InfoIcon, DownloadIcon, EditIcon } from '@chakra-ui/icons';
+import { AlertIcon, TriangleUpIcon, TriangleDownIcon, ExternalLinkIcon, InfoIcon, DownloadIcon, EditIcon, WarningIcon } from '@chakra-ui/icons';
 import { useState, useEffect, useMemo } from 'react';
 
 import { 
@@ -46,6 +46,7 @@ import {
 
 import {
   useStablecoinCompleteMetrics,
+  useFosModel,
   useCurveTVL,
   useBalancerTVL,
   useUniswapTotalTVL,
@@ -54,15 +55,18 @@ import {
 
 import DataSourceBadge from './DataSourceBadge.jsx';
 import OperatorDataEntry from './OperatorDataEntry.jsx';
+import StressTestPanel from './StressTestPanel.jsx';
+import MorphoVaultsPanel from './MorphoVaultsPanel.jsx';
 import { exportStablecoinMetricsToCSV, exportDetailedStablecoinMetricsToCSV } from '../utils/stablecoinCsvExport.js';
 import { extractStablecoinMetricValues, extractSortableValues, calculateAggregateStats } from '../utils/stablecoinMetricHelpers.js';
 
 // ================= METRIC ROW COMPONENT =================
 
-function MetricRow({ metricKey, metricLabel, sectionColor, allStablecoinMetrics, loadedStablecoins, isLoading, openOperatorModal }) {
+function MetricRow({ metricKey, metricLabel, sectionColor, allStablecoinMetrics, loadedStablecoins, isLoading, openOperatorModal, openDrilldown }) {
   const bgColor = useColorModeValue('white', 'gray.800');
   const borderColor = useColorModeValue('gray.200', 'gray.600');
   const hoverBg = useColorModeValue('orange.50', 'orange.900');
+  const { data: fosModel } = useFosModel();
   
   // Define which metrics are manually entered
   const manualMetrics = ['bridgeSupply', 'collateralizationRatio'];
@@ -93,14 +97,22 @@ function MetricRow({ metricKey, metricLabel, sectionColor, allStablecoinMetrics,
         return metrics.totalSupply?.isLoading ? <Skeleton height="20px" /> : 
           <Text fontSize="sm">{formatStablecoinAmount(metrics.totalSupply?.data?.data || 0)}</Text>;
       
-      case 'bridgeSupply':
+      case 'bridgeSupply': {
+        const bridgeData = metrics.bridgeSupply?.data;
+        const tooltipLabel = bridgeData?.source === 'bridge_adapters'
+          ? (bridgeData.breakdown || []).map(entry => `${entry.name}: ${formatStablecoinAmount(entry.amount)}`).join(' | ')
+          : bridgeData?.source === 'manual_entry' ? 'Manual entry (overrides bridge adapters)' : undefined;
+        
         return metrics.bridgeSupply?.isLoading ? <Skeleton height="20px" /> : 
-          <HStack spacing={1} justify="center">
-            <Text fontSize="sm" color={metrics.bridgeSupply?.data?.source === 'manual_entry' ? 'orange.500' : 'gray.500'}>
-              {metrics.bridgeSupply?.data?._placeholder ? 'N/A' : formatStablecoinAmount(metrics.bridgeSupply?.data?.data || 0)}
-            </Text>
-            <EditIcon boxSize={2.5} color="gray.400" opacity={0.6} />
-          </HStack>;
+          <Tooltip label={tooltipLabel} placement="top">
+            <HStack spacing={1} justify="center">
+              <Text fontSize="sm" color={bridgeData?.source === 'manual_entry' ? 'orange.500' : 'gray.500'}>
+                {bridgeData?._placeholder ? 'N/A' : formatStablecoinAmount(bridgeData?.data || 0)}
+              </Text>
+              <EditIcon boxSize={2.5} color="gray.400" opacity={0.6} />
+            </HStack>
+          </Tooltip>;
+      }
       
       case 'mainnetSupply':
         return metrics.mainnetSupply?.isLoading ? <Skeleton height="20px" /> : 
@@ -109,7 +121,7 @@ function MetricRow({ metricKey, metricLabel, sectionColor, allStablecoinMetrics,
       case 'exclLendingOtherNetworks': {
         // Calculate: Total Supply - Bridge Supply - Total Lending Markets
         // Use helper to get calculated value (N/A values treated as 0)
-        const extracted = extractStablecoinMetricValues(metrics, stablecoins[stablecoinIndex]);
+        const extracted = extractStablecoinMetricValues(metrics, stablecoins[stablecoinIndex], fosModel);
         const calculatedValue = extracted.exclLendingOtherNetworks.value;
         const isCalculating = extracted.exclLendingOtherNetworks.isLoading;
         
@@ -118,12 +130,19 @@ function MetricRow({ metricKey, metricLabel, sectionColor, allStablecoinMetrics,
       }
       
       case 'curveTVL':
-        return metrics.curveTVL?.isLoading ? <Skeleton height="20px" /> : 
-          <Text fontSize="sm">{formatStablecoinAmount(metrics.curveTVL?.data?.data || 0)}</Text>;
-      
-      case 'balancerTVL':
-        return metrics.balancerTVL?.isLoading ? <Skeleton height="20px" /> : 
-          <Text fontSize="sm">{formatStablecoinAmount(metrics.balancerTVL?.data?.data || 0)}</Text>;
+      case 'balancerTVL': {
+        // Pools holding Pendle PT count the PT side at market value
+        const dexData = metrics[metricKey]?.data;
+        const pt = dexData?.pt;
+        const tooltipLabel = pt?.positions?.length > 0
+          ? `Direct: ${formatStablecoinAmount(dexData.directTVL || 0)} | Pendle PT: ${formatStablecoinAmount(pt.marketValue)} market, ${formatStablecoinAmount(pt.faceValue)} face`
+          : undefined;
+        
+        return metrics[metricKey]?.isLoading ? <Skeleton height="20px" /> : 
+          <Tooltip label={tooltipLabel} placement="top">
+            <Text fontSize="sm">{formatStablecoinAmount(dexData?.data || 0)}</Text>
+          </Tooltip>;
+      }
       
       case 'uniswapTVL':
         return metrics.uniswapTVL?.isLoading ? <Skeleton height="20px" /> : 
@@ -133,6 +152,21 @@ function MetricRow({ metricKey, metricLabel, sectionColor, allStablecoinMetrics,
         return metrics.sushiTVL?.isLoading ? <Skeleton height="20px" /> : 
           <Text fontSize="sm">{formatStablecoinAmount(metrics.sushiTVL?.data?.data || 0)}</Text>;
       
+      case 'pendleTVL': {
+        const pendleData = metrics.pendleTVL?.data;
+        const markets = pendleData?.markets || [];
+        
+        // Per-market breakdown; markets near expiry are listed but not counted
+        const tooltipLabel = markets.length > 0
+          ? markets.map(market => `${market.marketName} (${market.daysToExpiry ?? '?'}d): ${formatStablecoinAmount(market.liquidity)}${market.excluded ? ' (excluded, near expiry)' : ''}`).join(' | ')
+          : 'No active Pendle markets';
+        
+        return metrics.pendleTVL?.isLoading ? <Skeleton height="20px" /> : 
+          <Tooltip label={tooltipLabel} placement="top">
+            <Text fontSize="sm">{formatStablecoinAmount(pendleData?.data || 0)}</Text>
+          </Tooltip>;
+      }
+      
       case 'totalMainnetLiquidity':
         return metrics.totalMainnetLiquidity?.isLoading ? <Skeleton height="20px" /> : 
           <Text fontSize="sm" fontWeight="bold" color="blue.600">{formatStablecoinAmount(metrics.totalMainnetLiquidity?.data || 0)}</Text>;
@@ -142,11 +176,27 @@ function MetricRow({ metricKey, metricLabel, sectionColor, allStablecoinMetrics,
         const totalTVL = aaveData?.totalTVL || 0;
         const directTVL = aaveData?.directTVL || 0;
         const ptTVL = aaveData?.ptTVL || 0;
+        const ptFaceValue = aaveData?.ptFaceValue || 0;
         const ptMarkets = aaveData?.ptMarkets || 0;
         
+        // Per reserve: LTV / liquidation threshold and room left under the supply cap
+        const reserveLabels = (aaveData?.reserves || [])
+          .filter(reserve => !reserve.error)
+          .map(reserve => {
+            const headroom = reserve.supplyCap === null
+              ? 'no supply cap'
+              : `cap headroom ${reserve.supplyCapHeadroomUSD !== null ? formatStablecoinAmount(reserve.supplyCapHeadroomUSD) : 'N/A'} (${formatPercentage(reserve.supplyCapUtilization)} used)`;
+            const eModes = reserve.eModeCategories.filter(category => category.collateral).map(category => category.label).filter(Boolean);
+            return `${reserve.symbol}: LTV ${formatPercentage(reserve.ltv)}, LT ${formatPercentage(reserve.liquidationThreshold)}, ${headroom}${reserve.isolated ? ', isolated' : ''}${eModes.length > 0 ? `, e-mode: ${eModes.join(', ')}` : ''}`;
+          });
+        const tooltipLabel = [
+          ptMarkets > 0 ? `Direct: ${formatStablecoinAmount(directTVL)} | Pendle PT: ${formatStablecoinAmount(ptTVL)} market, ${formatStablecoinAmount(ptFaceValue)} face (${ptMarkets} markets)` : `Direct: ${formatStablecoinAmount(directTVL)}`,
+          ...reserveLabels
+        ].join(' | ');
+        
         return metrics.totalLendingUsage?.isLoading ? <Skeleton height="20px" /> : 
           <Tooltip 
-            label={ptMarkets > 0 ? `Direct: ${formatStablecoinAmount(directTVL)} | Pendle PT: ${formatStablecoinAmount(ptTVL)} (${ptMarkets} markets)` : `Direct: ${formatStablecoinAmount(directTVL)}`}
+            label={tooltipLabel}
             placement="top"
           >
             <Text fontSize="sm">{formatStablecoinAmount(totalTVL)}</Text>
@@ -158,11 +208,12 @@ function MetricRow({ metricKey, metricLabel, sectionColor, allStablecoinMetrics,
         const totalTVL = morphoData?.totalTVL || 0;
         const directTVL = morphoData?.directTVL || 0;
         const ptTVL = morphoData?.ptTVL || 0;
+        const ptFaceValue = morphoData?.ptFaceValue || 0;
         const ptMarkets = morphoData?.ptMarkets || 0;
         
         return metrics.totalLendingUsage?.isLoading ? <Skeleton height="20px" /> : 
           <Tooltip 
-            label={ptMarkets > 0 ? `Direct: ${formatStablecoinAmount(directTVL)} | Pendle PT: ${formatStablecoinAmount(ptTVL)} (${ptMarkets} markets)` : `Direct: ${formatStablecoinAmount(directTVL)}`}
+            label={ptMarkets > 0 ? `Direct: ${formatStablecoinAmount(directTVL)} | Pendle PT: ${formatStablecoinAmount(ptTVL)} market, ${formatStablecoinAmount(ptFaceValue)} face (${ptMarkets} markets)` : `Direct: ${formatStablecoinAmount(directTVL)}`}
             placement="top"
           >
             <Text fontSize="sm">{formatStablecoinAmount(totalTVL)}</Text>
@@ -174,11 +225,12 @@ function MetricRow({ metricKey, metricLabel, sectionColor, allStablecoinMetrics,
         const totalTVL = eulerData?.totalTVL || 0;
         const directTVL = eulerData?.directTVL || 0;
         const ptTVL = eulerData?.ptTVL || 0;
+        const ptFaceValue = eulerData?.ptFaceValue || 0;
         const ptMarkets = eulerData?.ptMarkets || 0;
         
         return metrics.totalLendingUsage?.isLoading ? <Skeleton height="20px" /> : 
           <Tooltip 
-            label={ptMarkets > 0 ? `Direct: ${formatStablecoinAmount(directTVL)} | Pendle PT: ${formatStablecoinAmount(ptTVL)} (${ptMarkets} markets)` : `Direct: ${formatStablecoinAmount(directTVL)}`}
+            label={ptMarkets > 0 ? `Direct: ${formatStablecoinAmount(directTVL)} | Pendle PT: ${formatStablecoinAmount(ptTVL)} market, ${formatStablecoinAmount(ptFaceValue)} face (${ptMarkets} markets)` : `Direct: ${formatStablecoinAmount(directTVL)}`}
             placement="top"
           >
             <Text fontSize="sm">{formatStablecoinAmount(totalTVL)}</Text>
@@ -190,11 +242,12 @@ function MetricRow({ metricKey, metricLabel, sectionColor, allStablecoinMetrics,
         const totalTVL = fluidData?.totalTVL || 0;
         const directTVL = fluidData?.directTVL || 0;
         const ptTVL = fluidData?.ptTVL || 0;
+        const ptFaceValue = fluidData?.ptFaceValue || 0;
         const ptMarkets = fluidData?.ptMarkets || 0;
         
         return metrics.totalLendingUsage?.isLoading ? <Skeleton height="20px" /> : 
           <Tooltip 
-            label={ptMarkets > 0 ? `Direct: ${formatStablecoinAmount(directTVL)} | Pendle PT: ${formatStablecoinAmount(ptTVL)} (${ptMarkets} markets)` : `Direct: ${formatStablecoinAmount(directTVL)}`}
+            label={ptMarkets > 0 ? `Direct: ${formatStablecoinAmount(directTVL)} | Pendle PT: ${formatStablecoinAmount(ptTVL)} market, ${formatStablecoinAmount(ptFaceValue)} face (${ptMarkets} markets)` : `Direct: ${formatStablecoinAmount(directTVL)}`}
             placement="top"
           >
             <Text fontSize="sm">{formatStablecoinAmount(totalTVL)}</Text>
@@ -214,7 +267,7 @@ function MetricRow({ metricKey, metricLabel, sectionColor, allStablecoinMetrics,
                            (protocols.fluid?.ptTVL || 0);
         
         const tooltipLabel = ptTokensFound > 0 
-          ? `Total: ${formatStablecoinAmount(totalTVL)} | Pendle PT across all protocols: ${formatStablecoinAmount(totalPTTVL)} (${ptTokensFound} PT tokens found)`
+          ? `Total: ${formatStablecoinAmount(totalTVL)} | Pendle PT across all protocols: ${formatStablecoinAmount(totalPTTVL)} market, ${formatStablecoinAmount(pendleData?.ptFaceValue || 0)} face (${ptTokensFound} PT tokens found)`
           : `Total: ${formatStablecoinAmount(totalTVL)}`;
         
         return metrics.totalLendingUsage?.isLoading ? <Skeleton height="20px" /> : 
@@ -225,18 +278,159 @@ function MetricRow({ metricKey, metricLabel, sectionColor, allStablecoinMetrics,
           </Tooltip>;
       }
       
+      case 'pendlePTCollateral': {
+        const pendleData = metrics.totalLendingUsage?.data?.pendle;
+        const ladder = pendleData?.maturityLadder || [];
+        
+        // Maturity ladder: PT collateral rolling off at each expiry
+        const tooltipLabel = ladder.length > 0
+          ? ladder.map(rung => `${rung.expiry} (${rung.daysToExpiry ?? '?'}d): ${formatStablecoinAmount(rung.marketValue)} market, ${formatStablecoinAmount(rung.faceValue)} face`).join(' | ')
+          : 'No PT collateral in lending markets';
+        
+        return metrics.totalLendingUsage?.isLoading ? <Skeleton height="20px" /> : 
+          <Tooltip label={tooltipLabel} placement="top">
+            <VStack spacing={0}>
+              <Text fontSize="sm">{formatStablecoinAmount(pendleData?.ptMarketValue || 0)}</Text>
+              {ladder.length > 0 && (
+                <Text fontSize="xs" color="gray.500">
+                  next {ladder[0].expiry}: {formatStablecoinAmount(ladder[0].faceValue)}
+                </Text>
+              )}
+            </VStack>
+          </Tooltip>;
+      }
+      
+      case 'aaveBorrows': {
+        const aaveData = metrics.borrowExposure?.data?.protocols?.aave_v3;
+        
+        // Aave pools collateral, so list each reserve with the e-mode categories it can be borrowed in
+        const tooltipLabel = aaveData?.error
+          ? `Aave data unavailable: ${aaveData.error}`
+          : (aaveData?.reserves || []).length > 0
+            ? aaveData.reserves.map(reserve => {
+                const eModes = reserve.eModeCategories.map(category => category.label).filter(Boolean);
+                const cap = reserve.borrowCapHeadroomUSD !== null ? `, cap headroom ${formatStablecoinAmount(reserve.borrowCapHeadroomUSD)}` : '';
+                return `${reserve.symbol}: ${formatStablecoinAmount(reserve.totalBorrowUSD)} (${formatPercentage(reserve.utilization)} utilized${cap})${eModes.length > 0 ? `, e-mode: ${eModes.join(', ')}` : ''}`;
+              }).join(' | ') + ' | Backed by pooled collateral'
+            : 'Not borrowable on Aave';
+        
+        return metrics.borrowExposure?.isLoading ? <Skeleton height="20px" /> : 
+          <Tooltip label={tooltipLabel} placement="top">
+            <VStack spacing={0}>
+              <Text fontSize="sm">{formatStablecoinAmount(aaveData?.totalBorrowUSD || 0)}</Text>
+              {aaveData?.totalSupplyUSD > 0 && (
+                <Text fontSize="xs" color="gray.500">{formatPercentage(aaveData.utilization)} utilized</Text>
+              )}
+            </VStack>
+          </Tooltip>;
+      }
+      
+      case 'morphoBorrows': {
+        const morphoData = metrics.borrowExposure?.data?.protocols?.morpho_blue;
+        const collateral = morphoData?.collateral || [];
+        
+        // Collateral backing the loans, then each market with its LLTV and utilization
+        const tooltipLabel = morphoData?.error
+          ? `Morpho data unavailable: ${morphoData.error}`
+          : collateral.length > 0
+            ? [
+                `Collateral: ${collateral.map(entry => `${entry.symbol} ${formatStablecoinAmount(entry.borrowAssetsUsd)}`).join(', ')}`,
+                ...morphoData.markets
+                  .filter(market => market.borrowAssetsUsd > 0)
+                  .map(market => `${market.collateralAsset?.symbol}/${market.loanAsset?.symbol} (LLTV ${formatPercentage(market.lltv)}): ${formatStablecoinAmount(market.borrowAssetsUsd)}, ${formatPercentage(market.utilization)} utilized`)
+              ].join(' | ')
+            : 'No Morpho Blue loans';
+        
+        return metrics.borrowExposure?.isLoading ? <Skeleton height="20px" /> : 
+          <Tooltip label={tooltipLabel} placement="top">
+            <VStack spacing={0}>
+              <Text fontSize="sm">{formatStablecoinAmount(morphoData?.totalBorrowUSD || 0)}</Text>
+              {morphoData?.totalSupplyUSD > 0 && (
+                <Text fontSize="xs" color="gray.500">{formatPercentage(morphoData.utilization)} utilized</Text>
+              )}
+            </VStack>
+          </Tooltip>;
+      }
+      
+      case 'totalBorrowMarkets': {
+        const protocols = metrics.borrowExposure?.data?.protocols || {};
+        const tooltipLabel = `Aave: ${formatStablecoinAmount(protocols.aave_v3?.totalBorrowUSD || 0)} | Morpho: ${formatStablecoinAmount(protocols.morpho_blue?.totalBorrowUSD || 0)}`;
+        
+        return metrics.borrowExposure?.isLoading ? <Skeleton height="20px" /> : 
+          <Tooltip label={tooltipLabel} placement="top">
+            <Text fontSize="sm" fontWeight="bold" color="orange.600">
+              {formatStablecoinAmount(metrics.borrowExposure?.data?.totalBorrowUSD || 0)}
+            </Text>
+          </Tooltip>;
+      }
+      
+      case 'otherChainSupply':
+      case 'otherChainLiquidity':
+      case 'otherChainLending': {
+        const chainBreakdown = metrics.chainBreakdown;
+        if (!chainBreakdown) {
+          return <Text fontSize="sm" color="gray.500">N/A</Text>;
+        }
+        if (chainBreakdown.isLoading) {
+          return <Skeleton height="20px" />;
+        }
+        
+        const data = chainBreakdown.data || {};
+        if (data._unavailable) {
+          return <Text fontSize="sm" color="gray.500">N/A</Text>;
+        }
+        
+        // Column shows the total across chains; the tooltip lists each chain
+        const chainValue = {
+          otherChainSupply: chain => chain.supply,
+          otherChainLiquidity: chain => chain.dexLiquidity?.total,
+          otherChainLending: chain => chain.lending?.total
+        }[metricKey];
+        const total = {
+          otherChainSupply: data.totals?.supply,
+          otherChainLiquidity: data.totals?.dexLiquidity,
+          otherChainLending: data.totals?.lending
+        }[metricKey] || 0;
+        const tooltipLabel = (data.chains || [])
+          .map(chain => {
+            const value = chainValue(chain);
+            return `${chain.name}: ${value === null || value === undefined ? 'N/A' : formatStablecoinAmount(value)}`;
+          })
+          .join(' | ');
+        
+        return (
+          <Tooltip label={tooltipLabel} placement="top">
+            <Text fontSize="sm">{formatStablecoinAmount(total)}</Text>
+          </Tooltip>
+        );
+      }
+      
       case 'insuranceFund':
         return metrics.insuranceFund?.isLoading ? <Skeleton height="20px" /> : 
           <Text fontSize="sm" color="gray.500">{metrics.insuranceFund?.data?._unavailable ? 'N/A' : formatStablecoinAmount(metrics.insuranceFund?.data?.data || 0)}</Text>;
       
-      case 'collateralizationRatio':
+      case 'collateralizationRatio': {
+        const crData = metrics.collateralizationRatio?.data;
+        const divergence = crData?.divergence;
+        const tooltipLabel = crData?.source === 'onchain_adapters'
+          ? [
+            ...(crData.breakdown || []).map(entry =>
+              `${entry.name}: ${formatRatio(entry.ratio)} (${entry.calls?.length || 0} calls to ${new Set((entry.calls || []).map(call => call.address)).size} contracts)`),
+            ...(divergence?.warning ? [`Manual entry ${formatRatio(divergence.manual)} differs by ${formatPercentage(Math.abs(divergence.difference))}`] : [])
+          ].join(' | ')
+          : crData?.source === 'manual_entry' ? 'Manual entry (no on-chain collateral adapter result)' : undefined;
+        
         return metrics.collateralizationRatio?.isLoading ? <Skeleton height="20px" /> : 
-          <HStack spacing={1} justify="center">
-            <Text fontSize="sm" color={metrics.collateralizationRatio?.data?.source === 'manual_entry' ? 'orange.500' : 'gray.500'}>
-              {metrics.collateralizationRatio?.data?._unavailable ? 'N/A' : formatRatio(metrics.collateralizationRatio?.data?.data || 0)}
-            </Text>
-            <EditIcon boxSize={2.5} color="gray.400" opacity={0.6} />
-          </HStack>;
+          <Tooltip label={tooltipLabel} placement="top">
+            <HStack spacing={1} justify="center">
+              {divergence?.warning && <WarningIcon boxSize={3} color="red.400" />}
+              <Text fontSize="sm" color={crData?.source === 'manual_entry' ? 'orange.500' : 'gray.500'}>
+                {crData?._unavailable ? 'N/A' : formatRatio(crData?.data || 0)}
+              </Text>
+              <EditIcon boxSize={2.5} color="gray.400" opacity={0.6} />
+            </HStack>
+          </Tooltip>;
+      }
       
       case 'stakedSupply':
         return metrics.stakedSupply?.isLoading ? <Skeleton height="20px" /> : 
@@ -248,7 +442,7 @@ function MetricRow({ metricKey, metricLabel, sectionColor, allStablecoinMetrics,
       
       case 'factorOfSafety': {
         // Calculate Factor of Safety score (composite risk metric)
-        const extracted = extractStablecoinMetricValues(metrics, stablecoins[stablecoinIndex]);
+        const extracted = extractStablecoinMetricValues(metrics, stablecoins[stablecoinIndex], fosModel);
         const fosValue = extracted.factorOfSafety.value;
         const isCalculating = extracted.factorOfSafety.isLoading;
         
@@ -261,7 +455,7 @@ function MetricRow({ metricKey, metricLabel, sectionColor, allStablecoinMetrics,
         
         return isCalculating ? <Skeleton height="20px" /> : 
           <Tooltip 
-            label={`Components: Base(0.5) + Insurance(${extracted.factorOfSafety.components.insuranceComponent}) + CR(${extracted.factorOfSafety.components.crComponent}) + Staked(${extracted.factorOfSafety.components.stakedComponent}) + Mainnet(${extracted.factorOfSafety.components.mainnetComponent})`}
+            label={`Model v${extracted.factorOfSafety.modelVersion} (${extracted.factorOfSafety.modelVariant}) | Components: Base(${extracted.factorOfSafety.components.baseScore}) + Insurance(${extracted.factorOfSafety.components.insuranceComponent}) + CR(${extracted.factorOfSafety.components.crComponent}) + Staked(${extracted.factorOfSafety.components.stakedComponent}) + Mainnet(${extracted.factorOfSafety.components.mainnetComponent})`}
             placement="top"
           >
             <Text fontSize="sm" fontWeight="bold" color={color}>
@@ -272,7 +466,7 @@ function MetricRow({ metricKey, metricLabel, sectionColor, allStablecoinMetrics,
       
       case 'theoreticalSupplyLimit': {
         // Calculate Theoretical Supply Limit
-        const extracted = extractStablecoinMetricValues(metrics, stablecoins[stablecoinIndex]);
+        const extracted = extractStablecoinMetricValues(metrics, stablecoins[stablecoinIndex], fosModel);
         const limitValue = extracted.theoreticalSupplyLimit.value;
         const isCalculating = extracted.theoreticalSupplyLimit.isLoading;
         
@@ -315,16 +509,20 @@ function MetricRow({ metricKey, metricLabel, sectionColor, allStablecoinMetrics,
       {/* Values for each stablecoin */}
       {stablecoins.map((stablecoin, index) => {
         const isManualMetric = manualMetrics.includes(metricKey);
+        // Rows with a drilldown open it for the clicked stablecoin
+        const onCellClick = isManualMetric
+          ? () => openOperatorModal(stablecoin.symbol, metricKey)
+          : openDrilldown ? () => openDrilldown(stablecoin) : undefined;
         
         return (
           <Td 
             key={stablecoin.symbol} 
             textAlign="center" 
             width="80px"
-            cursor={isManualMetric ? 'pointer' : 'default'}
-            onClick={isManualMetric ? () => openOperatorModal(stablecoin.symbol, metricKey) : undefined}
-            _hover={isManualMetric ? { bg: hoverBg } : undefined}
-            title={isManualMetric ? 'Click to edit manual data' : undefined}
+            cursor={onCellClick ? 'pointer' : 'default'}
+            onClick={onCellClick}
+            _hover={onCellClick ? { bg: hoverBg } : undefined}
+            title={isManualMetric ? 'Click to edit manual data' : openDrilldown ? 'Click for breakdown' : undefined}
           >
             {getMetricValue(index, metricKey)}
           </Td>
@@ -372,6 +570,18 @@ export default function StablecoinDashboard() {
   const [operatorInitialStablecoin, setOperatorInitialStablecoin] = useState(null);
   const [operatorInitialMetric, setOperatorInitialMetric] = useState(null);
   
+  // Stress test modal
+  const { isOpen: isStressTestOpen, onOpen: onStressTestOpen, onClose: onStressTestClose } = useDisclosure();
+  
+  // Morpho vault drilldown modal for the clicked stablecoin
+  const { isOpen: isMorphoVaultsOpen, onOpen: onMorphoVaultsOpen, onClose: onMorphoVaultsClose } = useDisclosure();
+  const [morphoVaultsStablecoin, setMorphoVaultsStablecoin] = useState(null);
+  
+  const openMorphoVaults = (stablecoin) => {
+    setMorphoVaultsStablecoin(stablecoin);
+    onMorphoVaultsOpen();
+  };
+  
   // Function to open operator modal with specific stablecoin and metric
   const openOperatorModal = (stablecoinSymbol = null, metric = null) => {
     setOperatorInitialStablecoin(stablecoinSymbol);
@@ -389,6 +599,7 @@ export default function StablecoinDashboard() {
       enabled: loadedStablecoins.has(index) || allStablecoinsLoaded 
     })
   );
+  const { data: fosModel } = useFosModel();
 
   useEffect(() => {
     // Load stablecoins one by one with short delays
@@ -422,8 +633,8 @@ export default function StablecoinDashboard() {
   // Extract sortable values for future sorting functionality
   // Similar to protocolsWithData in DeFi dashboard
   const stablecoinsWithSortableValues = useMemo(() => {
-    return extractSortableValues(stablecoins, allStablecoinMetrics);
-  }, [allStablecoinMetrics]);
+    return extractSortableValues(stablecoins, allStablecoinMetrics, fosModel);
+  }, [allStablecoinMetrics, fosModel]);
 
   // Calculate aggregate statistics across all stablecoins
   const aggregateStats = useMemo(() => {
@@ -507,6 +718,19 @@ export default function StablecoinDashboard() {
             </Button>
           </Tooltip>
           
+          <Tooltip label="Apply what-if shocks and recompute FoS and Theoretical Supply Limit" placement="bottom">
+            <Button
+              leftIcon={<WarningIcon />}
+              colorScheme="red"
+              size="sm"
+              onClick={onStressTestOpen}
+              variant="outline"
+              _hover={{ bg: 'red.50' }}
+            >
+              Stress Test
+            </Button>
+          </Tooltip>
+          
           <Button
             leftIcon={<DownloadIcon />}
             colorScheme="blue"
@@ -538,6 +762,19 @@ export default function StablecoinDashboard() {
         initialMetric={operatorInitialMetric}
       />
 
+      {/* Stress Test Modal */}
+      <StressTestPanel 
+        isOpen={isStressTestOpen} 
+        onClose={onStressTestClose}
+      />
+
+      {/* Morpho Vault Drilldown Modal */}
+      <MorphoVaultsPanel 
+        isOpen={isMorphoVaultsOpen} 
+        onClose={onMorphoVaultsClose}
+        stablecoin={morphoVaultsStablecoin}
+      />
+
       <Box 
         flex="1"
         overflowX="auto" 
@@ -689,6 +926,14 @@ export default function StablecoinDashboard() {
               loadedStablecoins={loadedStablecoins}
               openOperatorModal={openOperatorModal}
             />
+            <MetricRow 
+              metricKey="pendleTVL" 
+              metricLabel="Pendle" 
+              sectionColor="green.500"
+              allStablecoinMetrics={allStablecoinMetrics}
+              loadedStablecoins={loadedStablecoins}
+              openOperatorModal={openOperatorModal}
+            />
             <MetricRow 
               metricKey="totalMainnetLiquidity" 
               metricLabel="Total mainnet liquidity" 
@@ -715,6 +960,7 @@ export default function StablecoinDashboard() {
               allStablecoinMetrics={allStablecoinMetrics}
               loadedStablecoins={loadedStablecoins}
               openOperatorModal={openOperatorModal}
+              openDrilldown={openMorphoVaults}
             />
             <MetricRow 
               metricKey="eulerCollateral" 
@@ -740,6 +986,68 @@ export default function StablecoinDashboard() {
               loadedStablecoins={loadedStablecoins}
               openOperatorModal={openOperatorModal}
             />
+            <MetricRow 
+              metricKey="pendlePTCollateral" 
+              metricLabel="Pendle PT collateral" 
+              sectionColor="purple.500"
+              allStablecoinMetrics={allStablecoinMetrics}
+              loadedStablecoins={loadedStablecoins}
+              openOperatorModal={openOperatorModal}
+            />
+
+            {/* Borrow Markets Section */}
+            <SectionHeaderRow sectionTitle="Borrow Markets" sectionColor="orange.500" />
+            <MetricRow 
+              metricKey="aaveBorrows" 
+              metricLabel="Aave Borrows" 
+              sectionColor="orange.500"
+              allStablecoinMetrics={allStablecoinMetrics}
+              loadedStablecoins={loadedStablecoins}
+              openOperatorModal={openOperatorModal}
+            />
+            <MetricRow 
+              metricKey="morphoBorrows" 
+              metricLabel="Morpho Borrows" 
+              sectionColor="orange.500"
+              allStablecoinMetrics={allStablecoinMetrics}
+              loadedStablecoins={loadedStablecoins}
+              openOperatorModal={openOperatorModal}
+            />
+            <MetricRow 
+              metricKey="totalBorrowMarkets" 
+              metricLabel="Total borrowed" 
+              sectionColor="orange.500"
+              allStablecoinMetrics={allStablecoinMetrics}
+              loadedStablecoins={loadedStablecoins}
+              openOperatorModal={openOperatorModal}
+            />
+
+            {/* Other Chains Section */}
+            <SectionHeaderRow sectionTitle="Other Chains" sectionColor="teal.500" />
+            <MetricRow 
+              metricKey="otherChainSupply" 
+              metricLabel="Supply on other chains" 
+              sectionColor="teal.500"
+              allStablecoinMetrics={allStablecoinMetrics}
+              loadedStablecoins={loadedStablecoins}
+              openOperatorModal={openOperatorModal}
+            />
+            <MetricRow 
+              metricKey="otherChainLiquidity" 
+              metricLabel="Other chain liquidity" 
+              sectionColor="teal.500"
+              allStablecoinMetrics={allStablecoinMetrics}
+              loadedStablecoins={loadedStablecoins}
+              openOperatorModal={openOperatorModal}
+            />
+            <MetricRow 
+              metricKey="otherChainLending" 
+              metricLabel="Other chain lending markets" 
+              sectionColor="teal.500"
+              allStablecoinMetrics={allStablecoinMetrics}
+              loadedStablecoins={loadedStablecoins}
+              openOperatorModal={openOperatorModal}
+            />
 
             {/* Safety Buffer Section */}
             <SectionHeaderRow sectionTitle="Safety Buffer" sectionColor="red.500" />
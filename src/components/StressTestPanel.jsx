@@ -0,0 +1,361 @@
+import {
+  Box,
+  Button,
+  FormControl,
+  FormLabel,
+  Input,
+  Modal,
+  ModalOverlay,
+  ModalContent,
+  ModalHeader,
+  ModalFooter,
+  ModalBody,
+  ModalCloseButton,
+  VStack,
+  Text,
+  useToast,
+  HStack,
+  Badge,
+  Select,
+  IconButton,
+  Table,
+  Thead,
+  Tbody,
+  Tr,
+  Th,
+  Td,
+  TableContainer,
+  useColorModeValue
+} from '@chakra-ui/react';
+import { WarningIcon, AddIcon, DeleteIcon, DownloadIcon } from '@chakra-ui/icons';
+import { useState, useEffect } from 'react';
+import axios from 'axios';
+import { formatStablecoinAmount, formatPercentage, formatRatio } from '../config/stablecoins.js';
+import { exportStressTestResultsToCSV } from '../utils/stablecoinCsvExport.js';
+
+const API_BASE = '/api';
+
+// Shock targets accepted by POST /api/stress-test/run (see cache-service/services/stress-simulator.js)
+const SHOCK_TARGETS = [
+  { value: 'dexLiquidity', label: 'DEX Liquidity (all)' },
+  { value: 'curveTVL', label: 'Curve TVL' },
+  { value: 'balancerTVL', label: 'Balancer TVL' },
+  { value: 'uniswapTVL', label: 'Uniswap TVL' },
+  { value: 'sushiTVL', label: 'Sushiswap TVL' },
+  { value: 'pendleTVL', label: 'Pendle AMM Liquidity' },
+  { value: 'totalSupply', label: 'Total Supply' },
+  { value: 'mainnetSupply', label: 'Mainnet Supply' },
+  { value: 'bridgeSupply', label: 'Bridge Supply' },
+  { value: 'totalLendingMarkets', label: 'Total Lending Markets' },
+  { value: 'insuranceFund', label: 'Insurance Fund' },
+  { value: 'collateralizationRatio', label: 'Collateralization Ratio' },
+  { value: 'stakedSupply', label: 'Staked Supply' }
+];
+
+const NEW_SHOCK = { target: 'dexLiquidity', operation: 'scale', value: 0.5 };
+
+function toScenarioId(name) {
+  return name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 48);
+}
+
+export default function StressTestPanel({ isOpen, onClose }) {
+  const shockBg = useColorModeValue('gray.50', 'gray.700');
+  const [scenarios, setScenarios] = useState([]);
+  const [selectedScenarioId, setSelectedScenarioId] = useState('');
+  const [shocks, setShocks] = useState([NEW_SHOCK]);
+  const [presetName, setPresetName] = useState('');
+  const [results, setResults] = useState(null);
+  const [isRunning, setIsRunning] = useState(false);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const toast = useToast();
+
+  // Load presets when modal opens
+  useEffect(() => {
+    if (isOpen) {
+      loadScenarios();
+    }
+  }, [isOpen]);
+
+  const loadScenarios = async () => {
+    try {
+      const response = await axios.get(`${API_BASE}/stress-test/scenarios`);
+      setScenarios(response.data.success ? response.data.data : []);
+    } catch (error) {
+      console.error('Error loading stress test scenarios:', error);
+      setScenarios([]);
+    }
+  };
+
+  const operatorHeaders = () => ({ 'x-operator-key': localStorage.getItem('operatorApiKey') || '' });
+
+  const selectedScenario = scenarios.find(scenario => scenario.id === selectedScenarioId) || null;
+
+  const handleSelectScenario = (id) => {
+    setSelectedScenarioId(id);
+    const scenario = scenarios.find(s => s.id === id);
+    if (scenario) {
+      setShocks(scenario.shocks.map(shock => ({ ...shock })));
+      setPresetName(scenario.builtIn ? '' : scenario.name);
+    }
+  };
+
+  const updateShock = (index, field, value) => {
+    setShocks(prev => prev.map((shock, i) => (i === index ? { ...shock, [field]: value } : shock)));
+  };
+
+  // Inputs hold strings while editing; the API expects numbers
+  const parsedShocks = () => shocks.map(shock => ({ ...shock, value: parseFloat(shock.value) }));
+
+  const showError = (title, error) => {
+    toast({
+      title,
+      description: error.response?.data?.error || error.message,
+      status: 'error',
+      duration: 5000,
+      isClosable: true,
+    });
+  };
+
+  const handleRun = async () => {
+    setIsRunning(true);
+    try {
+      const response = await axios.post(`${API_BASE}/stress-test/run`, { shocks: parsedShocks() }, { headers: operatorHeaders() });
+      setResults({
+        ...response.data,
+        scenarioName: selectedScenario?.name || 'Custom scenario'
+      });
+    } catch (error) {
+      console.error('Error running stress test:', error);
+      showError('Stress Test Failed', error);
+    } finally {
+      setIsRunning(false);
+    }
+  };
+
+  const handleSavePreset = async () => {
+    const id = toScenarioId(presetName);
+    if (!id) return;
+
+    setIsSaving(true);
+    try {
+      await axios.put(`${API_BASE}/stress-test/scenarios/${id}`, {
+        name: presetName,
+        description: selectedScenario?.builtIn ? `Based on ${selectedScenario.name}` : (selectedScenario?.description || ''),
+        shocks: parsedShocks()
+      }, { headers: operatorHeaders() });
+
+      toast({
+        title: 'Preset Saved',
+        description: `Saved "${presetName}"`,
+        status: 'success',
+        duration: 3000,
+        isClosable: true,
+      });
+      await loadScenarios();
+      setSelectedScenarioId(id);
+    } catch (error) {
+      console.error('Error saving stress test scenario:', error);
+      showError('Save Failed', error);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleDeletePreset = async () => {
+    if (!selectedScenario || selectedScenario.builtIn) return;
+
+    try {
+      await axios.delete(`${API_BASE}/stress-test/scenarios/${selectedScenario.id}`, { headers: operatorHeaders() });
+      setSelectedScenarioId('');
+      setPresetName('');
+      await loadScenarios();
+    } catch (error) {
+      console.error('Error deleting stress test scenario:', error);
+      showError('Delete Failed', error);
+    }
+  };
+
+  const handleExportJSON = () => {
+    const blob = new Blob([JSON.stringify(results, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.setAttribute('href', url);
+    link.setAttribute('download', `stress-test-${toScenarioId(results.scenarioName)}-${results.ranAt.split('T')[0]}.json`);
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+  };
+
+  return (
+    <Modal isOpen={isOpen} onClose={onClose} size="4xl">
+      <ModalOverlay />
+      <ModalContent>
+        <ModalHeader>
+          <HStack>
+            <WarningIcon />
+            <Text>Stress Test</Text>
+          </HStack>
+        </ModalHeader>
+        <ModalCloseButton />
+
+        <ModalBody>
+          <VStack spacing={4} align="stretch">
+            <FormControl>
+              <FormLabel fontSize="sm">Scenario</FormLabel>
+              <HStack>
+                <Select
+                  size="sm"
+                  placeholder="Custom scenario"
+                  value={selectedScenarioId}
+                  onChange={(e) => handleSelectScenario(e.target.value)}
+                >
+                  {scenarios.map(scenario => (
+                    <option key={scenario.id} value={scenario.id}>
+                      {scenario.name}{scenario.builtIn ? '' : ' (saved)'}
+                    </option>
+                  ))}
+                </Select>
+                {selectedScenario && !selectedScenario.builtIn && (
+                  <IconButton
+                    aria-label="Delete preset"
+                    icon={<DeleteIcon />}
+                    size="sm"
+                    variant="ghost"
+                    colorScheme="red"
+                    onClick={handleDeletePreset}
+                  />
+                )}
+              </HStack>
+              {selectedScenario?.description && (
+                <Text fontSize="xs" color="gray.500" mt={1}>{selectedScenario.description}</Text>
+              )}
+            </FormControl>
+
+            {/* Shock editor */}
+            <Box bg={shockBg} p={3} borderRadius="md">
+              <Text fontSize="sm" fontWeight="bold" mb={2}>Shocks</Text>
+              <VStack spacing={2} align="stretch">
+                {shocks.map((shock, index) => (
+                  <HStack key={index}>
+                    <Select size="sm" value={shock.target} onChange={(e) => updateShock(index, 'target', e.target.value)}>
+                      {SHOCK_TARGETS.map(target => (
+                        <option key={target.value} value={target.value}>{target.label}</option>
+                      ))}
+                    </Select>
+                    <Select size="sm" w="160px" value={shock.operation} onChange={(e) => updateShock(index, 'operation', e.target.value)}>
+                      <option value="scale">Multiply by</option>
+                      <option value="set">Set to</option>
+                    </Select>
+                    <Input
+                      size="sm"
+                      w="120px"
+                      type="number"
+                      step="any"
+                      min={0}
+                      value={shock.value}
+                      onChange={(e) => updateShock(index, 'value', e.target.value)}
+                    />
+                    <IconButton
+                      aria-label="Remove shock"
+                      icon={<DeleteIcon />}
+                      size="sm"
+                      variant="ghost"
+                      isDisabled={shocks.length === 1}
+                      onClick={() => setShocks(prev => prev.filter((_, i) => i !== index))}
+                    />
+                  </HStack>
+                ))}
+              </VStack>
+              <Button leftIcon={<AddIcon />} size="xs" variant="ghost" mt={2} onClick={() => setShocks(prev => [...prev, { ...NEW_SHOCK }])}>
+                Add shock
+              </Button>
+            </Box>
+
+            <HStack>
+              <Input
+                size="sm"
+                placeholder="Preset name"
+                value={presetName}
+                onChange={(e) => setPresetName(e.target.value)}
+              />
+              <Button size="sm" onClick={handleSavePreset} isLoading={isSaving} isDisabled={!toScenarioId(presetName)}>
+                Save Preset
+              </Button>
+            </HStack>
+            <Text fontSize="xs" color="gray.500">
+              Saving presets requires a data-entry operator key (set in the Operator panel).
+            </Text>
+
+            {/* Results */}
+            {results && (
+              <Box>
+                <HStack justify="space-between" mb={2}>
+                  <HStack>
+                    <Text fontSize="sm" fontWeight="bold">{results.scenarioName}</Text>
+                    <Badge>FoS model v{results.fosModelVersion}</Badge>
+                  </HStack>
+                  <HStack>
+                    <Button leftIcon={<DownloadIcon />} size="xs" colorScheme="blue" onClick={() => exportStressTestResultsToCSV(results)}>
+                      CSV
+                    </Button>
+                    <Button leftIcon={<DownloadIcon />} size="xs" variant="outline" onClick={handleExportJSON}>
+                      JSON
+                    </Button>
+                  </HStack>
+                </HStack>
+                <TableContainer>
+                  <Table size="sm">
+                    <Thead>
+                      <Tr>
+                        <Th>Stablecoin</Th>
+                        <Th isNumeric>FoS</Th>
+                        <Th isNumeric>Stressed FoS</Th>
+                        <Th isNumeric>TSL</Th>
+                        <Th isNumeric>Stressed TSL</Th>
+                        <Th isNumeric>TSL Change</Th>
+                        <Th>Limited By</Th>
+                      </Tr>
+                    </Thead>
+                    <Tbody>
+                      {results.data.map(result => (
+                        result.error ? (
+                          <Tr key={result.symbol}>
+                            <Td>{result.symbol}</Td>
+                            <Td colSpan={6}><Text fontSize="xs" color="red.500">{result.error}</Text></Td>
+                          </Tr>
+                        ) : (
+                          <Tr key={result.symbol}>
+                            <Td>{result.symbol}</Td>
+                            <Td isNumeric>{formatRatio(result.baseline.factorOfSafety)}</Td>
+                            <Td isNumeric fontWeight="bold">{formatRatio(result.stressed.factorOfSafety)}</Td>
+                            <Td isNumeric>{formatStablecoinAmount(result.baseline.theoreticalSupplyLimit)}</Td>
+                            <Td isNumeric fontWeight="bold">{formatStablecoinAmount(result.stressed.theoreticalSupplyLimit)}</Td>
+                            <Td isNumeric color={result.change.theoreticalSupplyLimit < 0 ? 'red.500' : 'green.500'}>
+                              {formatPercentage(result.change.theoreticalSupplyLimitPercent)}
+                            </Td>
+                            <Td fontSize="xs">{result.stressed.limitedBy}</Td>
+                          </Tr>
+                        )
+                      ))}
+                    </Tbody>
+                  </Table>
+                </TableContainer>
+              </Box>
+            )}
+          </VStack>
+        </ModalBody>
+
+        <ModalFooter>
+          <Button variant="ghost" mr={3} onClick={onClose}>
+            Close
+          </Button>
+          <Button colorScheme="red" onClick={handleRun} isLoading={isRunning} loadingText="Running">
+            Run on All Stablecoins
+          </Button>
+        </ModalFooter>
+      </ModalContent>
+    </Modal>
+  );
+}
@@ -1,348 +1,7 @@
 // ================= STABLECOIN CONFIGURATION =================
 
-export const stablecoins = [
-  {
-    name: "USDS + DAI",
-    symbol: "USDS_DAI",
-    coingeckoIds: ["usds"], // Multiple tokens - will sum their values
-    contractAddresses: {
-      dai: "0x6b175474e89094c44da98b954eedeac495271d0f",
-      usds: "0xdc035d45d973e3ec169d2276ddab16f1e407384f",
-      susds: "0xa3931d71877c0e7a3148cb7eb4463524fec27fbd"
-    },
-    stakedCoingeckoIds: ["susds"], // sUSDS for staked supply
-    stakedContractAddresses: {
-      susds: "0xa3931d71877c0e7a3148cb7eb4463524fec27fbd", // sUSDS contract
-      sdai: "0x83f20f44975d03b1b09e64809b757c47f942beea" // sDAI contract
-    },
-    insuranceFund: {
-      monitoredAddresses: [
-      ],
-      tokensToMonitor: [
-      ],
-      lpTokensToMonitor: [
-        {
-          lpTokenAddress: "", // sDAI/USDS Curve LP
-          poolAddress: "",
-          underlyingTokens: [
-            "",
-            "" 
-          ],
-          protocol: "curve"
-        }
-      ]
-    },
-    manualDataSources: {
-      bridgeSupply: [
-        {
-          url: "https://info.sky.money/multichain",
-          description: "Sky Money app for cross-chain supply"
-        }
-      ],
-      collateralizationRatio: [
-        {
-          url: "https://info.sky.money/collateral",
-          description: "DAI Stats dashboard for collateralization ratio"
-        }
-      ]
-    },
-    category: "sky"
-  },
-  {
-    name: "USDe",
-    symbol: "USDe",
-    coingeckoIds: ["ethena-usde"],
-    contractAddresses: {
-      usde: "0x4c9edd5852cd905f086c759e8383e09bff1e68b3",
-      susde: "0x9d39a5de30e57443bff2a8307a4256c8797a3497"
-    },
-    stakedCoingeckoIds: ["ethena-staked-usde"], // sUSDe for staked supply
-    stakedContractAddresses: {
-      susde: "0x9d39a5de30e57443bff2a8307a4256c8797a3497" // sUSDe contract
-    },
-    insuranceFund: {
-      monitoredAddresses: [
-        "0x2b5ab59163a6e93b4486f6055d33ca4a115dd4d5" 
-      ],
-      tokensToMonitor: [
-        "0xc139190f447e929f090edeb554d95abb8b18ac1c", // USDtb
-      ],
-      lpTokensToMonitor: [
-        {
-          lpTokenAddress: "0xC2921134073151490193AC7369313c8e0b08e1E7", // USDtb/USDC
-          poolAddress: "0xC2921134073151490193AC7369313c8e0b08e1E7",
-          underlyingTokens: [
-            "0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48", // USDe
-            "0xC139190F447e929f090Edeb554D95AbB8b18aC1C"  // FRAX
-          ],
-          protocol: "curve"
-        }
-      ]
-    },
-    manualDataSources: {
-      bridgeSupply: [
-        {
-          url: "https://layerzeroscan.com/oft/USDe/Ethena",
-          description: "LayerZero scan for USDe cross-chain supply"
-        },
-        {
-          url: "https://app.ethena.fi/",
-          description: "Ethena app"
-        }
-      ],
-      collateralizationRatio: [
-        {
-          url: "https://app.ethena.fi/dashboards/transparency",
-          description: "Ethena transparency dashboard"
-        }
-      ]
-    },
-    category: "ethena"
-  },
-  {
-    name: "USR",
-    symbol: "USR",
-    coingeckoIds: ["resolv-usr"], // May need to verify
-    contractAddresses: {
-      usr: "0x66a1e37c9b0eaddca17d3662d6c05f4decf3e110" // Placeholder - need actual address
-    },
-    stakedCoingeckoIds: ["resolv-wstusr"], // No staked version available
-    stakedContractAddress: "0x1202f5c7b4b9e47a1a484e8b270be34dbbc75055",
-    insuranceFund: {
-      type: "fdv",
-      rlpTokenAddress: "0x4956b52ae2ff65d74ca2d61207523288e4528f96", // Resolv RLP token contract
-      rlpCoingeckoId: "resolv-rlp", // CoinGecko ID for RLP token (needs verification)
-      monitoredAddresses: [],
-      tokensToMonitor: [],
-      lpTokensToMonitor: []
-    },
-    manualDataSources: {
-      bridgeSupply: [
-        {
-          url: "https://layerzeroscan.com/oft/USR/Resolv%20Labs",
-          description: "LayerZero scan for USR cross-chain supply"
-        }
-      ],
-      collateralizationRatio: [
-        {
-          url: "https://app.resolv.xyz/collateral-pool",
-          description: "Resolv app collateral pool dashboard"
-        }
-      ]
-    },
-    category: "resolv"
-  },
-  {
-    name: "deUSD",
-    symbol: "deUSD",
-    coingeckoIds: ["elixir-deusd"], // May need to verify
-    contractAddresses: {
-      deusd: "0x15700b564ca08d9439c58ca5053166e8317aa138",
-      sdeusd: "0x5c5b196abe0d54485975d1ec29617d42d9198326"
-    },
-    stakedCoingeckoIds: ["elixir-staked-deusd"], // sdeUSD for staked supply
-    stakedContractAddresses: {
-      sdeusd: "0x5c5b196abe0d54485975d1ec29617d42d9198326" // sdeUSD contract
-    },
-    insuranceFund: {
-      monitoredAddresses: [
-      ],
-      tokensToMonitor: [
-      ],
-      lpTokensToMonitor: [
-        {
-          lpTokenAddress: "", // sDAI/USDS Curve LP
-          poolAddress: "",
-          underlyingTokens: [
-            "",
-            "" 
-          ],
-          protocol: "curve"
-        }
-      ]
-    },
-    manualDataSources: {
-      bridgeSupply: [
-        {
-          url: "https://snowtrace.io/token/0xB57B25851fE2311CC3fE511c8F10E868932e0680?type=erc20&chainid=43114",
-          description: "Avalanche Snowtrace for deUSD supply"
-        }
-      ],
-      collateralizationRatio: [
-        {
-          url: "https://www.elixir.xyz/deusd/dashboard",
-          description: "Elixir dashboard for collateralization data"
-        }
-      ]
-    },
-    category: "elixir"
-  },
-  {
-    name: "crvUSD",
-    symbol: "crvUSD",
-    coingeckoIds: ["crvusd"],
-    contractAddresses: {
-      crvusd: "0xf939e0a03fb07f59a73314e73794be0e57ac1b4e",
-      scrvusd: "0x0655977feb2f289a4ab78af67bab0d17aab84367"
-    },
-    stakedCoingeckoIds: ["savings-crvusd"], // scrvUSD for staked supply
-    stakedContractAddresses: {
-      scrvusd: "0x0655977feb2f289a4ab78af67bab0d17aab84367" // scrvUSD contract
-    },
-    insuranceFund: {
-      monitoredAddresses: [
-      ],
-      tokensToMonitor: [
-      ],
-      lpTokensToMonitor: [
-        {
-          lpTokenAddress: "",
-          poolAddress: "",
-          underlyingTokens: [
-            "",
-            "" 
-          ],
-          protocol: "curve"
-        }
-      ]
-    },
-    manualDataSources: {
-      bridgeSupply: [
-        {
-          url: "https://layerzeroscan.com/oft/crvUSD/Curve%20Finance",
-          description: "LayerZero scan for crvUSD cross-chain supply"
-        }
-      ],
-      collateralizationRatio: [
-        {
-          url: "https://curvemonitor.com/platform/crvusd",
-          description: "Curve Monitor - crvUSD markets dashboard"
-        }
-      ]
-    },
-    category: "curve"
-  },
-  {
-    name: "USDO",
-    symbol: "USDO",
-    coingeckoIds: ["openeden-open-dollar"], 
-    contractAddresses: {
-      usdo: "0x8238884ec9668ef77b90c6dff4d1a9f4f4823bfe", // USDO token
-      cusdo: "0xad55aebc9b8c03fc43cd9f62260391c13c23e7c0" // cUSDO token (from Curve pool)
-    },
-    stakedCoingeckoIds: ["compounding-open-dollar"], // cUSDO for staked supply
-    stakedContractAddresses: {
-      cusdo: "0xad55aebc9b8c03fc43cd9f62260391c13c23e7c0" // cUSDO contract
-    },
-    insuranceFund: {
-      monitoredAddresses: [
-      ],
-      tokensToMonitor: [
-      ],
-      lpTokensToMonitor: [
-        {
-          lpTokenAddress: "", // sDAI/USDS Curve LP
-          poolAddress: "",
-          underlyingTokens: [
-            "",
-            "" 
-          ],
-          protocol: "curve"
-        }
-      ]
-    },
-    manualDataSources: {
-      bridgeSupply: [
-        {
-          url: "https://docs.chain.link/ccip/directory/mainnet/token/USDO",
-          description: "Chainlink CCIP directory for USDO"
-        }
-      ],
-      collateralizationRatio: [
-        {
-          url: "https://openeden.com/usdo/transparency",
-          description: "OpenEden transparency page"
-        }
-      ]
-    },
-    category: "openeden"
-  },
-  {
-    name: "fxUSD",
-    symbol: "fxUSD",
-    coingeckoIds: ["f-x-protocol-fxusd"], 
-    contractAddresses: {
-      fxusd: "0x085780639cc2cacd35e474e71f4d000e2405d8f6"
-    },
-    stakedCoingeckoIds: ["fx-usd-saving"], // xfxUSD for staked supply
-    stakedContractAddresses: {
-      xfxusd: "0x7743e50f534a7f9f1791dde7dcd89f7783eefc39", // xfxUSD contract
-      fxsave: "0x7743e50f534a7f9f1791dde7dcd89f7783eefc39"
-    },
-    insuranceFund: {
-      monitoredAddresses: [
-        "0x65c9a641afceb9c0e6034e558a319488fa0fa3be"
-      ],
-      tokensToMonitor: [
-        "0x085780639cc2cacd35e474e71f4d000e2405d8f6", // fxUSD
-        "0xa0b86991c6218b36c1d19d4a2e9eb0ce3606eb48"  // USDC
-      ],
-      lpTokensToMonitor: []
-    },
-    manualDataSources: {
-      bridgeSupply: [],
-      collateralizationRatio: [
-        {
-          url: "https://fx.aladdin.club/v2/statistics/",
-          description: "f(x) Protocol statistics dashboard"
-        }
-      ]
-    },
-    category: "fx"
-  },
-  {
-    name: "reUSD",
-    symbol: "reUSD",
-    coingeckoIds: ["resupply-usd"], 
-    contractAddresses: {
-      reusd: "0x57ab1e0003f623289cd798b1824be09a793e4bec"
-    },
-    stakedCoingeckoIds: [], // No CoinGecko ID for staked version
-    stakedContractAddresses: {
-      rsr: "0x557AB1e003951A73c12D16F0fEA8490E39C33C35" // RSR staking contract
-    },
-    insuranceFund: {
-      monitoredAddresses: [
-        "0x00000000efe883b3304aFf71eaCf72Dbc3e1b577"
-      ],
-      tokensToMonitor: [
-        "0x57ab1e0003f623289cd798b1824be09a793e4bec",
-        "0x419905009e4656fdc02418c7df35b1e61ed5f726"
-      ],
-      lpTokensToMonitor: [
-        {
-          lpTokenAddress: "", 
-          poolAddress: "",
-          underlyingTokens: [
-            "",
-            "" 
-          ],
-          protocol: "curve"
-        }
-      ]
-    },
-    manualDataSources: {
-      bridgeSupply: [],
-      collateralizationRatio: [
-        {
-          url: "https://hippo.army/",
-          description: "Hippo Army - Reserve Protocol dashboard"
-        }
-      ]
-    },
-    category: "reserve"
-  }
-];
+// The stablecoin list lives in the shared registry so the cache service tracks the same coins
+export { stablecoins } from '../../cache-service/config/stablecoins.js';
 
 // Metrics structure definition
 export const metricsStructure = {
@@ -402,6 +61,12 @@ export const metricsStructure = {
         description: "TVL in Sushiswap pools",
         dataSource: "sushiswap_subgraph"
       },
+      {
+        key: "pendleTVL",
+        label: "Pendle",
+        description: "Liquidity in Pendle AMM pools (SY and PT)",
+        dataSource: "pendle_api"
+      },
       {
         key: "totalMainnetLiquidity",
         label: "Total mainnet liquidity",
@@ -442,6 +107,58 @@ export const metricsStructure = {
         label: "Total lending markets",
         description: "Sum of all lending market usage",
         dataSource: "calculated"
+      },
+      {
+        key: "pendlePTCollateral",
+        label: "Pendle PT collateral",
+        description: "PT collateral in lending markets at Pendle market price, with its maturity ladder",
+        dataSource: "pendle_api"
+      }
+    ]
+  },
+  borrowMarkets: {
+    title: "Borrow Markets",
+    metrics: [
+      {
+        key: "aaveBorrows",
+        label: "Aave Borrows",
+        description: "Amount borrowed from Aave, with utilization and the e-mode categories it is borrowable in",
+        dataSource: "aave_api"
+      },
+      {
+        key: "morphoBorrows",
+        label: "Morpho Borrows",
+        description: "Amount borrowed from Morpho Blue markets, with utilization and the collateral backing the loans",
+        dataSource: "morpho_api"
+      },
+      {
+        key: "totalBorrowMarkets",
+        label: "Total borrowed",
+        description: "Sum of all borrow-side exposure",
+        dataSource: "calculated"
+      }
+    ]
+  },
+  otherChains: {
+    title: "Other Chains",
+    metrics: [
+      {
+        key: "otherChainSupply",
+        label: "Supply on other chains",
+        description: "Token supply on configured non-mainnet deployments",
+        dataSource: "blockchain"
+      },
+      {
+        key: "otherChainLiquidity",
+        label: "Other chain liquidity",
+        description: "Curve and Uniswap V3 liquidity on other chains",
+        dataSource: "curve_api"
+      },
+      {
+        key: "otherChainLending",
+        label: "Other chain lending markets",
+        description: "Aave, Morpho and Fluid usage on other chains",
+        dataSource: "calculated"
       }
     ]
   },
@@ -523,102 +240,8 @@ export function formatRatio(ratio) {
   return ratio.toFixed(2);
 }
 
-// Stablecoin relationship mapping for filtering same-protocol pairs
-// This helps identify which tokens should be excluded from liquidity calculations
-export const stablecoinRelationships = {
-  // Sky Protocol (MakerDAO) - DAI, USDS, sUSDS, sDAI
-  sky: {
-    tokens: [
-      "0x6b175474e89094c44da98b954eedeac495271d0f", // DAI
-      "0xdc035d45d973e3ec169d2276ddab16f1e407384f", // USDS
-      "0xa3931d71877c0e7a3148cb7eb4463524fec27fbd", // sUSDS
-      "0x83f20f44975d03b1b09e64809b757c47f942beea"  // sDAI
-    ],
-    symbols: ["DAI", "USDS", "sUSDS", "sDAI"]
-  },
-  
-  // Ethena - USDe, sUSDe
-  ethena: {
-    tokens: [
-      "0x4c9edd5852cd905f086c759e8383e09bff1e68b3", // USDe
-      "0x9d39a5de30e57443bff2a8307a4256c8797a3497"  // sUSDe
-    ],
-    symbols: ["USDe", "sUSDe"]
-  },
-  
-  // Resolv - USR, wstUSR
-  resolv: {
-    tokens: [
-      "0x66a1e37c9b0eaddca17d3662d6c05f4decf3e110", // USR
-      "0x1202f5c7b4b9e47a1a484e8b270be34dbbc75055"  // wstUSR
-    ],
-    symbols: ["USR", "wstUSR"]
-  },
-  
-  // Elixir - deUSD, sdeUSD
-  elixir: {
-    tokens: [
-      "0x15700b564ca08d9439c58ca5053166e8317aa138", // deUSD
-      "0x5c5b196abe0d54485975d1ec29617d42d9198326"  // sdeUSD
-    ],
-    symbols: ["deUSD", "sdeUSD"]
-  },
-  
-  // Curve - crvUSD, scrvUSD
-  curve: {
-    tokens: [
-      "0xf939e0a03fb07f59a73314e73794be0e57ac1b4e", // crvUSD
-      "0x0655977feb2f289a4ab78af67bab0d17aab84367"  // scrvUSD
-    ],
-    symbols: ["crvUSD", "scrvUSD"]
-  },
-  
-  // OpenEden - USDO, cUSDO
-  openeden: {
-    tokens: [
-      "0x8238884ec9668ef77b90c6dff4d1a9f4f4823bfe", // USDO
-      "0xad55aebc9b8c03fc43cd9f62260391c13c23e7c0"  // cUSDO
-    ],
-    symbols: ["USDO", "cUSDO"]
-  },
-  
-  // f(x) Protocol - fxUSD, xfxUSD
-  fx: {
-    tokens: [
-      "0x085780639cc2cacd35e474e71f4d000e2405d8f6", // fxUSD
-      "0x7743e50f534a7f9f1791dde7dcd89f7783eefc39"  // xfxUSD/fxSave
-    ],
-    symbols: ["fxUSD", "xfxUSD", "fxSave"]
-  },
-  
-  // Reserve Protocol - reUSD, RSR (staking token)
-  reserve: {
-    tokens: [
-      "0x57ab1e0003f623289cd798b1824be09a793e4bec", // reUSD
-      "0x557AB1e003951A73c12D16F0fEA8490E39C33C35"  // RSR staking
-    ],
-    symbols: ["reUSD", "RSR"]
-  }
-};
-
-// Helper function to check if two tokens are from the same stablecoin protocol
-export function areTokensFromSameProtocol(token1Address, token2Address) {
-  if (!token1Address || !token2Address) return false;
-  
-  const addr1 = token1Address.toLowerCase();
-  const addr2 = token2Address.toLowerCase();
-  
-  // Check each protocol's token list
-  for (const protocol of Object.values(stablecoinRelationships)) {
-    const protocolTokens = protocol.tokens.map(addr => addr.toLowerCase());
-    
-    if (protocolTokens.includes(addr1) && protocolTokens.includes(addr2)) {
-      return true;
-    }
-  }
-  
-  return false;
-}
+// Same-protocol relationships are derived from the shared registry
+export { stablecoinRelationships, areTokensFromSameProtocol } from '../../cache-service/config/stablecoins.js';
 
 // Data source endpoints and configurations
 export const dataSourceConfig = {
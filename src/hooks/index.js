@@ -141,11 +141,14 @@ export {
   useEulerCollateralUsage,
   useFluidCollateralUsage,
   useTotalLendingMarketUsage,
+  useBorrowExposure,
   useStablecoinInsuranceFund,
   useStablecoinInsuranceFundFromBalances,
   useStablecoinFDVFromCoinGecko,
   useStablecoinCollateralizationRatio,
+  useFosModel,
   useStablecoinStakedSupply,
+  useStablecoinChainBreakdown,
   useStablecoinCompleteMetrics
 } from './useStablecoinMetrics.js';
 
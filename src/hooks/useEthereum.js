@@ -11,6 +11,7 @@ import {
   getAllowance,
   getTokenBalanceFormatted,
   getTokenBalanceWithUSD,
+  getTokenBalancesWithUSD,
   formatTokenAmount,
   toRawAmount
 } from '../services/cache-client.js';
@@ -274,26 +275,21 @@ export function useMultipleTokenBalancesWithUSD(tokenAddresses, holderAddress, o
     queryFn: async () => {
       if (!tokenAddresses || !holderAddress) return {};
       
-      const promises = tokenAddresses.map(async (tokenAddress) => {
-        try {
-          const balanceInfo = await getTokenBalanceWithUSD(tokenAddress, holderAddress);
-          return { [tokenAddress.toLowerCase()]: balanceInfo };
-        } catch (error) {
-          console.error(`Error fetching balance with USD for ${tokenAddress}:`, error);
-          return { 
-            [tokenAddress.toLowerCase()]: {
-              raw: 0,
-              formatted: 0,
-              usdValue: 0,
-              decimals: 18,
-              price: 0
-            }
-          };
-        }
-      });
-      
-      const results = await Promise.all(promises);
-      return results.reduce((acc, result) => ({ ...acc, ...result }), {});
+      try {
+        return await getTokenBalancesWithUSD(tokenAddresses, holderAddress);
+      } catch (error) {
+        console.error(`Error fetching balances with USD for ${holderAddress}:`, error);
+        return tokenAddresses.reduce((acc, tokenAddress) => ({
+          ...acc,
+          [tokenAddress.toLowerCase()]: {
+            raw: 0,
+            formatted: 0,
+            usdValue: 0,
+            decimals: 18,
+            price: 0
+          }
+        }), {});
+      }
     },
     enabled: !!tokenAddresses && !!holderAddress && tokenAddresses.length > 0 && (options.enabled !== false),
     staleTime: 30 * 60 * 1000, // 30 minutes - consistent with stablecoin hooks
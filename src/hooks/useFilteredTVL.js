@@ -5,7 +5,8 @@ import {
   fetchSushiFilteredTotalTVL,
   fetchBalancerFilteredTVL,
   fetchBalancerV2FilteredTVL,
-  fetchBalancerV3FilteredTVL
+  fetchBalancerV3FilteredTVL,
+  fetchPendleLiquidity
 } from '../services/cache-client.js';
 
 // ================= FILTERED TVL HOOKS =================
@@ -21,7 +22,7 @@ import {
  */
 export function useCurveFilteredTVL(tokenAddress, additionalAddresses = [], options = {}) {
   return useQuery({
-    queryKey: ['curve', 'filtered-tvl-pt', tokenAddress?.toLowerCase(), additionalAddresses.sort().join(',')],
+    queryKey: ['curve', 'filtered-tvl-pt-valued', tokenAddress?.toLowerCase(), additionalAddresses.sort().join(',')],
     queryFn: () => fetchCurveFilteredTVL(tokenAddress, additionalAddresses),
     enabled: !!tokenAddress,
     staleTime: 5 * 60 * 1000, // 5 minutes
@@ -78,7 +79,7 @@ export function useSushiFilteredTotalTVL(tokenAddress, additionalAddresses = [],
  */
 export function useBalancerFilteredTVL(tokenAddress, additionalAddresses = [], options = {}) {
   return useQuery({
-    queryKey: ['balancer', 'filtered-tvl-pt', tokenAddress?.toLowerCase(), additionalAddresses.sort().join(',')],
+    queryKey: ['balancer', 'filtered-tvl-pt-valued', tokenAddress?.toLowerCase(), additionalAddresses.sort().join(',')],
     queryFn: () => fetchBalancerFilteredTVL(tokenAddress, additionalAddresses),
     enabled: !!tokenAddress,
     staleTime: 5 * 60 * 1000, // 5 minutes
@@ -87,3 +88,22 @@ export function useBalancerFilteredTVL(tokenAddress, additionalAddresses = [], o
     ...options
   });
 }
+
+/**
+ * Hook to get Pendle AMM liquidity for a specific token, with a per-market breakdown
+ * @param {string} tokenAddress - The token contract address
+ * @param {Array} additionalAddresses - Additional addresses (e.g., staked versions)
+ * @param {object} options - Query options
+ * @returns {object} Query result with Pendle liquidity data
+ */
+export function usePendleLiquidity(tokenAddress, additionalAddresses = [], options = {}) {
+  return useQuery({
+    queryKey: ['pendle', 'liquidity', tokenAddress?.toLowerCase(), additionalAddresses.sort().join(',')],
+    queryFn: () => fetchPendleLiquidity(tokenAddress, additionalAddresses),
+    enabled: !!tokenAddress,
+    staleTime: 5 * 60 * 1000, // 5 minutes
+    cacheTime: 10 * 60 * 1000, // 10 minutes
+    retry: 2,
+    ...options
+  });
+}
@@ -113,7 +113,7 @@ export function useStablecoinMainnetSupply(coingeckoIds, options = {}) {
 
 /**
  * Hook to fetch bridge-secured supply
- * First tries manual data from cache, fallback to auto-fetch (placeholder for now)
+ * Manual entries override the on-chain bridge adapters; coins without adapters return a placeholder
  */
 export function useStablecoinBridgeSupply(stablecoinSymbol, options = {}) {
   return useQuery({
@@ -133,11 +133,24 @@ export function useStablecoinBridgeSupply(stablecoinSymbol, options = {}) {
           };
         }
       } catch (error) {
-        console.log('No manual bridge supply data, using placeholder');
+        console.log('No manual bridge supply data, trying bridge adapters');
+      }
+      
+      // Fallback to the bridge adapters (OFT adapters, canonical bridges, CCIP pools)
+      try {
+        const response = await api.get(`/stablecoin/bridge-supply/${stablecoinSymbol.toLowerCase()}`);
+        if (!response.data._unavailable) {
+          return {
+            data: response.data.data,
+            source: 'bridge_adapters',
+            breakdown: response.data.breakdown,
+            lastUpdated: response.data.lastUpdated
+          };
+        }
+      } catch (error) {
+        console.warn('Bridge adapter data unavailable:', error);
       }
       
-      // Fallback: This would integrate with bridge APIs like LayerZero, Wormhole, etc.
-      // For now, return placeholder data
       return { data: 0, _unavailable: true, _placeholder: true };
     },
     enabled: !!stablecoinSymbol && (options.enabled !== false),
@@ -430,6 +443,53 @@ export function useTotalLendingMarketUsage(contractAddresses, options = {}) {
   });
 }
 
+/**
+ * Hook to fetch borrow-side exposure: the Aave reserves and Morpho Blue markets lending the stablecoin out,
+ * with utilization and the collateral backing the loans
+ */
+export function useBorrowExposure(contractAddresses, options = {}) {
+  const addressesToQuery = useMemo(() => {
+    if (!contractAddresses) return [];
+    return Object.values(contractAddresses).filter(addr => addr && typeof addr === 'string').sort();
+  }, [contractAddresses]);
+
+  return useQuery({
+    queryKey: ['borrow-exposure', addressesToQuery.join('-')],
+    queryFn: async () => {
+      try {
+        const [primaryAddress, ...additionalAddresses] = addressesToQuery;
+        let url = `/lending/borrow-exposure/${primaryAddress}`;
+        if (additionalAddresses.length > 0) {
+          url += `?additionalAddresses=${additionalAddresses.join(',')}`;
+        }
+
+        const response = await api.get(url);
+        return {
+          data: {
+            totalBorrowUSD: response.data?.totalBorrowUSD || 0,
+            protocols: response.data?.protocols || {}
+          }
+        };
+      } catch (error) {
+        console.warn('Borrow exposure fetch failed:', error);
+        return {
+          data: { totalBorrowUSD: 0, protocols: {} },
+          _unavailable: true,
+          error: error.message
+        };
+      }
+    },
+    enabled: addressesToQuery.length > 0 && (options.enabled !== false),
+    staleTime: 15 * 60 * 1000, // 15 minutes
+    cacheTime: 60 * 60 * 1000, // 1 hour
+    retry: 1,
+    refetchOnWindowFocus: false,
+    refetchOnReconnect: false,
+    refetchOnMount: false,
+    ...options
+  });
+}
+
 // ================= SAFETY BUFFER METRICS =================
 
 /**
@@ -606,6 +666,37 @@ export function useStablecoinInsuranceFundFromBalances(insuranceFundConfig, opti
   return aggregatedData;
 }
 
+// ================= MULTI-CHAIN METRICS =================
+
+/**
+ * Hook to fetch supply, DEX liquidity and lending on each non-mainnet chain the stablecoin is deployed to
+ * (chainDeployments in the stablecoin config)
+ */
+export function useStablecoinChainBreakdown(stablecoinSymbol, options = {}) {
+  return useQuery({
+    queryKey: ['stablecoin-chain-breakdown', stablecoinSymbol],
+    queryFn: async () => {
+      if (!stablecoinSymbol) return { chains: [], _unavailable: true };
+      
+      try {
+        const response = await api.get(`/stablecoin/${stablecoinSymbol.toLowerCase()}/chains`);
+        return response.data;
+      } catch (error) {
+        console.warn('Chain breakdown unavailable:', error);
+        return { chains: [], _unavailable: true };
+      }
+    },
+    enabled: !!stablecoinSymbol && (options.enabled !== false),
+    staleTime: 30 * 60 * 1000,
+    cacheTime: 2 * 60 * 60 * 1000,
+    retry: 0,
+    refetchOnWindowFocus: false,
+    refetchOnReconnect: false,
+    refetchOnMount: false,
+    ...options
+  });
+}
+
 /**
  * Hook to fetch insurance fund data for a stablecoin (legacy API approach)
  */
@@ -636,7 +727,7 @@ export function useStablecoinInsuranceFund(stablecoinSymbol, options = {}) {
 
 /**
  * Hook to fetch collateralization ratio for a stablecoin
- * First tries manual data from cache, fallback to auto-fetch
+ * First tries the on-chain collateral adapters, fallback to manual data
  */
 export function useStablecoinCollateralizationRatio(stablecoinSymbol, options = {}) {
   return useQuery({
@@ -644,7 +735,23 @@ export function useStablecoinCollateralizationRatio(stablecoinSymbol, options =
     queryFn: async () => {
       if (!stablecoinSymbol) return { data: 0, _unavailable: true };
       
-      // Try to fetch manual data first
+      // Try the on-chain collateral adapters first (crvUSD controllers, Resupply pairs, f(x) reserve balances)
+      try {
+        const response = await api.get(`/stablecoin/collateralization-ratio/${stablecoinSymbol.toLowerCase()}`);
+        if (!response.data._unavailable) {
+          return {
+            data: response.data.data,
+            source: 'onchain_adapters',
+            breakdown: response.data.breakdown,
+            divergence: response.data.divergence,
+            lastUpdated: response.data.lastUpdated
+          };
+        }
+      } catch (error) {
+        console.log('No on-chain CR data, trying manual data');
+      }
+      
+      // Fallback to manual data
       try {
         const response = await api.get(`/manual-data/${stablecoinSymbol}/collateralizationRatio`);
         if (response.data.success && response.data.data !== null) {
@@ -656,25 +763,43 @@ export function useStablecoinCollateralizationRatio(stablecoinSymbol, options =
           };
         }
       } catch (error) {
-        console.log('No manual CR data, trying auto-fetch');
+        console.warn('Collateralization ratio data unavailable:', error);
       }
       
-      // Fallback to auto-fetch endpoint
+      return { data: 0, _unavailable: true };
+    },
+    enabled: !!stablecoinSymbol && (options.enabled !== false),
+    staleTime: 30 * 60 * 1000,
+    cacheTime: 2 * 60 * 60 * 1000,
+    retry: 0,
+    refetchOnWindowFocus: false,
+    refetchOnReconnect: false,
+    refetchOnMount: false,
+    ...options
+  });
+}
+
+/**
+ * Hook to fetch the Factor of Safety scoring model served by the cache service
+ * Resolves to null when unavailable; the metric helpers then use the bundled model
+ */
+export function useFosModel(options = {}) {
+  return useQuery({
+    queryKey: ['fos-model'],
+    queryFn: async () => {
       try {
-        const response = await api.get(`/stablecoin/collateralization-ratio/${stablecoinSymbol.toLowerCase()}`);
-        return response.data;
+        const response = await api.get('/fos-model');
+        return response.data.model;
       } catch (error) {
-        console.warn('Collateralization ratio data unavailable:', error);
-        return { data: 0, _unavailable: true };
+        console.warn('Factor of Safety model unavailable, using bundled model:', error);
+        return null;
       }
     },
-    enabled: !!stablecoinSymbol && (options.enabled !== false),
     staleTime: 30 * 60 * 1000,
     cacheTime: 2 * 60 * 60 * 1000,
     retry: 0,
     refetchOnWindowFocus: false,
     refetchOnReconnect: false,
-    refetchOnMount: false,
     ...options
   });
 }
@@ -866,6 +991,7 @@ export function useStablecoinCompleteMetrics(stablecoin, options = {}) {
   const balancerTVL = useBalancerFilteredTVL(primaryContractAddress, additionalDEXAddresses, { ...options, enabled: enableDEX && (options.enabled !== false) });  
   const uniswapTVL = useUniswapFilteredTotalTVL(primaryContractAddress, additionalDEXAddresses, { ...options, enabled: enableDEX && (options.enabled !== false) });
   const sushiTVL = useSushiFilteredTotalTVL(primaryContractAddress, additionalDEXAddresses, { ...options, enabled: enableDEX && (options.enabled !== false) });
+  const pendleTVL = usePendleLiquidity(primaryContractAddress, additionalDEXAddresses, { ...options, enabled: enableDEX && (options.enabled !== false) });
   
   // NOTE: Additional contracts are now passed as additionalDEXAddresses parameter
   // to the hooks above, so we don't need separate queries anymore
@@ -942,24 +1068,31 @@ export function useStablecoinCompleteMetrics(stablecoin, options = {}) {
         totalTVL: protocols?.aave_v3?.totalTVL || 0,
         directTVL: protocols?.aave_v3?.directTVL || 0,
         ptTVL: protocols?.aave_v3?.ptTVL || 0,
-        ptMarkets: protocols?.aave_v3?.ptMarkets || 0
+        ptFaceValue: protocols?.aave_v3?.ptFaceValue || 0,
+        ptMarkets: protocols?.aave_v3?.ptMarkets || 0,
+        supplyCapHeadroomUSD: protocols?.aave_v3?.supplyCapHeadroomUSD || 0,
+        uncappedReserves: protocols?.aave_v3?.uncappedReserves || 0,
+        reserves: protocols?.aave_v3?.reserves || []
       },
       morpho_combined: { 
         totalTVL: protocols?.morpho_combined?.totalTVL || 0,
         directTVL: protocols?.morpho_combined?.directTVL || 0,
         ptTVL: protocols?.morpho_combined?.ptTVL || 0,
+        ptFaceValue: protocols?.morpho_combined?.ptFaceValue || 0,
         ptMarkets: protocols?.morpho_combined?.ptMarkets || 0
       },
       euler: { 
         totalTVL: protocols?.euler?.totalTVL || 0,
         directTVL: protocols?.euler?.directTVL || 0,
         ptTVL: protocols?.euler?.ptTVL || 0,
+        ptFaceValue: protocols?.euler?.ptFaceValue || 0,
         ptMarkets: protocols?.euler?.ptMarkets || 0
       },
       fluid: { 
         totalTVL: protocols?.fluid?.totalTVL || 0,
         directTVL: protocols?.fluid?.directTVL || 0,
         ptTVL: protocols?.fluid?.ptTVL || 0,
+        ptFaceValue: protocols?.fluid?.ptFaceValue || 0,
         ptMarkets: protocols?.fluid?.ptMarkets || 0
       }
     };
@@ -975,6 +1108,27 @@ export function useStablecoinCompleteMetrics(stablecoin, options = {}) {
     };
   }, [totalLendingQuery, allContractAddresses, stablecoin.symbol, contractAddresses, stablecoin.stakedContractAddresses]);
   
+  // Borrow side: where the stablecoin is lent out and what collateral backs those loans
+  const borrowExposureQuery = useBorrowExposure(allContractAddresses, {
+    ...options,
+    enabled: enableLending && Object.keys(allContractAddresses).length > 0 && (options.enabled !== false)
+  });
+  
+  const borrowExposure = useMemo(() => {
+    const queryData = borrowExposureQuery.data?.data || {};
+    return {
+      data: {
+        totalBorrowUSD: queryData.totalBorrowUSD || 0,
+        protocols: {
+          aave_v3: queryData.protocols?.aave_v3 || { totalSupplyUSD: 0, totalBorrowUSD: 0, utilization: 0, reserves: [] },
+          morpho_blue: queryData.protocols?.morpho_blue || { totalSupplyUSD: 0, totalBorrowUSD: 0, utilization: 0, collateral: [], markets: [] }
+        }
+      },
+      isLoading: borrowExposureQuery.isLoading,
+      error: borrowExposureQuery.error
+    };
+  }, [borrowExposureQuery]);
+  
   // Safety metrics - Group 4 (staggered loading)
   const insuranceFundFromBalances = useStablecoinInsuranceFundFromBalances(
     stablecoin.insuranceFund, 
@@ -1060,19 +1214,20 @@ export function useStablecoinCompleteMetrics(stablecoin, options = {}) {
     { ...options, enabled: enableSafety && (options.enabled !== false) }
   );
   
-  // For reUSD, use blockchain total supply directly from the first staked contract
+  // For coins with stakedSupplySource 'blockchain' (reUSD), use total supply of the first staked contract
+  const readStakedFromBlockchain = stablecoin.stakedSupplySource === 'blockchain';
   const firstStakedContract = stablecoin.stakedContractAddresses 
     ? Object.values(stablecoin.stakedContractAddresses)[0] 
     : null;
     
   const stakedSupplyFromBlockchain = useTokenTotalSupply(
-    stablecoin.symbol === 'reUSD' ? firstStakedContract : null,
+    readStakedFromBlockchain ? firstStakedContract : null,
     { ...options, enabled: enableSafety && (options.enabled !== false) }
   );
   
-  // Fetch decimals for reUSD staked contract to properly format the amount
+  // Fetch decimals for the staked contract to properly format the amount
   const stakedContractDecimals = useTokenDecimals(
-    stablecoin.symbol === 'reUSD' ? firstStakedContract : null,
+    readStakedFromBlockchain ? firstStakedContract : null,
     { ...options, enabled: enableSafety && (options.enabled !== false) }
   );
   
@@ -1080,8 +1235,8 @@ export function useStablecoinCompleteMetrics(stablecoin, options = {}) {
   const stakedSupply = useMemo(() => {
     let result;
     
-    // Special case for reUSD - use blockchain total supply with proper decimal formatting
-    if (stablecoin.symbol === 'reUSD' && firstStakedContract) {
+    // Blockchain-sourced staked supply (reUSD) - use total supply with proper decimal formatting
+    if (readStakedFromBlockchain && firstStakedContract) {
       const rawAmount = stakedSupplyFromBlockchain.data || 0;
       const decimals = stakedContractDecimals.data || 18;
       const formattedAmount = rawAmount > 0 ? formatTokenAmount(rawAmount, decimals) : 0;
@@ -1124,12 +1279,19 @@ export function useStablecoinCompleteMetrics(stablecoin, options = {}) {
     }
     
     return result;
-  }, [stablecoin.symbol, stablecoin.stakedCoingeckoIds, firstStakedContract, 
+  }, [stablecoin.symbol, readStakedFromBlockchain, stablecoin.stakedCoingeckoIds, firstStakedContract, 
       stakedSupplyFromCoinGecko, stakedSupplyFromContract, stakedSupplyFromBlockchain, stakedContractDecimals]);
 
+  // Other chains - only for stablecoins with chainDeployments
+  const hasChainDeployments = Object.keys(stablecoin.chainDeployments || {}).length > 0;
+  const chainBreakdown = useStablecoinChainBreakdown(
+    stablecoin.symbol,
+    { ...options, enabled: hasChainDeployments && (options.enabled !== false) }
+  );
+
   // Calculate combined TVL values (now includes all contracts + Pendle PT in single query)
   const combinedCurveTVL = useMemo(() => {
-    const total = curveTVL.data || 0;
+    const total = curveTVL.data?.data || 0;
     const isLoading = curveTVL.isLoading;
     
     // Debug logging for Curve TVL
@@ -1138,13 +1300,13 @@ export function useStablecoinCompleteMetrics(stablecoin, options = {}) {
     }
     
     return {
-      data: { data: total },
+      data: { data: total, directTVL: curveTVL.data?.directTVL, pt: curveTVL.data?.pt || null },
       isLoading
     };
   }, [curveTVL, stablecoin.symbol]);
 
   const combinedBalancerTVL = useMemo(() => {
-    const total = balancerTVL.data || 0;
+    const total = balancerTVL.data?.data || 0;
     const isLoading = balancerTVL.isLoading;
     
     // Debug logging for Balancer TVL
@@ -1153,7 +1315,7 @@ export function useStablecoinCompleteMetrics(stablecoin, options = {}) {
     }
     
     return {
-      data: { data: total },
+      data: { data: total, directTVL: balancerTVL.data?.directTVL, pt: balancerTVL.data?.pt || null },
       isLoading
     };
   }, [balancerTVL, stablecoin.symbol]);
@@ -1188,6 +1350,25 @@ export function useStablecoinCompleteMetrics(stablecoin, options = {}) {
     };
   }, [sushiTVL, stablecoin.symbol]);
 
+  const combinedPendleTVL = useMemo(() => {
+    const total = pendleTVL.data?.data || 0;
+    const isLoading = pendleTVL.isLoading;
+    
+    // Debug logging for Pendle AMM liquidity
+    if (!isLoading && total > 0) {
+      console.log(`[${stablecoin.symbol}] Pendle AMM liquidity: $${total.toLocaleString()} (${pendleTVL.data?.markets?.length || 0} markets)`);
+    }
+    
+    return {
+      data: {
+        data: total,
+        excludedLiquidity: pendleTVL.data?.excludedLiquidity || 0,
+        markets: pendleTVL.data?.markets || []
+      },
+      isLoading
+    };
+  }, [pendleTVL, stablecoin.symbol]);
+
   return {
     // Supply metrics
     totalSupply,
@@ -1199,9 +1380,14 @@ export function useStablecoinCompleteMetrics(stablecoin, options = {}) {
     balancerTVL: combinedBalancerTVL,
     uniswapTVL: combinedUniswapTVL,
     sushiTVL: combinedSushiTVL,
+    pendleTVL: combinedPendleTVL,
     
     // Lending markets
     totalLendingUsage,
+    borrowExposure,
+    
+    // Other chains (null for mainnet-only stablecoins)
+    chainBreakdown: hasChainDeployments ? chainBreakdown : null,
     
     // Safety metrics
     insuranceFund,
@@ -1214,14 +1400,15 @@ export function useStablecoinCompleteMetrics(stablecoin, options = {}) {
       const balancerTotal = combinedBalancerTVL.data?.data || 0;
       const uniswapTotal = combinedUniswapTVL.data?.data || 0;
       const sushiTotal = combinedSushiTVL.data?.data || 0;
-      const total = curveTotal + balancerTotal + uniswapTotal + sushiTotal;
+      const pendleTotal = combinedPendleTVL.data?.data || 0;
+      const total = curveTotal + balancerTotal + uniswapTotal + sushiTotal + pendleTotal;
       
       const isLoading = combinedCurveTVL.isLoading || combinedBalancerTVL.isLoading || 
-                       combinedUniswapTVL.isLoading || combinedSushiTVL.isLoading;
+                       combinedUniswapTVL.isLoading || combinedSushiTVL.isLoading || combinedPendleTVL.isLoading;
       
       // Debug logging for total mainnet liquidity
       if (!isLoading && total > 0) {
-        console.log(`[${stablecoin.symbol}] Total Mainnet Liquidity: $${total.toLocaleString()} (Curve: $${curveTotal.toLocaleString()}, Balancer: $${balancerTotal.toLocaleString()}, Uniswap: $${uniswapTotal.toLocaleString()}, Sushi: $${sushiTotal.toLocaleString()})`);
+        console.log(`[${stablecoin.symbol}] Total Mainnet Liquidity: $${total.toLocaleString()} (Curve: $${curveTotal.toLocaleString()}, Balancer: $${balancerTotal.toLocaleString()}, Uniswap: $${uniswapTotal.toLocaleString()}, Sushi: $${sushiTotal.toLocaleString()}, Pendle: $${pendleTotal.toLocaleString()})`);
       }
       
       return {
@@ -1231,10 +1418,11 @@ export function useStablecoinCompleteMetrics(stablecoin, options = {}) {
           curve: curveTotal,
           balancer: balancerTotal,
           uniswap: uniswapTotal,
-          sushi: sushiTotal
+          sushi: sushiTotal,
+          pendle: pendleTotal
         }
       };
-    }, [combinedCurveTVL, combinedBalancerTVL, combinedUniswapTVL, combinedSushiTVL, stablecoin.symbol]),
+    }, [combinedCurveTVL, combinedBalancerTVL, combinedUniswapTVL, combinedSushiTVL, combinedPendleTVL, stablecoin.symbol]),
     
     supplyOnMainnetPercent: useMemo(() => {
       // Formula: 1 - (Bridge Supply / Mainnet Supply)
@@ -1276,5 +1464,6 @@ import {
   useCurveFilteredTVL,
   useUniswapFilteredTotalTVL,
   useSushiFilteredTotalTVL,
-  useBalancerFilteredTVL
+  useBalancerFilteredTVL,
+  usePendleLiquidity
 } from './useFilteredTVL.js';
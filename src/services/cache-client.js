@@ -690,7 +690,7 @@ export async function fetchSushiTotalTVL(tokenAddress) {
  * Fetch filtered Curve TVL excluding same-protocol stablecoin pairs (with Pendle PT support)
  * @param {string} tokenAddress - The token contract address
  * @param {Array} additionalAddresses - Additional addresses (e.g., staked versions)
- * @returns {Promise<number>} - Filtered TVL in USD
+ * @returns {Promise<object>} - { data: filtered TVL in USD, directTVL, pt: { faceValue, marketValue, positions } }
  */
 export async function fetchCurveFilteredTVL(tokenAddress, additionalAddresses = []) {
   try {
@@ -700,10 +700,10 @@ export async function fetchCurveFilteredTVL(tokenAddress, additionalAddresses =
     }
     
     const response = await cacheApi.get(url);
-    return Number(response.data?.data || 0);
+    return { ...response.data, data: Number(response.data?.data || 0) };
   } catch (error) {
     console.error(`Error fetching filtered Curve TVL for ${tokenAddress}:`, error);
-    return 0;
+    return { data: 0, pt: null };
   }
 }
 
@@ -881,7 +881,8 @@ export async function fetchBalancerV3FilteredTVL(tokenAddress, additionalAddress
  * Fetch filtered Balancer total TVL (V2 + V3) excluding same-protocol stablecoin pairs (with Pendle PT)
  * @param {string} tokenAddress - The token contract address
  * @param {Array} additionalAddresses - Additional addresses (e.g., staked versions)
- * @returns {Promise<number>} - Filtered TVL in USD
+ * @returns {Promise<object>} - { data: filtered TVL in USD, directTVL, pt: { faceValue, marketValue, positions } };
+ *   the V2 + V3 fallback has no PT breakdown
  */
 export async function fetchBalancerFilteredTVL(tokenAddress, additionalAddresses = []) {
   try {
@@ -897,7 +898,7 @@ export async function fetchBalancerFilteredTVL(tokenAddress, additionalAddresses
       rawResponse: response.data, 
       extractedTVL: tvl 
     });
-    return tvl;
+    return { ...response.data, data: tvl };
   } catch (error) {
     console.error(`[Balancer] Error fetching filtered total TVL for ${tokenAddress}:`, error.message);
     // Fallback: fetch V2 and V3 separately
@@ -909,11 +910,33 @@ export async function fetchBalancerFilteredTVL(tokenAddress, additionalAddresses
       ]);
       const total = v2TVL + v3TVL;
       console.log(`[Balancer] Fallback succeeded: V2=$${v2TVL}, V3=$${v3TVL}, Total=$${total}`);
-      return total;
+      return { data: total, pt: null };
     } catch (fallbackError) {
       console.error(`[Balancer] Fallback also failed:`, fallbackError.message);
-      return 0;
+      return { data: 0, pt: null };
+    }
+  }
+}
+
+/**
+ * Fetch Pendle AMM liquidity for a stablecoin (SY and PT held by its Pendle markets)
+ * @param {string} tokenAddress - The token contract address
+ * @param {Array} additionalAddresses - Additional addresses (e.g., staked versions)
+ * @returns {Promise<object>} - { data: liquidity in USD, excludedLiquidity, minDaysToExpiry, markets };
+ *   markets near expiry are listed with excluded: true and left out of data
+ */
+export async function fetchPendleLiquidity(tokenAddress, additionalAddresses = []) {
+  try {
+    let url = `/pendle/liquidity/${tokenAddress}`;
+    if (additionalAddresses.length > 0) {
+      url += `?additionalAddresses=${additionalAddresses.join(',')}`;
     }
+    
+    const response = await cacheApi.get(url);
+    return { ...response.data, data: Number(response.data?.data || 0) };
+  } catch (error) {
+    console.error(`Error fetching Pendle liquidity for ${tokenAddress}:`, error);
+    return { data: 0, markets: [] };
   }
 }
 
@@ -1082,6 +1105,31 @@ export async function getTokenBalanceWithUSD(tokenAddress, holderAddress) {
   }
 }
 
+/**
+ * Balances of several tokens held by one address with USD values; the cache service reads all
+ * balances and decimals in one batched (Multicall3) request
+ * @param {string[]} tokenAddresses - Token contract addresses
+ * @param {string} holderAddress - Holder address
+ * @returns {Promise<object>} - { [tokenAddress]: { balance, balanceUSD, price } } keyed by lowercase address
+ */
+export async function getTokenBalancesWithUSD(tokenAddresses, holderAddress) {
+  const [balancesResponse, prices] = await Promise.all([
+    cacheApi.get(`/ethereum/token-balances/${holderAddress}?tokens=${tokenAddresses.join(',')}`),
+    Promise.all(tokenAddresses.map(tokenAddress => getTokenPrice(tokenAddress)))
+  ]);
+  
+  return tokenAddresses.reduce((acc, tokenAddress, index) => {
+    const balance = balancesResponse.data?.balances?.[tokenAddress.toLowerCase()]?.formatted || 0;
+    const price = prices[index];
+    acc[tokenAddress.toLowerCase()] = {
+      balance,
+      balanceUSD: price ? balance * price : 0,
+      price
+    };
+    return acc;
+  }, {});
+}
+
 /**
  * Calculate the USD value of LP tokens held by an address
  * @param {string} lpTokenAddress - LP token contract address
@@ -1507,9 +1555,12 @@ export async function getServiceQueueStatus(service) {
   }
 }
 
-export async function flushCache() {
+// Admin-only: requires an operator key with the admin role
+export async function flushCache(apiKey) {
   try {
-    const response = await cacheApi.get('/admin/flush-cache');
+    const response = await cacheApi.post('/admin/flush-cache', {}, {
+      headers: { 'x-operator-key': apiKey }
+    });
     return response.data;
   } catch (error) {
     console.error('Error flushing cache:', error);
@@ -1517,12 +1568,15 @@ export async function flushCache() {
   }
 }
 
-export async function cleanCache(type, pattern, confirm = false) {
+// Admin-only: requires an operator key with the admin role
+export async function cleanCache(type, pattern, confirm = false, apiKey) {
   try {
     const response = await cacheApi.post('/admin/clean-cache', {
       type,
       pattern,
       confirm
+    }, {
+      headers: { 'x-operator-key': apiKey }
     });
     return response.data;
   } catch (error) {
@@ -1531,9 +1585,11 @@ export async function cleanCache(type, pattern, confirm = false) {
   }
 }
 
-export async function getCacheStats() {
+export async function getCacheStats(apiKey) {
   try {
-    const response = await cacheApi.get('/admin/cache-stats');
+    const response = await cacheApi.get('/admin/cache-stats', {
+      headers: { 'x-operator-key': apiKey }
+    });
     return response.data;
   } catch (error) {
     console.error('Error fetching cache stats:', error);
@@ -1630,6 +1686,23 @@ export async function getAllManualData(symbol) {
   }
 }
 
+export async function getManualDataHistory(symbol, metric, limit = 100) {
+  try {
+    const response = await cacheApi.get(`/manual-data/${symbol}/${metric}/history`, { params: { limit } });
+    return response.data;
+  } catch (error) {
+    console.error(`Error fetching manual data history for ${symbol}/${metric}:`, error);
+    return {
+      success: false,
+      symbol,
+      metric,
+      total: 0,
+      data: [],
+      error: error.message
+    };
+  }
+}
+
 // ================= ENHANCED ERROR HANDLING HELPERS =================
 
 /**
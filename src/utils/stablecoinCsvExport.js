@@ -21,6 +21,7 @@ export function exportStablecoinMetricsToCSV(stablecoins, metricsData) {
       'Balancer TVL (incl. PT)',
       'Uniswap TVL (incl. PT)',
       'Sushiswap TVL (incl. PT)',
+      'Pendle AMM Liquidity',
       'Total Mainnet Liquidity',
       // Competitor Markets (now includes Pendle PT)
       'Aave Collateral (incl. PT)',
@@ -37,7 +38,14 @@ export function exportStablecoinMetricsToCSV(stablecoins, metricsData) {
       'Fluid Pendle PT',
       'Total Lending Markets',
       'Total Pendle PT in Lending',
+      'Pendle PT Face Value in Lending',
       'Pendle PT Tokens Found',
+      // Borrow Markets
+      'Aave Borrows',
+      'Aave Borrow Utilization',
+      'Morpho Borrows',
+      'Morpho Borrow Utilization',
+      'Total Borrowed',
       // Safety Buffer
       'Insurance Layer/Fund',
       'Collateralization Ratio',
@@ -55,6 +63,7 @@ export function exportStablecoinMetricsToCSV(stablecoins, metricsData) {
       const lendingData = metrics.totalLendingUsage?.data || {};
       const protocols = lendingData.protocols || {};
       const pendleData = lendingData.pendle || {};
+      const borrowProtocols = metrics.borrowExposure?.data?.protocols || {};
       
       // Calculate total PT TVL across all lending protocols
       const totalPTTVL = (protocols.aave_v3?.ptTVL || 0) + 
@@ -87,6 +96,7 @@ export function exportStablecoinMetricsToCSV(stablecoins, metricsData) {
         formatStablecoinAmount(metrics.balancerTVL?.data?.data || 0),
         formatStablecoinAmount(metrics.uniswapTVL?.data?.data || 0),
         formatStablecoinAmount(metrics.sushiTVL?.data?.data || 0),
+        formatStablecoinAmount(metrics.pendleTVL?.data?.data || 0),
         formatStablecoinAmount(metrics.totalMainnetLiquidity?.data || 0),
         // Competitor Markets with PT breakdown
         formatStablecoinAmount(protocols.aave_v3?.totalTVL || 0),
@@ -103,7 +113,14 @@ export function exportStablecoinMetricsToCSV(stablecoins, metricsData) {
         formatStablecoinAmount(protocols.fluid?.ptTVL || 0),
         formatStablecoinAmount(totalLending),
         formatStablecoinAmount(totalPTTVL),
+        formatStablecoinAmount(pendleData.ptFaceValue || 0),
         pendleData.ptTokensFound || 0,
+        // Borrow Markets
+        formatStablecoinAmount(borrowProtocols.aave_v3?.totalBorrowUSD || 0),
+        formatPercentage(borrowProtocols.aave_v3?.utilization || 0),
+        formatStablecoinAmount(borrowProtocols.morpho_blue?.totalBorrowUSD || 0),
+        formatPercentage(borrowProtocols.morpho_blue?.utilization || 0),
+        formatStablecoinAmount(metrics.borrowExposure?.data?.totalBorrowUSD || 0),
         // Safety Buffer
         formatStablecoinAmount(metrics.insuranceFund?.data?.data || 0),
         formatRatio(metrics.collateralizationRatio?.data?.data || 0),
@@ -182,6 +199,8 @@ export function exportDetailedStablecoinMetricsToCSV(stablecoins, metricsData) {
       'Uniswap TVL (Formatted)',
       'Sushiswap TVL (Raw)',
       'Sushiswap TVL (Formatted)',
+      'Pendle AMM Liquidity (Raw)',
+      'Pendle AMM Liquidity (Formatted)',
       'Total DEX Liquidity (Raw)',
       'Total DEX Liquidity (Formatted)',
       // Lending Markets Breakdown with Pendle PT
@@ -190,6 +209,7 @@ export function exportDetailedStablecoinMetricsToCSV(stablecoins, metricsData) {
       'Aave Direct (Raw)',
       'Aave PT (Raw)',
       'Aave PT Markets',
+      'Aave Supply Cap Headroom (Raw)',
       'Morpho Total (Raw)',
       'Morpho Total (Formatted)',
       'Morpho Direct (Raw)',
@@ -209,8 +229,17 @@ export function exportDetailedStablecoinMetricsToCSV(stablecoins, metricsData) {
       'Total Lending Markets (Formatted)',
       'Total PT TVL in Lending (Raw)',
       'Total PT TVL in Lending (Formatted)',
+      'Total PT Face Value in Lending (Raw)',
       'Pendle PT Tokens Found',
       'Pendle Markets Matched',
+      // Borrow Markets
+      'Aave Borrows (Raw)',
+      'Aave Borrow Utilization',
+      'Morpho Borrows (Raw)',
+      'Morpho Borrow Utilization',
+      'Morpho Borrow Collateral',
+      'Total Borrowed (Raw)',
+      'Total Borrowed (Formatted)',
       // Safety Metrics
       'Insurance Fund (Raw)',
       'Insurance Fund (Formatted)',
@@ -242,6 +271,7 @@ export function exportDetailedStablecoinMetricsToCSV(stablecoins, metricsData) {
       const lendingData = metrics.totalLendingUsage?.data || {};
       const protocols = lendingData.protocols || {};
       const pendleData = lendingData.pendle || {};
+      const borrowProtocols = metrics.borrowExposure?.data?.protocols || {};
       
       // Calculate totals
       const totalSupply = metrics.totalSupply?.data?.data || 0;
@@ -278,6 +308,8 @@ export function exportDetailedStablecoinMetricsToCSV(stablecoins, metricsData) {
         formatStablecoinAmount(metrics.uniswapTVL?.data?.data || 0),
         metrics.sushiTVL?.data?.data || 0,
         formatStablecoinAmount(metrics.sushiTVL?.data?.data || 0),
+        metrics.pendleTVL?.data?.data || 0,
+        formatStablecoinAmount(metrics.pendleTVL?.data?.data || 0),
         metrics.totalMainnetLiquidity?.data || 0,
         formatStablecoinAmount(metrics.totalMainnetLiquidity?.data || 0),
         // Lending Markets with Pendle PT breakdown
@@ -286,6 +318,7 @@ export function exportDetailedStablecoinMetricsToCSV(stablecoins, metricsData) {
         protocols.aave_v3?.directTVL || 0,
         protocols.aave_v3?.ptTVL || 0,
         protocols.aave_v3?.ptMarkets || 0,
+        protocols.aave_v3?.supplyCapHeadroomUSD || 0,
         protocols.morpho_combined?.totalTVL || 0,
         formatStablecoinAmount(protocols.morpho_combined?.totalTVL || 0),
         protocols.morpho_combined?.directTVL || 0,
@@ -305,8 +338,17 @@ export function exportDetailedStablecoinMetricsToCSV(stablecoins, metricsData) {
         formatStablecoinAmount(totalLending),
         totalPTTVL,
         formatStablecoinAmount(totalPTTVL),
+        pendleData.ptFaceValue || 0,
         pendleData.ptTokensFound || 0,
         pendleData.marketsMatched || 0,
+        // Borrow Markets
+        borrowProtocols.aave_v3?.totalBorrowUSD || 0,
+        borrowProtocols.aave_v3?.utilization || 0,
+        borrowProtocols.morpho_blue?.totalBorrowUSD || 0,
+        borrowProtocols.morpho_blue?.utilization || 0,
+        (borrowProtocols.morpho_blue?.collateral || []).map(entry => `${entry.symbol}: ${entry.borrowAssetsUsd}`).join('; '),
+        metrics.borrowExposure?.data?.totalBorrowUSD || 0,
+        formatStablecoinAmount(metrics.borrowExposure?.data?.totalBorrowUSD || 0),
         // Safety Metrics
         metrics.insuranceFund?.data?.data || 0,
         formatStablecoinAmount(metrics.insuranceFund?.data?.data || 0),
@@ -367,3 +409,74 @@ export function exportDetailedStablecoinMetricsToCSV(stablecoins, metricsData) {
     alert('Failed to export detailed CSV. Please try again.');
   }
 }
+
+/**
+ * Export stress test results (POST /api/stress-test/run) to CSV
+ */
+export function exportStressTestResultsToCSV(results) {
+  try {
+    const headers = [
+      'Stablecoin',
+      'Scenario',
+      'Shocks',
+      'Factor of Safety',
+      'Stressed Factor of Safety',
+      'Theoretical Supply Limit',
+      'Stressed Theoretical Supply Limit',
+      'TSL Change',
+      'TSL Change %',
+      'Stressed Limited By',
+      'Error',
+      'FoS Model Version',
+      'Run At'
+    ];
+
+    const shockSummary = results.shocks
+      .map(shock => `${shock.target} ${shock.operation === 'scale' ? 'x' : '='} ${shock.value}`)
+      .join('; ');
+
+    const rows = results.data.map(result => [
+      result.symbol,
+      results.scenarioName,
+      shockSummary,
+      result.baseline?.factorOfSafety ?? '',
+      result.stressed?.factorOfSafety ?? '',
+      result.baseline?.theoreticalSupplyLimit ?? '',
+      result.stressed?.theoreticalSupplyLimit ?? '',
+      result.change?.theoreticalSupplyLimit ?? '',
+      result.change?.theoreticalSupplyLimitPercent != null ? formatPercentage(result.change.theoreticalSupplyLimitPercent) : '',
+      result.stressed?.limitedBy || '',
+      result.error || '',
+      results.fosModelVersion,
+      results.ranAt
+    ]);
+
+    const csvContent = [
+      headers.join(','),
+      ...rows.map(row => 
+        row.map(cell => {
+          if (typeof cell === 'string' && (cell.includes(',') || cell.includes('"') || cell.includes('\n'))) {
+            return `"${cell.replace(/"/g, '""')}"`;
+          }
+          return cell;
+        }).join(',')
+      )
+    ].join('\n');
+
+    const blob = new Blob([csvContent], { type: 'text/csv;charset=utf-8;' });
+    const link = document.createElement('a');
+    
+    if (link.download !== undefined) {
+      const url = URL.createObjectURL(blob);
+      link.setAttribute('href', url);
+      link.setAttribute('download', `stress-test-${new Date().toISOString().split('T')[0]}.csv`);
+      link.style.visibility = 'hidden';
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+    }
+  } catch (error) {
+    console.error('Error exporting stress test CSV:', error);
+    alert('Failed to export CSV. Please try again.');
+  }
+}
@@ -4,68 +4,17 @@
  * Utilities to extract and organize metric values from stablecoin data
  */
 
-// ================= FACTOR OF SAFETY CALCULATION HELPERS =================
-
-/**
- * Calculate Insurance Fund component of Factor of Safety
- * Returns score based on insurance fund size relative to total supply
- */
-function getInsuranceComponent(totalSupply, insuranceFund) {
-  if (totalSupply === 0) return -0.05;
-  
-  const ratio = insuranceFund / totalSupply;
-  
-  if (ratio > 0.5) return 0.2;   // Insurance > 50% of supply
-  if (ratio > 0.25) return 0.1;  // Insurance > 25% of supply
-  if (ratio > 0.1) return 0.05;  // Insurance > 10% of supply
-  return -0.05;                  // Insurance < 10% of supply
-}
-
-/**
- * Calculate Collateralization Ratio component of Factor of Safety
- * Returns score based on how over-collateralized the stablecoin is
- */
-function getCRComponent(cr) {
-  if (cr > 1.5) return 0.2;   // CR > 150%
-  if (cr > 1.1) return 0.1;   // CR > 110%
-  if (cr > 1.0) return 0.05;  // CR > 100%
-  return -0.1;                // CR <= 100% (under-collateralized)
-}
+import bundledFosModel from '../../cache-service/config/fos-model.json';
+import { resolveFosModel, scoreFactorOfSafety } from '../../cache-service/config/fos-model.js';
 
-/**
- * Calculate Staked Supply component of Factor of Safety
- * Returns score based on what % of supply is staked (shows commitment)
- */
-function getStakedComponent(totalSupply, stakedSupply) {
-  if (totalSupply === 0) return 0;
-  
-  const ratio = stakedSupply / totalSupply;
-  
-  if (ratio > 0.5) return 0.05;  // Staked > 50% of supply
-  return 0;
-}
-
-/**
- * Calculate Mainnet Supply component of Factor of Safety
- * Returns score based on what % of supply is on mainnet (less bridge risk)
- */
-function getMainnetComponent(supplyOnMainnetPercent) {
-  if (supplyOnMainnetPercent > 0.9) return 0.05;  // > 90% on mainnet
-  return 0;
-}
+// ================= FACTOR OF SAFETY CALCULATION HELPERS =================
 
 /**
- * Calculate overall Factor of Safety score
- * Composite risk score based on multiple safety metrics
+ * Calculate Factor of Safety with the scoring model shared with the cache service
+ * Falls back to the model bundled at build time until the live one (GET /api/fos-model) has loaded
  */
-function calculateFactorOfSafety(totalSupply, insuranceFund, cr, stakedSupply, supplyOnMainnetPercent) {
-  const baseScore = 0.5;
-  const insuranceScore = getInsuranceComponent(totalSupply, insuranceFund);
-  const crScore = getCRComponent(cr);
-  const stakedScore = getStakedComponent(totalSupply, stakedSupply);
-  const mainnetScore = getMainnetComponent(supplyOnMainnetPercent);
-  
-  return baseScore + insuranceScore + crScore + stakedScore + mainnetScore;
+function calculateFactorOfSafety(fosModelConfig, category, inputs) {
+  return scoreFactorOfSafety(resolveFosModel(fosModelConfig || bundledFosModel, category), inputs);
 }
 
 // ================= METRIC EXTRACTION FUNCTIONS =================
@@ -74,9 +23,10 @@ function calculateFactorOfSafety(totalSupply, insuranceFund, cr, stakedSupply, s
  * Extract all metric values from stablecoin metrics in an organized structure
  * @param {object} metrics - The metrics object from useStablecoinCompleteMetrics
  * @param {object} stablecoin - The stablecoin configuration object
+ * @param {object} fosModelConfig - Factor of Safety model from GET /api/fos-model (optional)
  * @returns {object} Organized metric values with loading states
  */
-export function extractStablecoinMetricValues(metrics, stablecoin) {
+export function extractStablecoinMetricValues(metrics, stablecoin, fosModelConfig) {
   if (!metrics) {
     return {
       metricValues: {},
@@ -91,6 +41,13 @@ export function extractStablecoinMetricValues(metrics, stablecoin) {
   const crValue = metrics.collateralizationRatio?.data?.data || 0;
   const stakedSupplyValue = metrics.stakedSupply?.data?.data || 0;
   const supplyOnMainnetPercentValue = metrics.supplyOnMainnetPercent?.data || 0;
+  const fos = calculateFactorOfSafety(fosModelConfig, stablecoin?.category, {
+    totalSupply: totalSupplyValue,
+    insuranceFund: insuranceFundValue,
+    collateralizationRatio: crValue,
+    stakedSupply: stakedSupplyValue,
+    supplyOnMainnetPercent: supplyOnMainnetPercentValue
+  });
 
   return {
     // Supply Metrics
@@ -105,7 +62,9 @@ export function extractStablecoinMetricValues(metrics, stablecoin) {
       value: metrics.bridgeSupply?.data?.data || 0,
       isLoading: metrics.bridgeSupply?.isLoading || false,
       error: metrics.bridgeSupply?.error || null,
-      isPlaceholder: metrics.bridgeSupply?.data?._placeholder || false
+      isPlaceholder: metrics.bridgeSupply?.data?._placeholder || false,
+      source: metrics.bridgeSupply?.data?.source || null,
+      breakdown: metrics.bridgeSupply?.data?.breakdown || null
     },
     
     mainnetSupply: {
@@ -158,6 +117,13 @@ export function extractStablecoinMetricValues(metrics, stablecoin) {
       error: metrics.sushiTVL?.error || null
     },
     
+    pendleTVL: {
+      value: metrics.pendleTVL?.data?.data || 0,
+      isLoading: metrics.pendleTVL?.isLoading || false,
+      error: metrics.pendleTVL?.error || null,
+      markets: metrics.pendleTVL?.data?.markets || []
+    },
+    
     totalMainnetLiquidity: {
       value: metrics.totalMainnetLiquidity?.data || 0,
       isLoading: metrics.totalMainnetLiquidity?.isLoading || false,
@@ -190,6 +156,57 @@ export function extractStablecoinMetricValues(metrics, stablecoin) {
       protocols: metrics.totalLendingUsage?.data?.protocols || {}
     },
     
+    // PT collateral at market value; the ladder shows when it rolls off
+    pendlePTCollateral: {
+      value: metrics.totalLendingUsage?.data?.pendle?.ptMarketValue || 0,
+      isLoading: metrics.totalLendingUsage?.isLoading || false,
+      error: metrics.totalLendingUsage?.error || null,
+      faceValue: metrics.totalLendingUsage?.data?.pendle?.ptFaceValue || 0,
+      maturityLadder: metrics.totalLendingUsage?.data?.pendle?.maturityLadder || []
+    },
+    
+    // Borrow Markets: the stablecoin lent out, rather than posted as collateral
+    aaveBorrows: {
+      value: metrics.borrowExposure?.data?.protocols?.aave_v3?.totalBorrowUSD || 0,
+      isLoading: metrics.borrowExposure?.isLoading || false,
+      error: metrics.borrowExposure?.error || null,
+      utilization: metrics.borrowExposure?.data?.protocols?.aave_v3?.utilization || 0
+    },
+    
+    morphoBorrows: {
+      value: metrics.borrowExposure?.data?.protocols?.morpho_blue?.totalBorrowUSD || 0,
+      isLoading: metrics.borrowExposure?.isLoading || false,
+      error: metrics.borrowExposure?.error || null,
+      utilization: metrics.borrowExposure?.data?.protocols?.morpho_blue?.utilization || 0,
+      collateral: metrics.borrowExposure?.data?.protocols?.morpho_blue?.collateral || []
+    },
+    
+    totalBorrowMarkets: {
+      value: metrics.borrowExposure?.data?.totalBorrowUSD || 0,
+      isLoading: metrics.borrowExposure?.isLoading || false,
+      error: metrics.borrowExposure?.error || null
+    },
+    
+    // Other Chains Metrics (0 for mainnet-only stablecoins)
+    otherChainSupply: {
+      value: metrics.chainBreakdown?.data?.totals?.supply || 0,
+      isLoading: metrics.chainBreakdown?.isLoading || false,
+      error: metrics.chainBreakdown?.error || null
+    },
+    
+    otherChainLiquidity: {
+      value: metrics.chainBreakdown?.data?.totals?.dexLiquidity || 0,
+      isLoading: metrics.chainBreakdown?.isLoading || false,
+      error: metrics.chainBreakdown?.error || null
+    },
+    
+    otherChainLending: {
+      value: metrics.chainBreakdown?.data?.totals?.lending || 0,
+      isLoading: metrics.chainBreakdown?.isLoading || false,
+      error: metrics.chainBreakdown?.error || null,
+      chains: metrics.chainBreakdown?.data?.chains || []
+    },
+    
     // Safety Buffer Metrics
     insuranceFund: {
       value: metrics.insuranceFund?.data?.data || 0,
@@ -204,7 +221,9 @@ export function extractStablecoinMetricValues(metrics, stablecoin) {
       value: metrics.collateralizationRatio?.data?.data || 0,
       isLoading: metrics.collateralizationRatio?.isLoading || false,
       error: metrics.collateralizationRatio?.error || null,
-      isUnavailable: metrics.collateralizationRatio?.data?._unavailable || false
+      isUnavailable: metrics.collateralizationRatio?.data?._unavailable || false,
+      source: metrics.collateralizationRatio?.data?.source || null,
+      divergence: metrics.collateralizationRatio?.data?.divergence || null
     },
     
     stakedSupply: {
@@ -227,13 +246,7 @@ export function extractStablecoinMetricValues(metrics, stablecoin) {
     // Factor of Safety - Composite Risk Score
     // Based on: Insurance Fund, CR, Staked Supply, and Mainnet Supply %
     factorOfSafety: {
-      value: calculateFactorOfSafety(
-        totalSupplyValue,
-        insuranceFundValue,
-        crValue,
-        stakedSupplyValue,
-        supplyOnMainnetPercentValue
-      ),
+      value: fos.value,
       isLoading: metrics.totalSupply?.isLoading || 
                  metrics.insuranceFund?.isLoading || 
                  metrics.collateralizationRatio?.isLoading || 
@@ -243,26 +256,16 @@ export function extractStablecoinMetricValues(metrics, stablecoin) {
       error: null,
       isCalculated: true,
       formula: 'Composite score based on Insurance, CR, Staked Supply, Mainnet %',
-      components: {
-        baseScore: 0.5,
-        insuranceComponent: getInsuranceComponent(totalSupplyValue, insuranceFundValue),
-        crComponent: getCRComponent(crValue),
-        stakedComponent: getStakedComponent(totalSupplyValue, stakedSupplyValue),
-        mainnetComponent: getMainnetComponent(supplyOnMainnetPercentValue)
-      }
+      components: fos.components,
+      modelVersion: fos.modelVersion,
+      modelVariant: fos.modelVariant
     },
     
     // Theoretical Supply Limit
     // Formula: Factor of Safety * min(Excl. Lending Markets, Total Mainnet Liquidity)
     // Shows the maximum safe supply based on safety score and liquidity constraints
     theoreticalSupplyLimit: (() => {
-      const fosValue = calculateFactorOfSafety(
-        totalSupplyValue,
-        insuranceFundValue,
-        crValue,
-        stakedSupplyValue,
-        supplyOnMainnetPercentValue
-      );
+      const fosValue = fos.value;
       
       // Get excl lending value
       const exclLendingValue = Math.max(0, 
@@ -313,12 +316,13 @@ export function extractStablecoinMetricValues(metrics, stablecoin) {
  * Used for sorting columns in the dashboard
  * @param {array} stablecoins - Array of stablecoin configs
  * @param {array} allStablecoinMetrics - Array of metrics from useStablecoinCompleteMetrics
+ * @param {object} fosModelConfig - Factor of Safety model from GET /api/fos-model (optional)
  * @returns {array} Array of stablecoins with sortValues
  */
-export function extractSortableValues(stablecoins, allStablecoinMetrics) {
+export function extractSortableValues(stablecoins, allStablecoinMetrics, fosModelConfig) {
   return stablecoins.map((stablecoin, index) => {
     const metrics = allStablecoinMetrics[index];
-    const extracted = extractStablecoinMetricValues(metrics, stablecoin);
+    const extracted = extractStablecoinMetricValues(metrics, stablecoin, fosModelConfig);
     
     return {
       ...stablecoin,
@@ -335,6 +339,7 @@ export function extractSortableValues(stablecoins, allStablecoinMetrics) {
         balancerTVL: extracted.balancerTVL.value,
         uniswapTVL: extracted.uniswapTVL.value,
         sushiTVL: extracted.sushiTVL.value,
+        pendleTVL: extracted.pendleTVL.value,
         totalMainnetLiquidity: extracted.totalMainnetLiquidity.value,
         
         // Lending metrics
@@ -342,6 +347,17 @@ export function extractSortableValues(stablecoins, allStablecoinMetrics) {
         morphoCollateral: extracted.morphoCollateral.value,
         eulerCollateral: extracted.eulerCollateral.value,
         totalLendingMarkets: extracted.totalLendingMarkets.value,
+        pendlePTCollateral: extracted.pendlePTCollateral.value,
+        
+        // Borrow metrics
+        aaveBorrows: extracted.aaveBorrows.value,
+        morphoBorrows: extracted.morphoBorrows.value,
+        totalBorrowMarkets: extracted.totalBorrowMarkets.value,
+        
+        // Other chain metrics
+        otherChainSupply: extracted.otherChainSupply.value,
+        otherChainLiquidity: extracted.otherChainLiquidity.value,
+        otherChainLending: extracted.otherChainLending.value,
         
         // Safety metrics
         insuranceFund: extracted.insuranceFund.value,